@@ -1,12 +1,138 @@
 const { 
     Budget, 
+    BudgetRevision,
     ExpenseCategory, 
     Expense, 
+    User,
     sequelize 
 } = require('../models');
-const { ValidationError, BusinessError, NotFoundError } = require('../utils/errors');
+const { ValidationError, BusinessError, NotFoundError, AuthorizationError } = require('../utils/errors');
+const { Op } = require('sequelize');
 const logger = require('../utils/logger');
 
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const nextAcademicYear = (academicYear) => {
+    const [start, end] = academicYear.split('-').map(Number);
+    return `${start + 1}-${end + 1}`;
+};
+
+const addYear = (date) => {
+    const next = new Date(date);
+    next.setFullYear(next.getFullYear() + 1);
+    return next;
+};
+
+const sumAmounts = (amounts) => Object.values(amounts || {})
+    .reduce((sum, amount) => sum + parseFloat(amount), 0);
+
+const applyChanges = (allocations, changes) => {
+    const revised = { ...(allocations || {}) };
+    Object.entries(changes || {}).forEach(([key, change]) => {
+        revised[key] = roundAmount((parseFloat(revised[key]) || 0) + parseFloat(change));
+    });
+    return revised;
+};
+
+/**
+ * Budget total and allocations once a revision is applied. Checked when the
+ * revision is requested and again when it is approved, as other revisions
+ * and approved expenses may have changed the budget in between.
+ * @param {Budget} budget - Active budget
+ * @param {Object} revision - { revision_type, amount, category_changes, monthly_changes }
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Promise<Object>} { total_amount, category_allocations, monthly_allocations }
+ * @throws {ValidationError} If the revision does not balance or takes away spent funds
+ */
+const reviseAllocations = async (budget, revision, transaction) => {
+    const amount = parseFloat(revision.amount) || 0;
+    const categoryChanges = revision.category_changes || {};
+    const monthlyChanges = revision.monthly_changes || {};
+    const changes = [...Object.values(categoryChanges), ...Object.values(monthlyChanges)].map(parseFloat);
+
+    if (revision.revision_type === 'SUPPLEMENTARY') {
+        if (amount <= 0) {
+            throw new ValidationError('A supplementary revision must add funds');
+        }
+        if (changes.some(change => change < 0)) {
+            throw new ValidationError('A supplementary revision can only increase allocations');
+        }
+        if (sumAmounts(categoryChanges) > amount || sumAmounts(monthlyChanges) > amount) {
+            throw new ValidationError('Allocation increases exceed the amount added');
+        }
+    } else {
+        if (amount !== 0) {
+            throw new ValidationError('A reallocation cannot change the budget total');
+        }
+        if (!changes.length) {
+            throw new ValidationError('A reallocation must move funds between allocations');
+        }
+        if (Math.abs(sumAmounts(categoryChanges)) >= 0.005 || Math.abs(sumAmounts(monthlyChanges)) >= 0.005) {
+            throw new ValidationError('Funds moved out of allocations must equal the funds moved in');
+        }
+    }
+
+    const categoryIds = Object.keys(categoryChanges);
+    if (categoryIds.length) {
+        const categories = await ExpenseCategory.count({
+            where: { id: categoryIds },
+            transaction
+        });
+
+        if (categories !== categoryIds.length) {
+            throw new ValidationError('Invalid category in revision');
+        }
+    }
+
+    const totalAmount = roundAmount(parseFloat(budget.total_amount) + amount);
+    const categoryAllocations = applyChanges(budget.category_allocations, categoryChanges);
+    const monthlyAllocations = applyChanges(budget.monthly_allocations, monthlyChanges);
+
+    // Funds already spent in a category cannot be moved out of it
+    const reduced = categoryIds.filter(categoryId => parseFloat(categoryChanges[categoryId]) < 0);
+    if (reduced.length) {
+        const spent = await Expense.findAll({
+            where: {
+                budget_id: budget.id,
+                category_id: reduced,
+                status: 'APPROVED'
+            },
+            attributes: [
+                'category_id',
+                [sequelize.fn('SUM', sequelize.col('total_amount')), 'total']
+            ],
+            group: ['category_id'],
+            raw: true,
+            transaction
+        });
+
+        reduced.forEach(categoryId => {
+            const utilized = parseFloat(spent.find(row => row.category_id === parseInt(categoryId))?.total) || 0;
+            if (categoryAllocations[categoryId] < utilized) {
+                throw new ValidationError(`Category ${categoryId} allocation cannot go below the ${utilized.toFixed(2)} already spent`);
+            }
+        });
+    }
+
+    if (Object.values(monthlyAllocations).some(allocation => allocation < 0)) {
+        throw new ValidationError('Monthly allocations cannot be negative');
+    }
+
+    if (sumAmounts(categoryAllocations) > totalAmount) {
+        throw new ValidationError('Total category allocations exceed budget amount');
+    }
+
+    if (sumAmounts(monthlyAllocations) > totalAmount) {
+        throw new ValidationError('Total monthly allocations exceed budget amount');
+    }
+
+    return {
+        total_amount: totalAmount,
+        category_allocations: categoryAllocations,
+        monthly_allocations: Object.keys(monthlyAllocations).length ? monthlyAllocations : budget.monthly_allocations
+    };
+};
+
 class BudgetController {
     /**
      * Create a new budget
@@ -189,6 +315,14 @@ class BudgetController {
                 as: 'expenses',
                 where: { status: 'APPROVED' },
                 required: false
+            }, {
+                model: Budget,
+                as: 'previousBudget',
+                attributes: ['id', 'title', 'academic_year', 'total_amount', 'utilized_amount', 'status']
+            }, {
+                model: Budget,
+                as: 'nextBudget',
+                attributes: ['id', 'title', 'academic_year', 'total_amount', 'status']
             }]
         });
 
@@ -298,77 +432,399 @@ class BudgetController {
             });
 
         } catch (error) {
-            await transaction.rollLet's create the routes for expense management.
-
-<create_file>
-<path>routes/expenseRoutes.js</path>
-<content>
-const express = require('express');
-const router = express.Router();
-const expenseController = require('../controllers/expenseController');
-const { authenticate } = require('../middleware/auth');
-const { validateExpense, validateExpenseUpdate, validateExpenseCancellation } = require('../middleware/expenseValidations');
-
-// Middleware to check admin/accountant role
-const checkRole = (req, res, next) => {
-    const allowedRoles = ['admin', 'accountant'];
-    if (!allowedRoles.includes(req.user.role)) {
-        return res.status(403).json({
-            error: 'Access denied. You do not have permission to perform this action.'
+            await transaction.rollback();
+            throw error;
+        }
+    }
+
+    /**
+     * Close a budget and create next academic year's draft from it.
+     * Each category keeps its allocation, raised by the uplift, and adds its
+     * unspent amount when the category's rollover policy is CARRY_OVER.
+     * Expenses still awaiting a decision must be resolved first, as they
+     * cannot be approved against a closed budget.
+     */
+    async rolloverBudget(req, res) {
+        const transaction = await sequelize.transaction();
+
+        try {
+            const { id } = req.params;
+            const { uplift_percentage = 0, title, notes } = req.body;
+
+            const uplift = parseFloat(uplift_percentage);
+
+            const budget = await Budget.findByPk(id, { transaction, lock: transaction.LOCK.UPDATE });
+            if (!budget) {
+                throw new NotFoundError('Budget not found');
+            }
+
+            if (budget.status !== 'ACTIVE') {
+                throw new BusinessError('Only active budgets can be rolled over');
+            }
+
+            const openExpenses = await Expense.count({
+                where: {
+                    budget_id: budget.id,
+                    status: ['DRAFT', 'PENDING_APPROVAL', 'REJECTED']
+                },
+                transaction
+            });
+
+            if (openExpenses) {
+                throw new BusinessError(`${openExpenses} expense(s) on this budget are not yet approved or cancelled; resolve them before rolling over`);
+            }
+
+            const academicYear = nextAcademicYear(budget.academic_year);
+            const existing = await Budget.findOne({
+                where: {
+                    [Op.or]: [
+                        { previous_budget_id: budget.id },
+                        {
+                            type: budget.type,
+                            academic_year: academicYear,
+                            status: { [Op.ne]: 'CANCELLED' }
+                        }
+                    ]
+                },
+                transaction
+            });
+
+            if (existing) {
+                throw new BusinessError(`A ${budget.type.toLowerCase()} budget for ${academicYear} already exists`);
+            }
+
+            const allocations = budget.category_allocations || {};
+            const categories = await ExpenseCategory.findAll({
+                where: { id: Object.keys(allocations) },
+                transaction
+            });
+
+            const spent = await Expense.findAll({
+                where: {
+                    budget_id: budget.id,
+                    status: 'APPROVED'
+                },
+                attributes: [
+                    'category_id',
+                    [sequelize.fn('SUM', sequelize.col('total_amount')), 'total']
+                ],
+                group: ['category_id'],
+                raw: true,
+                transaction
+            });
+            const spentByCategory = spent.reduce((totals, row) => {
+                totals[row.category_id] = parseFloat(row.total) || 0;
+                return totals;
+            }, {});
+
+            const rolloverDetails = {};
+            const categoryAllocations = {};
+
+            Object.entries(allocations).forEach(([categoryId, amount]) => {
+                const category = categories.find(c => c.id === parseInt(categoryId));
+                const allocated = parseFloat(amount);
+                const utilized = spentByCategory[categoryId] || 0;
+                const unspent = Math.max(0, roundAmount(allocated - utilized));
+                const policy = category ? category.rollover_policy : 'LAPSE';
+                const categoryUplift = category && category.rollover_uplift_percentage !== null
+                    ? parseFloat(category.rollover_uplift_percentage)
+                    : uplift;
+                const carriedOver = policy === 'CARRY_OVER' ? unspent : 0;
+
+                categoryAllocations[categoryId] = roundAmount(allocated * (1 + categoryUplift / 100) + carriedOver);
+                rolloverDetails[categoryId] = {
+                    category_name: category?.name,
+                    previous_allocation: allocated,
+                    utilized,
+                    unspent,
+                    policy,
+                    carried_over: carriedOver,
+                    lapsed: roundAmount(unspent - carriedOver),
+                    uplift_percentage: categoryUplift,
+                    allocation: categoryAllocations[categoryId]
+                };
+            });
+
+            // The unallocated part of the budget is raised by the rollover's uplift
+            const previousAllocated = Object.values(allocations).reduce((sum, amount) => sum + parseFloat(amount), 0);
+            const unallocated = Math.max(0, parseFloat(budget.total_amount) - previousAllocated);
+            const totalAmount = roundAmount(
+                Object.values(categoryAllocations).reduce((sum, amount) => sum + amount, 0) +
+                unallocated * (1 + uplift / 100)
+            );
+
+            // Monthly allocations keep their share of the budget
+            const scale = totalAmount / parseFloat(budget.total_amount);
+            const monthlyAllocations = budget.monthly_allocations
+                ? Object.fromEntries(Object.entries(budget.monthly_allocations)
+                    .map(([month, amount]) => [month, roundAmount(parseFloat(amount) * scale)]))
+                : null;
+
+            const rollover = await Budget.create({
+                title: title || (budget.title.includes(budget.academic_year)
+                    ? budget.title.replace(budget.academic_year, academicYear)
+                    : `${budget.title} ${academicYear}`),
+                description: budget.description,
+                academic_year: academicYear,
+                start_date: addYear(budget.start_date),
+                end_date: addYear(budget.end_date),
+                total_amount: totalAmount,
+                type: budget.type,
+                category_allocations: categoryAllocations,
+                monthly_allocations: monthlyAllocations,
+                warning_threshold: budget.warning_threshold,
+                freeze_threshold: budget.freeze_threshold,
+                approval_required: budget.approval_required,
+                previous_budget_id: budget.id,
+                rollover_details: {
+                    uplift_percentage: uplift,
+                    previous_total: parseFloat(budget.total_amount),
+                    previous_utilized: parseFloat(budget.utilized_amount),
+                    categories: rolloverDetails
+                },
+                status: 'DRAFT',
+                created_by: req.user.id
+            }, { transaction });
+
+            await budget.close(req.user.id, notes || `Rolled over to ${rollover.title}`, { transaction });
+            await budget.update({ last_rollover_date: new Date() }, { transaction });
+
+            await transaction.commit();
+
+            logger.info('Budget rolled over', {
+                budgetId: budget.id,
+                rolloverBudgetId: rollover.id,
+                upliftPercentage: uplift,
+                rolledOverBy: req.user.id
+            });
+
+            res.status(201).json({
+                message: `Budget closed and rolled over to ${academicYear}`,
+                data: rollover
+            });
+
+        } catch (error) {
+            await transaction.rollback();
+            throw error;
+        }
+    }
+
+    /**
+     * Request a revision of an active budget: a supplementary revision adds
+     * funds, a reallocation moves funds between category or monthly allocations
+     */
+    async requestRevision(req, res) {
+        const transaction = await sequelize.transaction();
+
+        try {
+            const { id } = req.params;
+            const {
+                revision_type,
+                amount = 0,
+                category_changes,
+                monthly_changes,
+                reason
+            } = req.body;
+
+            const budget = await Budget.findByPk(id, { transaction });
+            if (!budget) {
+                throw new NotFoundError('Budget not found');
+            }
+
+            if (budget.status !== 'ACTIVE') {
+                throw new BusinessError('Only active budgets can be revised');
+            }
+
+            await reviseAllocations(budget, { revision_type, amount, category_changes, monthly_changes }, transaction);
+
+            const revision = await BudgetRevision.create({
+                budget_id: budget.id,
+                revision_type,
+                amount,
+                category_changes,
+                monthly_changes,
+                reason,
+                requested_by: req.user.id
+            }, { transaction });
+
+            await transaction.commit();
+
+            logger.info('Budget revision requested', {
+                budgetId: budget.id,
+                revisionId: revision.id,
+                type: revision_type,
+                requestedBy: req.user.id
+            });
+
+            res.status(201).json({
+                message: 'Budget revision submitted for approval',
+                data: revision
+            });
+
+        } catch (error) {
+            await transaction.rollback();
+            throw error;
+        }
+    }
+
+    /**
+     * Budget revision history, latest first
+     */
+    async listRevisions(req, res) {
+        const { id } = req.params;
+        const { status } = req.query;
+
+        const budget = await Budget.findByPk(id, {
+            attributes: ['id', 'title', 'total_amount', 'revision_number', 'original_values']
+        });
+        if (!budget) {
+            throw new NotFoundError('Budget not found');
+        }
+
+        const where = { budget_id: budget.id };
+        if (status) where.status = status;
+
+        const revisions = await BudgetRevision.findAll({
+            where,
+            include: [{
+                model: User,
+                as: 'requester',
+                attributes: ['id', 'first_name', 'last_name']
+            }, {
+                model: User,
+                as: 'reviewer',
+                attributes: ['id', 'first_name', 'last_name']
+            }],
+            order: [['created_at', 'DESC']]
+        });
+
+        res.json({
+            data: revisions,
+            budget
         });
     }
-    next();
-};
 
-// Expense Routes
-router.post(
-    '/',
-    authenticate,
-    checkRole,
-    validateExpense,
-    expenseController.createExpense
-);
-
-router.put(
-    '/:id',
-    authenticate,
-    checkRole,
-    validateExpenseUpdate,
-    expenseController.updateExpense
-);
-
-router.get(
-    '/:id',
-    authenticate,
-    expenseController.getExpense
-);
-
-router.get(
-    '/',
-    authenticate,
-    expenseController.listExpenses
-);
-
-router.post(
-    '/:id/approve',
-    authenticate,
-    checkRole,
-    expenseController.approveExpense
-);
-
-router.post(
-    '/:id/cancel',
-    authenticate,
-    checkRole,
-    validateExpenseCancellation,
-    expenseController.cancelExpense
-);
-
-router.get(
-    '/statistics',
-    authenticate,
-    checkRole,
-    expenseController.getStatistics
-);
-
-module.exports = router;
+    /**
+     * Approve a budget revision and apply it as the budget's next version
+     */
+    async approveRevision(req, res) {
+        const transaction = await sequelize.transaction();
+
+        try {
+            const { id, revisionId } = req.params;
+            const { notes } = req.body;
+
+            const revision = await BudgetRevision.findOne({
+                where: { id: revisionId, budget_id: id },
+                transaction,
+                lock: transaction.LOCK.UPDATE
+            });
+            if (!revision) {
+                throw new NotFoundError('Budget revision not found');
+            }
+
+            if (revision.status !== 'PENDING') {
+                throw new BusinessError('Only pending revisions can be approved');
+            }
+
+            if (revision.requested_by === req.user.id) {
+                throw new AuthorizationError('A budget revision must be approved by someone other than its requester');
+            }
+
+            const budget = await Budget.findByPk(id, { transaction, lock: transaction.LOCK.UPDATE });
+            if (budget.status !== 'ACTIVE') {
+                throw new BusinessError('Only active budgets can be revised');
+            }
+
+            const previousValues = budget.getAllocationValues();
+            const revisedValues = await reviseAllocations(budget, revision, transaction);
+            const version = budget.revision_number + 1;
+
+            await budget.update({
+                ...revisedValues,
+                revision_number: version,
+                original_values: budget.original_values || previousValues,
+                updated_by: req.user.id
+            }, { transaction });
+
+            await revision.update({
+                status: 'APPROVED',
+                version,
+                previous_values: previousValues,
+                revised_values: budget.getAllocationValues(),
+                reviewed_by: req.user.id,
+                reviewed_at: new Date(),
+                review_notes: notes
+            }, { transaction });
+
+            await transaction.commit();
+
+            logger.info('Budget revision approved', {
+                budgetId: budget.id,
+                revisionId: revision.id,
+                version,
+                approvedBy: req.user.id
+            });
+
+            res.json({
+                message: `Budget revision approved; budget is now at version ${version}`,
+                data: revision
+            });
+
+        } catch (error) {
+            await transaction.rollback();
+            throw error;
+        }
+    }
+
+    /**
+     * Reject a budget revision
+     */
+    async rejectRevision(req, res) {
+        const transaction = await sequelize.transaction();
+
+        try {
+            const { id, revisionId } = req.params;
+            const { notes } = req.body;
+
+            const revision = await BudgetRevision.findOne({
+                where: { id: revisionId, budget_id: id },
+                transaction,
+                lock: transaction.LOCK.UPDATE
+            });
+            if (!revision) {
+                throw new NotFoundError('Budget revision not found');
+            }
+
+            if (revision.status !== 'PENDING') {
+                throw new BusinessError('Only pending revisions can be rejected');
+            }
+
+            await revision.update({
+                status: 'REJECTED',
+                reviewed_by: req.user.id,
+                reviewed_at: new Date(),
+                review_notes: notes
+            }, { transaction });
+
+            await transaction.commit();
+
+            logger.info('Budget revision rejected', {
+                budgetId: revision.budget_id,
+                revisionId: revision.id,
+                rejectedBy: req.user.id
+            });
+
+            res.json({
+                message: 'Budget revision rejected',
+                data: revision
+            });
+
+        } catch (error) {
+            await transaction.rollback();
+            throw error;
+        }
+    }
+}
+
+module.exports = new BudgetController();
@@ -0,0 +1,270 @@
+const { DiscountScheme, StudentDiscount, Student, sequelize } = require('../models');
+const { BusinessError, NotFoundError } = require('../utils/errors');
+const { Op } = require('sequelize');
+const logger = require('../utils/logger');
+
+class DiscountSchemeController {
+    /**
+     * List discount and scholarship schemes
+     */
+    async listSchemes(req, res) {
+        const { status, scheme_type, search } = req.query;
+
+        const where = {};
+        if (status) where.status = status;
+        if (scheme_type) where.scheme_type = scheme_type;
+        if (search) {
+            const term = `%${search.trim()}%`;
+            where[Op.or] = [
+                { code: { [Op.like]: term } },
+                { name: { [Op.like]: term } }
+            ];
+        }
+
+        const schemes = await DiscountScheme.findAll({
+            where,
+            attributes: {
+                include: [[
+                    sequelize.literal(
+                        '(SELECT COUNT(*) FROM student_discounts WHERE student_discounts.discount_scheme_id = DiscountScheme.id AND student_discounts.status = \'ACTIVE\')'
+                    ),
+                    'active_students'
+                ]]
+            },
+            order: [['name', 'ASC']]
+        });
+
+        res.json({ data: schemes });
+    }
+
+    /**
+     * Create a discount scheme
+     */
+    async createScheme(req, res) {
+        const existing = await DiscountScheme.findOne({
+            where: { code: req.body.code }
+        });
+
+        if (existing) {
+            throw new BusinessError('A discount scheme with this code already exists');
+        }
+
+        const scheme = await DiscountScheme.create({
+            ...req.body,
+            created_by: req.user.id
+        });
+
+        logger.info('Discount scheme created', {
+            schemeId: scheme.id,
+            code: scheme.code,
+            createdBy: req.user.id
+        });
+
+        res.status(201).json({
+            message: 'Discount scheme created successfully',
+            data: scheme
+        });
+    }
+
+    /**
+     * Update a discount scheme. Invoices already generated keep the
+     * discount they were given.
+     */
+    async updateScheme(req, res) {
+        const scheme = await DiscountScheme.findByPk(req.params.id);
+        if (!scheme) {
+            throw new NotFoundError('Discount scheme not found');
+        }
+
+        if (req.body.code && req.body.code !== scheme.code) {
+            const existing = await DiscountScheme.findOne({
+                where: { code: req.body.code }
+            });
+
+            if (existing) {
+                throw new BusinessError('A discount scheme with this code already exists');
+            }
+        }
+
+        await scheme.update(req.body);
+
+        logger.info('Discount scheme updated', {
+            schemeId: scheme.id,
+            updatedBy: req.user.id,
+            fields: Object.keys(req.body)
+        });
+
+        res.json({
+            message: 'Discount scheme updated successfully',
+            data: scheme
+        });
+    }
+
+    /**
+     * List the students assigned to a scheme
+     */
+    async getSchemeStudents(req, res) {
+        const { status = 'ACTIVE' } = req.query;
+
+        const scheme = await DiscountScheme.findByPk(req.params.id);
+        if (!scheme) {
+            throw new NotFoundError('Discount scheme not found');
+        }
+
+        const assignments = await StudentDiscount.findAll({
+            where: {
+                discount_scheme_id: scheme.id,
+                ...(status !== 'ALL' && { status })
+            },
+            include: [{
+                model: Student,
+                as: 'student',
+                attributes: ['id', 'admission_number', 'first_name', 'last_name', 'current_class', 'status']
+            }],
+            order: [['createdAt', 'DESC']]
+        });
+
+        res.json({ data: assignments });
+    }
+
+    /**
+     * Assign a scheme to students. A previously revoked assignment is
+     * reinstated rather than duplicated.
+     */
+    async assignStudents(req, res) {
+        const transaction = await sequelize.transaction();
+
+        try {
+            const { student_ids: studentIds, remarks } = req.body;
+
+            const scheme = await DiscountScheme.findByPk(req.params.id);
+            if (!scheme) {
+                throw new NotFoundError('Discount scheme not found');
+            }
+
+            if (scheme.status !== 'ACTIVE') {
+                throw new BusinessError('Cannot assign an inactive discount scheme');
+            }
+
+            const students = await Student.findAll({
+                where: { id: studentIds },
+                attributes: ['id'],
+                transaction
+            });
+
+            const missing = studentIds.filter(id => !students.some(student => student.id === id));
+            if (missing.length) {
+                throw new NotFoundError(`Students not found: ${missing.join(', ')}`);
+            }
+
+            const existing = await StudentDiscount.findAll({
+                where: {
+                    discount_scheme_id: scheme.id,
+                    student_id: studentIds
+                },
+                transaction
+            });
+
+            let assigned = 0;
+            for (const studentId of studentIds) {
+                const assignment = existing.find(item => item.student_id === studentId);
+
+                if (!assignment) {
+                    await StudentDiscount.create({
+                        student_id: studentId,
+                        discount_scheme_id: scheme.id,
+                        remarks,
+                        assigned_by: req.user.id
+                    }, { transaction });
+                    assigned++;
+                } else if (assignment.status === 'REVOKED') {
+                    await assignment.update({
+                        status: 'ACTIVE',
+                        remarks,
+                        assigned_by: req.user.id,
+                        revoked_by: null,
+                        revoked_at: null,
+                        revocation_reason: null
+                    }, { transaction });
+                    assigned++;
+                }
+            }
+
+            await transaction.commit();
+
+            logger.info('Discount scheme assigned', {
+                schemeId: scheme.id,
+                studentIds,
+                assigned,
+                assignedBy: req.user.id
+            });
+
+            res.json({
+                message: `${scheme.name} assigned to ${assigned} student(s)`,
+                data: {
+                    assigned,
+                    already_assigned: studentIds.length - assigned
+                }
+            });
+
+        } catch (error) {
+            await transaction.rollback();
+            throw error;
+        }
+    }
+
+    /**
+     * Stop applying a scheme to a student's future invoices
+     */
+    async revokeStudent(req, res) {
+        const { id, studentId } = req.params;
+
+        const assignment = await StudentDiscount.findOne({
+            where: {
+                discount_scheme_id: id,
+                student_id: studentId,
+                status: 'ACTIVE'
+            }
+        });
+
+        if (!assignment) {
+            throw new NotFoundError('Student does not hold this discount scheme');
+        }
+
+        await assignment.revoke(req.user.id, req.body.reason);
+
+        logger.info('Discount scheme revoked', {
+            schemeId: assignment.discount_scheme_id,
+            studentId: assignment.student_id,
+            revokedBy: req.user.id
+        });
+
+        res.json({
+            message: 'Discount scheme revoked successfully',
+            data: assignment
+        });
+    }
+
+    /**
+     * List the schemes a student holds
+     */
+    async getStudentSchemes(req, res) {
+        const student = await Student.findByPk(req.params.studentId);
+        if (!student) {
+            throw new NotFoundError('Student not found');
+        }
+
+        const assignments = await StudentDiscount.findAll({
+            where: { student_id: student.id },
+            include: [{
+                model: DiscountScheme,
+                as: 'scheme'
+            }],
+            order: [['status', 'ASC'], ['createdAt', 'DESC']]
+        });
+
+        res.json({ data: assignments });
+    }
+}
+
+module.exports = new DiscountSchemeController();
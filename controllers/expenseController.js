@@ -2,12 +2,50 @@ const {
     Expense, 
     ExpenseCategory, 
     ExpenseAttachment, 
+    ExpenseApproval,
+    ExpenseApprovalRule,
     Vendor, 
     Budget,
+    User,
     sequelize 
 } = require('../models');
-const { ValidationError, BusinessError, NotFoundError } = require('../utils/errors');
+const { ValidationError, BusinessError, NotFoundError, AuthorizationError } = require('../utils/errors');
+const { Op } = require('sequelize');
 const logger = require('../utils/logger');
+const { generateRecurringExpenses } = require('../jobs/recurringExpenseJob');
+const { submitForApproval, findPendingStep, pendingStepsFor } = require('../utils/expenseApproval');
+const { enforceExpenseBudget } = require('../utils/budgetEnforcement');
+
+/**
+ * Check the budget an expense is charged to before it is approved.
+ * An override reason may come with the approval request.
+ */
+const checkApprovalBudget = async (expense, category, req, transaction) => {
+    if (!expense.budget_id) {
+        return { warnings: [], override: null };
+    }
+
+    const budget = await Budget.findByPk(expense.budget_id, { transaction });
+    if (budget.status !== 'ACTIVE') {
+        throw new BusinessError('Budget is not active');
+    }
+
+    const result = await enforceExpenseBudget(
+        { budget, category, amount: expense.total_amount },
+        { user: req.user, reason: req.body.budget_override_reason },
+        { transaction }
+    );
+
+    if (result.override) {
+        logger.warn('Expense budget overridden', {
+            expenseId: expense.id,
+            overriddenBy: req.user.id,
+            reason: req.body.budget_override_reason
+        });
+    }
+
+    return result;
+};
 
 class ExpenseController {
     /**
@@ -27,6 +65,7 @@ class ExpenseController {
                 payment_mode,
                 vendor_id,
                 budget_id,
+                budget_override_reason,
                 ...otherDetails
             } = req.body;
 
@@ -36,6 +75,16 @@ class ExpenseController {
                 throw new NotFoundError('Expense category not found');
             }
 
+            // The first occurrence after this one falls one period later unless given
+            if (otherDetails.recurring) {
+                if (!category.allow_recurring) {
+                    throw new BusinessError(`Recurring expenses are not allowed in ${category.name}`);
+                }
+
+                otherDetails.next_recurring_date = otherDetails.next_recurring_date ||
+                    Expense.advanceRecurringDate(expense_date, otherDetails.recurring_frequency);
+            }
+
             // Validate vendor if provided
             if (vendor_id) {
                 const vendor = await Vendor.findByPk(vendor_id);
@@ -53,8 +102,9 @@ class ExpenseController {
             }
 
             // Check budget if provided
+            let budgetCheck = { warnings: [], override: null };
             if (budget_id) {
-                const budget = await Budget.findByPk(budget_id);
+                const budget = await Budget.findByPk(budget_id, { transaction });
                 if (!budget) {
                     throw new NotFoundError('Budget not found');
                 }
@@ -63,25 +113,11 @@ class ExpenseController {
                     throw new BusinessError('Budget is not active');
                 }
 
-                if (budget.isFrozen()) {
-                    throw new BusinessError('Budget is frozen');
-                }
-
-                // Check category allocation if exists
-                if (budget.category_allocations?.[category_id]) {
-                    const allocated = parseFloat(budget.category_allocations[category_id]);
-                    const utilized = await Expense.sum('total_amount', {
-                        where: {
-                            category_id,
-                            budget_id,
-                            status: 'APPROVED'
-                        }
-                    });
-
-                    if ((utilized + parseFloat(amount)) > allocated) {
-                        throw new BusinessError('Category budget allocation exceeded');
-                    }
-                }
+                budgetCheck = await enforceExpenseBudget(
+                    { budget, category, amount: parseFloat(amount) + parseFloat(tax_amount || 0) },
+                    { user: req.user, reason: budget_override_reason },
+                    { transaction }
+                );
             }
 
             // Create expense
@@ -97,7 +133,8 @@ class ExpenseController {
                 budget_id,
                 created_by: req.user.id,
                 academic_year: req.academic_year,
-                ...otherDetails
+                ...otherDetails,
+                ...budgetCheck.override
             }, { transaction });
 
             // Handle attachments if any
@@ -136,6 +173,14 @@ class ExpenseController {
                 category: category.name
             });
 
+            if (budgetCheck.override) {
+                logger.warn('Expense budget overridden', {
+                    expenseId: expense.id,
+                    overriddenBy: req.user.id,
+                    reason: budget_override_reason
+                });
+            }
+
             // Fetch complete expense with associations
             const completeExpense = await Expense.findByPk(expense.id, {
                 include: [{
@@ -152,7 +197,8 @@ class ExpenseController {
 
             res.status(201).json({
                 message: 'Expense created successfully',
-                data: completeExpense
+                data: completeExpense,
+                warnings: budgetCheck.warnings
             });
 
         } catch (error) {
@@ -180,6 +226,10 @@ class ExpenseController {
                 throw new BusinessError('Cannot update approved or cancelled expense');
             }
 
+            if (expense.status === 'PENDING_APPROVAL') {
+                throw new BusinessError('Cannot update an expense while it is pending approval');
+            }
+
             // Validate category if changed
             if (updates.category_id && updates.category_id !== expense.category_id) {
                 const category = await ExpenseCategory.findByPk(updates.category_id);
@@ -188,6 +238,20 @@ class ExpenseController {
                 }
             }
 
+            if (updates.recurring === false) {
+                updates.next_recurring_date = null;
+            } else if (updates.recurring && !expense.recurring) {
+                const category = await ExpenseCategory.findByPk(updates.category_id || expense.category_id);
+                if (!category.allow_recurring) {
+                    throw new BusinessError(`Recurring expenses are not allowed in ${category.name}`);
+                }
+
+                updates.next_recurring_date = updates.next_recurring_date || Expense.advanceRecurringDate(
+                    updates.expense_date || expense.expense_date,
+                    updates.recurring_frequency || expense.recurring_frequency
+                );
+            }
+
             // Update expense
             await expense.update({
                 ...updates,
@@ -265,7 +329,23 @@ class ExpenseController {
             }, {
                 model: Budget,
                 as: 'budget'
-            }]
+            }, {
+                model: Expense,
+                as: 'parentExpense',
+                attributes: ['id', 'expense_number', 'title', 'recurring_frequency', 'next_recurring_date']
+            }, {
+                model: ExpenseApproval,
+                as: 'approvals',
+                include: [{
+                    model: User,
+                    as: 'actor',
+                    attributes: ['id', 'first_name', 'last_name']
+                }]
+            }],
+            order: [
+                [{ model: ExpenseApproval, as: 'approvals' }, 'round', 'ASC'],
+                [{ model: ExpenseApproval, as: 'approvals' }, 'step_order', 'ASC']
+            ]
         });
 
         if (!expense) {
@@ -284,6 +364,8 @@ class ExpenseController {
             vendor_id,
             status,
             payment_status,
+            recurring,
+            parent_expense_id,
             start_date,
             end_date,
             min_amount,
@@ -299,6 +381,8 @@ class ExpenseController {
         if (vendor_id) where.vendor_id = vendor_id;
         if (status) where.status = status;
         if (payment_status) where.payment_status = payment_status;
+        if (recurring !== undefined) where.recurring = recurring === 'true';
+        if (parent_expense_id) where.parent_expense_id = parent_expense_id;
         
         if (start_date && end_date) {
             where.expense_date = {
@@ -338,14 +422,85 @@ class ExpenseController {
     }
 
     /**
-     * Approve expense
+     * Submit a draft or returned expense to its approval chain.
+     * Expenses the category does not require approval for are approved at once.
+     */
+    async submitExpense(req, res) {
+        const transaction = await sequelize.transaction();
+
+        try {
+            const { id } = req.params;
+            const expense = await Expense.findByPk(id, {
+                include: [{
+                    model: ExpenseCategory,
+                    as: 'category'
+                }],
+                transaction
+            });
+
+            if (!expense) {
+                throw new NotFoundError('Expense not found');
+            }
+
+            if (!['DRAFT', 'REJECTED'].includes(expense.status)) {
+                throw new BusinessError('Only draft or rejected expenses can be submitted');
+            }
+
+            let steps = [];
+            let budgetCheck = { warnings: [], override: null };
+            if (expense.category.requiresApprovalFor(expense.total_amount)) {
+                steps = await submitForApproval(expense, { transaction });
+            } else {
+                budgetCheck = await checkApprovalBudget(expense, expense.category, req, transaction);
+
+                await expense.update({
+                    status: 'APPROVED',
+                    approved_by: req.user.id,
+                    approval_date: new Date(),
+                    submitted_at: new Date(),
+                    ...budgetCheck.override
+                }, { transaction });
+            }
+
+            await transaction.commit();
+
+            if (expense.status === 'APPROVED' && expense.budget_id) {
+                const budget = await Budget.findByPk(expense.budget_id);
+                await budget.trackExpense(expense.total_amount);
+            }
+
+            logger.info('Expense submitted', {
+                expenseId: expense.id,
+                submittedBy: req.user.id,
+                round: expense.approval_round,
+                steps: steps.length
+            });
+
+            res.json({
+                message: steps.length
+                    ? `Expense submitted for approval (${steps.map(step => step.step_name).join(' → ')})`
+                    : 'Expense approved; the category does not require approval for this amount',
+                data: { expense, approvals: steps },
+                warnings: budgetCheck.warnings
+            });
+
+        } catch (error) {
+            await transaction.rollback();
+            throw error;
+        }
+    }
+
+    /**
+     * Approve the current step of an expense's approval chain.
+     * Approving the last step approves the expense.
      */
     async approveExpense(req, res) {
         const transaction = await sequelize.transaction();
 
         try {
             const { id } = req.params;
-            const expense = await Expense.findByPk(id);
+            const { comment } = req.body;
+            const expense = await Expense.findByPk(id, { transaction });
 
             if (!expense) {
                 throw new NotFoundError('Expense not found');
@@ -355,27 +510,141 @@ class ExpenseController {
                 throw new BusinessError('Expense is not pending approval');
             }
 
-            await expense.update({
-                status: 'APPROVED',
-                approved_by: req.user.id,
-                approval_date: new Date()
-            }, { transaction });
+            // Expenses put in PENDING_APPROVAL before chains existed have no steps
+            const step = await findPendingStep(expense, transaction);
+            const allowed = step
+                ? step.canBeActionedBy(req.user)
+                : ExpenseApproval.DEFAULT_APPROVER_ROLES.includes(req.user.role);
+
+            if (!allowed) {
+                throw new AuthorizationError('You are not the approver for the current step of this expense');
+            }
+
+            let nextStep = null;
+            if (step) {
+                await step.update({
+                    status: 'APPROVED',
+                    acted_by: req.user.id,
+                    acted_at: new Date(),
+                    comment
+                }, { transaction });
+
+                nextStep = await ExpenseApproval.findOne({
+                    where: {
+                        expense_id: expense.id,
+                        round: expense.approval_round,
+                        status: 'WAITING'
+                    },
+                    order: [['step_order', 'ASC']],
+                    transaction
+                });
+            }
+
+            let budgetCheck = { warnings: [], override: null };
+            if (nextStep) {
+                await nextStep.update({ status: 'PENDING' }, { transaction });
+            } else {
+                const category = await ExpenseCategory.findByPk(expense.category_id, { transaction });
+                budgetCheck = await checkApprovalBudget(expense, category, req, transaction);
+
+                await expense.update({
+                    status: 'APPROVED',
+                    approved_by: req.user.id,
+                    approval_date: new Date(),
+                    ...budgetCheck.override
+                }, { transaction });
+            }
+
+            await transaction.commit();
 
             // Update budget utilization if applicable
-            if (expense.budget_id) {
+            if (!nextStep && expense.budget_id) {
                 const budget = await Budget.findByPk(expense.budget_id);
                 await budget.trackExpense(expense.total_amount);
             }
 
+            logger.info('Expense approval step approved', {
+                expenseId: expense.id,
+                step: step?.step_name,
+                approvedBy: req.user.id,
+                nextStep: nextStep?.step_name
+            });
+
+            res.json({
+                message: nextStep
+                    ? `Approved; waiting for ${nextStep.step_name}`
+                    : 'Expense approved successfully',
+                warnings: budgetCheck.warnings
+            });
+
+        } catch (error) {
+            await transaction.rollback();
+            throw error;
+        }
+    }
+
+    /**
+     * Reject an expense at its current approval step, returning it to the requester
+     */
+    async rejectExpense(req, res) {
+        const transaction = await sequelize.transaction();
+
+        try {
+            const { id } = req.params;
+            const { reason } = req.body;
+            const expense = await Expense.findByPk(id, { transaction });
+
+            if (!expense) {
+                throw new NotFoundError('Expense not found');
+            }
+
+            if (expense.status !== 'PENDING_APPROVAL') {
+                throw new BusinessError('Expense is not pending approval');
+            }
+
+            const step = await findPendingStep(expense, transaction);
+            const allowed = step
+                ? step.canBeActionedBy(req.user)
+                : ExpenseApproval.DEFAULT_APPROVER_ROLES.includes(req.user.role);
+
+            if (!allowed) {
+                throw new AuthorizationError('You are not the approver for the current step of this expense');
+            }
+
+            if (step) {
+                await step.update({
+                    status: 'REJECTED',
+                    acted_by: req.user.id,
+                    acted_at: new Date(),
+                    comment: reason
+                }, { transaction });
+
+                await ExpenseApproval.update({ status: 'CANCELLED' }, {
+                    where: {
+                        expense_id: expense.id,
+                        round: expense.approval_round,
+                        status: 'WAITING'
+                    },
+                    transaction
+                });
+            }
+
+            await expense.update({
+                status: 'REJECTED',
+                rejection_reason: reason
+            }, { transaction });
+
             await transaction.commit();
 
-            logger.info('Expense approved', {
+            logger.info('Expense rejected', {
                 expenseId: expense.id,
-                approvedBy: req.user.id
+                step: step?.step_name,
+                rejectedBy: req.user.id,
+                reason
             });
 
             res.json({
-                message: 'Expense approved successfully'
+                message: 'Expense rejected and returned to the requester'
             });
 
         } catch (error) {
@@ -384,6 +653,126 @@ class ExpenseController {
         }
     }
 
+    /**
+     * Expenses waiting on the current user's approval, and the user's own
+     * expenses that were rejected back to them
+     */
+    async getPendingApprovals(req, res) {
+        const pending = await ExpenseApproval.findAll({
+            where: pendingStepsFor(req.user),
+            include: [{
+                model: Expense,
+                as: 'expense',
+                where: { status: 'PENDING_APPROVAL' },
+                include: [{
+                    model: ExpenseCategory,
+                    as: 'category',
+                    attributes: ['id', 'name']
+                }, {
+                    model: Vendor,
+                    as: 'vendor',
+                    attributes: ['id', 'name']
+                }, {
+                    model: User,
+                    as: 'creator',
+                    attributes: ['id', 'first_name', 'last_name']
+                }]
+            }],
+            order: [['createdAt', 'ASC']]
+        });
+
+        const returned = await Expense.findAll({
+            where: {
+                created_by: req.user.id,
+                status: 'REJECTED'
+            },
+            include: [{
+                model: ExpenseCategory,
+                as: 'category',
+                attributes: ['id', 'name']
+            }],
+            order: [['updatedAt', 'DESC']]
+        });
+
+        res.json({
+            data: {
+                pending,
+                returned
+            }
+        });
+    }
+
+    /**
+     * List expense approval rules
+     */
+    async listApprovalRules(req, res) {
+        const { category_id, status } = req.query;
+
+        const where = {};
+        if (category_id) where.category_id = category_id;
+        if (status) where.status = status;
+
+        const rules = await ExpenseApprovalRule.findAll({
+            where,
+            include: [{
+                model: ExpenseCategory,
+                as: 'category',
+                attributes: ['id', 'name']
+            }, {
+                model: User,
+                as: 'approver',
+                attributes: ['id', 'first_name', 'last_name']
+            }],
+            order: [['category_id', 'ASC'], ['step_order', 'ASC']]
+        });
+
+        res.json({ data: rules });
+    }
+
+    /**
+     * Add a step to an approval chain
+     */
+    async createApprovalRule(req, res) {
+        if (req.body.category_id && !(await ExpenseCategory.findByPk(req.body.category_id))) {
+            throw new NotFoundError('Expense category not found');
+        }
+
+        const rule = await ExpenseApprovalRule.create({
+            ...req.body,
+            created_by: req.user.id
+        });
+
+        logger.info('Expense approval rule created', {
+            ruleId: rule.id,
+            createdBy: req.user.id
+        });
+
+        res.status(201).json({
+            message: 'Approval rule created successfully',
+            data: rule
+        });
+    }
+
+    /**
+     * Update an approval chain step. Chains already started keep the steps they were built with.
+     */
+    async updateApprovalRule(req, res) {
+        const rule = await ExpenseApprovalRule.findByPk(req.params.id);
+        if (!rule) {
+            throw new NotFoundError('Approval rule not found');
+        }
+
+        await rule.update({
+            ...req.body,
+            updated_by: req.user.id
+        });
+
+        res.json({
+            message: 'Approval rule updated successfully',
+            data: rule
+        });
+    }
+
     /**
      * Cancel expense
      */
@@ -410,6 +799,15 @@ class ExpenseController {
                 cancellation_reason: reason
             }, { transaction });
 
+            // Take it out of the approvers' inboxes
+            await ExpenseApproval.update({ status: 'CANCELLED' }, {
+                where: {
+                    expense_id: expense.id,
+                    status: ['PENDING', 'WAITING']
+                },
+                transaction
+            });
+
             await transaction.commit();
 
             logger.info('Expense cancelled', {
@@ -428,6 +826,83 @@ class ExpenseController {
         }
     }
 
+    /**
+     * Generate the recurring expense occurrences that are due now
+     */
+    async runRecurringExpenses(req, res) {
+        const summary = await generateRecurringExpenses({
+            userId: req.user.id,
+            asOf: req.body.as_of ? new Date(req.body.as_of) : new Date()
+        });
+
+        res.json({
+            message: `${summary.occurrences_created} recurring expense(s) generated`,
+            data: summary
+        });
+    }
+
+    /**
+     * List the expenses generated from a recurring expense
+     */
+    async getOccurrences(req, res) {
+        const { id } = req.params;
+        const { page = 1, limit = 10 } = req.query;
+
+        const expense = await Expense.findByPk(id);
+        if (!expense) {
+            throw new NotFoundError('Expense not found');
+        }
+
+        const occurrences = await Expense.findAndCountAll({
+            where: { parent_expense_id: id },
+            order: [['expense_date', 'DESC']],
+            limit: parseInt(limit),
+            offset: (page - 1) * limit
+        });
+
+        res.json({
+            data: occurrences.rows,
+            pagination: {
+                total: occurrences.count,
+                page: parseInt(page),
+                limit: parseInt(limit),
+                total_pages: Math.ceil(occurrences.count / limit)
+            }
+        });
+    }
+
+    /**
+     * Stop a recurring expense from generating further occurrences
+     */
+    async stopRecurring(req, res) {
+        const { id } = req.params;
+
+        const expense = await Expense.findByPk(id);
+        if (!expense) {
+            throw new NotFoundError('Expense not found');
+        }
+
+        if (!expense.recurring) {
+            throw new BusinessError('Expense is not recurring');
+        }
+
+        await expense.update({
+            recurring: false,
+            next_recurring_date: null,
+            updated_by: req.user.id
+        });
+
+        logger.info('Recurring expense stopped', {
+            expenseId: expense.id,
+            stoppedBy: req.user.id
+        });
+
+        res.json({
+            message: 'Recurring expense stopped',
+            data: expense
+        });
+    }
+
     /**
      * Get expense statistics
      */
@@ -0,0 +1,388 @@
+const { Family, Student, Invoice, SiblingDiscountRule, sequelize } = require('../models');
+const { BusinessError, NotFoundError } = require('../utils/errors');
+const { Op } = require('sequelize');
+const logger = require('../utils/logger');
+const {
+    buildFamilyStatement,
+    generateStatementPdf,
+    generateStatementWorkbook
+} = require('../utils/studentStatement');
+
+const OPEN_INVOICE_STATUSES = ['UNPAID', 'PARTIALLY_PAID', 'OVERDUE'];
+
+/**
+ * Link students to a family, refusing students that belong to another family
+ */
+const linkToFamily = async (family, studentIds, transaction) => {
+    const students = await Student.findAll({
+        where: { id: studentIds },
+        transaction
+    });
+
+    const missing = studentIds.filter(id => !students.some(student => student.id === id));
+    if (missing.length) {
+        throw new NotFoundError(`Students not found: ${missing.join(', ')}`);
+    }
+
+    const linkedElsewhere = students.filter(student => student.family_id && student.family_id !== family.id);
+    if (linkedElsewhere.length) {
+        throw new BusinessError(
+            `Already linked to another family: ${linkedElsewhere.map(student => student.admission_number).join(', ')}`
+        );
+    }
+
+    await Student.update(
+        { family_id: family.id },
+        { where: { id: studentIds }, transaction }
+    );
+
+    return students;
+};
+
+class FamilyController {
+    /**
+     * Register a family, optionally linking its children
+     */
+    async createFamily(req, res) {
+        const transaction = await sequelize.transaction();
+
+        try {
+            const { student_ids: studentIds, ...details } = req.body;
+
+            const family = await Family.create({
+                ...details,
+                status: 'ACTIVE',
+                created_by: req.user.id
+            }, { transaction });
+
+            if (studentIds.length) {
+                await linkToFamily(family, studentIds, transaction);
+            }
+
+            await transaction.commit();
+
+            logger.info('Family created', {
+                familyId: family.id,
+                familyCode: family.family_code,
+                children: studentIds.length,
+                createdBy: req.user.id
+            });
+
+            res.status(201).json({
+                message: 'Family created successfully',
+                data: family
+            });
+
+        } catch (error) {
+            await transaction.rollback();
+            throw error;
+        }
+    }
+
+    /**
+     * List and search families
+     */
+    async listFamilies(req, res) {
+        const {
+            search,
+            status,
+            page = 1,
+            limit = 20
+        } = req.query;
+
+        const where = {};
+        if (status) where.status = status;
+
+        if (search) {
+            const term = `%${search.trim()}%`;
+            where[Op.or] = [
+                { family_code: { [Op.like]: term } },
+                { guardian_name: { [Op.like]: term } },
+                { phone_number: { [Op.like]: term } }
+            ];
+        }
+
+        const families = await Family.findAndCountAll({
+            where,
+            include: [{
+                model: Student,
+                as: 'students',
+                attributes: ['id', 'admission_number', 'first_name', 'last_name', 'current_class', 'status']
+            }],
+            order: [['family_code', 'ASC']],
+            limit: parseInt(limit),
+            offset: (page - 1) * limit,
+            distinct: true
+        });
+
+        res.json({
+            data: families.rows,
+            pagination: {
+                total: families.count,
+                page: parseInt(page),
+                limit: parseInt(limit),
+                totalPages: Math.ceil(families.count / parseInt(limit))
+            }
+        });
+    }
+
+    /**
+     * Get family details with each child's open invoices
+     */
+    async getFamily(req, res) {
+        const family = await Family.findByPk(req.params.id, {
+            include: [{
+                model: Student,
+                as: 'students',
+                include: [{
+                    model: Invoice,
+                    as: 'invoices',
+                    required: false,
+                    attributes: ['id', 'invoice_number', 'academic_year', 'term', 'due_date', 'total_amount', 'balance_amount', 'status'],
+                    where: {
+                        status: OPEN_INVOICE_STATUSES,
+                        balance_amount: { [Op.gt]: 0 }
+                    }
+                }]
+            }],
+            order: [
+                [{ model: Student, as: 'students' }, 'admission_date', 'ASC'],
+                [{ model: Student, as: 'students' }, { model: Invoice, as: 'invoices' }, 'due_date', 'ASC']
+            ]
+        });
+
+        if (!family) {
+            throw new NotFoundError('Family not found');
+        }
+
+        const children = family.students.map(student => ({
+            ...student.toJSON(),
+            outstanding_balance: student.invoices.reduce(
+                (sum, invoice) => sum + parseFloat(invoice.balance_amount), 0
+            )
+        }));
+
+        res.json({
+            data: {
+                ...family.toJSON(),
+                students: children,
+                outstanding_balance: children.reduce((sum, child) => sum + child.outstanding_balance, 0)
+            }
+        });
+    }
+
+    /**
+     * Update family details
+     */
+    async updateFamily(req, res) {
+        const transaction = await sequelize.transaction();
+
+        try {
+            const family = await Family.findByPk(req.params.id);
+            if (!family) {
+                throw new NotFoundError('Family not found');
+            }
+
+            await family.update(req.body, { transaction });
+
+            await transaction.commit();
+
+            logger.info('Family updated', {
+                familyId: family.id,
+                updatedBy: req.user.id,
+                fields: Object.keys(req.body)
+            });
+
+            res.json({
+                message: 'Family updated successfully',
+                data: family
+            });
+
+        } catch (error) {
+            await transaction.rollback();
+            throw error;
+        }
+    }
+
+    /**
+     * Link children to a family
+     */
+    async linkStudents(req, res) {
+        const transaction = await sequelize.transaction();
+
+        try {
+            const family = await Family.findByPk(req.params.id);
+            if (!family) {
+                throw new NotFoundError('Family not found');
+            }
+
+            const students = await linkToFamily(family, req.body.student_ids, transaction);
+
+            await transaction.commit();
+
+            logger.info('Students linked to family', {
+                familyId: family.id,
+                studentIds: req.body.student_ids,
+                linkedBy: req.user.id
+            });
+
+            res.json({
+                message: `${students.length} student(s) linked to family ${family.family_code}`,
+                data: { family_id: family.id, student_ids: req.body.student_ids }
+            });
+
+        } catch (error) {
+            await transaction.rollback();
+            throw error;
+        }
+    }
+
+    /**
+     * Remove a child from a family
+     */
+    async unlinkStudent(req, res) {
+        const { id, studentId } = req.params;
+
+        const student = await Student.findOne({
+            where: { id: studentId, family_id: id }
+        });
+
+        if (!student) {
+            throw new NotFoundError('Student is not linked to this family');
+        }
+
+        await student.update({ family_id: null });
+
+        logger.info('Student unlinked from family', {
+            familyId: parseInt(id),
+            studentId: student.id,
+            unlinkedBy: req.user.id
+        });
+
+        res.json({
+            message: 'Student unlinked from family successfully',
+            data: student
+        });
+    }
+
+    /**
+     * Get a consolidated statement of account for all children of a family
+     */
+    async getFamilyStatement(req, res) {
+        const { from, to, format = 'json' } = req.query;
+
+        const family = await Family.findByPk(req.params.id);
+        if (!family) {
+            throw new NotFoundError('Family not found');
+        }
+
+        const children = await Student.findAll({
+            where: { family_id: family.id },
+            order: [['admission_date', 'ASC'], ['id', 'ASC']]
+        });
+
+        if (!children.length) {
+            throw new BusinessError('Family has no linked students');
+        }
+
+        const statement = await buildFamilyStatement(family, children, { from, to });
+        const filename = `family-statement-${family.family_code}`;
+
+        logger.info('Family statement generated', {
+            familyId: family.id,
+            format,
+            from,
+            to,
+            generatedBy: req.user.id
+        });
+
+        if (format === 'pdf') {
+            const buffer = await generateStatementPdf(statement);
+
+            res.setHeader('Content-Type', 'application/pdf');
+            res.setHeader('Content-Disposition', `attachment; filename=${filename}.pdf`);
+            return res.send(buffer);
+        }
+
+        if (format === 'excel') {
+            const workbook = generateStatementWorkbook(statement);
+
+            res.setHeader(
+                'Content-Type',
+                'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+            );
+            res.setHeader(
+                'Content-Disposition',
+                `attachment; filename=${filename}.xlsx`
+            );
+
+            return workbook.xlsx.write(res).then(() => res.end());
+        }
+
+        res.json({ data: statement });
+    }
+
+    /**
+     * List sibling discount rules
+     */
+    async listDiscountRules(req, res) {
+        const { status, academic_year } = req.query;
+
+        const where = {};
+        if (status) where.status = status;
+        if (academic_year) where.academic_year = { [Op.or]: [academic_year, null] };
+
+        const rules = await SiblingDiscountRule.findAll({
+            where,
+            order: [['min_child_position', 'ASC'], ['createdAt', 'DESC']]
+        });
+
+        res.json({ data: rules });
+    }
+
+    /**
+     * Create a sibling discount rule
+     */
+    async createDiscountRule(req, res) {
+        const rule = await SiblingDiscountRule.create({
+            ...req.body,
+            created_by: req.user.id
+        });
+
+        logger.info('Sibling discount rule created', {
+            ruleId: rule.id,
+            minChildPosition: rule.min_child_position,
+            createdBy: req.user.id
+        });
+
+        res.status(201).json({
+            message: 'Sibling discount rule created successfully',
+            data: rule
+        });
+    }
+
+    /**
+     * Update a sibling discount rule
+     */
+    async updateDiscountRule(req, res) {
+        const rule = await SiblingDiscountRule.findByPk(req.params.ruleId);
+        if (!rule) {
+            throw new NotFoundError('Sibling discount rule not found');
+        }
+
+        await rule.update(req.body);
+
+        logger.info('Sibling discount rule updated', {
+            ruleId: rule.id,
+            updatedBy: req.user.id,
+            fields: Object.keys(req.body)
+        });
+
+        res.json({
+            message: 'Sibling discount rule updated successfully',
+            data: rule
+        });
+    }
+}
+
+module.exports = new FamilyController();
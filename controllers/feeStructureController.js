@@ -15,7 +15,11 @@ class FeeStructureController {
                 academic_year,
                 term,
                 items,
-                created_by
+                created_by,
+                late_fee_type,
+                late_fee_value,
+                late_fee_grace_days,
+                late_fee_cap
             } = req.body;
 
             // Check for existing fee structure
@@ -41,6 +45,10 @@ class FeeStructureController {
                 academic_year,
                 term,
                 total_amount: totalAmount,
+                late_fee_type,
+                late_fee_value,
+                late_fee_grace_days,
+                late_fee_cap,
                 created_by,
                 status: 'ACTIVE'
             }, { transaction });
@@ -143,7 +151,11 @@ class FeeStructureController {
             const { id } = req.params;
             const {
                 items,
-                updated_by
+                updated_by,
+                late_fee_type,
+                late_fee_value,
+                late_fee_grace_days,
+                late_fee_cap
             } = req.body;
 
             const feeStructure = await FeeStructure.findByPk(id);
@@ -155,8 +167,15 @@ class FeeStructureController {
             const totalAmount = items.reduce((sum, item) => sum + parseFloat(item.amount), 0);
 
             // Update fee structure
+            // Only touch late fee settings that were sent
+            const lateFeeSettings = Object.fromEntries(
+                Object.entries({ late_fee_type, late_fee_value, late_fee_grace_days, late_fee_cap })
+                    .filter(([, value]) => value !== undefined)
+            );
+
             await feeStructure.update({
                 total_amount: totalAmount,
+                ...lateFeeSettings,
                 updated_by
             }, { transaction });
 
@@ -302,6 +321,10 @@ class FeeStructureController {
                 academic_year,
                 term,
                 total_amount: sourceFeeStructure.total_amount,
+                late_fee_type: sourceFeeStructure.late_fee_type,
+                late_fee_value: sourceFeeStructure.late_fee_value,
+                late_fee_grace_days: sourceFeeStructure.late_fee_grace_days,
+                late_fee_cap: sourceFeeStructure.late_fee_cap,
                 created_by,
                 status: 'ACTIVE'
             }, { transaction });
@@ -4,64 +4,75 @@ const {
     Student, 
     FeeStructure, 
     FeeStructureItem,
+    FeeBalanceTransfer,
+    FeeBalanceDetail,
+    Family,
+    SiblingDiscountRule,
+    StudentDiscount,
+    DiscountScheme,
+    InvoiceDiscount,
+    WaiverRequest,
+    PaymentPlan,
+    PaymentPlanInstallment,
+    StudentCreditTransaction,
     Payment,
+    ReminderLog,
+    UserActivity,
     sequelize 
 } = require('../models');
 const { ValidationError, BusinessError, NotFoundError } = require('../utils/errors');
+const { Op } = require('sequelize');
 const logger = require('../utils/logger');
+const { sendInvoiceReminder } = require('../utils/reminderService');
+const { runOverdueSweep } = require('../jobs/overdueInvoiceJob');
+const { applyLatePenalties, PENALTY_CATEGORY } = require('../jobs/latePenaltyJob');
+const { allocateAmount } = require('../utils/paymentAllocation');
+
+// Category for carried-forward lines whose original invoice item is unknown
+const ARREARS_CATEGORY = 'ARREARS';
+
+// Waivers above this amount wait for someone holding the approval permission
+const WAIVER_APPROVAL_THRESHOLD = parseFloat(process.env.WAIVER_APPROVAL_THRESHOLD) || 5000;
+
+// Invoices that can no longer be waived or put on a payment plan
+const CLOSED_INVOICE_STATUSES = ['PAID', 'CANCELLED', 'TRANSFERRED'];
+
+// Days between installments when a plan is split by count; MONTHLY keeps the day of month
+const INSTALLMENT_INTERVAL_DAYS = { WEEKLY: 7, FORTNIGHTLY: 14 };
 
 class InvoiceController {
+    constructor() {
+        // Handlers are passed to the router unbound but call helpers through `this`
+        Object.getOwnPropertyNames(InvoiceController.prototype)
+            .filter(name => name !== 'constructor')
+            .forEach(name => {
+                this[name] = this[name].bind(this);
+            });
+    }
+
     /**
-     * Generate a new invoice for a student
+     * Find a non-cancelled invoice for a student and term
      */
-    async generateInvoice(req, res) {
-        const transaction = await sequelize.transaction();
-
-        try {
-            const {
+    async findExistingInvoice(student_id, academic_year, term) {
+        return Invoice.findOne({
+            where: {
                 student_id,
-                fee_structure_id,
                 academic_year,
                 term,
-                due_date,
-                remarks
-            } = req.body;
-
-            // Validate student
-            const student = await Student.findByPk(student_id);
-            if (!student) {
-                throw new NotFoundError('Student not found');
-            }
-
-            // Validate fee structure
-            const feeStructure = await FeeStructure.findByPk(fee_structure_id, {
-                include: [{
-                    model: FeeStructureItem,
-                    as: 'items',
-                    where: { status: 'ACTIVE' }
-                }]
-            });
-
-            if (!feeStructure) {
-                throw new NotFoundError('Fee structure not found');
-            }
-
-            // Check for existing invoice
-            const existingInvoice = await Invoice.findOne({
-                where: {
-                    student_id,
-                    academic_year,
-                    term,
-                    status: {
-                        [Op.notIn]: ['CANCELLED']
-                    }
+                status: {
+                    [Op.notIn]: ['CANCELLED']
                 }
-            });
-
-            if (existingInvoice) {
-                throw new BusinessError('Invoice already exists for this term');
             }
+        });
+    }
+
+    /**
+     * Create an invoice and its items from a fee structure
+     */
+    async createInvoice({ student, feeStructure, academic_year, term, due_date, remarks }, userId) {
+        const transaction = await sequelize.transaction();
 
+        try {
             // Calculate total amount
             const totalAmount = feeStructure.items.reduce(
                 (sum, item) => sum + parseFloat(item.amount),
@@ -70,8 +81,8 @@ class InvoiceController {
 
             // Create invoice
             const invoice = await Invoice.create({
-                student_id,
-                fee_structure_id,
+                student_id: student.id,
+                fee_structure_id: feeStructure.id,
                 academic_year,
                 term,
                 class: student.current_class,
@@ -79,11 +90,11 @@ class InvoiceController {
                 balance_amount: totalAmount,
                 due_date: due_date || new Date(),
                 remarks,
-                generated_by: req.user.id
+                generated_by: userId
             }, { transaction });
 
             // Create invoice items
-            await Promise.all(
+            const items = await Promise.all(
                 feeStructure.items.map(item =>
                     InvoiceItem.create({
                         invoice_id: invoice.id,
@@ -100,36 +111,563 @@ class InvoiceController {
                 )
             );
 
+            // Take off the student's discount schemes, then any sibling discount
+            const schemeDiscount = await this.applyDiscountSchemes(invoice, student, items, userId, transaction);
+            const siblingDiscount = await this.applySiblingDiscount(student, items, academic_year, userId, transaction);
+            const discount = schemeDiscount + siblingDiscount;
+
+            // Bill balances carried forward at promotion
+            const displayOrder = Math.max(0, ...feeStructure.items.map(item => item.display_order || 0)) + 1;
+            const carriedForward = await this.applyCarriedForwardBalances(invoice, student, displayOrder, transaction);
+
+            if (carriedForward > 0 || discount > 0) {
+                await invoice.update({
+                    total_amount: totalAmount + carriedForward,
+                    balance_amount: totalAmount + carriedForward - discount
+                }, { transaction });
+            }
+
+            // Settle what the student's credit balance covers
+            const creditApplied = await this.applyStudentCredit(invoice, student, userId, transaction);
+
             await transaction.commit();
 
             // Log success
             logger.info('Invoice generated', {
                 invoiceId: invoice.id,
-                studentId: student_id,
-                amount: totalAmount
+                studentId: student.id,
+                amount: totalAmount,
+                schemeDiscount,
+                siblingDiscount,
+                carriedForward,
+                creditApplied
             });
 
-            // Fetch complete invoice with items
-            const completeInvoice = await Invoice.findByPk(invoice.id, {
+            return invoice;
+
+        } catch (error) {
+            await transaction.rollback();
+            throw error;
+        }
+    }
+
+    /**
+     * Take the discount schemes assigned to a student off the matching fee
+     * items of a new invoice, recorded as waivers. Only schemes valid on the
+     * invoicing date apply, and each is worked out on the items' full amounts.
+     * @returns {Promise<number>} Total discount given
+     */
+    async applyDiscountSchemes(invoice, student, items, userId, transaction) {
+        const assignments = await StudentDiscount.findAll({
+            where: {
+                student_id: student.id,
+                status: 'ACTIVE'
+            },
+            include: [{
+                model: DiscountScheme,
+                as: 'scheme'
+            }],
+            order: [['createdAt', 'ASC']],
+            transaction
+        });
+
+        let total = 0;
+        for (const { scheme } of assignments) {
+            if (!scheme.isValidOn(new Date())) continue;
+
+            const eligible = items.filter(item => scheme.appliesTo(item.category));
+            let remaining = scheme.calculateDiscount(
+                eligible.reduce((sum, item) => sum + parseFloat(item.amount), 0)
+            );
+
+            for (const item of eligible) {
+                const waiver = Math.min(remaining, parseFloat(item.balance_amount));
+                if (waiver <= 0) continue;
+
+                await item.applyWaiver(waiver, scheme.name, userId, { transaction });
+                await InvoiceDiscount.create({
+                    invoice_id: invoice.id,
+                    invoice_item_id: item.id,
+                    student_id: student.id,
+                    discount_scheme_id: scheme.id,
+                    amount: waiver
+                }, { transaction });
+
+                remaining = Math.round((remaining - waiver) * 100) / 100;
+                total = Math.round((total + waiver) * 100) / 100;
+            }
+        }
+
+        return total;
+    }
+
+    /**
+     * Take the sibling discount a student qualifies for off the matching
+     * fee items of a new invoice, recorded as waivers. Children are counted
+     * in admission order, and the rule for the highest position reached wins.
+     * @returns {Promise<number>} Total discount given
+     */
+    async applySiblingDiscount(student, items, academic_year, userId, transaction) {
+        if (!student.family_id) {
+            return 0;
+        }
+
+        const family = await Family.findByPk(student.family_id, { transaction });
+        const children = await family.getOrderedChildren({ attributes: ['id'], transaction });
+        const position = children.findIndex(child => child.id === student.id) + 1;
+
+        if (position < 2) {
+            return 0;
+        }
+
+        const rule = await SiblingDiscountRule.findOne({
+            where: {
+                status: 'ACTIVE',
+                min_child_position: { [Op.lte]: position },
+                [Op.or]: [{ academic_year: null }, { academic_year }]
+            },
+            order: [['min_child_position', 'DESC'], ['academic_year', 'DESC']],
+            transaction
+        });
+
+        if (!rule) {
+            return 0;
+        }
+
+        const eligible = items.filter(item => rule.appliesTo(item.category));
+        const discount = rule.calculateDiscount(
+            eligible.reduce((sum, item) => sum + parseFloat(item.amount), 0)
+        );
+
+        let remaining = discount;
+        for (const item of eligible) {
+            const waiver = Math.min(remaining, parseFloat(item.balance_amount));
+            if (waiver <= 0) continue;
+
+            await item.applyWaiver(waiver, `${rule.name} (child ${position} in family)`, userId, { transaction });
+            remaining = Math.round((remaining - waiver) * 100) / 100;
+        }
+
+        return discount - remaining;
+    }
+
+    /**
+     * Settle a new invoice from the student's credit balance, spread over
+     * its items by the default allocation policy. The credit counts as paid.
+     * @returns {Promise<number>} Credit applied
+     */
+    async applyStudentCredit(invoice, student, userId, transaction) {
+        const { credit_balance: credit } = await Student.findByPk(student.id, {
+            attributes: ['id', 'credit_balance'],
+            transaction
+        });
+
+        const applied = Math.round(Math.min(parseFloat(credit), parseFloat(invoice.balance_amount)) * 100) / 100;
+        if (applied <= 0) {
+            return 0;
+        }
+
+        const items = await InvoiceItem.findAll({
+            where: { invoice_id: invoice.id },
+            transaction
+        });
+
+        const { allocation } = allocateAmount(items, applied);
+        for (const { item, amount } of allocation) {
+            await item.update({
+                paid_amount: Math.round((parseFloat(item.paid_amount) + amount) * 100) / 100
+            }, { transaction });
+        }
+
+        await invoice.update({
+            paid_amount: Math.round((parseFloat(invoice.paid_amount) + applied) * 100) / 100,
+            balance_amount: Math.round((parseFloat(invoice.balance_amount) - applied) * 100) / 100,
+            credit_applied: applied
+        }, { transaction });
+
+        await StudentCreditTransaction.post({
+            student_id: student.id,
+            transaction_type: 'INVOICE_APPLICATION',
+            amount: applied,
+            invoice_id: invoice.id,
+            description: `Applied to invoice ${invoice.invoice_number}`,
+            created_by: userId
+        }, { transaction });
+
+        return applied;
+    }
+
+    /**
+     * Add a student's pending carried-forward balances to a new invoice as
+     * carried-forward lines, and settle the invoice items they came from by
+     * transfer so the same debt is only outstanding once
+     * @returns {Promise<number>} Total amount carried forward
+     */
+    async applyCarriedForwardBalances(invoice, student, displayOrder, transaction) {
+        const details = await FeeBalanceDetail.findAll({
+            where: { status: 'PENDING' },
+            include: [{
+                model: FeeBalanceTransfer,
+                as: 'balanceTransfer',
+                where: {
+                    student_id: student.id,
+                    status: 'TRANSFERRED'
+                }
+            }, {
+                model: InvoiceItem,
+                as: 'sourceItem',
                 include: [{
-                    model: InvoiceItem,
-                    as: 'items'
-                }, {
-                    model: Student,
-                    as: 'student',
-                    attributes: ['id', 'first_name', 'last_name', 'admission_number']
+                    model: Invoice,
+                    as: 'invoice'
                 }]
+            }],
+            order: [['id', 'ASC']],
+            transaction
+        });
+
+        let totalCarried = 0;
+        const settledInvoices = {};
+
+        for (const [index, detail] of details.entries()) {
+            const source = detail.sourceItem;
+
+            // Anything paid or waived on the original item since promotion is no longer owed
+            let amount = parseFloat(detail.balance_amount);
+            if (source) {
+                amount = source.invoice.status === 'CANCELLED'
+                    ? 0
+                    : Math.min(amount, parseFloat(source.balance_amount));
+            }
+
+            if (amount > 0) {
+                await InvoiceItem.create({
+                    invoice_id: invoice.id,
+                    fee_structure_item_id: null,
+                    item_name: `Balance b/f: ${detail.fee_item_name}`,
+                    description: `Carried forward from ${detail.term.replace('_', ' ')} ${detail.academic_year}` +
+                        (source ? ` (${source.invoice.invoice_number})` : ''),
+                    category: source ? source.category : ARREARS_CATEGORY,
+                    amount,
+                    balance_amount: amount,
+                    due_date: invoice.due_date,
+                    is_mandatory: true,
+                    is_carried_forward: true,
+                    carried_forward_from: source ? source.id : null,
+                    balance_detail_id: detail.id,
+                    display_order: displayOrder + index
+                }, { transaction });
+
+                if (source) {
+                    await source.update({
+                        transferred_amount: parseFloat(source.transferred_amount) + amount
+                    }, { transaction });
+
+                    const settled = settledInvoices[source.invoice_id] || { invoice: source.invoice, amount: 0 };
+                    settled.amount += amount;
+                    settledInvoices[source.invoice_id] = settled;
+                }
+
+                totalCarried += amount;
+            }
+
+            await detail.update({
+                status: 'APPLIED',
+                applied_amount: amount,
+                applied_invoice_id: invoice.id,
+                applied_at: new Date()
+            }, { transaction });
+        }
+
+        // Mark the original invoices settled by transfer
+        for (const { invoice: original, amount } of Object.values(settledInvoices)) {
+            const balance = Math.max(0, parseFloat(original.balance_amount) - amount);
+
+            await original.update({
+                transferred_amount: parseFloat(original.transferred_amount) + amount,
+                balance_amount: balance,
+                ...(balance <= 0 && { status: 'TRANSFERRED' })
+            }, { transaction });
+        }
+
+        const transferIds = [...new Set(details.map(detail => detail.balance_transfer_id))];
+        if (transferIds.length) {
+            await FeeBalanceTransfer.update({ status: 'APPLIED' }, {
+                where: { id: transferIds },
+                transaction
             });
+        }
 
-            res.status(201).json({
-                message: 'Invoice generated successfully',
-                data: completeInvoice
+        return totalCarried;
+    }
+
+    /**
+     * Undo the carried-forward lines of an invoice being cancelled: the
+     * balances go back onto their original invoices and wait to be billed
+     * on the next invoice
+     */
+    async reverseCarriedForwardBalances(invoice, transaction) {
+        const items = await InvoiceItem.findAll({
+            where: {
+                invoice_id: invoice.id,
+                balance_detail_id: { [Op.ne]: null }
+            },
+            include: [{
+                model: FeeBalanceDetail,
+                as: 'balanceDetail'
+            }, {
+                model: InvoiceItem,
+                as: 'originalItem',
+                include: [{
+                    model: Invoice,
+                    as: 'invoice'
+                }]
+            }],
+            transaction
+        });
+
+        const restoredInvoices = {};
+
+        for (const item of items) {
+            const amount = parseFloat(item.amount);
+            const original = item.originalItem;
+
+            if (original) {
+                await original.update({
+                    transferred_amount: Math.max(0, parseFloat(original.transferred_amount) - amount)
+                }, { transaction });
+
+                const restored = restoredInvoices[original.invoice_id] || { invoice: original.invoice, amount: 0 };
+                restored.amount += amount;
+                restoredInvoices[original.invoice_id] = restored;
+            }
+
+            await item.balanceDetail.update({
+                status: 'PENDING',
+                applied_amount: null,
+                applied_invoice_id: null,
+                applied_at: null
+            }, { transaction });
+        }
+
+        // Reopen the original invoices; the status hook works out whether they are overdue
+        for (const { invoice: original, amount } of Object.values(restoredInvoices)) {
+            await original.update({
+                transferred_amount: Math.max(0, parseFloat(original.transferred_amount) - amount),
+                balance_amount: parseFloat(original.balance_amount) + amount,
+                ...(original.status === 'TRANSFERRED' && { status: 'UNPAID' })
+            }, { transaction });
+        }
+
+        const transferIds = [...new Set(items.map(item => item.balanceDetail.balance_transfer_id))];
+        if (transferIds.length) {
+            await FeeBalanceTransfer.update({ status: 'TRANSFERRED' }, {
+                where: { id: transferIds },
+                transaction
             });
+        }
+    }
 
-        } catch (error) {
-            await transaction.rollback();
-            throw error;
+    /**
+     * Generate a new invoice for a student
+     */
+    async generateInvoice(req, res) {
+        const {
+            student_id,
+            fee_structure_id,
+            academic_year,
+            term,
+            due_date,
+            remarks
+        } = req.body;
+
+        // Validate student
+        const student = await Student.findByPk(student_id);
+        if (!student) {
+            throw new NotFoundError('Student not found');
+        }
+
+        if (student.exit_type) {
+            throw new BusinessError('Cannot invoice a student who has left the school');
+        }
+
+        // Validate fee structure
+        const feeStructure = await FeeStructure.findByPk(fee_structure_id, {
+            include: [{
+                model: FeeStructureItem,
+                as: 'items',
+                where: { status: 'ACTIVE' }
+            }]
+        });
+
+        if (!feeStructure) {
+            throw new NotFoundError('Fee structure not found');
+        }
+
+        // Check for existing invoice
+        const existingInvoice = await this.findExistingInvoice(student_id, academic_year, term);
+        if (existingInvoice) {
+            throw new BusinessError('Invoice already exists for this term');
+        }
+
+        const invoice = await this.createInvoice({
+            student,
+            feeStructure,
+            academic_year,
+            term,
+            due_date,
+            remarks
+        }, req.user.id);
+
+        // Fetch complete invoice with items
+        const completeInvoice = await Invoice.findByPk(invoice.id, {
+            include: [{
+                model: InvoiceItem,
+                as: 'items'
+            }, {
+                model: Student,
+                as: 'student',
+                attributes: ['id', 'first_name', 'last_name', 'admission_number']
+            }]
+        });
+
+        res.status(201).json({
+            message: 'Invoice generated successfully',
+            data: completeInvoice
+        });
+    }
+
+    /**
+     * Generate term invoices for every active student in a class,
+     * a set of classes or a school level
+     */
+    async bulkGenerateInvoices(req, res) {
+        const {
+            class: className,
+            classes,
+            school_level,
+            academic_year,
+            term,
+            due_date,
+            remarks
+        } = req.body;
+
+        const where = { status: 'ACTIVE' };
+        if (classes && classes.length) {
+            where.current_class = classes;
+        } else if (className) {
+            where.current_class = className;
+        }
+        if (school_level) where.school_level = school_level;
+
+        const students = await Student.findAll({
+            where,
+            order: [
+                ['current_class', 'ASC'],
+                ['admission_number', 'ASC']
+            ]
+        });
+
+        // Fee structures are looked up once per class
+        const feeStructures = {};
+        const getFeeStructure = async (studentClass) => {
+            if (!(studentClass in feeStructures)) {
+                feeStructures[studentClass] = await FeeStructure.findOne({
+                    where: {
+                        class: studentClass,
+                        academic_year,
+                        term,
+                        status: 'ACTIVE'
+                    },
+                    include: [{
+                        model: FeeStructureItem,
+                        as: 'items',
+                        where: { status: 'ACTIVE' }
+                    }]
+                });
+            }
+            return feeStructures[studentClass];
+        };
+
+        const results = [];
+
+        // Students are processed one at a time so each gets its own transaction
+        for (const student of students) {
+            const result = {
+                student_id: student.id,
+                admission_number: student.admission_number,
+                student_name: `${student.first_name} ${student.last_name}`,
+                class: student.current_class
+            };
+
+            try {
+                const existingInvoice = await this.findExistingInvoice(student.id, academic_year, term);
+                if (existingInvoice) {
+                    results.push({
+                        ...result,
+                        status: 'SKIPPED',
+                        invoice_id: existingInvoice.id,
+                        invoice_number: existingInvoice.invoice_number,
+                        reason: 'Invoice already exists for this term'
+                    });
+                    continue;
+                }
+
+                const feeStructure = await getFeeStructure(student.current_class);
+                if (!feeStructure) {
+                    throw new NotFoundError(`Fee structure not found for class ${student.current_class}`);
+                }
+
+                const invoice = await this.createInvoice({
+                    student,
+                    feeStructure,
+                    academic_year,
+                    term,
+                    due_date,
+                    remarks
+                }, req.user.id);
+
+                results.push({
+                    ...result,
+                    status: 'CREATED',
+                    invoice_id: invoice.id,
+                    invoice_number: invoice.invoice_number,
+                    amount: invoice.total_amount
+                });
+            } catch (error) {
+                logger.error('Bulk invoice generation failed for student', {
+                    studentId: student.id,
+                    error: error.message
+                });
+
+                results.push({
+                    ...result,
+                    status: 'FAILED',
+                    reason: error.message
+                });
+            }
         }
+
+        const summary = {
+            total: results.length,
+            created: results.filter(r => r.status === 'CREATED').length,
+            skipped: results.filter(r => r.status === 'SKIPPED').length,
+            failed: results.filter(r => r.status === 'FAILED').length
+        };
+
+        logger.info('Bulk invoice generation completed', {
+            academicYear: academic_year,
+            term,
+            generatedBy: req.user.id,
+            ...summary
+        });
+
+        res.json({
+            message: 'Bulk invoice generation completed',
+            data: {
+                summary,
+                results
+            }
+        });
     }
 
     /**
@@ -212,10 +750,38 @@ class InvoiceController {
                 throw new BusinessError('Invoice is already cancelled');
             }
 
-            if (invoice.paid_amount > 0) {
+            if (invoice.status === 'TRANSFERRED') {
+                throw new BusinessError('Cannot cancel an invoice whose balance has been carried forward');
+            }
+
+            // Credit applied at invoicing goes back to the student; real payments block cancellation
+            const creditApplied = parseFloat(invoice.credit_applied);
+            if (parseFloat(invoice.paid_amount) - creditApplied > 0) {
                 throw new BusinessError('Cannot cancel invoice with payments');
             }
 
+            await this.reverseCarriedForwardBalances(invoice, transaction);
+
+            const plan = await PaymentPlan.findOne({
+                where: { invoice_id: invoice.id, status: 'ACTIVE' },
+                transaction
+            });
+
+            if (plan) {
+                await plan.cancel(req.user.id, 'Invoice cancelled', { transaction });
+            }
+
+            if (creditApplied > 0) {
+                await StudentCreditTransaction.post({
+                    student_id: invoice.student_id,
+                    transaction_type: 'INVOICE_CANCELLATION',
+                    amount: creditApplied,
+                    invoice_id: invoice.id,
+                    description: `Returned from cancelled invoice ${invoice.invoice_number}`,
+                    created_by: req.user.id
+                }, { transaction });
+            }
+
             await invoice.update({
                 status: 'CANCELLED',
                 cancelled_by: req.user.id,
@@ -275,26 +841,732 @@ class InvoiceController {
     }
 
     /**
-     * Update invoice due date
+     * Get outstanding balances grouped by class, split into overdue and current
      */
-    async updateDueDate(req, res) {
-        const { id } = req.params;
-        const { due_date } = req.body;
+    async getOutstandingReport(req, res) {
+        const { class: className, term, academic_year } = req.query;
 
-        const invoice = await Invoice.findByPk(id);
-        if (!invoice) {
-            throw new NotFoundError('Invoice not found');
-        }
+        const where = {
+            status: {
+                [Op.in]: ['UNPAID', 'PARTIALLY_PAID', 'OVERDUE']
+            }
+        };
+        if (className) where.class = className;
+        if (term) where.term = term;
+        if (academic_year) where.academic_year = academic_year;
 
-        await invoice.update({
-            due_date
+        const invoices = await Invoice.findAll({
+            where,
+            attributes: ['id', 'class', 'status', 'balance_amount']
         });
 
-        // Update due date for all unpaid items
-        await InvoiceItem.update({
-            due_date
-        }, {
-            where: {
+        const byClass = {};
+        for (const invoice of invoices) {
+            const row = byClass[invoice.class] || {
+                class: invoice.class,
+                invoice_count: 0,
+                total_balance: 0,
+                overdue_count: 0,
+                overdue_balance: 0
+            };
+
+            const balance = parseFloat(invoice.balance_amount);
+            row.invoice_count += 1;
+            row.total_balance += balance;
+            if (invoice.status === 'OVERDUE') {
+                row.overdue_count += 1;
+                row.overdue_balance += balance;
+            }
+
+            byClass[invoice.class] = row;
+        }
+
+        const classes = Object.values(byClass).sort((a, b) => a.class.localeCompare(b.class));
+
+        res.json({
+            data: {
+                classes,
+                totals: {
+                    invoice_count: invoices.length,
+                    total_balance: classes.reduce((sum, row) => sum + row.total_balance, 0),
+                    overdue_count: classes.reduce((sum, row) => sum + row.overdue_count, 0),
+                    overdue_balance: classes.reduce((sum, row) => sum + row.overdue_balance, 0)
+                }
+            }
+        });
+    }
+
+    /**
+     * Manually trigger the overdue sweep
+     */
+    async markOverdue(req, res) {
+        const summary = await runOverdueSweep({ userId: req.user.id });
+
+        res.json({
+            message: 'Overdue sweep completed',
+            data: summary
+        });
+    }
+
+    /**
+     * Manually apply late payment penalties to overdue invoices
+     */
+    async applyPenalties(req, res) {
+        const summary = await applyLatePenalties({ userId: req.user.id });
+
+        res.json({
+            message: 'Late payment penalties applied',
+            data: summary
+        });
+    }
+
+    /**
+     * Reverse a late payment penalty by waiving its outstanding balance
+     */
+    async reversePenalty(req, res) {
+        const transaction = await sequelize.transaction();
+
+        try {
+            const { id, itemId } = req.params;
+            const { reason } = req.body;
+
+            if (!reason) {
+                throw new ValidationError('A reason is required to reverse a penalty');
+            }
+
+            const invoice = await Invoice.findByPk(id);
+            if (!invoice) {
+                throw new NotFoundError('Invoice not found');
+            }
+
+            const penalty = await InvoiceItem.findOne({
+                where: {
+                    id: itemId,
+                    invoice_id: id,
+                    category: PENALTY_CATEGORY
+                }
+            });
+
+            if (!penalty) {
+                throw new NotFoundError('Penalty not found on this invoice');
+            }
+
+            const amount = parseFloat(penalty.balance_amount);
+            if (amount <= 0) {
+                throw new BusinessError('Penalty has no outstanding balance to reverse');
+            }
+
+            await penalty.applyWaiver(amount, reason, req.user.id, { transaction });
+
+            await invoice.update({
+                balance_amount: parseFloat(invoice.balance_amount) - amount
+            }, { transaction });
+
+            await transaction.commit();
+
+            await UserActivity.logEntityChange(
+                req.user.id,
+                'Invoice',
+                invoice.id,
+                'REVERSE_PENALTY',
+                { penalty_balance: amount },
+                { penalty_balance: 0, reason },
+                req.ip
+            );
+
+            logger.info('Penalty reversed', {
+                invoiceId: id,
+                invoiceItemId: itemId,
+                amount,
+                reversedBy: req.user.id
+            });
+
+            res.json({
+                message: 'Penalty reversed successfully'
+            });
+
+        } catch (error) {
+            await transaction.rollback();
+            throw error;
+        }
+    }
+
+    /**
+     * Apply an approved waiver request to its invoice item and take it off
+     * the invoice balance
+     */
+    async applyWaiverRequest(waiver, approverId, transaction) {
+        const invoice = await Invoice.findByPk(waiver.invoice_id, { transaction });
+        if (CLOSED_INVOICE_STATUSES.includes(invoice.status)) {
+            throw new BusinessError(`Cannot waive fees on a ${invoice.status.toLowerCase()} invoice`);
+        }
+
+        const item = await InvoiceItem.findByPk(waiver.invoice_item_id, { transaction, lock: transaction.LOCK.UPDATE });
+        const amount = parseFloat(waiver.amount);
+        if (amount > parseFloat(item.balance_amount)) {
+            throw new BusinessError(`Waiver of ${amount} exceeds the outstanding balance of ${item.item_name}`);
+        }
+
+        await item.applyWaiver(amount, waiver.reason, approverId, { transaction });
+
+        await invoice.update({
+            balance_amount: parseFloat(invoice.balance_amount) - amount
+        }, { transaction });
+
+        return invoice;
+    }
+
+    /**
+     * Request a waiver on an invoice item. Amounts within the approval
+     * threshold are applied at once; larger ones wait for approval.
+     */
+    async requestWaiver(req, res) {
+        const transaction = await sequelize.transaction();
+
+        try {
+            const { id, itemId } = req.params;
+            const { amount, reason } = req.body;
+
+            const invoice = await Invoice.findByPk(id, { transaction });
+            if (!invoice) {
+                throw new NotFoundError('Invoice not found');
+            }
+
+            if (CLOSED_INVOICE_STATUSES.includes(invoice.status)) {
+                throw new BusinessError(`Cannot waive fees on a ${invoice.status.toLowerCase()} invoice`);
+            }
+
+            // Locking the item makes concurrent requests on it wait for this one's pending amount
+            const item = await InvoiceItem.findOne({
+                where: { id: itemId, invoice_id: id },
+                transaction,
+                lock: transaction.LOCK.UPDATE
+            });
+            if (!item) {
+                throw new NotFoundError('Invoice item not found on this invoice');
+            }
+
+            // Pending requests already spoken for count against the balance
+            const pending = parseFloat(await WaiverRequest.sum('amount', {
+                where: { invoice_item_id: item.id, status: 'PENDING' },
+                transaction
+            })) || 0;
+
+            const available = Math.round((parseFloat(item.balance_amount) - pending) * 100) / 100;
+            if (amount > available) {
+                throw new BusinessError(
+                    `Waiver exceeds the ${available} available on ${item.item_name}` +
+                    (pending > 0 ? ` after ${pending} in pending waiver requests` : '')
+                );
+            }
+
+            const requiresApproval = amount > WAIVER_APPROVAL_THRESHOLD;
+
+            const waiver = await WaiverRequest.create({
+                invoice_id: invoice.id,
+                invoice_item_id: item.id,
+                student_id: invoice.student_id,
+                amount,
+                reason,
+                requires_approval: requiresApproval,
+                requested_by: req.user.id
+            }, { transaction });
+
+            if (!requiresApproval) {
+                await this.applyWaiverRequest(waiver, req.user.id, transaction);
+                await waiver.update({
+                    status: 'APPROVED',
+                    reviewed_by: req.user.id,
+                    reviewed_at: new Date()
+                }, { transaction });
+            }
+
+            await transaction.commit();
+
+            await UserActivity.logActivity({
+                user_id: req.user.id,
+                activity_type: requiresApproval ? 'WAIVER_REQUEST' : 'WAIVER_APPLY',
+                module: 'FEES',
+                description: `Waiver of ${amount} on ${item.item_name} for invoice ${invoice.invoice_number}` +
+                    (requiresApproval ? ' requested for approval' : ' applied'),
+                entity_type: 'WaiverRequest',
+                entity_id: waiver.id,
+                ip_address: req.ip,
+                new_values: { amount, reason, status: waiver.status },
+                additional_info: {
+                    invoice_id: invoice.id,
+                    invoice_item_id: item.id,
+                    threshold: WAIVER_APPROVAL_THRESHOLD
+                }
+            });
+
+            logger.info('Waiver requested', {
+                waiverId: waiver.id,
+                invoiceId: invoice.id,
+                invoiceItemId: item.id,
+                amount,
+                requiresApproval,
+                requestedBy: req.user.id
+            });
+
+            res.status(201).json({
+                message: requiresApproval
+                    ? `Waiver exceeds ${WAIVER_APPROVAL_THRESHOLD} and has been sent for approval`
+                    : 'Waiver applied successfully',
+                data: waiver
+            });
+
+        } catch (error) {
+            await transaction.rollback();
+            throw error;
+        }
+    }
+
+    /**
+     * List waiver requests, pending ones by default
+     */
+    async getWaiverRequests(req, res) {
+        const { status = 'PENDING', student_id, page = 1, limit = 20 } = req.query;
+
+        const where = {};
+        if (status !== 'ALL') where.status = status;
+        if (student_id) where.student_id = student_id;
+
+        const waivers = await WaiverRequest.findAndCountAll({
+            where,
+            include: [{
+                model: Invoice,
+                as: 'invoice',
+                attributes: ['id', 'invoice_number', 'academic_year', 'term', 'balance_amount', 'status']
+            }, {
+                model: InvoiceItem,
+                as: 'invoiceItem',
+                attributes: ['id', 'item_name', 'category', 'amount', 'balance_amount']
+            }, {
+                model: Student,
+                as: 'student',
+                attributes: ['id', 'first_name', 'last_name', 'admission_number']
+            }],
+            order: [['createdAt', status === 'PENDING' ? 'ASC' : 'DESC']],
+            limit: parseInt(limit),
+            offset: (page - 1) * limit
+        });
+
+        res.json({
+            data: waivers.rows,
+            threshold: WAIVER_APPROVAL_THRESHOLD,
+            pagination: {
+                total: waivers.count,
+                page: parseInt(page),
+                limit: parseInt(limit),
+                totalPages: Math.ceil(waivers.count / parseInt(limit))
+            }
+        });
+    }
+
+    /**
+     * Approve a pending waiver request
+     */
+    async approveWaiver(req, res) {
+        const transaction = await sequelize.transaction();
+
+        try {
+            const waiver = await WaiverRequest.findByPk(req.params.waiverId, {
+                transaction,
+                lock: transaction.LOCK.UPDATE
+            });
+            if (!waiver) {
+                throw new NotFoundError('Waiver request not found');
+            }
+
+            if (waiver.status !== 'PENDING') {
+                throw new BusinessError(`Waiver request is already ${waiver.status.toLowerCase()}`);
+            }
+
+            if (waiver.requested_by === req.user.id) {
+                throw new BusinessError('You cannot approve your own waiver request');
+            }
+
+            const invoice = await this.applyWaiverRequest(waiver, req.user.id, transaction);
+            const balanceBefore = Math.round((parseFloat(invoice.balance_amount) + parseFloat(waiver.amount)) * 100) / 100;
+
+            await waiver.update({
+                status: 'APPROVED',
+                reviewed_by: req.user.id,
+                reviewed_at: new Date(),
+                review_remarks: req.body.remarks || null
+            }, { transaction });
+
+            await transaction.commit();
+
+            await UserActivity.logActivity({
+                user_id: req.user.id,
+                activity_type: 'WAIVER_APPROVE',
+                module: 'FEES',
+                description: `Approved waiver of ${waiver.amount} on invoice ${invoice.invoice_number}`,
+                entity_type: 'WaiverRequest',
+                entity_id: waiver.id,
+                ip_address: req.ip,
+                old_values: { status: 'PENDING', invoice_balance: balanceBefore },
+                new_values: { status: 'APPROVED', invoice_balance: parseFloat(invoice.balance_amount) },
+                additional_info: { remarks: req.body.remarks, requested_by: waiver.requested_by }
+            });
+
+            logger.info('Waiver approved', {
+                waiverId: waiver.id,
+                invoiceId: invoice.id,
+                amount: waiver.amount,
+                approvedBy: req.user.id
+            });
+
+            res.json({
+                message: 'Waiver approved and applied',
+                data: waiver
+            });
+
+        } catch (error) {
+            await transaction.rollback();
+            throw error;
+        }
+    }
+
+    /**
+     * Reject a pending waiver request
+     */
+    async rejectWaiver(req, res) {
+        const transaction = await sequelize.transaction();
+        let waiver;
+
+        try {
+            waiver = await WaiverRequest.findByPk(req.params.waiverId, {
+                include: [{
+                    model: Invoice,
+                    as: 'invoice',
+                    attributes: ['id', 'invoice_number']
+                }],
+                transaction,
+                lock: transaction.LOCK.UPDATE
+            });
+
+            if (!waiver) {
+                throw new NotFoundError('Waiver request not found');
+            }
+
+            if (waiver.status !== 'PENDING') {
+                throw new BusinessError(`Waiver request is already ${waiver.status.toLowerCase()}`);
+            }
+
+            await waiver.update({
+                status: 'REJECTED',
+                reviewed_by: req.user.id,
+                reviewed_at: new Date(),
+                review_remarks: req.body.remarks
+            }, { transaction });
+
+            await transaction.commit();
+        } catch (error) {
+            await transaction.rollback();
+            throw error;
+        }
+
+        await UserActivity.logActivity({
+            user_id: req.user.id,
+            activity_type: 'WAIVER_REJECT',
+            module: 'FEES',
+            description: `Rejected waiver of ${waiver.amount} on invoice ${waiver.invoice.invoice_number}`,
+            entity_type: 'WaiverRequest',
+            entity_id: waiver.id,
+            ip_address: req.ip,
+            old_values: { status: 'PENDING' },
+            new_values: { status: 'REJECTED' },
+            additional_info: { remarks: req.body.remarks, requested_by: waiver.requested_by }
+        });
+
+        logger.info('Waiver rejected', {
+            waiverId: waiver.id,
+            rejectedBy: req.user.id
+        });
+
+        res.json({
+            message: 'Waiver request rejected',
+            data: waiver
+        });
+    }
+
+    /**
+     * Split a balance into equal installments from a first due date.
+     * Leftover cents go on the last installment.
+     * @returns {Array<Object>} Schedule ({ due_date, amount })
+     */
+    buildInstallmentSchedule(balance, { installment_count: count, first_due_date, frequency }) {
+        const cents = Math.round(balance * 100);
+        const base = Math.floor(cents / count);
+        const first = new Date(first_due_date);
+
+        return Array.from({ length: count }, (_, index) => {
+            const dueDate = new Date(first);
+
+            if (frequency === 'MONTHLY') {
+                // Clamp to month end so a 31st start does not spill into the next month
+                dueDate.setUTCDate(1);
+                dueDate.setUTCMonth(first.getUTCMonth() + index);
+                const lastDay = new Date(Date.UTC(dueDate.getUTCFullYear(), dueDate.getUTCMonth() + 1, 0)).getUTCDate();
+                dueDate.setUTCDate(Math.min(first.getUTCDate(), lastDay));
+            } else {
+                dueDate.setUTCDate(first.getUTCDate() + index * INSTALLMENT_INTERVAL_DAYS[frequency]);
+            }
+
+            const amount = index === count - 1 ? cents - base * (count - 1) : base;
+            return { due_date: dueDate, amount: amount / 100 };
+        });
+    }
+
+    /**
+     * Move an invoice's due date, lifting OVERDUE when the new date is still
+     * ahead. The status hook marks it overdue again otherwise.
+     */
+    async moveInvoiceDueDate(invoice, dueDate, transaction) {
+        await invoice.update({
+            due_date: dueDate,
+            ...(invoice.status === 'OVERDUE' && new Date(dueDate) >= new Date() && { status: 'UNPAID' })
+        }, { transaction });
+    }
+
+    /**
+     * Put an invoice's outstanding balance on an installment plan. The
+     * invoice due date follows the earliest unpaid installment from here on.
+     */
+    async createPaymentPlan(req, res) {
+        const transaction = await sequelize.transaction();
+
+        try {
+            const { installments, remarks } = req.body;
+
+            const invoice = await Invoice.findByPk(req.params.id, { transaction });
+            if (!invoice) {
+                throw new NotFoundError('Invoice not found');
+            }
+
+            if (CLOSED_INVOICE_STATUSES.includes(invoice.status)) {
+                throw new BusinessError(`Cannot put a ${invoice.status.toLowerCase()} invoice on a payment plan`);
+            }
+
+            const balance = Math.round(parseFloat(invoice.balance_amount) * 100) / 100;
+            if (balance <= 0) {
+                throw new BusinessError('Invoice has no outstanding balance');
+            }
+
+            const existing = await PaymentPlan.findOne({
+                where: { invoice_id: invoice.id, status: 'ACTIVE' },
+                transaction
+            });
+
+            if (existing) {
+                throw new BusinessError('Invoice already has an active payment plan');
+            }
+
+            const schedule = installments
+                ? installments.map(({ due_date, amount }) => ({ due_date: new Date(due_date), amount: parseFloat(amount) }))
+                : this.buildInstallmentSchedule(balance, req.body);
+
+            const today = new Date().toISOString().slice(0, 10);
+            if (schedule[0].due_date.toISOString().slice(0, 10) < today) {
+                throw new ValidationError('The first installment cannot be due in the past');
+            }
+
+            if (schedule.some((installment, index) => index > 0 && installment.due_date <= schedule[index - 1].due_date)) {
+                throw new ValidationError('Installment due dates must be in ascending order');
+            }
+
+            const scheduled = schedule.reduce((sum, installment) => sum + installment.amount, 0);
+            if (Math.round(scheduled * 100) !== Math.round(balance * 100)) {
+                throw new ValidationError(
+                    `Installments total ${scheduled.toFixed(2)} but the invoice balance is ${balance.toFixed(2)}`
+                );
+            }
+
+            const plan = await PaymentPlan.create({
+                invoice_id: invoice.id,
+                student_id: invoice.student_id,
+                total_amount: balance,
+                installment_count: schedule.length,
+                original_due_date: invoice.due_date,
+                remarks,
+                created_by: req.user.id
+            }, { transaction });
+
+            await PaymentPlanInstallment.bulkCreate(schedule.map((installment, index) => ({
+                payment_plan_id: plan.id,
+                installment_number: index + 1,
+                due_date: installment.due_date,
+                amount: installment.amount
+            })), { transaction });
+
+            const originalDueDate = invoice.due_date;
+            await this.moveInvoiceDueDate(invoice, schedule[0].due_date, transaction);
+
+            await transaction.commit();
+
+            await UserActivity.logActivity({
+                user_id: req.user.id,
+                activity_type: 'PAYMENT_PLAN_CREATE',
+                module: 'FEES',
+                description: `Put invoice ${invoice.invoice_number} on a ${schedule.length}-installment payment plan`,
+                entity_type: 'PaymentPlan',
+                entity_id: plan.id,
+                ip_address: req.ip,
+                old_values: { due_date: originalDueDate },
+                new_values: { due_date: schedule[0].due_date, installment_count: schedule.length },
+                additional_info: { invoice_id: invoice.id, total_amount: balance }
+            });
+
+            logger.info('Payment plan created', {
+                planId: plan.id,
+                invoiceId: invoice.id,
+                installments: schedule.length,
+                createdBy: req.user.id
+            });
+
+            const completePlan = await PaymentPlan.findByPk(plan.id, {
+                include: [{
+                    model: PaymentPlanInstallment,
+                    as: 'installments'
+                }],
+                order: [[{ model: PaymentPlanInstallment, as: 'installments' }, 'installment_number', 'ASC']]
+            });
+
+            res.status(201).json({
+                message: 'Payment plan created successfully',
+                data: completePlan
+            });
+
+        } catch (error) {
+            await transaction.rollback();
+            throw error;
+        }
+    }
+
+    /**
+     * Get an invoice's payment plans, newest first
+     */
+    async getPaymentPlans(req, res) {
+        const invoice = await Invoice.findByPk(req.params.id, {
+            attributes: ['id', 'invoice_number', 'due_date', 'balance_amount', 'status']
+        });
+
+        if (!invoice) {
+            throw new NotFoundError('Invoice not found');
+        }
+
+        const plans = await PaymentPlan.findAll({
+            where: { invoice_id: invoice.id },
+            include: [{
+                model: PaymentPlanInstallment,
+                as: 'installments'
+            }],
+            order: [
+                ['createdAt', 'DESC'],
+                [{ model: PaymentPlanInstallment, as: 'installments' }, 'installment_number', 'ASC']
+            ]
+        });
+
+        res.json({
+            data: {
+                invoice,
+                plans
+            }
+        });
+    }
+
+    /**
+     * Cancel an invoice's active payment plan. Payments already made stay on
+     * the invoice; the original due date applies again.
+     */
+    async cancelPaymentPlan(req, res) {
+        const transaction = await sequelize.transaction();
+
+        try {
+            const { reason } = req.body;
+
+            const invoice = await Invoice.findByPk(req.params.id, { transaction });
+            if (!invoice) {
+                throw new NotFoundError('Invoice not found');
+            }
+
+            const plan = await PaymentPlan.findOne({
+                where: { invoice_id: invoice.id, status: 'ACTIVE' },
+                transaction
+            });
+
+            if (!plan) {
+                throw new NotFoundError('Invoice has no active payment plan');
+            }
+
+            await plan.cancel(req.user.id, reason, { transaction });
+            await this.moveInvoiceDueDate(invoice, plan.original_due_date, transaction);
+
+            await transaction.commit();
+
+            await UserActivity.logActivity({
+                user_id: req.user.id,
+                activity_type: 'PAYMENT_PLAN_CANCEL',
+                module: 'FEES',
+                description: `Cancelled the payment plan on invoice ${invoice.invoice_number}`,
+                entity_type: 'PaymentPlan',
+                entity_id: plan.id,
+                ip_address: req.ip,
+                old_values: { status: 'ACTIVE' },
+                new_values: { status: 'CANCELLED', due_date: plan.original_due_date },
+                additional_info: { invoice_id: invoice.id, reason }
+            });
+
+            logger.info('Payment plan cancelled', {
+                planId: plan.id,
+                invoiceId: invoice.id,
+                cancelledBy: req.user.id,
+                reason
+            });
+
+            res.json({
+                message: 'Payment plan cancelled successfully',
+                data: plan
+            });
+
+        } catch (error) {
+            await transaction.rollback();
+            throw error;
+        }
+    }
+
+    /**
+     * Update invoice due date
+     */
+    async updateDueDate(req, res) {
+        const { id } = req.params;
+        const { due_date } = req.body;
+
+        const invoice = await Invoice.findByPk(id);
+        if (!invoice) {
+            throw new NotFoundError('Invoice not found');
+        }
+
+        const plan = await PaymentPlan.findOne({
+            where: { invoice_id: invoice.id, status: 'ACTIVE' }
+        });
+
+        if (plan) {
+            throw new BusinessError('Invoice is on a payment plan; its due date follows the installment schedule');
+        }
+
+        await invoice.update({
+            due_date
+        });
+
+        // Update due date for all unpaid items
+        await InvoiceItem.update({
+            due_date
+        }, {
+            where: {
                 invoice_id: id,
                 payment_status: 'UNPAID'
             }
@@ -305,6 +1577,136 @@ class InvoiceController {
         });
     }
 
+    /**
+     * Send payment reminders for a set of invoices
+     */
+    async sendReminders(req, res) {
+        const { invoice_ids, channel = 'SMS', template, subject } = req.body;
+
+        const invoices = await Invoice.findAll({
+            where: {
+                id: invoice_ids
+            },
+            include: [{
+                model: Student,
+                as: 'student'
+            }]
+        });
+
+        const results = [];
+
+        for (const invoice of invoices) {
+            if (['PAID', 'CANCELLED', 'TRANSFERRED'].includes(invoice.status) || parseFloat(invoice.balance_amount) <= 0) {
+                results.push({
+                    invoice_id: invoice.id,
+                    invoice_number: invoice.invoice_number,
+                    status: 'SKIPPED',
+                    reason: 'Invoice has no outstanding balance'
+                });
+                continue;
+            }
+
+            const log = await sendInvoiceReminder(invoice, {
+                channel,
+                template,
+                subject,
+                userId: req.user.id
+            });
+
+            results.push({
+                invoice_id: invoice.id,
+                invoice_number: invoice.invoice_number,
+                status: log.status,
+                recipient: log.recipient,
+                reason: log.error_message,
+                reminder_log_id: log.id
+            });
+        }
+
+        const foundIds = invoices.map(invoice => invoice.id);
+        invoice_ids
+            .filter(id => !foundIds.includes(parseInt(id)))
+            .forEach(id => results.push({
+                invoice_id: id,
+                status: 'FAILED',
+                reason: 'Invoice not found'
+            }));
+
+        const summary = {
+            total: results.length,
+            sent: results.filter(r => r.status === 'SENT').length,
+            skipped: results.filter(r => r.status === 'SKIPPED').length,
+            failed: results.filter(r => r.status === 'FAILED').length
+        };
+
+        logger.info('Payment reminders processed', {
+            channel,
+            sentBy: req.user.id,
+            ...summary
+        });
+
+        res.json({
+            message: 'Payment reminders processed',
+            data: {
+                summary,
+                results
+            }
+        });
+    }
+
+    /**
+     * Get the reminder log
+     */
+    async getReminderLogs(req, res) {
+        const {
+            invoice_id,
+            student_id,
+            channel,
+            status,
+            start_date,
+            end_date,
+            page = 1,
+            limit = 20
+        } = req.query;
+
+        const where = {};
+        if (invoice_id) where.invoice_id = invoice_id;
+        if (student_id) where.student_id = student_id;
+        if (channel) where.channel = channel;
+        if (status) where.status = status;
+        if (start_date && end_date) {
+            where.sent_at = {
+                [Op.between]: [new Date(start_date), new Date(end_date)]
+            };
+        }
+
+        const logs = await ReminderLog.findAndCountAll({
+            where,
+            include: [{
+                model: Student,
+                as: 'student',
+                attributes: ['id', 'first_name', 'last_name', 'admission_number']
+            }, {
+                model: Invoice,
+                as: 'invoice',
+                attributes: ['id', 'invoice_number', 'term', 'academic_year']
+            }],
+            order: [['sent_at', 'DESC']],
+            limit: parseInt(limit),
+            offset: (parseInt(page) - 1) * parseInt(limit)
+        });
+
+        res.json({
+            data: logs.rows,
+            pagination: {
+                total: logs.count,
+                page: parseInt(page),
+                limit: parseInt(limit),
+                totalPages: Math.ceil(logs.count / parseInt(limit))
+            }
+        });
+    }
+
     /**
      * Get invoice statistics
      */
@@ -0,0 +1,316 @@
+const {
+    MobileMoneyCallback,
+    Invoice,
+    InvoiceItem,
+    Student,
+    Payment,
+    sequelize
+} = require('../models');
+const { BusinessError, NotFoundError } = require('../utils/errors');
+const { UniqueConstraintError } = require('sequelize');
+const logger = require('../utils/logger');
+const paymentController = require('./paymentController');
+
+const OPEN_INVOICE_STATUSES = ['UNPAID', 'PARTIALLY_PAID', 'OVERDUE'];
+
+// Acknowledgement the provider expects; anything else makes it retry the callback
+const ACCEPTED = { ResultCode: 0, ResultDesc: 'Accepted' };
+const REJECTED_ACCOUNT = { ResultCode: 'C2B00012', ResultDesc: 'Rejected: invalid account number' };
+
+/**
+ * Parse a provider timestamp in YYYYMMDDHHmmss form
+ * @param {string} value - Timestamp
+ * @returns {Date} Parsed date, or now when the value is missing or malformed
+ */
+const parseTransactionTime = (value) => {
+    const match = /^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})$/.exec(value || '');
+    if (!match) {
+        return new Date();
+    }
+
+    const [, year, month, day, hour, minute, second] = match.map(Number);
+    return new Date(year, month - 1, day, hour, minute, second);
+};
+
+/**
+ * User that provider payments are recorded by
+ * @returns {number} SYSTEM_USER_ID
+ * @throws {Error} If SYSTEM_USER_ID is not set
+ */
+const getSystemUserId = () => {
+    const userId = parseInt(process.env.SYSTEM_USER_ID);
+    if (!userId) {
+        throw new Error('SYSTEM_USER_ID is not set; mobile money payments cannot be recorded');
+    }
+
+    return userId;
+};
+
+/**
+ * Find the student a paybill account number refers to
+ */
+const findStudentByAccount = (accountNumber, transaction) => Student.findOne({
+    where: { admission_number: accountNumber.trim() },
+    transaction
+});
+
+/**
+ * Record a stored callback as a verified payment on the student's oldest
+ * open invoice. Anything beyond that invoice's balance is held as student
+ * credit. Callbacks that cannot be placed are left UNMATCHED for a clerk.
+ * @param {MobileMoneyCallback} callback - Stored callback
+ * @param {number} userId - User the payment is recorded by
+ * @param {Student} student - Student to credit; looked up from the account number when omitted
+ * @returns {Promise<MobileMoneyCallback>} Updated callback
+ */
+const applyCallback = async (callback, userId, student = null) => {
+    const transaction = await sequelize.transaction();
+
+    try {
+        student = student || await findStudentByAccount(callback.account_number, transaction);
+        if (!student) {
+            await callback.update({
+                status: 'UNMATCHED',
+                status_reason: 'No student with this admission number'
+            }, { transaction });
+            await transaction.commit();
+            return callback;
+        }
+
+        // A payment already carrying this provider reference must not be recorded twice
+        const existing = await Payment.findOne({
+            where: { transaction_id: callback.transaction_id, payment_mode: 'MOBILE_WALLET' },
+            transaction
+        });
+        if (existing) {
+            await callback.update({
+                status: 'PROCESSED',
+                status_reason: null,
+                student_id: existing.student_id,
+                payment_id: existing.id
+            }, { transaction });
+            await transaction.commit();
+            return callback;
+        }
+
+        const invoice = await Invoice.findOne({
+            where: {
+                student_id: student.id,
+                status: OPEN_INVOICE_STATUSES
+            },
+            include: [{
+                model: InvoiceItem,
+                as: 'items'
+            }],
+            order: [['due_date', 'ASC'], ['id', 'ASC']],
+            transaction
+        });
+
+        if (!invoice) {
+            await callback.update({
+                status: 'UNMATCHED',
+                status_reason: 'Student has no open invoice',
+                student_id: student.id
+            }, { transaction });
+            await transaction.commit();
+            return callback;
+        }
+
+        const payer = [callback.payer_name, callback.phone_number].filter(Boolean).join(', ');
+        const payment = await paymentController.recordInvoicePayment(invoice, {
+            amount: callback.amount,
+            payment_mode: 'MOBILE_WALLET',
+            payment_details: {
+                transaction_id: callback.transaction_id,
+                payment_date: callback.transaction_time,
+                remarks: `${callback.provider} paybill payment${payer ? ` from ${payer}` : ''}`
+            },
+            items: paymentController.allocateInvoicePortion(invoice, callback.amount)
+        }, userId, transaction);
+
+        // The provider has already confirmed the money, so there is nothing left to verify
+        await payment.verify(userId, { transaction });
+
+        await callback.update({
+            status: 'PROCESSED',
+            status_reason: null,
+            student_id: student.id,
+            payment_id: payment.id
+        }, { transaction });
+
+        await transaction.commit();
+
+        logger.info('Mobile money payment recorded', {
+            transactionId: callback.transaction_id,
+            paymentId: payment.id,
+            invoiceId: invoice.id,
+            amount: payment.amount
+        });
+
+        return callback;
+    } catch (error) {
+        await transaction.rollback();
+        throw error;
+    }
+};
+
+class MobileMoneyController {
+    /**
+     * Answer the provider's validation request before it takes the payer's
+     * money, refusing account numbers that match no student
+     */
+    async validatePayment(req, res) {
+        const student = await findStudentByAccount(req.body.BillRefNumber);
+
+        res.json(student ? ACCEPTED : REJECTED_ACCOUNT);
+    }
+
+    /**
+     * Receive a payment confirmation. The callback is stored before it is
+     * applied, so a repeated callback for the same transaction is only
+     * acknowledged, and one that cannot be applied is kept for follow-up.
+     * Without SYSTEM_USER_ID the callback is refused, so the provider retries
+     * it once the server is configured.
+     */
+    async handleConfirmation(req, res) {
+        let systemUserId;
+        try {
+            systemUserId = getSystemUserId();
+        } catch (error) {
+            logger.error('Mobile money callback refused', {
+                transactionId: req.body.TransID,
+                error: error.message
+            });
+            throw error;
+        }
+
+        const {
+            TransID,
+            TransTime,
+            TransAmount,
+            BusinessShortCode,
+            BillRefNumber,
+            MSISDN,
+            FirstName,
+            MiddleName,
+            LastName
+        } = req.body;
+
+        let callback = await MobileMoneyCallback.findOne({
+            where: { transaction_id: TransID }
+        });
+
+        if (callback && callback.status !== 'FAILED') {
+            logger.info('Duplicate mobile money callback ignored', {
+                transactionId: TransID,
+                status: callback.status
+            });
+            return res.json(ACCEPTED);
+        }
+
+        if (!callback) {
+            try {
+                callback = await MobileMoneyCallback.create({
+                    transaction_id: TransID,
+                    account_number: BillRefNumber,
+                    amount: TransAmount,
+                    phone_number: MSISDN,
+                    payer_name: [FirstName, MiddleName, LastName].filter(Boolean).join(' ') || null,
+                    business_short_code: BusinessShortCode,
+                    transaction_time: parseTransactionTime(TransTime),
+                    payload: req.body
+                });
+            } catch (error) {
+                // The same callback arrived concurrently and the other request stored it
+                if (error instanceof UniqueConstraintError) {
+                    return res.json(ACCEPTED);
+                }
+                throw error;
+            }
+        }
+
+        try {
+            await applyCallback(callback, systemUserId);
+        } catch (error) {
+            logger.error('Failed to apply mobile money callback', {
+                transactionId: TransID,
+                error: error.message
+            });
+            await callback.update({ status: 'FAILED', status_reason: error.message });
+        }
+
+        // The money has been received either way; unplaced callbacks are handled by staff
+        res.json(ACCEPTED);
+    }
+
+    /**
+     * List received callbacks, unmatched and failed ones first by default
+     */
+    async getCallbacks(req, res) {
+        const { status, page = 1, limit = 20 } = req.query;
+
+        const where = {};
+        if (status !== 'ALL') where.status = status || ['UNMATCHED', 'FAILED'];
+
+        const callbacks = await MobileMoneyCallback.findAndCountAll({
+            where,
+            include: [{
+                model: Student,
+                as: 'student',
+                attributes: ['id', 'first_name', 'last_name', 'admission_number']
+            }, {
+                model: Payment,
+                as: 'payment',
+                attributes: ['id', 'receipt_number', 'invoice_id', 'amount', 'status']
+            }],
+            order: [['transaction_time', 'DESC']],
+            limit: parseInt(limit),
+            offset: (page - 1) * limit
+        });
+
+        res.json({
+            data: callbacks.rows,
+            pagination: {
+                total: callbacks.count,
+                page: parseInt(page),
+                limit: parseInt(limit),
+                totalPages: Math.ceil(callbacks.count / parseInt(limit))
+            }
+        });
+    }
+
+    /**
+     * Apply an unmatched or failed callback to the student a clerk picked,
+     * e.g. when the payer mistyped the admission number
+     */
+    async assignCallback(req, res) {
+        const callback = await MobileMoneyCallback.findByPk(req.params.id);
+        if (!callback) {
+            throw new NotFoundError('Mobile money callback not found');
+        }
+
+        if (!['UNMATCHED', 'FAILED'].includes(callback.status)) {
+            throw new BusinessError(`Callback is ${callback.status.toLowerCase()} and cannot be reassigned`);
+        }
+
+        const student = await Student.findByPk(req.body.student_id);
+        if (!student) {
+            throw new NotFoundError('Student not found');
+        }
+
+        await applyCallback(callback, req.user.id, student);
+
+        if (callback.status !== 'PROCESSED') {
+            throw new BusinessError(callback.status_reason);
+        }
+
+        await callback.update({ resolved_by: req.user.id });
+
+        res.json({
+            message: 'Mobile money payment recorded',
+            data: callback
+        });
+    }
+}
+
+module.exports = new MobileMoneyController();
@@ -4,12 +4,403 @@ const {
     Invoice, 
     InvoiceItem, 
     Student,
+    Family,
+    PaymentPlan,
+    StudentCreditTransaction,
     sequelize 
 } = require('../models');
 const { ValidationError, BusinessError, NotFoundError } = require('../utils/errors');
+const { Op } = require('sequelize');
 const logger = require('../utils/logger');
+const { PENALTY_CATEGORY } = require('../jobs/latePenaltyJob');
+const { generateReceiptPdf } = require('../utils/receiptGenerator');
+const { allocateAmount, allocateCreditRecovery, DEFAULT_ALLOCATION_POLICY } = require('../utils/paymentAllocation');
+const { sendEmail } = require('../utils/emailService');
+
+// Charge added to the invoice when a cheque bounces, unless the request says otherwise
+const CHEQUE_BOUNCE_CHARGE = parseFloat(process.env.CHEQUE_BOUNCE_CHARGE) || 0;
+
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10);
+
+// End of the given day, so a date-only value covers the whole day
+const endOfDay = (date) => {
+    const end = new Date(date);
+    end.setHours(23, 59, 59, 999);
+    return end;
+};
 
 class PaymentController {
+    constructor() {
+        // Handlers are passed to the router unbound but call helpers through `this`
+        Object.getOwnPropertyNames(PaymentController.prototype)
+            .filter(name => name !== 'constructor')
+            .forEach(name => {
+                this[name] = this[name].bind(this);
+            });
+    }
+
+    /**
+     * Split an amount over an invoice's unpaid items by an allocation policy
+     * @returns {Array<Object>} Payment items ({ invoice_item_id, amount, sequence })
+     */
+    allocateToItems(invoice, amount, policy = DEFAULT_ALLOCATION_POLICY) {
+        const { allocation, remaining } = allocateAmount(invoice.items, amount, policy);
+
+        if (remaining > 0) {
+            throw new ValidationError(`Payment amount exceeds balance of invoice ${invoice.invoice_number}`);
+        }
+
+        return allocation.map(({ item, amount: itemAmount }, sequence) => ({
+            invoice_item_id: item.id,
+            amount: itemAmount,
+            sequence
+        }));
+    }
+
+    /**
+     * Allocate the part of an amount the invoice still owes; the rest is
+     * held as credit when the payment is recorded
+     * @returns {Array<Object>} Payment items ({ invoice_item_id, amount, sequence })
+     */
+    allocateInvoicePortion(invoice, amount, policy) {
+        return this.allocateToItems(invoice, Math.min(parseFloat(amount), parseFloat(invoice.balance_amount)), policy);
+    }
+
+    /**
+     * Apply a payment to the invoice's active installment plan, earliest
+     * installment first, and move the invoice due date on to the next
+     * installment still unpaid so overdue status follows the schedule
+     */
+    async allocateToPaymentPlan(invoice, amount, transaction) {
+        const plan = await PaymentPlan.findOne({
+            where: { invoice_id: invoice.id, status: 'ACTIVE' },
+            transaction
+        });
+
+        if (!plan) return;
+
+        const { nextInstallment } = await plan.allocatePayment(amount, { transaction });
+
+        if (nextInstallment) {
+            // Reload first: paid and balance were just updated by SQL expression
+            await invoice.reload({ transaction });
+            await invoice.update({ due_date: nextInstallment.due_date }, { transaction });
+        }
+    }
+
+    /**
+     * Take part of a payment back off its invoice, latest allocated item
+     * first, for money that leaves the invoice without being paid out
+     * @returns {Promise<Invoice>} Updated invoice
+     */
+    async reversePaymentAllocation(payment, amount, transaction) {
+        const reversal = Math.round(parseFloat(amount) * 100) / 100;
+
+        const paymentItems = await PaymentItem.findAll({
+            where: { payment_id: payment.id },
+            include: [{
+                model: InvoiceItem,
+                as: 'invoiceItem'
+            }],
+            order: [['payment_sequence', 'DESC'], ['id', 'DESC']],
+            transaction
+        });
+
+        let remaining = reversal;
+        for (const paymentItem of paymentItems) {
+            if (remaining <= 0) break;
+
+            const alreadyReversed = parseFloat(paymentItem.refund_amount || 0);
+            const reversed = Math.min(remaining, parseFloat(paymentItem.amount) - alreadyReversed);
+            if (reversed <= 0) continue;
+
+            // Status is left alone: the item hook would reverse the full amount again
+            await paymentItem.update({
+                refund_amount: Math.round((alreadyReversed + reversed) * 100) / 100,
+                refund_date: new Date()
+            }, { transaction });
+
+            const { invoiceItem } = paymentItem;
+            await invoiceItem.update({
+                paid_amount: Math.round((parseFloat(invoiceItem.paid_amount) - reversed) * 100) / 100
+            }, { transaction });
+
+            remaining = Math.round((remaining - reversed) * 100) / 100;
+        }
+
+        if (remaining > 0) {
+            throw new ValidationError('Amount exceeds what this payment still has allocated to the invoice');
+        }
+
+        const invoice = await Invoice.findByPk(payment.invoice_id, { transaction });
+        await invoice.update({
+            paid_amount: Math.round((parseFloat(invoice.paid_amount) - reversal) * 100) / 100,
+            balance_amount: Math.round((parseFloat(invoice.balance_amount) + reversal) * 100) / 100,
+            // Reopen a settled invoice; the status hook works out which open status applies
+            ...(invoice.status === 'PAID' && { status: 'UNPAID', payment_status: 'IN_PROGRESS' })
+        }, { transaction });
+
+        const plan = await PaymentPlan.findOne({
+            where: { invoice_id: invoice.id, status: ['ACTIVE', 'COMPLETED'] },
+            transaction
+        });
+
+        if (plan) {
+            const { nextInstallment } = await plan.reversePayment(reversal, { transaction });
+            if (nextInstallment) {
+                await invoice.update({ due_date: nextInstallment.due_date }, { transaction });
+            }
+        }
+
+        return invoice;
+    }
+
+    /**
+     * Take back whatever a payment added to the student's credit. Credit that
+     * has already been spent is refused, unless recoverSpent is set: money that
+     * never arrived is then charged back to the invoices the credit paid.
+     * @returns {Promise<Array<InvoiceItem>>} Charges recovering spent credit
+     */
+    async reversePaymentCredit(payment, description, userId, transaction, { recoverSpent = false } = {}) {
+        const creditAmount = parseFloat(payment.credit_amount) +
+            (payment.refund_to_credit ? parseFloat(payment.refund_amount) : 0);
+
+        if (creditAmount <= 0) {
+            return [];
+        }
+
+        const student = await Student.findByPk(payment.student_id, { transaction });
+        const available = Math.min(creditAmount, parseFloat(student.credit_balance));
+        const spent = Math.round((creditAmount - available) * 100) / 100;
+
+        if (spent > 0 && !recoverSpent) {
+            throw new BusinessError('Credit from this payment has already been used on a later invoice');
+        }
+
+        if (available > 0) {
+            await StudentCreditTransaction.post({
+                student_id: payment.student_id,
+                transaction_type: 'PAYMENT_REVERSAL',
+                amount: available,
+                payment_id: payment.id,
+                invoice_id: payment.invoice_id,
+                description,
+                created_by: userId
+            }, { transaction });
+        }
+
+        return spent > 0
+            ? this.recoverSpentCredit(payment, spent, description, transaction)
+            : [];
+    }
+
+    /**
+     * Charge spent credit back to the invoices it was applied to since the
+     * payment, latest first. Anything that cannot be traced to an application
+     * is charged to the payment's own invoice as arrears.
+     * @returns {Promise<Array<InvoiceItem>>} Charge items
+     */
+    async recoverSpentCredit(payment, amount, description, transaction) {
+        const applications = await StudentCreditTransaction.findAll({
+            where: {
+                student_id: payment.student_id,
+                transaction_type: 'INVOICE_APPLICATION',
+                createdAt: { [Op.gte]: payment.createdAt }
+            },
+            include: [{
+                model: Invoice,
+                as: 'invoice'
+            }],
+            transaction
+        });
+
+        const { allocation, remaining } = allocateCreditRecovery(applications, amount);
+        if (remaining > 0) {
+            allocation.push({
+                invoice: await Invoice.findByPk(payment.invoice_id, { transaction }),
+                amount: remaining
+            });
+        }
+
+        const charges = [];
+        for (const { invoice, amount: recovered } of allocation) {
+            charges.push(await this.addInvoiceCharge(invoice, {
+                item_name: 'Credit recovered',
+                description: `${description}; credit it gave had been applied to this invoice`.slice(0, 255),
+                category: InvoiceItem.CREDIT_RECOVERY_CATEGORY,
+                amount: recovered,
+                due_date: new Date()
+            }, transaction));
+        }
+
+        return charges;
+    }
+
+    /**
+     * Record a payment against one invoice, split over the given items.
+     * Money beyond a fully settled invoice is held as student credit.
+     * @returns {Promise<Payment>} Payment record
+     */
+    async recordInvoicePayment(invoice, details, userId, transaction) {
+        const {
+            amount,
+            payment_mode,
+            payment_details,
+            items,
+            family_id,
+            family_payment_reference
+        } = details;
+
+        if (invoice.status === 'CANCELLED') {
+            throw new BusinessError('Cannot process payment for cancelled invoice');
+        }
+
+        if (invoice.status === 'PAID') {
+            throw new BusinessError('Invoice is already fully paid');
+        }
+
+        if (invoice.status === 'TRANSFERRED') {
+            throw new BusinessError('Invoice balance has been carried forward; pay it on the later invoice');
+        }
+
+        if (payment_mode === 'CHEQUE') {
+            const student = await Student.findByPk(invoice.student_id, { transaction });
+            if (student.cheques_refused) {
+                throw new BusinessError(
+                    `Cheques are no longer accepted from this student${student.cheque_refusal_reason ? `: ${student.cheque_refusal_reason}` : ''}`
+                );
+            }
+        }
+
+        // Validate payment amount
+        const totalPaymentAmount = items.reduce((sum, item) => sum + parseFloat(item.amount), 0);
+        const creditAmount = Math.round((parseFloat(amount) - totalPaymentAmount) * 100) / 100;
+        if (creditAmount < 0) {
+            throw new ValidationError('Payment amount mismatch with items total');
+        }
+
+        if (totalPaymentAmount > invoice.balance_amount) {
+            throw new ValidationError('Payment amount exceeds invoice balance');
+        }
+
+        if (creditAmount > 0 && Math.round(totalPaymentAmount * 100) !== Math.round(parseFloat(invoice.balance_amount) * 100)) {
+            throw new ValidationError('Only money beyond the full invoice balance can be held as credit');
+        }
+
+        // Create payment record
+        const payment = await Payment.create({
+            invoice_id: invoice.id,
+            student_id: invoice.student_id,
+            amount: Math.round(parseFloat(amount) * 100) / 100,
+            credit_amount: creditAmount,
+            payment_mode,
+            status: 'PENDING',
+            collected_by: userId,
+            family_id,
+            family_payment_reference,
+            cheque_status: payment_mode === 'CHEQUE' ? 'RECEIVED' : null,
+            ...payment_details
+        }, { transaction });
+
+        // Process payment items
+        for (const item of items) {
+            const invoiceItem = invoice.items.find(i => i.id === item.invoice_item_id);
+            if (!invoiceItem) {
+                throw new ValidationError(`Invalid invoice item: ${item.invoice_item_id}`);
+            }
+
+            if (item.amount > invoiceItem.balance_amount) {
+                throw new ValidationError(`Payment amount exceeds balance for item: ${invoiceItem.item_name}`);
+            }
+
+            await PaymentItem.create({
+                payment_id: payment.id,
+                invoice_item_id: item.invoice_item_id,
+                amount: item.amount,
+                original_invoice_item_amount: invoiceItem.amount,
+                payment_sequence: item.sequence || 0
+            }, { transaction });
+        }
+
+        // Update invoice paid and balance amounts
+        await invoice.update({
+            paid_amount: sequelize.literal(`paid_amount + ${totalPaymentAmount}`),
+            balance_amount: sequelize.literal(`balance_amount - ${totalPaymentAmount}`),
+            payment_status: 'IN_PROGRESS'
+        }, { transaction });
+
+        await this.allocateToPaymentPlan(invoice, totalPaymentAmount, transaction);
+
+        if (creditAmount > 0) {
+            await StudentCreditTransaction.post({
+                student_id: invoice.student_id,
+                transaction_type: 'OVERPAYMENT',
+                amount: creditAmount,
+                payment_id: payment.id,
+                invoice_id: invoice.id,
+                description: `Overpayment on receipt ${payment.receipt_number}`,
+                created_by: userId
+            }, { transaction });
+        }
+
+        // If payment mode is CASH, automatically verify the payment
+        if (payment_mode === 'CASH') {
+            await payment.verify(userId, { transaction });
+        }
+
+        return payment;
+    }
+
+    /**
+     * Show how an amount would be split over an invoice's items, for
+     * confirmation before the payment is submitted
+     */
+    async previewAllocation(req, res) {
+        const { invoice_id, amount, allocation_policy = DEFAULT_ALLOCATION_POLICY } = req.body;
+
+        const invoice = await Invoice.findByPk(invoice_id, {
+            include: [{
+                model: InvoiceItem,
+                as: 'items'
+            }]
+        });
+
+        if (!invoice) {
+            throw new NotFoundError('Invoice not found');
+        }
+
+        if (['PAID', 'CANCELLED', 'TRANSFERRED'].includes(invoice.status)) {
+            throw new BusinessError(`Invoice is ${invoice.status.toLowerCase()} and cannot take payments`);
+        }
+
+        const items = this.allocateInvoicePortion(invoice, amount, allocation_policy);
+        const allocated = items.reduce((sum, item) => sum + item.amount, 0);
+
+        res.json({
+            data: {
+                invoice_id: invoice.id,
+                invoice_number: invoice.invoice_number,
+                amount: parseFloat(amount),
+                allocation_policy,
+                balance_before: parseFloat(invoice.balance_amount),
+                balance_after: Math.round((parseFloat(invoice.balance_amount) - allocated) * 100) / 100,
+                credit_amount: Math.round((parseFloat(amount) - allocated) * 100) / 100,
+                items: items.map(allocated => {
+                    const item = invoice.items.find(i => i.id === allocated.invoice_item_id);
+                    return {
+                        ...allocated,
+                        item_name: item.item_name,
+                        category: item.category,
+                        is_mandatory: item.is_mandatory,
+                        is_carried_forward: item.is_carried_forward,
+                        balance_amount: parseFloat(item.balance_amount),
+                        balance_after: Math.round((parseFloat(item.balance_amount) - allocated.amount) * 100) / 100
+                    };
+                })
+            }
+        });
+    }
+
     /**
      * Process a new payment
      */
@@ -22,7 +413,8 @@ class PaymentController {
                 amount,
                 payment_mode,
                 payment_details,
-                items
+                items,
+                allocation_policy
             } = req.body;
 
             // Validate invoice
@@ -37,66 +429,13 @@ class PaymentController {
                 throw new NotFoundError('Invoice not found');
             }
 
-            if (invoice.status === 'CANCELLED') {
-                throw new BusinessError('Cannot process payment for cancelled invoice');
-            }
-
-            if (invoice.status === 'PAID') {
-                throw new BusinessError('Invoice is already fully paid');
-            }
-
-            // Validate payment amount
-            const totalPaymentAmount = items.reduce((sum, item) => sum + parseFloat(item.amount), 0);
-            if (totalPaymentAmount !== parseFloat(amount)) {
-                throw new ValidationError('Payment amount mismatch with items total');
-            }
-
-            if (totalPaymentAmount > invoice.balance_amount) {
-                throw new ValidationError('Payment amount exceeds invoice balance');
-            }
-
-            // Create payment record
-            const payment = await Payment.create({
-                invoice_id,
-                student_id: invoice.student_id,
-                amount: totalPaymentAmount,
+            // Without explicit items the amount is spread by the allocation policy
+            const payment = await this.recordInvoicePayment(invoice, {
+                amount,
                 payment_mode,
-                status: 'PENDING',
-                collected_by: req.user.id,
-                ...payment_details
-            }, { transaction });
-
-            // Process payment items
-            for (const item of items) {
-                const invoiceItem = invoice.items.find(i => i.id === item.invoice_item_id);
-                if (!invoiceItem) {
-                    throw new ValidationError(`Invalid invoice item: ${item.invoice_item_id}`);
-                }
-
-                if (item.amount > invoiceItem.balance_amount) {
-                    throw new ValidationError(`Payment amount exceeds balance for item: ${invoiceItem.item_name}`);
-                }
-
-                await PaymentItem.create({
-                    payment_id: payment.id,
-                    invoice_item_id: item.invoice_item_id,
-                    amount: item.amount,
-                    original_invoice_item_amount: invoiceItem.amount,
-                    payment_sequence: item.sequence || 0
-                }, { transaction });
-            }
-
-            // Update invoice paid and balance amounts
-            await invoice.update({
-                paid_amount: sequelize.literal(`paid_amount + ${totalPaymentAmount}`),
-                balance_amount: sequelize.literal(`balance_amount - ${totalPaymentAmount}`),
-                payment_status: 'IN_PROGRESS'
-            }, { transaction });
-
-            // If payment mode is CASH, automatically verify the payment
-            if (payment_mode === 'CASH') {
-                await payment.verify(req.user.id);
-            }
+                payment_details,
+                items: items && items.length ? items : this.allocateInvoicePortion(invoice, amount, allocation_policy)
+            }, req.user.id, transaction);
 
             await transaction.commit();
 
@@ -104,7 +443,7 @@ class PaymentController {
             logger.info('Payment processed', {
                 paymentId: payment.id,
                 invoiceId: invoice_id,
-                amount: totalPaymentAmount,
+                amount: payment.amount,
                 mode: payment_mode
             });
 
@@ -134,6 +473,108 @@ class PaymentController {
         }
     }
 
+    /**
+     * Process one family payment split across several children's invoices
+     */
+    async processFamilyPayment(req, res) {
+        const {
+            family_id,
+            amount,
+            payment_mode,
+            payment_details,
+            allocations,
+            allocation_policy
+        } = req.body;
+
+        const family = await Family.findByPk(family_id);
+        if (!family) {
+            throw new NotFoundError('Family not found');
+        }
+
+        const allocated = allocations.reduce((sum, allocation) => sum + parseFloat(allocation.amount), 0);
+        if (Math.round(allocated * 100) !== Math.round(parseFloat(amount) * 100)) {
+            throw new ValidationError('Payment amount mismatch with allocations total');
+        }
+
+        const invoices = await Invoice.findAll({
+            where: { id: allocations.map(allocation => allocation.invoice_id) },
+            include: [{
+                model: InvoiceItem,
+                as: 'items'
+            }, {
+                model: Student,
+                as: 'student',
+                attributes: ['id', 'family_id', 'first_name', 'last_name', 'admission_number']
+            }]
+        });
+
+        for (const allocation of allocations) {
+            const invoice = invoices.find(i => i.id === allocation.invoice_id);
+            if (!invoice) {
+                throw new NotFoundError(`Invoice not found: ${allocation.invoice_id}`);
+            }
+            if (invoice.student.family_id !== family.id) {
+                throw new ValidationError(`Invoice ${invoice.invoice_number} does not belong to a child of this family`);
+            }
+        }
+
+        const reference = `FPM-${family.family_code}-${Date.now()}`;
+        const transaction = await sequelize.transaction();
+        const payments = [];
+
+        try {
+            for (const allocation of allocations) {
+                const invoice = invoices.find(i => i.id === allocation.invoice_id);
+                const items = allocation.items && allocation.items.length
+                    ? allocation.items
+                    : this.allocateInvoicePortion(invoice, allocation.amount, allocation_policy);
+
+                const payment = await this.recordInvoicePayment(invoice, {
+                    amount: allocation.amount,
+                    payment_mode,
+                    payment_details,
+                    items,
+                    family_id: family.id,
+                    family_payment_reference: reference
+                }, req.user.id, transaction);
+
+                payments.push({
+                    payment_id: payment.id,
+                    receipt_number: payment.receipt_number,
+                    invoice_id: invoice.id,
+                    invoice_number: invoice.invoice_number,
+                    student_id: invoice.student.id,
+                    student_name: `${invoice.student.first_name} ${invoice.student.last_name}`,
+                    amount: payment.amount
+                });
+            }
+
+            await transaction.commit();
+
+        } catch (error) {
+            await transaction.rollback();
+            throw error;
+        }
+
+        logger.info('Family payment processed', {
+            familyId: family.id,
+            reference,
+            amount,
+            invoices: payments.length,
+            mode: payment_mode
+        });
+
+        res.status(201).json({
+            message: 'Family payment processed successfully',
+            data: {
+                family_payment_reference: reference,
+                family_id: family.id,
+                amount: parseFloat(amount),
+                payments
+            }
+        });
+    }
+
     /**
      * Verify payment
      */
@@ -142,7 +583,7 @@ class PaymentController {
 
         try {
             const { id } = req.params;
-            const payment = await Payment.findByPk(id);
+            const payment = await Payment.findByPk(id, { transaction, lock: transaction.LOCK.UPDATE });
 
             if (!payment) {
                 throw new NotFoundError('Payment not found');
@@ -152,7 +593,11 @@ class PaymentController {
                 throw new BusinessError('Payment is not in pending status');
             }
 
-            await payment.verify(req.user.id);
+            if (payment.payment_mode === 'CHEQUE' && payment.cheque_date && new Date(payment.cheque_date) > new Date()) {
+                throw new BusinessError(`Cheque is post-dated to ${formatDate(payment.cheque_date)} and cannot have cleared yet`);
+            }
+
+            await payment.verify(req.user.id, { transaction });
             await transaction.commit();
 
             logger.info('Payment verified', {
@@ -184,7 +629,9 @@ class PaymentController {
                 include: [{
                     model: PaymentItem,
                     as: 'items'
-                }]
+                }],
+                transaction,
+                lock: transaction.LOCK.UPDATE
             });
 
             if (!payment) {
@@ -195,8 +642,14 @@ class PaymentController {
                 throw new BusinessError('Payment is already cancelled');
             }
 
+            if (payment.cheque_status === 'BOUNCED') {
+                throw new BusinessError('Bounced cheque has already been reversed');
+            }
+
+            await this.reversePaymentCredit(payment, `Receipt ${payment.receipt_number} cancelled`, req.user.id, transaction);
+
             // Cancel payment and update invoice
-            await payment.cancel(req.user.id, reason);
+            await payment.cancel(req.user.id, reason, { transaction });
 
             await transaction.commit();
 
@@ -224,9 +677,9 @@ class PaymentController {
 
         try {
             const { id } = req.params;
-            const { amount, reference, reason } = req.body;
+            const { amount, reference, reason, to_credit } = req.body;
 
-            const payment = await Payment.findByPk(id);
+            const payment = await Payment.findByPk(id, { transaction, lock: transaction.LOCK.UPDATE });
             if (!payment) {
                 throw new NotFoundError('Payment not found');
             }
@@ -235,11 +688,50 @@ class PaymentController {
                 throw new BusinessError('Only completed payments can be refunded');
             }
 
-            if (amount > payment.amount) {
+            if (amount > parseFloat(payment.amount)) {
                 throw new ValidationError('Refund amount cannot exceed payment amount');
             }
 
-            await payment.refund(amount, reference);
+            if (to_credit) {
+                if (payment.refund_to_credit) {
+                    throw new BusinessError('Payment has already been refunded to credit');
+                }
+
+                // The money stays with the school: it comes off the invoice and is held for the student
+                const invoicePortion = parseFloat(payment.amount) - parseFloat(payment.credit_amount);
+                if (amount > invoicePortion) {
+                    throw new ValidationError('Refund to credit cannot exceed the amount paid towards the invoice');
+                }
+
+                await this.reversePaymentAllocation(payment, amount, transaction);
+
+                await payment.update({
+                    refund_amount: amount,
+                    refund_date: new Date(),
+                    refund_reference: reference,
+                    refund_to_credit: true
+                }, { transaction });
+
+                await StudentCreditTransaction.post({
+                    student_id: payment.student_id,
+                    transaction_type: 'REFUND_TO_CREDIT',
+                    amount,
+                    payment_id: payment.id,
+                    invoice_id: payment.invoice_id,
+                    description: `Refund on receipt ${payment.receipt_number}: ${reason}`,
+                    created_by: req.user.id
+                }, { transaction });
+            } else {
+                // The refunded part is already held as student credit; paying out on top would refund it twice
+                if (payment.refund_to_credit) {
+                    throw new BusinessError('Payment has already been refunded to student credit and cannot also be refunded in cash');
+                }
+
+                // An overpayment is already held as student credit; take it back so it is not refunded twice
+                await this.reversePaymentCredit(payment, `Receipt ${payment.receipt_number} refunded: ${reason}`.slice(0, 255), req.user.id, transaction);
+
+                await payment.refund(amount, reference, { transaction });
+            }
 
             await transaction.commit();
 
@@ -247,11 +739,244 @@ class PaymentController {
                 paymentId: id,
                 amount,
                 reference,
-                reason
+                reason,
+                toCredit: Boolean(to_credit)
+            });
+
+            res.json({
+                message: to_credit
+                    ? 'Payment refunded to student credit'
+                    : 'Payment refunded successfully'
+            });
+
+        } catch (error) {
+            await transaction.rollback();
+            throw error;
+        }
+    }
+
+    /**
+     * Load a cheque payment for a lifecycle change
+     * @returns {Promise<Payment>} Locked cheque payment
+     */
+    async findCheque(id, transaction) {
+        const payment = await Payment.findByPk(id, {
+            transaction,
+            lock: transaction.LOCK.UPDATE
+        });
+
+        if (!payment) {
+            throw new NotFoundError('Payment not found');
+        }
+
+        if (payment.payment_mode !== 'CHEQUE') {
+            throw new BusinessError('Payment was not made by cheque');
+        }
+
+        return payment;
+    }
+
+    /**
+     * Add a charge to an invoice as a new mandatory item, reopening the
+     * invoice if it was settled
+     * @param {Object} charge - { item_name, description, category, amount, due_date }
+     * @returns {Promise<InvoiceItem>} Charge item
+     */
+    async addInvoiceCharge(invoice, { item_name, description, category, amount, due_date }, transaction) {
+        const displayOrder = (await InvoiceItem.max('display_order', {
+            where: { invoice_id: invoice.id },
+            transaction
+        }) || 0) + 1;
+
+        const charge = await InvoiceItem.create({
+            invoice_id: invoice.id,
+            fee_structure_item_id: null,
+            item_name,
+            description,
+            category,
+            amount,
+            balance_amount: amount,
+            due_date,
+            is_mandatory: true,
+            display_order: displayOrder
+        }, { transaction });
+
+        await invoice.update({
+            total_amount: Math.round((parseFloat(invoice.total_amount) + amount) * 100) / 100,
+            balance_amount: Math.round((parseFloat(invoice.balance_amount) + amount) * 100) / 100,
+            ...(invoice.status === 'PAID' && { status: 'UNPAID', payment_status: 'IN_PROGRESS' })
+        }, { transaction });
+
+        return charge;
+    }
+
+    /**
+     * Record that a received cheque has been banked
+     */
+    async depositCheque(req, res) {
+        const transaction = await sequelize.transaction();
+
+        try {
+            const depositDate = req.body.deposit_date || new Date();
+            const payment = await this.findCheque(req.params.id, transaction);
+
+            if (payment.cheque_status !== 'RECEIVED' || payment.status !== 'PENDING') {
+                throw new BusinessError('Only received cheques that are still pending can be deposited');
+            }
+
+            if (payment.cheque_date && new Date(payment.cheque_date) > endOfDay(depositDate)) {
+                throw new BusinessError(`Cheque is post-dated to ${formatDate(payment.cheque_date)} and cannot be deposited yet`);
+            }
+
+            await payment.update({
+                cheque_status: 'DEPOSITED',
+                cheque_deposit_date: depositDate
+            }, { transaction });
+
+            await transaction.commit();
+
+            logger.info('Cheque deposited', {
+                paymentId: payment.id,
+                chequeNumber: payment.cheque_number,
+                depositedBy: req.user.id
+            });
+
+            res.json({
+                message: 'Cheque marked as deposited',
+                data: payment
+            });
+
+        } catch (error) {
+            await transaction.rollback();
+            throw error;
+        }
+    }
+
+    /**
+     * Record that the bank has cleared a deposited cheque, which verifies the payment
+     */
+    async clearCheque(req, res) {
+        const transaction = await sequelize.transaction();
+
+        try {
+            const payment = await this.findCheque(req.params.id, transaction);
+
+            if (payment.cheque_status !== 'DEPOSITED' || payment.status !== 'PENDING') {
+                throw new BusinessError('Only deposited cheques that are still pending can be cleared');
+            }
+
+            await payment.verify(req.user.id, { transaction });
+
+            await transaction.commit();
+
+            logger.info('Cheque cleared', {
+                paymentId: payment.id,
+                chequeNumber: payment.cheque_number,
+                verifiedBy: req.user.id
+            });
+
+            res.json({
+                message: 'Cheque cleared and payment verified',
+                data: payment
+            });
+
+        } catch (error) {
+            await transaction.rollback();
+            throw error;
+        }
+    }
+
+    /**
+     * Record a bounced cheque: the payment is taken back off the invoice,
+     * a bounce charge is billed, and the student can be barred from paying
+     * by cheque again
+     */
+    async bounceCheque(req, res) {
+        const transaction = await sequelize.transaction();
+
+        try {
+            const {
+                reason,
+                bounce_date: bounceDate = new Date(),
+                charge_amount: chargeAmount = CHEQUE_BOUNCE_CHARGE,
+                refuse_future_cheques: refuseFutureCheques = true
+            } = req.body;
+
+            const payment = await this.findCheque(req.params.id, transaction);
+
+            if (!['DEPOSITED', 'CLEARED'].includes(payment.cheque_status)) {
+                throw new BusinessError('Only deposited or cleared cheques can bounce');
+            }
+
+            if (['CANCELLED', 'REFUNDED'].includes(payment.status)) {
+                throw new BusinessError(`Payment is ${payment.status.toLowerCase()} and cannot be reversed`);
+            }
+
+            // The cheque's money never arrived, so credit it gave that was already spent is charged back
+            const description = `Cheque ${payment.cheque_number} on receipt ${payment.receipt_number} bounced`;
+            const recoveries = await this.reversePaymentCredit(payment, description, req.user.id, transaction, {
+                recoverSpent: true
+            });
+
+            // Whatever is still allocated to the invoice; credit and refunds to credit were reversed above
+            const allocated = Math.round((
+                parseFloat(payment.amount) -
+                parseFloat(payment.credit_amount) -
+                (payment.refund_to_credit ? parseFloat(payment.refund_amount) : 0)
+            ) * 100) / 100;
+
+            const invoice = allocated > 0
+                ? await this.reversePaymentAllocation(payment, allocated, transaction)
+                : await Invoice.findByPk(payment.invoice_id, { transaction });
+
+            const charge = chargeAmount > 0
+                ? await this.addInvoiceCharge(invoice, {
+                    item_name: 'Bounced cheque charge',
+                    description: `Cheque ${payment.cheque_number} on receipt ${payment.receipt_number} returned unpaid`,
+                    category: InvoiceItem.CHEQUE_BOUNCE_CATEGORY,
+                    amount: chargeAmount,
+                    due_date: bounceDate
+                }, transaction)
+                : null;
+
+            await payment.update({
+                status: 'FAILED',
+                cheque_status: 'BOUNCED',
+                cheque_bounce_date: bounceDate,
+                cheque_bounce_reason: reason
+            }, { transaction });
+
+            if (refuseFutureCheques) {
+                await Student.update({
+                    cheques_refused: true,
+                    cheque_refusal_reason: `${description} on ${formatDate(bounceDate)} (${reason})`.slice(0, 255)
+                }, {
+                    where: { id: payment.student_id },
+                    transaction
+                });
+            }
+
+            await transaction.commit();
+
+            logger.info('Cheque bounced', {
+                paymentId: payment.id,
+                chequeNumber: payment.cheque_number,
+                invoiceId: invoice.id,
+                reversed: allocated,
+                creditRecovered: recoveries.reduce((sum, item) => sum + parseFloat(item.amount), 0),
+                charge: charge ? chargeAmount : 0,
+                chequesRefused: refuseFutureCheques,
+                recordedBy: req.user.id
             });
 
             res.json({
-                message: 'Payment refunded successfully'
+                message: 'Bounced cheque recorded',
+                data: {
+                    payment,
+                    invoice,
+                    charge,
+                    credit_recoveries: recoveries
+                }
             });
 
         } catch (error) {
@@ -260,6 +985,63 @@ class PaymentController {
         }
     }
 
+    /**
+     * Cheques waiting to be banked, earliest cheque date first, with those
+     * whose date has arrived marked as due for deposit
+     */
+    async getChequeRegister(req, res) {
+        const { status = 'RECEIVED', due_by } = req.query;
+
+        const where = {
+            payment_mode: 'CHEQUE',
+            cheque_status: status === 'ALL' ? ['RECEIVED', 'DEPOSITED'] : status
+        };
+        if (due_by) {
+            where.cheque_date = { [Op.lte]: endOfDay(due_by) };
+        }
+
+        const cheques = await Payment.findAll({
+            where,
+            attributes: [
+                'id', 'receipt_number', 'invoice_id', 'amount', 'payment_date', 'cheque_number',
+                'cheque_date', 'bank_name', 'bank_branch', 'cheque_status', 'cheque_deposit_date'
+            ],
+            include: [{
+                model: Student,
+                as: 'student',
+                attributes: ['id', 'first_name', 'last_name', 'admission_number']
+            }, {
+                model: Invoice,
+                as: 'invoice',
+                attributes: ['id', 'invoice_number']
+            }],
+            order: [['cheque_date', 'ASC'], ['payment_date', 'ASC']]
+        });
+
+        const today = endOfDay(new Date());
+        const register = cheques.map(cheque => ({
+            ...cheque.toJSON(),
+            post_dated: Boolean(cheque.cheque_date) &&
+                new Date(cheque.cheque_date) > endOfDay(cheque.payment_date),
+            due_for_deposit: cheque.cheque_status === 'RECEIVED' &&
+                (!cheque.cheque_date || new Date(cheque.cheque_date) <= today)
+        }));
+
+        const due = register.filter(cheque => cheque.due_for_deposit);
+        const total = (rows) => Math.round(rows.reduce((sum, row) => sum + parseFloat(row.amount), 0) * 100) / 100;
+
+        res.json({
+            data: register,
+            summary: {
+                count: register.length,
+                total_amount: total(register),
+                due_for_deposit: due.length,
+                due_amount: total(due),
+                post_dated: register.filter(cheque => cheque.post_dated).length
+            }
+        });
+    }
+
     /**
      * Get payment details
      */
@@ -290,6 +1072,87 @@ class PaymentController {
         res.json({ data: payment });
     }
 
+    /**
+     * Load a payment with everything needed to render its receipt
+     */
+    async loadReceiptPayment(id) {
+        const payment = await Payment.findByPk(id, {
+            include: [{
+                model: PaymentItem,
+                as: 'items',
+                include: [{
+                    model: InvoiceItem,
+                    as: 'invoiceItem'
+                }]
+            }, {
+                model: Student,
+                as: 'student'
+            }, {
+                model: Invoice,
+                as: 'invoice'
+            }],
+            order: [[{ model: PaymentItem, as: 'items' }, 'payment_sequence', 'ASC']]
+        });
+
+        if (!payment) {
+            throw new NotFoundError('Payment not found');
+        }
+
+        if (['CANCELLED', 'FAILED'].includes(payment.status)) {
+            throw new BusinessError('Receipts are not available for cancelled or failed payments');
+        }
+
+        return payment;
+    }
+
+    /**
+     * Download payment receipt as PDF
+     */
+    async getReceipt(req, res) {
+        const payment = await this.loadReceiptPayment(req.params.id);
+        const receiptBuffer = await generateReceiptPdf(payment);
+
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename=receipt-${payment.receipt_number}.pdf`);
+        res.send(receiptBuffer);
+    }
+
+    /**
+     * Email payment receipt to the parent
+     */
+    async emailReceipt(req, res) {
+        const payment = await this.loadReceiptPayment(req.params.id);
+        const to = req.body.email || payment.student.email;
+
+        if (!to) {
+            throw new ValidationError('No email address on record for this student');
+        }
+
+        const receiptBuffer = await generateReceiptPdf(payment);
+
+        await sendEmail({
+            to,
+            subject: `Payment receipt ${payment.receipt_number}`,
+            text: `Dear ${payment.student.parent_name}, please find attached the receipt for your payment of ` +
+                `${parseFloat(payment.amount).toFixed(2)} towards invoice ${payment.invoice.invoice_number}.`,
+            attachments: [{
+                filename: `receipt-${payment.receipt_number}.pdf`,
+                content: receiptBuffer,
+                contentType: 'application/pdf'
+            }]
+        });
+
+        logger.info('Receipt emailed', {
+            paymentId: payment.id,
+            to,
+            sentBy: req.user.id
+        });
+
+        res.json({
+            message: `Receipt sent to ${to}`
+        });
+    }
+
     /**
      * Get student's payment history
      */
@@ -344,6 +1207,85 @@ class PaymentController {
 
         res.json({ data: stats });
     }
+
+    /**
+     * Get collections grouped by fee category, with penalties reported separately
+     */
+    async getCollectionReport(req, res) {
+        const { start_date, end_date, payment_mode } = req.query;
+
+        const paymentWhere = { status: 'COMPLETED' };
+        if (start_date && end_date) {
+            paymentWhere.payment_date = {
+                [Op.between]: [new Date(start_date), new Date(end_date)]
+            };
+        }
+        if (payment_mode) paymentWhere.payment_mode = payment_mode;
+
+        const paymentItems = await PaymentItem.findAll({
+            where: {
+                status: { [Op.notIn]: ['CANCELLED', 'REFUNDED'] }
+            },
+            include: [{
+                model: Payment,
+                as: 'payment',
+                where: paymentWhere,
+                attributes: ['id', 'payment_mode', 'payment_date']
+            }, {
+                model: InvoiceItem,
+                as: 'invoiceItem',
+                attributes: ['id', 'category']
+            }]
+        });
+
+        const byCategory = {};
+        for (const item of paymentItems) {
+            const category = item.invoiceItem.category;
+            const row = byCategory[category] || { category, amount: 0, count: 0 };
+            row.amount += parseFloat(item.amount);
+            row.count += 1;
+            byCategory[category] = row;
+        }
+
+        // Penalties billed and waived in the same period
+        const penaltyWhere = { category: PENALTY_CATEGORY };
+        if (start_date && end_date) {
+            penaltyWhere.createdAt = {
+                [Op.between]: [new Date(start_date), new Date(end_date)]
+            };
+        }
+
+        const penaltiesBilled = await InvoiceItem.sum('amount', { where: penaltyWhere });
+        const penaltiesWaived = await InvoiceItem.sum('waiver_amount', { where: penaltyWhere });
+
+        const categories = Object.values(byCategory).sort((a, b) => b.amount - a.amount);
+        const totalCollected = categories.reduce((sum, row) => sum + row.amount, 0);
+        const penaltiesCollected = byCategory[PENALTY_CATEGORY]?.amount || 0;
+
+        // Overpayments are cash received but not yet allocated to any fee item
+        const credit = await StudentCreditTransaction.summarize({ from: start_date, to: end_date });
+
+        res.json({
+            data: {
+                categories,
+                total_collected: totalCollected,
+                fees_collected: totalCollected - penaltiesCollected,
+                total_received: totalCollected + credit.OVERPAYMENT,
+                penalties: {
+                    billed: penaltiesBilled || 0,
+                    waived: penaltiesWaived || 0,
+                    collected: penaltiesCollected
+                },
+                credit: {
+                    overpayments: credit.OVERPAYMENT,
+                    refunded_to_credit: credit.REFUND_TO_CREDIT,
+                    returned_from_cancelled_invoices: credit.INVOICE_CANCELLATION,
+                    applied_to_invoices: credit.INVOICE_APPLICATION,
+                    reversed: credit.PAYMENT_REVERSAL
+                }
+            }
+        });
+    }
 }
 
 module.exports = new PaymentController();
@@ -1,16 +1,30 @@
-const { Student, StudentPromotion, FeeBalanceTransfer, FeeBalanceDetail, Invoice, InvoiceItem } = require('../models');
+const { Student, StudentPromotion, FeeBalanceTransfer, FeeBalanceDetail, Invoice, InvoiceItem, UserActivity } = require('../models');
 const sequelize = require('../config/database');
-const { ValidationError } = require('../utils/errors');
+const { ValidationError, NotFoundError, PromotionErrors } = require('../utils/errors');
 const logger = require('../utils/logger');
+const { generateClearanceCertificatePdf } = require('../utils/clearanceCertificate');
+const { PRIMARY_CLASSES, JUNIOR_CLASSES, CLASS_NAMES } = require('../middleware/studentValidations');
+
+// Final class of each school level; students leave from here on graduating
+const FINAL_CLASSES = [PRIMARY_CLASSES[PRIMARY_CLASSES.length - 1], JUNIOR_CLASSES[JUNIOR_CLASSES.length - 1]];
+
+// Ways a student can leave the school
+const EXIT_TYPES = ['GRADUATED', 'TRANSFERRED', 'WITHDRAWN'];
 
 class PromotionController {
+    constructor() {
+        // Handlers are passed to the router unbound but call helpers through `this`
+        Object.getOwnPropertyNames(PromotionController.prototype)
+            .filter(name => name !== 'constructor')
+            .forEach(name => {
+                this[name] = this[name].bind(this);
+            });
+    }
+
     // Helper function to validate class progression
     validateClassProgression(fromClass, toClass) {
-        const primaryClasses = ['pg', 'pp1', 'pp2', 'grade1', 'grade2', 'grade3', 'grade4', 'grade5', 'grade6'];
-        const juniorClasses = ['grade7', 'grade8', 'grade9', 'grade10'];
-        
-        const fromIndex = primaryClasses.indexOf(fromClass.toLowerCase());
-        const toIndex = primaryClasses.indexOf(toClass.toLowerCase());
+        const fromIndex = PRIMARY_CLASSES.indexOf(fromClass.toLowerCase());
+        const toIndex = PRIMARY_CLASSES.indexOf(toClass.toLowerCase());
         
         if (fromIndex !== -1) {
             // Current class is primary
@@ -23,12 +37,175 @@ class PromotionController {
             }
         } else {
             // Current class is junior
-            const fromJuniorIndex = juniorClasses.indexOf(fromClass.toLowerCase());
-            const toJuniorIndex = juniorClasses.indexOf(toClass.toLowerCase());
+            const fromJuniorIndex = JUNIOR_CLASSES.indexOf(fromClass.toLowerCase());
+            const toJuniorIndex = JUNIOR_CLASSES.indexOf(toClass.toLowerCase());
             return toJuniorIndex > fromJuniorIndex;
         }
     }
 
+    // Helper function to get the class a student moves up to, or null from the highest class
+    getNextClass(fromClass) {
+        const index = CLASS_NAMES.indexOf(String(fromClass).toLowerCase());
+        return index !== -1 && index < CLASS_NAMES.length - 1 ? CLASS_NAMES[index + 1] : null;
+    }
+
+    // Helper function to get the academic year before the given one
+    getPreviousAcademicYear(academicYear) {
+        const [start, end] = academicYear.split('-').map(Number);
+        return `${start - 1}-${end - 1}`;
+    }
+
+    // Helper function to collect a student's unpaid invoice items
+    async getOutstandingBalances(studentId, transaction) {
+        const outstandingInvoices = await Invoice.findAll({
+            where: {
+                student_id: studentId,
+                status: ['UNPAID', 'PARTIALLY_PAID', 'OVERDUE']
+            },
+            include: [{ model: InvoiceItem, as: 'items' }],
+            transaction
+        });
+
+        let totalBalance = 0;
+        const balanceDetails = [];
+
+        for (const invoice of outstandingInvoices) {
+            for (const item of invoice.items) {
+                if (parseFloat(item.balance_amount) > 0) {
+                    totalBalance += parseFloat(item.balance_amount);
+                    balanceDetails.push({
+                        invoice_item_id: item.id,
+                        fee_item_name: item.item_name,
+                        original_amount: item.amount,
+                        balance_amount: item.balance_amount,
+                        term: invoice.term,
+                        academic_year: invoice.academic_year
+                    });
+                }
+            }
+        }
+
+        return { totalBalance, balanceDetails };
+    }
+
+    // Helper function to check whether a student may graduate from a class
+    canGraduate(fromClass) {
+        return FINAL_CLASSES.includes(String(fromClass).toLowerCase());
+    }
+
+    /**
+     * Record a promotion, retention or exit for one student and carry any
+     * outstanding balance into the new academic year.
+     * Students who leave keep their balance on the old invoices, frozen as
+     * their final balance.
+     */
+    async applyPromotion(student, options, transaction) {
+        const {
+            toClass,
+            toAcademicYear,
+            promotionType = 'PROMOTED',
+            remarks,
+            batchReference,
+            exitDate,
+            destination,
+            userId
+        } = options;
+
+        const isExit = EXIT_TYPES.includes(promotionType);
+        const fromClass = student.current_class;
+        const fromAcademicYear = options.fromAcademicYear
+            || student.academic_year
+            || this.getPreviousAcademicYear(toAcademicYear);
+        const newClass = promotionType === 'PROMOTED' ? toClass : fromClass;
+
+        const { totalBalance, balanceDetails } = await this.getOutstandingBalances(student.id, transaction);
+
+        // Handle balance transfer if there are outstanding balances
+        let balanceTransfer = null;
+        if (totalBalance > 0 && !isExit) {
+            balanceTransfer = await FeeBalanceTransfer.create({
+                student_id: student.id,
+                from_class: fromClass,
+                to_class: newClass,
+                from_term: fromAcademicYear,
+                to_term: toAcademicYear,
+                total_balance_transferred: totalBalance,
+                status: 'TRANSFERRED'
+            }, { transaction });
+
+            // Create detailed balance records
+            await Promise.all(balanceDetails.map(detail =>
+                FeeBalanceDetail.create({
+                    balance_transfer_id: balanceTransfer.id,
+                    ...detail
+                }, { transaction })
+            ));
+        }
+
+        // Create promotion record
+        const promotion = await StudentPromotion.create({
+            student_id: student.id,
+            from_class: fromClass,
+            to_class: newClass,
+            from_academic_year: fromAcademicYear,
+            to_academic_year: toAcademicYear,
+            promotion_type: promotionType,
+            batch_reference: batchReference,
+            balance_transfer_id: balanceTransfer?.id,
+            promoted_by: userId,
+            remarks,
+            promotion_date: new Date()
+        }, { transaction });
+
+        // Update student's class and promotion history
+        const promotionHistoryEntry = {
+            type: promotionType,
+            from_class: fromClass,
+            to_class: newClass,
+            date: new Date(),
+            academic_year: fromAcademicYear,
+            promotion_id: promotion.id
+        };
+
+        if (isExit) {
+            Object.assign(promotionHistoryEntry, {
+                exit_date: exitDate || new Date(),
+                destination: destination || null,
+                final_balance: totalBalance
+            });
+        }
+
+        const updates = {
+            current_class: newClass,
+            academic_year: toAcademicYear,
+            promotion_history: [...(student.promotion_history || []), promotionHistoryEntry]
+        };
+
+        if (isExit) {
+            const defaultReasons = {
+                GRADUATED: `Graduated from ${fromClass}`,
+                TRANSFERRED: `Transferred out${destination ? ` to ${destination}` : ''}`,
+                WITHDRAWN: 'Withdrawn from school'
+            };
+
+            Object.assign(updates, {
+                academic_year: fromAcademicYear,
+                status: 'INACTIVE',
+                exit_type: promotionType,
+                exit_date: exitDate || new Date(),
+                exit_destination: destination || null,
+                final_balance: totalBalance,
+                deactivation_reason: remarks || defaultReasons[promotionType],
+                deactivated_at: new Date(),
+                deactivated_by: userId
+            });
+        }
+
+        await student.update(updates, { transaction });
+
+        return { promotion, balanceTransfer, balanceDetails, totalBalance };
+    }
+
     async promoteStudent(req, res) {
         const transaction = await sequelize.transaction();
 
@@ -47,93 +224,23 @@ class PromotionController {
             }
 
             const fromClass = student.current_class;
-            const fromAcademicYear = student.academic_year;
 
             // Validate class progression
             if (!this.validateClassProgression(fromClass, toClass)) {
                 throw new ValidationError('Invalid class progression. Students can only be promoted to higher classes.');
             }
 
-            // Get outstanding balances
-            const outstandingInvoices = await Invoice.findAll({
-                where: {
-                    student_id: studentId,
-                    status: ['UNPAID', 'PARTIALLY_PAID']
-                },
-                include: [{ model: InvoiceItem }],
-                transaction
-            });
-
-            // Calculate total outstanding balance
-            let totalBalance = 0;
-            const balanceDetails = [];
-
-            for (const invoice of outstandingInvoices) {
-                for (const item of invoice.InvoiceItems) {
-                    if (item.balance > 0) {
-                        totalBalance += parseFloat(item.balance);
-                        balanceDetails.push({
-                            fee_item_name: item.fee_item_name,
-                            original_amount: item.amount,
-                            balance_amount: item.balance,
-                            term: invoice.term,
-                            academic_year: invoice.academic_year
-                        });
-                    }
-                }
-            }
-
-            // Create promotion record
-            const promotion = await StudentPromotion.create({
-                student_id: studentId,
-                from_class: fromClass,
-                to_class: toClass,
-                from_academic_year: fromAcademicYear,
-                to_academic_year: toAcademicYear,
+            const {
+                promotion,
+                balanceTransfer,
+                balanceDetails,
+                totalBalance
+            } = await this.applyPromotion(student, {
+                toClass,
+                toAcademicYear,
                 remarks,
-                promotion_date: new Date()
-            }, { transaction });
-
-            // Update student's class and promotion history
-            const promotionHistoryEntry = {
-                from_class: fromClass,
-                to_class: toClass,
-                date: new Date(),
-                academic_year: fromAcademicYear,
-                promotion_id: promotion.id
-            };
-
-            await student.update({
-                current_class: toClass,
-                academic_year: toAcademicYear,
-                promotion_history: sequelize.fn('JSON_ARRAY_APPEND', 
-                    sequelize.col('promotion_history'), 
-                    '$', 
-                    JSON.stringify(promotionHistoryEntry)
-                )
-            }, { transaction });
-
-            // Handle balance transfer if there are outstanding balances
-            let balanceTransfer = null;
-            if (totalBalance > 0) {
-                balanceTransfer = await FeeBalanceTransfer.create({
-                    student_id: studentId,
-                    from_class: fromClass,
-                    to_class: toClass,
-                    from_term: fromAcademicYear,
-                    to_term: toAcademicYear,
-                    total_balance_transferred: totalBalance,
-                    status: 'TRANSFERRED'
-                }, { transaction });
-
-                // Create detailed balance records
-                await Promise.all(balanceDetails.map(detail => 
-                    FeeBalanceDetail.create({
-                        balance_transfer_id: balanceTransfer.id,
-                        ...detail
-                    }, { transaction })
-                ));
-            }
+                userId: req.user.id
+            }, transaction);
 
             await transaction.commit();
 
@@ -177,6 +284,404 @@ class PromotionController {
         }
     }
 
+    /**
+     * Work out what a whole-class promotion would do for every active
+     * student in the class, without changing anything
+     */
+    async planBatchPromotion({ fromClass, toClass, toAcademicYear, retain = [], graduate = [] }) {
+        const targetClass = toClass || this.getNextClass(fromClass);
+
+        if (toClass && !this.validateClassProgression(fromClass, toClass)) {
+            throw new ValidationError(PromotionErrors.INVALID_CLASS_PROGRESSION);
+        }
+
+        const students = await Student.findAll({
+            where: {
+                current_class: fromClass,
+                status: 'ACTIVE'
+            },
+            include: [{
+                model: StudentPromotion,
+                as: 'promotions',
+                where: { to_academic_year: toAcademicYear },
+                required: false
+            }],
+            order: [['admission_number', 'ASC']]
+        });
+
+        const studentIds = students.map(student => student.id);
+        const errors = [...retain, ...graduate]
+            .filter(id => !studentIds.includes(id))
+            .map(id => ({
+                student_id: id,
+                message: `Student ${id} is not an active student in ${fromClass}`
+            }));
+
+        const plan = [];
+        for (const student of students) {
+            const action = retain.includes(student.id) ? 'RETAINED'
+                : graduate.includes(student.id) ? 'GRADUATED'
+                : 'PROMOTED';
+            const { totalBalance } = await this.getOutstandingBalances(student.id);
+
+            const entry = {
+                student_id: student.id,
+                admission_number: student.admission_number,
+                name: `${student.first_name} ${student.last_name}`,
+                action,
+                from_class: student.current_class,
+                to_class: action === 'PROMOTED' ? targetClass : student.current_class,
+                outstanding_balance: totalBalance,
+                balance_action: totalBalance > 0
+                    ? (action === 'GRADUATED' ? 'REMAINS_ON_INVOICES' : 'CARRIED_FORWARD')
+                    : 'NONE'
+            };
+
+            if (action === 'PROMOTED' && !targetClass) {
+                entry.error = `${fromClass} is the highest class; retain or graduate this student`;
+            } else if (action === 'GRADUATED' && !this.canGraduate(fromClass)) {
+                entry.error = PromotionErrors.GRADUATION_NOT_ALLOWED;
+            } else if (student.promotions.length) {
+                entry.error = PromotionErrors.ALREADY_PROMOTED;
+            }
+
+            if (entry.error) {
+                errors.push({ student_id: student.id, message: entry.error });
+            }
+
+            plan.push(entry);
+        }
+
+        const count = (action) => plan.filter(entry => entry.action === action).length;
+
+        return {
+            from_class: fromClass,
+            to_class: targetClass,
+            to_academic_year: toAcademicYear,
+            summary: {
+                total: plan.length,
+                promoted: count('PROMOTED'),
+                retained: count('RETAINED'),
+                graduated: count('GRADUATED'),
+                total_balance_carried_forward: plan
+                    .filter(entry => entry.balance_action === 'CARRIED_FORWARD')
+                    .reduce((sum, entry) => sum + entry.outstanding_balance, 0)
+            },
+            students: plan,
+            errors
+        };
+    }
+
+    async previewBatchPromotion(req, res) {
+        try {
+            const plan = await this.planBatchPromotion(req.body);
+
+            res.json({
+                data: plan
+            });
+
+        } catch (error) {
+            if (error instanceof ValidationError) {
+                return res.status(400).json({
+                    error: error.message
+                });
+            }
+
+            logger.error('Batch promotion preview failed', {
+                error: error.message,
+                fromClass: req.body.fromClass
+            });
+
+            res.status(500).json({
+                error: 'Failed to preview promotion. Please try again.'
+            });
+        }
+    }
+
+    async batchPromote(req, res) {
+        let plan;
+
+        try {
+            plan = await this.planBatchPromotion(req.body);
+        } catch (error) {
+            if (error instanceof ValidationError) {
+                return res.status(400).json({
+                    error: error.message
+                });
+            }
+
+            logger.error('Batch promotion planning failed', {
+                error: error.message,
+                fromClass: req.body.fromClass
+            });
+
+            return res.status(500).json({
+                error: 'Failed to promote class. Please try again.'
+            });
+        }
+
+        if (plan.errors.length) {
+            return res.status(400).json({
+                error: 'Batch promotion has errors. Resolve them and preview again.',
+                details: plan.errors
+            });
+        }
+
+        if (!plan.students.length) {
+            return res.status(400).json({
+                error: `There are no active students in ${plan.from_class}`
+            });
+        }
+
+        const { toAcademicYear, remarks } = req.body;
+        const batchReference = `PRM-${plan.from_class.toUpperCase()}-${toAcademicYear}-${Date.now()}`;
+        const transaction = await sequelize.transaction();
+
+        try {
+            const students = await Student.findAll({
+                where: { id: plan.students.map(entry => entry.student_id) },
+                transaction
+            });
+
+            const results = [];
+            for (const entry of plan.students) {
+                const student = students.find(s => s.id === entry.student_id);
+                const { promotion, balanceTransfer, totalBalance } = await this.applyPromotion(student, {
+                    toClass: entry.to_class,
+                    toAcademicYear,
+                    promotionType: entry.action,
+                    remarks,
+                    batchReference,
+                    userId: req.user.id
+                }, transaction);
+
+                results.push({
+                    ...entry,
+                    promotion_id: promotion.id,
+                    balance_transfer_id: balanceTransfer?.id || null,
+                    outstanding_balance: totalBalance
+                });
+            }
+
+            await transaction.commit();
+
+            await UserActivity.logActivity({
+                user_id: req.user.id,
+                activity_type: 'BATCH_PROMOTION',
+                module: 'PROMOTION',
+                description: `Batch promotion of ${plan.from_class} to ${plan.to_class || 'N/A'} for ${toAcademicYear}`,
+                entity_type: 'StudentPromotion',
+                ip_address: req.ip,
+                new_values: plan.summary,
+                additional_info: {
+                    batch_reference: batchReference,
+                    students: results.map(result => ({
+                        student_id: result.student_id,
+                        action: result.action,
+                        to_class: result.to_class,
+                        promotion_id: result.promotion_id,
+                        balance_transfer_id: result.balance_transfer_id
+                    }))
+                }
+            });
+
+            logger.info(`Batch promotion ${batchReference} completed`, {
+                batchReference,
+                fromClass: plan.from_class,
+                toClass: plan.to_class,
+                ...plan.summary
+            });
+
+            res.status(201).json({
+                message: 'Class promoted successfully',
+                data: {
+                    batch_reference: batchReference,
+                    from_class: plan.from_class,
+                    to_class: plan.to_class,
+                    to_academic_year: toAcademicYear,
+                    summary: plan.summary,
+                    students: results
+                }
+            });
+
+        } catch (error) {
+            await transaction.rollback();
+
+            logger.error('Batch promotion failed', {
+                error: error.message,
+                fromClass: plan.from_class,
+                batchReference
+            });
+
+            res.status(500).json({
+                error: 'Failed to promote class. No students were changed.'
+            });
+        }
+    }
+
+    /**
+     * Record a student leaving the school by graduating, transferring out
+     * or withdrawing. The outstanding balance at that point is frozen as the
+     * student's final balance.
+     */
+    async exitStudent(req, res) {
+        const transaction = await sequelize.transaction();
+
+        try {
+            const {
+                studentId,
+                exitType,
+                exitDate,
+                destination,
+                academicYear,
+                remarks
+            } = req.body;
+
+            const student = await Student.findByPk(studentId, { transaction });
+            if (!student) {
+                throw new ValidationError(PromotionErrors.STUDENT_NOT_FOUND);
+            }
+
+            if (student.exit_type || student.status !== 'ACTIVE') {
+                throw new ValidationError(PromotionErrors.STUDENT_ALREADY_EXITED);
+            }
+
+            if (exitType === 'GRADUATED' && !this.canGraduate(student.current_class)) {
+                throw new ValidationError(PromotionErrors.GRADUATION_NOT_ALLOWED);
+            }
+
+            const exitYear = academicYear || student.academic_year;
+            if (!exitYear) {
+                throw new ValidationError('Academic year is required for students without one on record');
+            }
+
+            const { promotion, totalBalance } = await this.applyPromotion(student, {
+                promotionType: exitType,
+                fromAcademicYear: exitYear,
+                toAcademicYear: exitYear,
+                exitDate,
+                destination,
+                remarks,
+                userId: req.user.id
+            }, transaction);
+
+            await transaction.commit();
+
+            await UserActivity.logActivity({
+                user_id: req.user.id,
+                activity_type: 'STUDENT_EXIT',
+                module: 'PROMOTION',
+                description: `Student ${student.admission_number} left the school (${exitType})`,
+                entity_type: 'Student',
+                entity_id: student.id,
+                ip_address: req.ip,
+                new_values: {
+                    exit_type: exitType,
+                    exit_date: student.exit_date,
+                    exit_destination: student.exit_destination,
+                    final_balance: totalBalance
+                },
+                additional_info: { promotion_id: promotion.id }
+            });
+
+            logger.info(`Student ${studentId} exited as ${exitType}`, {
+                studentId,
+                exitType,
+                fromClass: promotion.from_class,
+                finalBalance: totalBalance
+            });
+
+            res.status(201).json({
+                message: 'Student exit recorded successfully',
+                data: {
+                    student,
+                    promotion,
+                    finalBalance: totalBalance,
+                    clearanceAvailable: totalBalance === 0
+                }
+            });
+
+        } catch (error) {
+            await transaction.rollback();
+
+            logger.error('Student exit failed', {
+                error: error.message,
+                studentId: req.body.studentId
+            });
+
+            if (error instanceof ValidationError) {
+                return res.status(400).json({
+                    error: error.message
+                });
+            }
+
+            res.status(500).json({
+                error: 'Failed to record student exit. Please try again.'
+            });
+        }
+    }
+
+    /**
+     * Download the clearance certificate of a student who has left the
+     * school. Only issued once nothing is owed on any invoice.
+     */
+    async getClearanceCertificate(req, res) {
+        try {
+            const { studentId } = req.params;
+
+            const student = await Student.findByPk(studentId);
+            if (!student) {
+                throw new NotFoundError(PromotionErrors.STUDENT_NOT_FOUND);
+            }
+
+            if (!student.exit_type) {
+                throw new ValidationError(PromotionErrors.STUDENT_NOT_EXITED);
+            }
+
+            const { totalBalance } = await this.getOutstandingBalances(student.id);
+            if (totalBalance > 0) {
+                return res.status(422).json({
+                    error: PromotionErrors.CLEARANCE_BALANCE_OUTSTANDING,
+                    details: {
+                        outstanding_balance: totalBalance,
+                        final_balance: parseFloat(student.final_balance || 0)
+                    }
+                });
+            }
+
+            const certificate = await generateClearanceCertificatePdf(student);
+
+            res.setHeader('Content-Type', 'application/pdf');
+            res.setHeader(
+                'Content-Disposition',
+                `attachment; filename=clearance-${student.admission_number}.pdf`
+            );
+            res.send(certificate);
+
+        } catch (error) {
+            if (error instanceof NotFoundError) {
+                return res.status(404).json({
+                    error: error.message
+                });
+            }
+
+            if (error instanceof ValidationError) {
+                return res.status(400).json({
+                    error: error.message
+                });
+            }
+
+            logger.error('Failed to generate clearance certificate', {
+                error: error.message,
+                studentId: req.params.studentId
+            });
+
+            res.status(500).json({
+                error: 'Failed to generate clearance certificate'
+            });
+        }
+    }
+
     async getPromotionHistory(req, res) {
         try {
             const { studentId } = req.params;
@@ -0,0 +1,375 @@
+const {
+    BankStatement,
+    BankStatementLine,
+    Payment,
+    Student,
+    sequelize
+} = require('../models');
+const { ValidationError, BusinessError, NotFoundError } = require('../utils/errors');
+const { Op } = require('sequelize');
+const ExcelJS = require('exceljs');
+const logger = require('../utils/logger');
+const { parseBankStatement, findPaymentMatch } = require('../utils/bankStatementImport');
+
+const QUEUE_STATUSES = ['UNMATCHED', 'SUGGESTED'];
+
+const paymentSummary = {
+    model: Payment,
+    attributes: ['id', 'receipt_number', 'invoice_id', 'amount', 'payment_date', 'payment_mode', 'transaction_id', 'cheque_number', 'status'],
+    include: [{
+        model: Student,
+        as: 'student',
+        attributes: ['id', 'first_name', 'last_name', 'admission_number']
+    }]
+};
+
+class ReconciliationController {
+    /**
+     * Import a bank statement and verify the pending payments its credits
+     * settle. Lines without a confident match go to the reconciliation queue.
+     */
+    async importStatement(req, res) {
+        const file = req.files?.file;
+        if (!file) {
+            throw new ValidationError('Please upload a .csv or .ofx bank statement');
+        }
+
+        const parsed = await parseBankStatement(file);
+        const credits = parsed.lines.filter(line => line.amount > 0);
+
+        // Lines already imported from an overlapping statement
+        const existing = credits.length ? await BankStatementLine.findAll({
+            where: { fingerprint: credits.map(line => line.fingerprint) },
+            attributes: ['fingerprint']
+        }) : [];
+        const imported = new Set(existing.map(line => line.fingerprint));
+        const newLines = credits.filter(line => !imported.has(line.fingerprint));
+
+        if (!newLines.length) {
+            throw new BusinessError(credits.length
+                ? 'Every credit on this statement has already been imported'
+                : 'The statement has no credit lines');
+        }
+
+        const summary = {
+            lines: parsed.lines.length,
+            debits_skipped: parsed.lines.length - credits.length,
+            already_imported: credits.length - newLines.length,
+            auto_matched: 0,
+            suggested: 0,
+            unmatched: 0
+        };
+
+        const transaction = await sequelize.transaction();
+        let statement;
+        const lines = [];
+
+        try {
+            const dates = newLines.map(line => line.transaction_date).sort();
+            statement = await BankStatement.create({
+                file_name: file.name,
+                file_format: parsed.file_format,
+                account_number: parsed.account_number,
+                period_start: dates[0],
+                period_end: dates[dates.length - 1],
+                credit_count: newLines.length,
+                total_credits: newLines.reduce((sum, line) => sum + line.amount, 0),
+                imported_by: req.user.id
+            }, { transaction });
+
+            // Cash and mobile money are verified when recorded, so only these can be waiting on the bank
+            const pending = await Payment.findAll({
+                where: {
+                    status: 'PENDING',
+                    payment_mode: { [Op.notIn]: ['CASH', 'MOBILE_WALLET'] }
+                },
+                transaction
+            });
+
+            for (const line of newLines) {
+                const match = findPaymentMatch(line, pending);
+                const record = {
+                    ...line,
+                    bank_statement_id: statement.id,
+                    status: 'UNMATCHED',
+                    match_note: match ? match.note : null
+                };
+
+                if (match && match.confident) {
+                    await match.payment.verify(req.user.id, { transaction });
+                    pending.splice(pending.indexOf(match.payment), 1);
+
+                    Object.assign(record, {
+                        status: 'AUTO_MATCHED',
+                        payment_id: match.payment.id,
+                        matched_by: req.user.id,
+                        matched_at: new Date()
+                    });
+                    summary.auto_matched += 1;
+                } else if (match && match.payment) {
+                    Object.assign(record, {
+                        status: 'SUGGESTED',
+                        suggested_payment_id: match.payment.id
+                    });
+                    summary.suggested += 1;
+                } else {
+                    summary.unmatched += 1;
+                }
+
+                lines.push(await BankStatementLine.create(record, { transaction }));
+            }
+
+            await statement.update({ auto_matched_count: summary.auto_matched }, { transaction });
+
+            await transaction.commit();
+
+        } catch (error) {
+            await transaction.rollback();
+            throw error;
+        }
+
+        logger.info('Bank statement imported', {
+            statementId: statement.id,
+            file: file.name,
+            ...summary,
+            importedBy: req.user.id
+        });
+
+        res.status(201).json({
+            message: 'Bank statement imported',
+            data: { statement, summary, lines }
+        });
+    }
+
+    /**
+     * List imported statements, newest first
+     */
+    async getStatements(req, res) {
+        const { page = 1, limit = 20 } = req.query;
+
+        const statements = await BankStatement.findAndCountAll({
+            order: [['createdAt', 'DESC']],
+            limit: parseInt(limit),
+            offset: (page - 1) * limit
+        });
+
+        res.json({
+            data: statements.rows,
+            pagination: {
+                total: statements.count,
+                page: parseInt(page),
+                limit: parseInt(limit),
+                totalPages: Math.ceil(statements.count / parseInt(limit))
+            }
+        });
+    }
+
+    /**
+     * Statement credits waiting to be matched, with any suggested payment
+     */
+    async getQueue(req, res) {
+        const { status, bank_statement_id, page = 1, limit = 20 } = req.query;
+
+        const where = { status: status && QUEUE_STATUSES.includes(status) ? status : QUEUE_STATUSES };
+        if (bank_statement_id) where.bank_statement_id = bank_statement_id;
+
+        const lines = await BankStatementLine.findAndCountAll({
+            where,
+            include: [{
+                ...paymentSummary,
+                as: 'suggestedPayment'
+            }, {
+                model: BankStatement,
+                as: 'statement',
+                attributes: ['id', 'file_name', 'account_number']
+            }],
+            order: [['transaction_date', 'ASC'], ['id', 'ASC']],
+            limit: parseInt(limit),
+            offset: (page - 1) * limit
+        });
+
+        res.json({
+            data: lines.rows,
+            pagination: {
+                total: lines.count,
+                page: parseInt(page),
+                limit: parseInt(limit),
+                totalPages: Math.ceil(lines.count / parseInt(limit))
+            }
+        });
+    }
+
+    /**
+     * Match a queued statement credit to a pending payment and verify it.
+     * Without a payment the line's suggestion is confirmed.
+     */
+    async matchLine(req, res) {
+        const transaction = await sequelize.transaction();
+
+        try {
+            const line = await BankStatementLine.findByPk(req.params.id, {
+                transaction,
+                lock: transaction.LOCK.UPDATE
+            });
+            if (!line) {
+                throw new NotFoundError('Statement line not found');
+            }
+
+            if (!QUEUE_STATUSES.includes(line.status)) {
+                throw new BusinessError(`Statement line is already ${line.status.toLowerCase().replace('_', ' ')}`);
+            }
+
+            const paymentId = req.body.payment_id || line.suggested_payment_id;
+            if (!paymentId) {
+                throw new ValidationError('Choose the payment this credit settles');
+            }
+
+            const payment = await Payment.findByPk(paymentId, { transaction });
+            if (!payment) {
+                throw new NotFoundError('Payment not found');
+            }
+
+            if (payment.status !== 'PENDING') {
+                throw new BusinessError('Payment is not in pending status');
+            }
+
+            if (Math.round(parseFloat(payment.amount) * 100) !== Math.round(parseFloat(line.amount) * 100)) {
+                throw new BusinessError(
+                    `Statement credit of ${parseFloat(line.amount).toFixed(2)} does not equal the payment amount of ${parseFloat(payment.amount).toFixed(2)}`
+                );
+            }
+
+            await payment.verify(req.user.id, { transaction });
+
+            await line.update({
+                status: 'MANUALLY_MATCHED',
+                payment_id: payment.id,
+                match_note: req.body.remarks || line.match_note,
+                matched_by: req.user.id,
+                matched_at: new Date()
+            }, { transaction });
+
+            await transaction.commit();
+
+            logger.info('Statement line matched', {
+                lineId: line.id,
+                paymentId: payment.id,
+                matchedBy: req.user.id
+            });
+
+            res.json({
+                message: 'Payment verified against the bank statement',
+                data: line
+            });
+
+        } catch (error) {
+            await transaction.rollback();
+            throw error;
+        }
+    }
+
+    /**
+     * Take a credit that is not a fee payment, such as interest, out of the queue
+     */
+    async ignoreLine(req, res) {
+        const line = await BankStatementLine.findByPk(req.params.id);
+        if (!line) {
+            throw new NotFoundError('Statement line not found');
+        }
+
+        if (!QUEUE_STATUSES.includes(line.status)) {
+            throw new BusinessError(`Statement line is already ${line.status.toLowerCase().replace('_', ' ')}`);
+        }
+
+        await line.update({
+            status: 'IGNORED',
+            suggested_payment_id: null,
+            match_note: req.body.reason,
+            matched_by: req.user.id,
+            matched_at: new Date()
+        });
+
+        res.json({
+            message: 'Statement line ignored',
+            data: line
+        });
+    }
+
+    /**
+     * Bank credits no payment has been matched to
+     */
+    async getUnmatchedCreditsReport(req, res) {
+        const { start_date, end_date, format = 'json' } = req.query;
+
+        const where = { status: QUEUE_STATUSES };
+        if (start_date && end_date) {
+            where.transaction_date = {
+                [Op.between]: [start_date, end_date]
+            };
+        }
+
+        const lines = await BankStatementLine.findAll({
+            where,
+            include: [{
+                model: BankStatement,
+                as: 'statement',
+                attributes: ['id', 'file_name', 'account_number']
+            }],
+            order: [['transaction_date', 'ASC'], ['id', 'ASC']]
+        });
+
+        const today = new Date();
+        const rows = lines.map(line => ({
+            id: line.id,
+            transaction_date: line.transaction_date,
+            days_outstanding: Math.floor((today - new Date(line.transaction_date)) / (24 * 60 * 60 * 1000)),
+            amount: parseFloat(line.amount),
+            description: line.description,
+            reference: line.reference || line.bank_transaction_id,
+            cheque_number: line.cheque_number,
+            status: line.status,
+            match_note: line.match_note,
+            statement: line.statement?.file_name
+        }));
+
+        const summary = {
+            count: rows.length,
+            total_amount: Math.round(rows.reduce((sum, row) => sum + row.amount, 0) * 100) / 100,
+            suggested: rows.filter(row => row.status === 'SUGGESTED').length
+        };
+
+        if (format === 'excel') {
+            const workbook = new ExcelJS.Workbook();
+            const worksheet = workbook.addWorksheet('Unmatched Credits');
+
+            worksheet.columns = [
+                { header: 'Date', key: 'transaction_date', width: 12 },
+                { header: 'Days Outstanding', key: 'days_outstanding', width: 16 },
+                { header: 'Amount', key: 'amount', width: 14 },
+                { header: 'Description', key: 'description', width: 30 },
+                { header: 'Reference', key: 'reference', width: 18 },
+                { header: 'Cheque Number', key: 'cheque_number', width: 14 },
+                { header: 'Status', key: 'status', width: 12 },
+                { header: 'Note', key: 'match_note', width: 36 },
+                { header: 'Statement', key: 'statement', width: 24 }
+            ];
+            worksheet.getRow(1).font = { bold: true };
+            rows.forEach(row => worksheet.addRow(row));
+
+            res.setHeader(
+                'Content-Type',
+                'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+            );
+            res.setHeader(
+                'Content-Disposition',
+                'attachment; filename=unmatched-bank-credits.xlsx'
+            );
+
+            return workbook.xlsx.write(res).then(() => res.end());
+        }
+
+        res.json({ data: { summary, lines: rows } });
+    }
+}
+
+module.exports = new ReconciliationController();
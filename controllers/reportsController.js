@@ -2,7 +2,10 @@ const {
     Employee, 
     Salary, 
     Invoice, 
+    InvoiceDiscount,
+    DiscountScheme,
     Payment, 
+    StudentCreditTransaction,
     Expense, 
     Budget,
     Department,
@@ -47,6 +50,8 @@ class ReportsController {
             order: [[sequelize.fn('DATE', sequelize.col('payment_date')), 'DESC']]
         });
 
+        const credit = await StudentCreditTransaction.summarize({ from: start_date, to: end_date });
+
         if (format === 'excel') {
             const workbook = new ExcelJS.Workbook();
             const worksheet = workbook.addWorksheet('Fee Collections');
@@ -67,6 +72,15 @@ class ReportsController {
                 });
             });
 
+            const creditSheet = workbook.addWorksheet('Credit Movements');
+            creditSheet.columns = [
+                { header: 'Movement', key: 'movement', width: 25 },
+                { header: 'Amount', key: 'amount', width: 15 }
+            ];
+            Object.entries(credit).forEach(([movement, amount]) => {
+                creditSheet.addRow({ movement, amount });
+            });
+
             res.setHeader(
                 'Content-Type',
                 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
@@ -79,7 +93,7 @@ class ReportsController {
             return workbook.xlsx.write(res).then(() => res.end());
         }
 
-        res.json({ data: collections });
+        res.json({ data: collections, credit });
     }
 
     /**
@@ -223,6 +237,104 @@ class ReportsController {
             group: ['type']
         });
 
+        // Year-over-year comparison of rolled-over budgets against the budget they came from
+        const rolledOver = await Budget.findAll({
+            where: {
+                ...where,
+                previous_budget_id: { [Op.ne]: null }
+            },
+            include: [{
+                model: Budget,
+                as: 'previousBudget'
+            }],
+            order: [['academic_year', 'ASC'], ['type', 'ASC']]
+        });
+
+        // Revised budgets against the budget as originally approved
+        const revised = await Budget.findAll({
+            where: {
+                ...where,
+                revision_number: { [Op.gt]: 0 }
+            },
+            order: [['academic_year', 'ASC'], ['type', 'ASC']]
+        });
+
+        const categoryIds = new Set();
+        rolledOver.forEach(budget => {
+            Object.keys(budget.category_allocations || {}).forEach(id => categoryIds.add(id));
+            Object.keys(budget.previousBudget?.category_allocations || {}).forEach(id => categoryIds.add(id));
+        });
+        revised.forEach(budget => {
+            Object.keys(budget.category_allocations || {}).forEach(id => categoryIds.add(id));
+            Object.keys(budget.original_values?.category_allocations || {}).forEach(id => categoryIds.add(id));
+        });
+        const categories = categoryIds.size ? await ExpenseCategory.findAll({
+            where: { id: [...categoryIds] },
+            attributes: ['id', 'name']
+        }) : [];
+
+        const change = (previous, current) => ({
+            previous,
+            current,
+            change: Math.round((current - previous) * 100) / 100,
+            change_percentage: previous ? Math.round(((current - previous) / previous) * 10000) / 100 : null
+        });
+
+        const comparison = rolledOver.map(budget => {
+            const previous = budget.previousBudget;
+            const previousAllocations = previous?.category_allocations || {};
+            const currentAllocations = budget.category_allocations || {};
+            const details = budget.rollover_details?.categories || {};
+
+            return {
+                budget_id: budget.id,
+                title: budget.title,
+                type: budget.type,
+                academic_year: budget.academic_year,
+                previous_budget_id: budget.previous_budget_id,
+                previous_academic_year: previous?.academic_year,
+                uplift_percentage: budget.rollover_details?.uplift_percentage ?? null,
+                total_amount: change(parseFloat(previous?.total_amount) || 0, parseFloat(budget.total_amount)),
+                utilized_amount: change(parseFloat(previous?.utilized_amount) || 0, parseFloat(budget.utilized_amount)),
+                categories: [...new Set([...Object.keys(previousAllocations), ...Object.keys(currentAllocations)])]
+                    .map(categoryId => ({
+                        category_id: parseInt(categoryId),
+                        category_name: categories.find(c => c.id === parseInt(categoryId))?.name,
+                        ...change(parseFloat(previousAllocations[categoryId]) || 0, parseFloat(currentAllocations[categoryId]) || 0),
+                        carried_over: details[categoryId]?.carried_over || 0,
+                        lapsed: details[categoryId]?.lapsed || 0
+                    }))
+            };
+        });
+
+        const revisions = revised.map(budget => {
+            const original = budget.original_values || {};
+            const originalAllocations = original.category_allocations || {};
+            const currentAllocations = budget.category_allocations || {};
+            const originalMonthly = original.monthly_allocations || {};
+            const currentMonthly = budget.monthly_allocations || {};
+
+            return {
+                budget_id: budget.id,
+                title: budget.title,
+                type: budget.type,
+                academic_year: budget.academic_year,
+                revision_number: budget.revision_number,
+                total_amount: change(parseFloat(original.total_amount) || 0, parseFloat(budget.total_amount)),
+                categories: [...new Set([...Object.keys(originalAllocations), ...Object.keys(currentAllocations)])]
+                    .map(categoryId => ({
+                        category_id: parseInt(categoryId),
+                        category_name: categories.find(c => c.id === parseInt(categoryId))?.name,
+                        ...change(parseFloat(originalAllocations[categoryId]) || 0, parseFloat(currentAllocations[categoryId]) || 0)
+                    })),
+                months: [...new Set([...Object.keys(originalMonthly), ...Object.keys(currentMonthly)])]
+                    .map(month => ({
+                        month,
+                        ...change(parseFloat(originalMonthly[month]) || 0, parseFloat(currentMonthly[month]) || 0)
+                    }))
+            };
+        });
+
         if (format === 'pdf') {
             const doc = new PDFDocument();
             res.setHeader('Content-Type', 'application/pdf');
@@ -240,11 +352,46 @@ class ReportsController {
                 doc.moveDown();
             });
 
+            if (comparison.length) {
+                doc.fontSize(14).text('Year-over-Year Comparison', { align: 'center' });
+                doc.moveDown();
+
+                comparison.forEach(item => {
+                    doc.fontSize(12).text(`${item.title} (${item.previous_academic_year} → ${item.academic_year})`);
+                    doc.fontSize(10).text(`Total: ${item.total_amount.previous} → ${item.total_amount.current} (${item.total_amount.change_percentage ?? '-'}%)`);
+                    item.categories.forEach(category => {
+                        doc.fontSize(10).text(
+                            `  ${category.category_name || category.category_id}: ${category.previous} → ${category.current}` +
+                            (category.carried_over ? `, ${category.carried_over} carried over` : '') +
+                            (category.lapsed ? `, ${category.lapsed} lapsed` : '')
+                        );
+                    });
+                    doc.moveDown();
+                });
+            }
+
+            if (revisions.length) {
+                doc.fontSize(14).text('Original vs Revised Budgets', { align: 'center' });
+                doc.moveDown();
+
+                revisions.forEach(item => {
+                    doc.fontSize(12).text(`${item.title} (${item.academic_year}, version ${item.revision_number})`);
+                    doc.fontSize(10).text(`Total: ${item.total_amount.previous} → ${item.total_amount.current} (${item.total_amount.change_percentage ?? '-'}%)`);
+                    item.categories.forEach(category => {
+                        doc.fontSize(10).text(`  ${category.category_name || category.category_id}: ${category.previous} → ${category.current}`);
+                    });
+                    item.months.forEach(month => {
+                        doc.fontSize(10).text(`  ${month.month}: ${month.previous} → ${month.current}`);
+                    });
+                    doc.moveDown();
+                });
+            }
+
             doc.end();
             return;
         }
 
-        res.json({ data: budgets });
+        res.json({ data: budgets, comparison, revisions });
     }
 
     /**
@@ -345,6 +492,93 @@ class ReportsController {
 
         res.json({ data: summary });
     }
+
+    /**
+     * Generate revenue foregone report: discount scheme waivers given on
+     * invoices that have not been cancelled, per scheme
+     */
+    async getDiscountReport(req, res) {
+        const { academic_year, term, start_date, end_date, format = 'json' } = req.query;
+
+        const invoiceWhere = {
+            status: { [Op.ne]: 'CANCELLED' }
+        };
+        if (academic_year) invoiceWhere.academic_year = academic_year;
+        if (term) invoiceWhere.term = term;
+        if (start_date && end_date) {
+            invoiceWhere.createdAt = {
+                [Op.between]: [new Date(start_date), new Date(end_date)]
+            };
+        }
+
+        const rows = await InvoiceDiscount.findAll({
+            include: [{
+                model: Invoice,
+                as: 'invoice',
+                attributes: [],
+                where: invoiceWhere
+            }, {
+                model: DiscountScheme,
+                as: 'scheme',
+                attributes: ['id', 'code', 'name', 'scheme_type']
+            }],
+            attributes: [
+                'discount_scheme_id',
+                [sequelize.fn('SUM', sequelize.col('InvoiceDiscount.amount')), 'total_foregone'],
+                [sequelize.fn('COUNT', sequelize.fn('DISTINCT', sequelize.col('InvoiceDiscount.student_id'))), 'student_count'],
+                [sequelize.fn('COUNT', sequelize.fn('DISTINCT', sequelize.col('InvoiceDiscount.invoice_id'))), 'invoice_count']
+            ],
+            group: ['discount_scheme_id', 'scheme.id'],
+            order: [[sequelize.fn('SUM', sequelize.col('InvoiceDiscount.amount')), 'DESC']]
+        });
+
+        const schemes = rows.map(row => ({
+            scheme_id: row.scheme.id,
+            code: row.scheme.code,
+            name: row.scheme.name,
+            scheme_type: row.scheme.scheme_type,
+            student_count: parseInt(row.get('student_count')),
+            invoice_count: parseInt(row.get('invoice_count')),
+            total_foregone: parseFloat(row.get('total_foregone'))
+        }));
+
+        const totalForegone = schemes.reduce((sum, scheme) => sum + scheme.total_foregone, 0);
+
+        if (format === 'excel') {
+            const workbook = new ExcelJS.Workbook();
+            const worksheet = workbook.addWorksheet('Revenue Foregone');
+
+            worksheet.columns = [
+                { header: 'Code', key: 'code', width: 12 },
+                { header: 'Scheme', key: 'name', width: 30 },
+                { header: 'Type', key: 'scheme_type', width: 15 },
+                { header: 'Students', key: 'student_count', width: 12 },
+                { header: 'Invoices', key: 'invoice_count', width: 12 },
+                { header: 'Revenue Foregone', key: 'total_foregone', width: 18 }
+            ];
+
+            schemes.forEach(scheme => worksheet.addRow(scheme));
+            worksheet.addRow({ name: 'Total', total_foregone: totalForegone }).font = { bold: true };
+
+            res.setHeader(
+                'Content-Type',
+                'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+            );
+            res.setHeader(
+                'Content-Disposition',
+                'attachment; filename=revenue-foregone.xlsx'
+            );
+
+            return workbook.xlsx.write(res).then(() => res.end());
+        }
+
+        res.json({
+            data: {
+                schemes,
+                total_foregone: totalForegone
+            }
+        });
+    }
 }
 
 module.exports = new ReportsController();
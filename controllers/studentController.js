@@ -0,0 +1,483 @@
+const { Student, Invoice, InvoiceItem, sequelize } = require('../models');
+const { ValidationError, BusinessError, NotFoundError } = require('../utils/errors');
+const { Op } = require('sequelize');
+const logger = require('../utils/logger');
+const { getSchoolLevel } = require('../middleware/studentValidations');
+const {
+    buildStudentStatement,
+    generateStatementPdf,
+    generateStatementWorkbook
+} = require('../utils/studentStatement');
+const {
+    buildStudentTemplate,
+    parseStudentFile,
+    validateStudentRows
+} = require('../utils/studentImport');
+
+class StudentController {
+    /**
+     * Register a new student
+     */
+    async createStudent(req, res) {
+        const transaction = await sequelize.transaction();
+
+        try {
+            const existingStudent = await Student.findOne({
+                where: { admission_number: req.body.admission_number }
+            });
+
+            if (existingStudent) {
+                throw new BusinessError('A student with this admission number already exists');
+            }
+
+            const student = await Student.create({
+                ...req.body,
+                status: 'ACTIVE'
+            }, { transaction });
+
+            await transaction.commit();
+
+            logger.info('Student created', {
+                studentId: student.id,
+                admissionNumber: student.admission_number,
+                createdBy: req.user.id
+            });
+
+            res.status(201).json({
+                message: 'Student created successfully',
+                data: student
+            });
+
+        } catch (error) {
+            await transaction.rollback();
+            throw error;
+        }
+    }
+
+    /**
+     * Update student details
+     */
+    async updateStudent(req, res) {
+        const transaction = await sequelize.transaction();
+
+        try {
+            const { id } = req.params;
+            const updates = req.body;
+
+            const student = await Student.findByPk(id);
+            if (!student) {
+                throw new NotFoundError('Student not found');
+            }
+
+            if (updates.admission_number && updates.admission_number !== student.admission_number) {
+                const existingStudent = await Student.findOne({
+                    where: { admission_number: updates.admission_number }
+                });
+
+                if (existingStudent) {
+                    throw new BusinessError('A student with this admission number already exists');
+                }
+            }
+
+            // A class change moves the student to that class's school level
+            if (updates.current_class && !updates.school_level) {
+                updates.school_level = getSchoolLevel(updates.current_class);
+            } else if (updates.school_level && !updates.current_class &&
+                getSchoolLevel(student.current_class) !== updates.school_level) {
+                throw new ValidationError(`Class ${student.current_class} does not belong to the ${updates.school_level} school level`);
+            }
+
+            await student.update(updates, { transaction });
+
+            await transaction.commit();
+
+            logger.info('Student updated', {
+                studentId: student.id,
+                updatedBy: req.user.id,
+                fields: Object.keys(updates)
+            });
+
+            res.json({
+                message: 'Student updated successfully',
+                data: student
+            });
+
+        } catch (error) {
+            await transaction.rollback();
+            throw error;
+        }
+    }
+
+    /**
+     * Get student details
+     */
+    async getStudent(req, res) {
+        const student = await Student.findByPk(req.params.id);
+
+        if (!student) {
+            throw new NotFoundError('Student not found');
+        }
+
+        res.json({ data: student });
+    }
+
+    /**
+     * List and search students
+     */
+    async listStudents(req, res) {
+        const {
+            search,
+            class: className,
+            school_level,
+            status,
+            phone_number,
+            family_id,
+            sort_by = 'admission_number',
+            sort_order = 'ASC',
+            page = 1,
+            limit = 20
+        } = req.query;
+
+        const where = {};
+        if (className) where.current_class = className;
+        if (school_level) where.school_level = school_level;
+        if (status) where.status = status;
+        if (phone_number) where.phone_number = { [Op.like]: `%${phone_number}%` };
+        if (family_id) where.family_id = family_id === 'none' ? null : family_id;
+
+        if (search) {
+            const term = `%${search.trim()}%`;
+            where[Op.or] = [
+                { admission_number: { [Op.like]: term } },
+                { first_name: { [Op.like]: term } },
+                { last_name: { [Op.like]: term } },
+                { parent_name: { [Op.like]: term } },
+                { phone_number: { [Op.like]: term } },
+                sequelize.where(
+                    sequelize.fn('CONCAT', sequelize.col('first_name'), ' ', sequelize.col('last_name')),
+                    { [Op.like]: term }
+                )
+            ];
+        }
+
+        const students = await Student.findAndCountAll({
+            where,
+            order: [[sort_by, sort_order.toUpperCase()]],
+            limit: parseInt(limit),
+            offset: (page - 1) * limit
+        });
+
+        res.json({
+            data: students.rows,
+            pagination: {
+                total: students.count,
+                page: parseInt(page),
+                limit: parseInt(limit),
+                totalPages: Math.ceil(students.count / parseInt(limit))
+            }
+        });
+    }
+
+    /**
+     * Deactivate a student
+     */
+    async deactivateStudent(req, res) {
+        const transaction = await sequelize.transaction();
+
+        try {
+            const { id } = req.params;
+            const { reason } = req.body;
+
+            const student = await Student.findByPk(id);
+            if (!student) {
+                throw new NotFoundError('Student not found');
+            }
+
+            if (student.status === 'INACTIVE') {
+                throw new BusinessError('Student is already inactive');
+            }
+
+            await student.deactivate(req.user.id, reason, { transaction });
+
+            await transaction.commit();
+
+            const outstandingBalance = await Invoice.sum('balance_amount', {
+                where: {
+                    student_id: student.id,
+                    status: { [Op.ne]: 'CANCELLED' }
+                }
+            }) || 0;
+
+            logger.info('Student deactivated', {
+                studentId: student.id,
+                deactivatedBy: req.user.id,
+                reason,
+                outstandingBalance
+            });
+
+            res.json({
+                message: 'Student deactivated successfully',
+                data: {
+                    ...student.toJSON(),
+                    outstanding_balance: outstandingBalance
+                }
+            });
+
+        } catch (error) {
+            await transaction.rollback();
+            throw error;
+        }
+    }
+
+    /**
+     * Reactivate an inactive student
+     */
+    async reactivateStudent(req, res) {
+        const transaction = await sequelize.transaction();
+
+        try {
+            const student = await Student.findByPk(req.params.id);
+            if (!student) {
+                throw new NotFoundError('Student not found');
+            }
+
+            if (student.status === 'ACTIVE') {
+                throw new BusinessError('Student is already active');
+            }
+
+            if (student.exit_type) {
+                throw new BusinessError('Students who have left the school cannot be reactivated');
+            }
+
+            await student.reactivate({ transaction });
+
+            await transaction.commit();
+
+            logger.info('Student reactivated', {
+                studentId: student.id,
+                reactivatedBy: req.user.id
+            });
+
+            res.json({
+                message: 'Student reactivated successfully',
+                data: student
+            });
+
+        } catch (error) {
+            await transaction.rollback();
+            throw error;
+        }
+    }
+
+    /**
+     * Accept cheques from a student again after a bounced cheque
+     */
+    async allowCheques(req, res) {
+        const student = await Student.findByPk(req.params.id);
+        if (!student) {
+            throw new NotFoundError('Student not found');
+        }
+
+        if (!student.cheques_refused) {
+            throw new BusinessError('Cheques are already accepted from this student');
+        }
+
+        await student.update({
+            cheques_refused: false,
+            cheque_refusal_reason: null
+        });
+
+        logger.info('Cheque restriction lifted', {
+            studentId: student.id,
+            liftedBy: req.user.id
+        });
+
+        res.json({
+            message: 'Cheques are accepted from this student again',
+            data: student
+        });
+    }
+
+    /**
+     * Download the student import template
+     */
+    async getImportTemplate(req, res) {
+        const workbook = buildStudentTemplate();
+
+        res.setHeader(
+            'Content-Type',
+            'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+        );
+        res.setHeader(
+            'Content-Disposition',
+            'attachment; filename=student-import-template.xlsx'
+        );
+
+        return workbook.xlsx.write(res).then(() => res.end());
+    }
+
+    /**
+     * Import students from a CSV or Excel roster.
+     * Runs as a dry run unless dry_run=false; invalid rows block the import
+     * unless skip_invalid=true, in which case only the valid rows are created.
+     */
+    async importStudents(req, res) {
+        const file = req.files?.file;
+        if (!file) {
+            throw new ValidationError('Please upload a .csv or .xlsx file');
+        }
+
+        const dryRun = req.query.dry_run !== 'false';
+        const skipInvalid = req.query.skip_invalid === 'true';
+
+        const rows = await validateStudentRows(await parseStudentFile(file));
+        const validRows = rows.filter(row => row.status === 'VALID');
+        const summary = {
+            total: rows.length,
+            valid: validRows.length,
+            invalid: rows.length - validRows.length,
+            imported: 0
+        };
+
+        if (dryRun) {
+            return res.json({
+                message: 'Import preview generated',
+                data: { dry_run: true, summary, rows }
+            });
+        }
+
+        if (summary.invalid && !skipInvalid) {
+            throw new BusinessError(`${summary.invalid} row(s) failed validation; fix them or import with skip_invalid=true`);
+        }
+
+        if (!validRows.length) {
+            throw new BusinessError('There are no valid rows to import');
+        }
+
+        const transaction = await sequelize.transaction();
+
+        try {
+            await Student.bulkCreate(
+                validRows.map(row => ({ ...row.data, status: 'ACTIVE' })),
+                { transaction, validate: true }
+            );
+
+            await transaction.commit();
+
+        } catch (error) {
+            await transaction.rollback();
+            throw error;
+        }
+
+        summary.imported = validRows.length;
+        validRows.forEach(row => {
+            row.status = 'IMPORTED';
+        });
+
+        logger.info('Students imported', {
+            file: file.name,
+            imported: summary.imported,
+            skipped: summary.invalid,
+            importedBy: req.user.id
+        });
+
+        res.status(201).json({
+            message: `${summary.imported} student(s) imported successfully`,
+            data: { dry_run: false, summary, rows }
+        });
+    }
+
+    /**
+     * Get outstanding balances per fee item for a student
+     */
+    async getOutstandingBalance(req, res) {
+        const student = await Student.findByPk(req.params.id);
+        if (!student) {
+            throw new NotFoundError('Student not found');
+        }
+
+        const items = await InvoiceItem.findAll({
+            where: {
+                balance_amount: { [Op.gt]: 0 }
+            },
+            include: [{
+                model: Invoice,
+                as: 'invoice',
+                attributes: ['id', 'invoice_number', 'academic_year', 'term'],
+                where: {
+                    student_id: student.id,
+                    status: { [Op.ne]: 'CANCELLED' }
+                }
+            }],
+            order: [[{ model: Invoice, as: 'invoice' }, 'due_date', 'ASC'], ['display_order', 'ASC']]
+        });
+
+        const balances = items.map(item => ({
+            invoice_item_id: item.id,
+            invoice_number: item.invoice.invoice_number,
+            academic_year: item.invoice.academic_year,
+            term: item.invoice.term,
+            fee_item_name: item.item_name,
+            original_amount: parseFloat(item.amount),
+            balance_amount: parseFloat(item.balance_amount)
+        }));
+
+        res.json({
+            data: {
+                items: balances,
+                total: balances.reduce((sum, item) => sum + item.balance_amount, 0)
+            }
+        });
+    }
+
+    /**
+     * Get a student's statement of account
+     */
+    async getStatement(req, res) {
+        const { id } = req.params;
+        const { from, to, format = 'json' } = req.query;
+
+        const student = await Student.findByPk(id);
+        if (!student) {
+            throw new NotFoundError('Student not found');
+        }
+
+        const statement = await buildStudentStatement(student, { from, to });
+        const filename = `statement-${student.admission_number}`;
+
+        logger.info('Student statement generated', {
+            studentId: student.id,
+            format,
+            from,
+            to,
+            generatedBy: req.user.id
+        });
+
+        if (format === 'pdf') {
+            const buffer = await generateStatementPdf(statement);
+
+            res.setHeader('Content-Type', 'application/pdf');
+            res.setHeader('Content-Disposition', `attachment; filename=${filename}.pdf`);
+            return res.send(buffer);
+        }
+
+        if (format === 'excel') {
+            const workbook = generateStatementWorkbook(statement);
+
+            res.setHeader(
+                'Content-Type',
+                'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+            );
+            res.setHeader(
+                'Content-Disposition',
+                `attachment; filename=${filename}.xlsx`
+            );
+
+            return workbook.xlsx.write(res).then(() => res.end());
+        }
+
+        res.json({ data: statement });
+    }
+}
+
+module.exports = new StudentController();
@@ -193,6 +193,28 @@ const BudgetManager = () => {
         }
     };
 
+    const handleRollover = async (budget) => {
+        const uplift = window.prompt(
+            `Roll over "${budget.title}" into next academic year.\n` +
+            'The budget will be closed. Enter an uplift percentage for the allocations (0 for none):',
+            '0'
+        );
+        if (uplift === null) return;
+
+        try {
+            setLoading(true);
+            const response = await expenseService.rolloverBudget(budget.id, {
+                uplift_percentage: parseFloat(uplift) || 0
+            });
+            toast.success(response.message);
+            fetchBudgets();
+        } catch (error) {
+            toast.error(error.message);
+        } finally {
+            setLoading(false);
+        }
+    };
+
     const handleCategoryAllocationChange = (categoryId, amount) => {
         setBudgetData(prev => ({
             ...prev,
@@ -373,12 +395,20 @@ const BudgetManager = () => {
                                             </button>
                                         )}
                                         {budget.status === 'ACTIVE' && (
-                                            <button
-                                                onClick={() => handleClose(budget.id)}
-                                                className="text-red-500 hover:text-red-700"
-                                            >
-                                                Close
-                                            </button>
+                                            <>
+                                                <button
+                                                    onClick={() => handleRollover(budget)}
+                                                    className="text-indigo-500 hover:text-indigo-700 mr-2"
+                                                >
+                                                    Roll Over
+                                                </button>
+                                                <button
+                                                    onClick={() => handleClose(budget.id)}
+                                                    className="text-red-500 hover:text-red-700"
+                                                >
+                                                    Close
+                                                </button>
+                                            </>
                                         )}
                                     </td>
                                 </tr>
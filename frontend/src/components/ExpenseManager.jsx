@@ -10,6 +10,8 @@ const ExpenseManager = () => {
     const [vendors, setVendors] = useState([]);
     const [selectedExpense, setSelectedExpense] = useState(null);
     const [showExpenseModal, setShowExpenseModal] = useState(false);
+    const [activeTab, setActiveTab] = useState('expenses');
+    const [approvals, setApprovals] = useState({ pending: [], returned: [] });
     const [filters, setFilters] = useState({
         category_id: '',
         vendor_id: '',
@@ -37,6 +39,12 @@ const ExpenseManager = () => {
         fetchVendors();
     }, [filters]);
 
+    useEffect(() => {
+        if (activeTab === 'approvals') {
+            fetchApprovals();
+        }
+    }, [activeTab]);
+
     const fetchExpenses = async () => {
         try {
             setLoading(true);
@@ -49,6 +57,25 @@ const ExpenseManager = () => {
         }
     };
 
+    const fetchApprovals = async () => {
+        try {
+            setLoading(true);
+            const response = await expenseService.getPendingApprovals();
+            setApprovals(response.data);
+        } catch (error) {
+            toast.error('Failed to fetch pending approvals');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const refreshLists = () => {
+        fetchExpenses();
+        if (activeTab === 'approvals') {
+            fetchApprovals();
+        }
+    };
+
     const fetchCategories = async () => {
         try {
             const response = await expenseService.listCategories();
@@ -67,6 +94,24 @@ const ExpenseManager = () => {
         }
     };
 
+    // Budget blocks can be overridden with a reason by users holding the override permission
+    const withBudgetOverride = async (action) => {
+        try {
+            return await action();
+        } catch (error) {
+            if (!error.message.includes('budget override reason is required')) throw error;
+
+            const reason = window.prompt(`${error.message}\n\nEnter a reason to override the budget:`);
+            if (!reason) throw error;
+
+            return await action(reason);
+        }
+    };
+
+    const showBudgetWarnings = (response) => {
+        (response?.warnings || []).forEach(warning => toast.warning(warning));
+    };
+
     const handleFileChange = (e) => {
         setExpenseData(prev => ({
             ...prev,
@@ -85,11 +130,29 @@ const ExpenseManager = () => {
                 );
                 toast.success('Expense updated successfully');
             } else {
-                await expenseService.createExpense(expenseData, expenseData.attachments);
+                const response = await withBudgetOverride((reason) => expenseService.createExpense(
+                    reason ? { ...expenseData, budget_override_reason: reason } : expenseData,
+                    expenseData.attachments
+                ));
                 toast.success('Expense created successfully');
+                showBudgetWarnings(response);
             }
             setShowExpenseModal(false);
-            fetchExpenses();
+            refreshLists();
+        } catch (error) {
+            toast.error(error.message);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleSubmitForApproval = async (id) => {
+        try {
+            setLoading(true);
+            const response = await withBudgetOverride((reason) => expenseService.submitExpense(id, reason));
+            toast.success(response.message);
+            showBudgetWarnings(response);
+            refreshLists();
         } catch (error) {
             toast.error(error.message);
         } finally {
@@ -98,11 +161,31 @@ const ExpenseManager = () => {
     };
 
     const handleApprove = async (id) => {
+        const comment = window.prompt('Approval comment (optional):');
+        if (comment === null) return;
+
+        try {
+            setLoading(true);
+            const response = await withBudgetOverride((reason) => expenseService.approveExpense(id, comment, reason));
+            toast.success(response.message);
+            showBudgetWarnings(response);
+            refreshLists();
+        } catch (error) {
+            toast.error(error.message);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleReject = async (id) => {
+        const reason = window.prompt('Please enter rejection reason:');
+        if (!reason) return;
+
         try {
             setLoading(true);
-            await expenseService.approveExpense(id);
-            toast.success('Expense approved successfully');
-            fetchExpenses();
+            await expenseService.rejectExpense(id, reason);
+            toast.success('Expense returned to the requester');
+            refreshLists();
         } catch (error) {
             toast.error(error.message);
         } finally {
@@ -118,7 +201,7 @@ const ExpenseManager = () => {
             setLoading(true);
             await expenseService.cancelExpense(id, reason);
             toast.success('Expense cancelled successfully');
-            fetchExpenses();
+            refreshLists();
         } catch (error) {
             toast.error(error.message);
         } finally {
@@ -176,194 +259,396 @@ const ExpenseManager = () => {
                 </div>
             </div>
 
-            {/* Filters */}
-            <div className="bg-white p-4 rounded-lg shadow mb-6">
-                <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
-                    <div>
-                        <label className="block text-sm font-medium text-gray-700">
-                            Category
-                        </label>
-                        <select
-                            className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
-                            value={filters.category_id}
-                            onChange={(e) => setFilters({...filters, category_id: e.target.value})}
+            {/* Tabs */}
+            <div className="mb-6">
+                <div className="border-b border-gray-200">
+                    <nav className="-mb-px flex space-x-8">
+                        <button
+                            className={`${
+                                activeTab === 'expenses'
+                                    ? 'border-blue-500 text-blue-600'
+                                    : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+                            } whitespace-nowrap py-4 px-1 border-b-2 font-medium text-sm`}
+                            onClick={() => setActiveTab('expenses')}
                         >
-                            <option value="">All Categories</option>
-                            {categories.map(category => (
-                                <option key={category.id} value={category.id}>
-                                    {category.name}
-                                </option>
-                            ))}
-                        </select>
-                    </div>
-                    <div>
-                        <label className="block text-sm font-medium text-gray-700">
-                            Vendor
-                        </label>
-                        <select
-                            className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
-                            value={filters.vendor_id}
-                            onChange={(e) => setFilters({...filters, vendor_id: e.target.value})}
+                            Expenses
+                        </button>
+                        <button
+                            className={`${
+                                activeTab === 'approvals'
+                                    ? 'border-blue-500 text-blue-600'
+                                    : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+                            } whitespace-nowrap py-4 px-1 border-b-2 font-medium text-sm`}
+                            onClick={() => setActiveTab('approvals')}
                         >
-                            <option value="">All Vendors</option>
-                            {vendors.map(vendor => (
-                                <option key={vendor.id} value={vendor.id}>
-                                    {vendor.name}
-                                </option>
-                            ))}
-                        </select>
-                    </div>
-                    <div>
-                        <label className="block text-sm font-medium text-gray-700">
-                            Status
-                        </label>
-                        <select
-                            className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
-                            value={filters.status}
-                            onChange={(e) => setFilters({...filters, status: e.target.value})}
-                        >
-                            <option value="">All Statuses</option>
-                            <option value="DRAFT">Draft</option>
-                            <option value="PENDING_APPROVAL">Pending Approval</option>
-                            <option value="APPROVED">Approved</option>
-                            <option value="REJECTED">Rejected</option>
-                            <option value="CANCELLED">Cancelled</option>
-                        </select>
-                    </div>
-                    <div>
-                        <label className="block text-sm font-medium text-gray-700">
-                            Start Date
-                        </label>
-                        <input
-                            type="date"
-                            className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
-                            value={filters.start_date}
-                            onChange={(e) => setFilters({...filters, start_date: e.target.value})}
-                        />
-                    </div>
-                    <div>
-                        <label className="block text-sm font-medium text-gray-700">
-                            End Date
-                        </label>
-                        <input
-                            type="date"
-                            className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
-                            value={filters.end_date}
-                            onChange={(e) => setFilters({...filters, end_date: e.target.value})}
-                        />
-                    </div>
-                    <div>
-                        <label className="block text-sm font-medium text-gray-700">
-                            Amount Range
-                        </label>
-                        <div className="grid grid-cols-2 gap-2">
-                            <input
-                                type="number"
-                                placeholder="Min"
-                                className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
-                                value={filters.min_amount}
-                                onChange={(e) => setFilters({...filters, min_amount: e.target.value})}
-                            />
-                            <input
-                                type="number"
-                                placeholder="Max"
-                                className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
-                                value={filters.max_amount}
-                                onChange={(e) => setFilters({...filters, max_amount: e.target.value})}
-                            />
-                        </div>
-                    </div>
+                            My Approvals
+                        </button>
+                    </nav>
                 </div>
             </div>
 
-            {/* Expenses List */}
-            <div className="bg-white rounded-lg shadow overflow-hidden">
-                <div className="overflow-x-auto">
-                    <table className="min-w-full">
-                        <thead>
-                            <tr className="bg-gray-50">
-                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                                    Title
-                                </th>
-                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+            {activeTab === 'expenses' && (
+                <>
+                    {/* Filters */}
+                    <div className="bg-white p-4 rounded-lg shadow mb-6">
+                        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700">
                                     Category
-                                </th>
-                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                                    Amount
-                                </th>
-                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                                    Date
-                                </th>
-                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                </label>
+                                <select
+                                    className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+                                    value={filters.category_id}
+                                    onChange={(e) => setFilters({...filters, category_id: e.target.value})}
+                                >
+                                    <option value="">All Categories</option>
+                                    {categories.map(category => (
+                                        <option key={category.id} value={category.id}>
+                                            {category.name}
+                                        </option>
+                                    ))}
+                                </select>
+                            </div>
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700">
+                                    Vendor
+                                </label>
+                                <select
+                                    className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+                                    value={filters.vendor_id}
+                                    onChange={(e) => setFilters({...filters, vendor_id: e.target.value})}
+                                >
+                                    <option value="">All Vendors</option>
+                                    {vendors.map(vendor => (
+                                        <option key={vendor.id} value={vendor.id}>
+                                            {vendor.name}
+                                        </option>
+                                    ))}
+                                </select>
+                            </div>
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700">
                                     Status
-                                </th>
-                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                                    Actions
-                                </th>
-                            </tr>
-                        </thead>
-                        <tbody className="bg-white divide-y divide-gray-200">
-                            {expenses.map((expense) => (
-                                <tr key={expense.id}>
-                                    <td className="px-6 py-4 whitespace-nowrap">
-                                        {expense.title}
-                                    </td>
-                                    <td className="px-6 py-4 whitespace-nowrap">
-                                        {expense.category.name}
-                                    </td>
-                                    <td className="px-6 py-4 whitespace-nowrap">
-                                        {formatAmount(expense.total_amount)}
-                                    </td>
-                                    <td className="px-6 py-4 whitespace-nowrap">
-                                        {formatDate(expense.expense_date)}
-                                    </td>
-                                    <td className="px-6 py-4 whitespace-nowrap">
-                                        <span className={`px-2 py-1 text-xs rounded-full
-                                            ${expense.status === 'APPROVED' ? 'bg-green-100 text-green-800' :
-                                              expense.status === 'PENDING_APPROVAL' ? 'bg-yellow-100 text-yellow-800' :
-                                              expense.status === 'REJECTED' ? 'bg-red-100 text-red-800' :
-                                              expense.status === 'CANCELLED' ? 'bg-gray-100 text-gray-800' :
-                                              'bg-blue-100 text-blue-800'}`}>
-                                            {expense.status.replace('_', ' ')}
-                                        </span>
-                                    </td>
-                                    <td className="px-6 py-4 whitespace-nowrap">
-                                        <button
-                                            onClick={() => {
-                                                setSelectedExpense(expense);
-                                                setExpenseData({
-                                                    ...expense,
-                                                    attachments: []
-                                                });
-                                                setShowExpenseModal(true);
-                                            }}
-                                            className="text-blue-500 hover:text-blue-700 mr-2"
-                                        >
-                                            Edit
-                                        </button>
-                                        {expense.status === 'PENDING_APPROVAL' && (
-                                            <button
-                                                onClick={() => handleApprove(expense.id)}
-                                                className="text-green-500 hover:text-green-700 mr-2"
-                                            >
-                                                Approve
-                                            </button>
-                                        )}
-                                        {['DRAFT', 'PENDING_APPROVAL'].includes(expense.status) && (
-                                            <button
-                                                onClick={() => handleCancel(expense.id)}
-                                                className="text-red-500 hover:text-red-700"
-                                            >
-                                                Cancel
-                                            </button>
-                                        )}
-                                    </td>
-                                </tr>
-                            ))}
-                        </tbody>
-                    </table>
+                                </label>
+                                <select
+                                    className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+                                    value={filters.status}
+                                    onChange={(e) => setFilters({...filters, status: e.target.value})}
+                                >
+                                    <option value="">All Statuses</option>
+                                    <option value="DRAFT">Draft</option>
+                                    <option value="PENDING_APPROVAL">Pending Approval</option>
+                                    <option value="APPROVED">Approved</option>
+                                    <option value="REJECTED">Rejected</option>
+                                    <option value="CANCELLED">Cancelled</option>
+                                </select>
+                            </div>
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700">
+                                    Start Date
+                                </label>
+                                <input
+                                    type="date"
+                                    className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+                                    value={filters.start_date}
+                                    onChange={(e) => setFilters({...filters, start_date: e.target.value})}
+                                />
+                            </div>
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700">
+                                    End Date
+                                </label>
+                                <input
+                                    type="date"
+                                    className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+                                    value={filters.end_date}
+                                    onChange={(e) => setFilters({...filters, end_date: e.target.value})}
+                                />
+                            </div>
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700">
+                                    Amount Range
+                                </label>
+                                <div className="grid grid-cols-2 gap-2">
+                                    <input
+                                        type="number"
+                                        placeholder="Min"
+                                        className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+                                        value={filters.min_amount}
+                                        onChange={(e) => setFilters({...filters, min_amount: e.target.value})}
+                                    />
+                                    <input
+                                        type="number"
+                                        placeholder="Max"
+                                        className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+                                        value={filters.max_amount}
+                                        onChange={(e) => setFilters({...filters, max_amount: e.target.value})}
+                                    />
+                                </div>
+                            </div>
+                        </div>
+                    </div>
+
+                    {/* Expenses List */}
+                    <div className="bg-white rounded-lg shadow overflow-hidden">
+                        <div className="overflow-x-auto">
+                            <table className="min-w-full">
+                                <thead>
+                                    <tr className="bg-gray-50">
+                                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                            Title
+                                        </th>
+                                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                            Category
+                                        </th>
+                                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                            Amount
+                                        </th>
+                                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                            Date
+                                        </th>
+                                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                            Status
+                                        </th>
+                                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                            Actions
+                                        </th>
+                                    </tr>
+                                </thead>
+                                <tbody className="bg-white divide-y divide-gray-200">
+                                    {expenses.map((expense) => (
+                                        <tr key={expense.id}>
+                                            <td className="px-6 py-4 whitespace-nowrap">
+                                                {expense.title}
+                                            </td>
+                                            <td className="px-6 py-4 whitespace-nowrap">
+                                                {expense.category.name}
+                                            </td>
+                                            <td className="px-6 py-4 whitespace-nowrap">
+                                                {formatAmount(expense.total_amount)}
+                                            </td>
+                                            <td className="px-6 py-4 whitespace-nowrap">
+                                                {formatDate(expense.expense_date)}
+                                            </td>
+                                            <td className="px-6 py-4 whitespace-nowrap">
+                                                <span className={`px-2 py-1 text-xs rounded-full
+                                                    ${expense.status === 'APPROVED' ? 'bg-green-100 text-green-800' :
+                                                      expense.status === 'PENDING_APPROVAL' ? 'bg-yellow-100 text-yellow-800' :
+                                                      expense.status === 'REJECTED' ? 'bg-red-100 text-red-800' :
+                                                      expense.status === 'CANCELLED' ? 'bg-gray-100 text-gray-800' :
+                                                      'bg-blue-100 text-blue-800'}`}>
+                                                    {expense.status.replace('_', ' ')}
+                                                </span>
+                                            </td>
+                                            <td className="px-6 py-4 whitespace-nowrap">
+                                                <button
+                                                    onClick={() => {
+                                                        setSelectedExpense(expense);
+                                                        setExpenseData({
+                                                            ...expense,
+                                                            attachments: []
+                                                        });
+                                                        setShowExpenseModal(true);
+                                                    }}
+                                                    className="text-blue-500 hover:text-blue-700 mr-2"
+                                                >
+                                                    Edit
+                                                </button>
+                                                {['DRAFT', 'REJECTED'].includes(expense.status) && (
+                                                    <button
+                                                        onClick={() => handleSubmitForApproval(expense.id)}
+                                                        className="text-indigo-500 hover:text-indigo-700 mr-2"
+                                                    >
+                                                        Submit
+                                                    </button>
+                                                )}
+                                                {expense.status === 'PENDING_APPROVAL' && (
+                                                    <>
+                                                        <button
+                                                            onClick={() => handleApprove(expense.id)}
+                                                            className="text-green-500 hover:text-green-700 mr-2"
+                                                        >
+                                                            Approve
+                                                        </button>
+                                                        <button
+                                                            onClick={() => handleReject(expense.id)}
+                                                            className="text-orange-500 hover:text-orange-700 mr-2"
+                                                        >
+                                                            Reject
+                                                        </button>
+                                                    </>
+                                                )}
+                                                {['DRAFT', 'PENDING_APPROVAL'].includes(expense.status) && (
+                                                    <button
+                                                        onClick={() => handleCancel(expense.id)}
+                                                        className="text-red-500 hover:text-red-700"
+                                                    >
+                                                        Cancel
+                                                    </button>
+                                                )}
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    </div>
+                </>
+            )}
+
+            {/* Approvals Inbox */}
+            {activeTab === 'approvals' && (
+                <div className="space-y-6">
+                    <div className="bg-white rounded-lg shadow overflow-hidden">
+                        <h3 className="text-lg font-semibold p-4">Waiting for My Approval</h3>
+                        <div className="overflow-x-auto">
+                            <table className="min-w-full">
+                                <thead>
+                                    <tr className="bg-gray-50">
+                                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                        Expense
+                                    </th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                        Category
+                                    </th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                        Amount
+                                    </th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                        Requested By
+                                    </th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                        Step
+                                    </th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                        Actions
+                                    </th>
+                                    </tr>
+                                </thead>
+                                <tbody className="bg-white divide-y divide-gray-200">
+                                    {approvals.pending.length === 0 && (
+                                        <tr>
+                                            <td colSpan="6" className="px-6 py-4 text-center text-gray-500">
+                                                Nothing is waiting for your approval
+                                            </td>
+                                        </tr>
+                                    )}
+                                    {approvals.pending.map((step) => (
+                                        <tr key={step.id}>
+                                            <td className="px-6 py-4 whitespace-nowrap">
+                                                <div>{step.expense.title}</div>
+                                                <div className="text-xs text-gray-500">{step.expense.expense_number}</div>
+                                            </td>
+                                            <td className="px-6 py-4 whitespace-nowrap">
+                                                {step.expense.category?.name}
+                                            </td>
+                                            <td className="px-6 py-4 whitespace-nowrap">
+                                                {formatAmount(step.expense.total_amount)}
+                                            </td>
+                                            <td className="px-6 py-4 whitespace-nowrap">
+                                                {step.expense.creator
+                                                    ? `${step.expense.creator.first_name} ${step.expense.creator.last_name}`
+                                                    : '-'}
+                                            </td>
+                                            <td className="px-6 py-4 whitespace-nowrap">
+                                                {step.step_name}
+                                            </td>
+                                            <td className="px-6 py-4 whitespace-nowrap">
+                                                <button
+                                                    onClick={() => handleApprove(step.expense_id)}
+                                                    className="text-green-500 hover:text-green-700 mr-2"
+                                                >
+                                                    Approve
+                                                </button>
+                                                <button
+                                                    onClick={() => handleReject(step.expense_id)}
+                                                    className="text-orange-500 hover:text-orange-700"
+                                                >
+                                                    Reject
+                                                </button>
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    </div>
+
+                    <div className="bg-white rounded-lg shadow overflow-hidden">
+                        <h3 className="text-lg font-semibold p-4">Returned to Me</h3>
+                        <div className="overflow-x-auto">
+                            <table className="min-w-full">
+                                <thead>
+                                    <tr className="bg-gray-50">
+                                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                        Expense
+                                    </th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                        Category
+                                    </th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                        Amount
+                                    </th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                        Reason
+                                    </th>
+                                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                        Actions
+                                    </th>
+                                    </tr>
+                                </thead>
+                                <tbody className="bg-white divide-y divide-gray-200">
+                                    {approvals.returned.length === 0 && (
+                                        <tr>
+                                            <td colSpan="5" className="px-6 py-4 text-center text-gray-500">
+                                                No rejected expenses
+                                            </td>
+                                        </tr>
+                                    )}
+                                    {approvals.returned.map((expense) => (
+                                        <tr key={expense.id}>
+                                            <td className="px-6 py-4 whitespace-nowrap">
+                                                <div>{expense.title}</div>
+                                                <div className="text-xs text-gray-500">{expense.expense_number}</div>
+                                            </td>
+                                            <td className="px-6 py-4 whitespace-nowrap">
+                                                {expense.category?.name}
+                                            </td>
+                                            <td className="px-6 py-4 whitespace-nowrap">
+                                                {formatAmount(expense.total_amount)}
+                                            </td>
+                                            <td className="px-6 py-4">
+                                                {expense.rejection_reason}
+                                            </td>
+                                            <td className="px-6 py-4 whitespace-nowrap">
+                                                <button
+                                                    onClick={() => {
+                                                        setSelectedExpense(expense);
+                                                        setExpenseData({
+                                                            ...expense,
+                                                            attachments: []
+                                                        });
+                                                        setShowExpenseModal(true);
+                                                    }}
+                                                    className="text-blue-500 hover:text-blue-700 mr-2"
+                                                >
+                                                    Edit
+                                                </button>
+                                                <button
+                                                    onClick={() => handleSubmitForApproval(expense.id)}
+                                                    className="text-indigo-500 hover:text-indigo-700"
+                                                >
+                                                    Resubmit
+                                                </button>
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    </div>
                 </div>
-            </div>
+            )}
 
             {/* Expense Modal */}
             {showExpenseModal && (
@@ -0,0 +1,847 @@
+import React, { useState, useEffect } from 'react';
+import { toast } from 'react-toastify';
+import familyService from '../services/familyService';
+import studentService from '../services/studentService';
+import { formatClassName, formatDate } from '../utils/academicUtils';
+
+const emptyForm = {
+    guardian_name: '',
+    phone_number: '',
+    email: '',
+    address: '',
+    remarks: ''
+};
+
+const emptyPayment = {
+    amount: '',
+    payment_mode: 'CASH',
+    payment_details: {}
+};
+
+const emptyRule = {
+    name: '',
+    min_child_position: 2,
+    discount_type: 'PERCENTAGE',
+    discount_value: '',
+    categories: 'TUITION',
+    academic_year: ''
+};
+
+const ordinal = (position) => {
+    const suffix = { 1: 'st', 2: 'nd', 3: 'rd' }[position % 10];
+    return `${position}${(position % 100 >= 11 && position % 100 <= 13) || !suffix ? 'th' : suffix}`;
+};
+
+const formatAmount = (amount) => parseFloat(amount || 0).toLocaleString('en-US', {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2
+});
+
+const FamilyManager = () => {
+    const [loading, setLoading] = useState(false);
+    const [families, setFamilies] = useState([]);
+    const [pagination, setPagination] = useState({ page: 1, totalPages: 1, total: 0 });
+    const [search, setSearch] = useState('');
+    const [selectedFamily, setSelectedFamily] = useState(null);
+    const [showForm, setShowForm] = useState(false);
+    const [editingFamily, setEditingFamily] = useState(null);
+    const [formData, setFormData] = useState(emptyForm);
+    const [childSearch, setChildSearch] = useState('');
+    const [childResults, setChildResults] = useState([]);
+    const [showPayment, setShowPayment] = useState(false);
+    const [paymentData, setPaymentData] = useState(emptyPayment);
+    const [allocations, setAllocations] = useState({});
+    const [rules, setRules] = useState([]);
+    const [ruleForm, setRuleForm] = useState(emptyRule);
+
+    useEffect(() => {
+        // Debounce so typing in the search box doesn't fire a request per keystroke
+        const timer = setTimeout(() => fetchFamilies(1), 300);
+        return () => clearTimeout(timer);
+    }, [search]);
+
+    useEffect(() => {
+        fetchRules();
+    }, []);
+
+    useEffect(() => {
+        if (!childSearch.trim()) {
+            setChildResults([]);
+            return undefined;
+        }
+
+        const timer = setTimeout(async () => {
+            try {
+                const response = await studentService.getStudents({
+                    search: childSearch,
+                    family_id: 'none',
+                    status: 'ACTIVE',
+                    limit: 10
+                });
+                setChildResults(response.data);
+            } catch (error) {
+                toast.error('Failed to search students');
+            }
+        }, 300);
+        return () => clearTimeout(timer);
+    }, [childSearch]);
+
+    const fetchFamilies = async (page = pagination.page) => {
+        try {
+            setLoading(true);
+            const params = { page, ...(search && { search }) };
+            const response = await familyService.getFamilies(params);
+            setFamilies(response.data);
+            setPagination(response.pagination);
+        } catch (error) {
+            toast.error('Failed to fetch families');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const fetchFamily = async (familyId) => {
+        try {
+            setLoading(true);
+            const response = await familyService.getFamily(familyId);
+            setSelectedFamily(response.data);
+        } catch (error) {
+            toast.error(error.message);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const fetchRules = async () => {
+        try {
+            const response = await familyService.getDiscountRules();
+            setRules(response.data);
+        } catch (error) {
+            toast.error('Failed to fetch sibling discount rules');
+        }
+    };
+
+    const openCreateForm = () => {
+        setEditingFamily(null);
+        setFormData(emptyForm);
+        setShowForm(true);
+    };
+
+    const openEditForm = (family) => {
+        setEditingFamily(family);
+        setFormData(Object.fromEntries(
+            Object.keys(emptyForm).map(key => [key, family[key] ?? ''])
+        ));
+        setShowForm(true);
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+
+        try {
+            setLoading(true);
+            if (editingFamily) {
+                await familyService.updateFamily(editingFamily.id, formData);
+                toast.success('Family updated successfully');
+                fetchFamily(editingFamily.id);
+            } else {
+                const response = await familyService.createFamily(formData);
+                toast.success(`Family ${response.data.family_code} created`);
+                fetchFamily(response.data.id);
+            }
+            setShowForm(false);
+            fetchFamilies();
+        } catch (error) {
+            toast.error(error.message);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleLinkChild = async (student) => {
+        try {
+            setLoading(true);
+            await familyService.linkStudents(selectedFamily.id, [student.id]);
+            toast.success(`${student.first_name} ${student.last_name} linked to family`);
+            setChildSearch('');
+            fetchFamily(selectedFamily.id);
+            fetchFamilies();
+        } catch (error) {
+            toast.error(error.message);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleUnlinkChild = async (student) => {
+        if (!window.confirm(`Remove ${student.first_name} ${student.last_name} from this family?`)) return;
+
+        try {
+            setLoading(true);
+            await familyService.unlinkStudent(selectedFamily.id, student.id);
+            toast.success('Student removed from family');
+            fetchFamily(selectedFamily.id);
+            fetchFamilies();
+        } catch (error) {
+            toast.error(error.message);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const downloadStatement = async (format) => {
+        try {
+            const blob = await familyService.getStatement(selectedFamily.id, { format });
+            const url = window.URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.setAttribute(
+                'download',
+                `family-statement-${selectedFamily.family_code}.${format === 'pdf' ? 'pdf' : 'xlsx'}`
+            );
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            window.URL.revokeObjectURL(url);
+        } catch (error) {
+            toast.error('Failed to download statement');
+        }
+    };
+
+    // Every open invoice of every child, oldest due date first
+    const openInvoices = selectedFamily
+        ? selectedFamily.students
+            .flatMap(student => student.invoices.map(invoice => ({ ...invoice, student })))
+            .sort((a, b) => new Date(a.due_date) - new Date(b.due_date))
+        : [];
+
+    const allocatedTotal = Object.values(allocations)
+        .reduce((sum, amount) => sum + (parseFloat(amount) || 0), 0);
+
+    const unallocated = Math.round(((parseFloat(paymentData.amount) || 0) - allocatedTotal) * 100) / 100;
+
+    const closePayment = () => {
+        setShowPayment(false);
+        setPaymentData(emptyPayment);
+        setAllocations({});
+    };
+
+    // Spread the payment over the open invoices, settling the oldest first
+    const autoAllocate = () => {
+        let remaining = parseFloat(paymentData.amount) || 0;
+        const next = {};
+
+        openInvoices.forEach(invoice => {
+            const amount = Math.min(remaining, parseFloat(invoice.balance_amount));
+            if (amount > 0) {
+                next[invoice.id] = Math.round(amount * 100) / 100;
+                remaining -= amount;
+            }
+        });
+
+        setAllocations(next);
+    };
+
+    const handlePaymentDetailsChange = (field, value) => {
+        setPaymentData(prev => ({
+            ...prev,
+            payment_details: {
+                ...prev.payment_details,
+                [field]: value
+            }
+        }));
+    };
+
+    const handleFamilyPayment = async (e) => {
+        e.preventDefault();
+
+        if (unallocated !== 0) {
+            toast.error('The invoice allocations must add up to the amount received');
+            return;
+        }
+
+        try {
+            setLoading(true);
+            const response = await familyService.processFamilyPayment({
+                family_id: selectedFamily.id,
+                amount: parseFloat(paymentData.amount),
+                payment_mode: paymentData.payment_mode,
+                payment_details: paymentData.payment_details,
+                allocations: Object.entries(allocations)
+                    .filter(([, amount]) => parseFloat(amount) > 0)
+                    .map(([invoiceId, amount]) => ({
+                        invoice_id: parseInt(invoiceId),
+                        amount: parseFloat(amount)
+                    }))
+            });
+            toast.success(`Payment ${response.data.family_payment_reference} recorded across ${response.data.payments.length} invoice(s)`);
+            closePayment();
+            fetchFamily(selectedFamily.id);
+        } catch (error) {
+            toast.error(error.message);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleCreateRule = async (e) => {
+        e.preventDefault();
+
+        try {
+            await familyService.createDiscountRule({
+                name: ruleForm.name,
+                min_child_position: parseInt(ruleForm.min_child_position),
+                discount_type: ruleForm.discount_type,
+                discount_value: parseFloat(ruleForm.discount_value),
+                categories: ruleForm.categories.split(',').map(category => category.trim()).filter(Boolean),
+                ...(ruleForm.academic_year && { academic_year: ruleForm.academic_year })
+            });
+            toast.success('Sibling discount rule created');
+            setRuleForm(emptyRule);
+            fetchRules();
+        } catch (error) {
+            toast.error(error.message);
+        }
+    };
+
+    const toggleRule = async (rule) => {
+        try {
+            await familyService.updateDiscountRule(rule.id, {
+                status: rule.status === 'ACTIVE' ? 'INACTIVE' : 'ACTIVE'
+            });
+            fetchRules();
+        } catch (error) {
+            toast.error(error.message);
+        }
+    };
+
+    const renderInput = (name, label, props = {}) => (
+        <div>
+            <label className="block text-sm font-medium text-gray-700">
+                {label}
+            </label>
+            <input
+                className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+                value={formData[name]}
+                onChange={(e) => setFormData({ ...formData, [name]: e.target.value })}
+                {...props}
+            />
+        </div>
+    );
+
+    return (
+        <div className="p-6">
+            {/* Header */}
+            <div className="flex justify-between items-center mb-6">
+                <h2 className="text-2xl font-bold">Family Accounts</h2>
+                <button
+                    onClick={openCreateForm}
+                    className="px-4 py-2 bg-blue-500 text-white rounded-md hover:bg-blue-600"
+                >
+                    New Family
+                </button>
+            </div>
+
+            <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+                {/* Families List */}
+                <div className="bg-white p-6 rounded-lg shadow">
+                    <input
+                        type="text"
+                        className="block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 mb-4"
+                        placeholder="Family code, guardian or phone"
+                        value={search}
+                        onChange={(e) => setSearch(e.target.value)}
+                    />
+                    <ul className="divide-y divide-gray-200">
+                        {families.map(family => (
+                            <li
+                                key={family.id}
+                                onClick={() => fetchFamily(family.id)}
+                                className={`py-3 px-2 cursor-pointer hover:bg-gray-50
+                                    ${selectedFamily?.id === family.id ? 'bg-blue-50' : ''}`}
+                            >
+                                <div className="flex justify-between">
+                                    <span className="font-medium">{family.guardian_name}</span>
+                                    <span className="text-xs text-gray-500">{family.family_code}</span>
+                                </div>
+                                <div className="text-sm text-gray-600">
+                                    {family.phone_number} · {family.students.length} child(ren)
+                                </div>
+                            </li>
+                        ))}
+                        {!loading && families.length === 0 && (
+                            <li className="py-4 text-center text-gray-500">No families found</li>
+                        )}
+                    </ul>
+
+                    {/* Pagination */}
+                    <div className="flex justify-between items-center mt-4">
+                        <button
+                            onClick={() => fetchFamilies(pagination.page - 1)}
+                            disabled={loading || pagination.page <= 1}
+                            className="px-3 py-1 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+                        >
+                            Previous
+                        </button>
+                        <span className="text-sm text-gray-600">
+                            Page {pagination.page} of {Math.max(pagination.totalPages, 1)}
+                        </span>
+                        <button
+                            onClick={() => fetchFamilies(pagination.page + 1)}
+                            disabled={loading || pagination.page >= pagination.totalPages}
+                            className="px-3 py-1 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+                        >
+                            Next
+                        </button>
+                    </div>
+                </div>
+
+                {/* Family Details */}
+                <div className="bg-white p-6 rounded-lg shadow lg:col-span-2">
+                    {!selectedFamily ? (
+                        <p className="text-center text-gray-500">Select a family to view its children and balances</p>
+                    ) : (
+                        <>
+                            <div className="flex justify-between items-start mb-4">
+                                <div>
+                                    <h3 className="text-lg font-semibold">
+                                        {selectedFamily.guardian_name}
+                                        <span className="ml-2 text-sm text-gray-500">{selectedFamily.family_code}</span>
+                                    </h3>
+                                    <p className="text-sm text-gray-600">
+                                        {selectedFamily.phone_number}
+                                        {selectedFamily.email && ` · ${selectedFamily.email}`}
+                                    </p>
+                                    <p className="mt-1 text-sm">
+                                        Outstanding: <span className="font-semibold">{formatAmount(selectedFamily.outstanding_balance)}</span>
+                                    </p>
+                                </div>
+                                <div className="space-x-2">
+                                    <button
+                                        onClick={() => openEditForm(selectedFamily)}
+                                        className="text-blue-500 hover:text-blue-700"
+                                    >
+                                        Edit
+                                    </button>
+                                    <button
+                                        onClick={() => downloadStatement('pdf')}
+                                        disabled={selectedFamily.students.length === 0}
+                                        className="text-green-600 hover:text-green-800 disabled:opacity-50"
+                                    >
+                                        Statement (PDF)
+                                    </button>
+                                    <button
+                                        onClick={() => downloadStatement('excel')}
+                                        disabled={selectedFamily.students.length === 0}
+                                        className="text-green-600 hover:text-green-800 disabled:opacity-50"
+                                    >
+                                        Statement (Excel)
+                                    </button>
+                                    <button
+                                        onClick={() => setShowPayment(true)}
+                                        disabled={openInvoices.length === 0}
+                                        className="px-3 py-1 bg-blue-500 text-white rounded-md hover:bg-blue-600 disabled:opacity-50"
+                                    >
+                                        Record Payment
+                                    </button>
+                                </div>
+                            </div>
+
+                            <table className="min-w-full mb-4">
+                                <thead>
+                                    <tr className="bg-gray-50">
+                                        <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Admission #</th>
+                                        <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Name</th>
+                                        <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Class</th>
+                                        <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Admitted</th>
+                                        <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Outstanding</th>
+                                        <th className="px-4 py-2"></th>
+                                    </tr>
+                                </thead>
+                                <tbody className="divide-y divide-gray-200">
+                                    {selectedFamily.students.map(student => (
+                                        <tr key={student.id}>
+                                            <td className="px-4 py-2">{student.admission_number}</td>
+                                            <td className="px-4 py-2">
+                                                {student.first_name} {student.last_name}
+                                                {student.status !== 'ACTIVE' && (
+                                                    <span className="ml-2 px-2 py-0.5 text-xs rounded-full bg-gray-100 text-gray-800">
+                                                        {student.status}
+                                                    </span>
+                                                )}
+                                            </td>
+                                            <td className="px-4 py-2">{formatClassName(student.current_class)}</td>
+                                            <td className="px-4 py-2">{formatDate(student.admission_date)}</td>
+                                            <td className="px-4 py-2 text-right">{formatAmount(student.outstanding_balance)}</td>
+                                            <td className="px-4 py-2 text-right">
+                                                <button
+                                                    onClick={() => handleUnlinkChild(student)}
+                                                    className="text-red-500 hover:text-red-700 text-sm"
+                                                >
+                                                    Remove
+                                                </button>
+                                            </td>
+                                        </tr>
+                                    ))}
+                                    {selectedFamily.students.length === 0 && (
+                                        <tr>
+                                            <td colSpan="6" className="px-4 py-4 text-center text-gray-500">
+                                                No children linked yet
+                                            </td>
+                                        </tr>
+                                    )}
+                                </tbody>
+                            </table>
+
+                            {/* Link Child */}
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700">
+                                    Link a child
+                                </label>
+                                <input
+                                    type="text"
+                                    className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+                                    placeholder="Search students without a family by name or admission number"
+                                    value={childSearch}
+                                    onChange={(e) => setChildSearch(e.target.value)}
+                                />
+                                {childResults.length > 0 && (
+                                    <ul className="mt-2 border border-gray-200 rounded-md divide-y divide-gray-200">
+                                        {childResults.map(student => (
+                                            <li key={student.id} className="flex justify-between items-center px-3 py-2">
+                                                <span>
+                                                    {student.admission_number} · {student.first_name} {student.last_name}
+                                                    <span className="ml-2 text-sm text-gray-500">{formatClassName(student.current_class)}</span>
+                                                </span>
+                                                <button
+                                                    onClick={() => handleLinkChild(student)}
+                                                    disabled={loading}
+                                                    className="text-blue-500 hover:text-blue-700 text-sm"
+                                                >
+                                                    Link
+                                                </button>
+                                            </li>
+                                        ))}
+                                    </ul>
+                                )}
+                            </div>
+                        </>
+                    )}
+                </div>
+            </div>
+
+            {/* Sibling Discount Rules */}
+            <div className="bg-white p-6 rounded-lg shadow mt-6">
+                <h3 className="text-lg font-semibold mb-4">Sibling Discount Rules</h3>
+                <table className="min-w-full mb-4">
+                    <thead>
+                        <tr className="bg-gray-50">
+                            <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Name</th>
+                            <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Applies From</th>
+                            <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Discount</th>
+                            <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Fee Categories</th>
+                            <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Academic Year</th>
+                            <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+                        </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-200">
+                        {rules.map(rule => (
+                            <tr key={rule.id}>
+                                <td className="px-4 py-2">{rule.name}</td>
+                                <td className="px-4 py-2">{ordinal(rule.min_child_position)} child</td>
+                                <td className="px-4 py-2">
+                                    {rule.discount_type === 'PERCENTAGE'
+                                        ? `${parseFloat(rule.discount_value)}%`
+                                        : formatAmount(rule.discount_value)}
+                                </td>
+                                <td className="px-4 py-2">{rule.categories.join(', ')}</td>
+                                <td className="px-4 py-2">{rule.academic_year || 'All years'}</td>
+                                <td className="px-4 py-2">
+                                    <button
+                                        onClick={() => toggleRule(rule)}
+                                        className={`px-2 py-1 text-xs rounded-full
+                                            ${rule.status === 'ACTIVE' ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-800'}`}
+                                        title="Click to toggle"
+                                    >
+                                        {rule.status}
+                                    </button>
+                                </td>
+                            </tr>
+                        ))}
+                        {rules.length === 0 && (
+                            <tr>
+                                <td colSpan="6" className="px-4 py-4 text-center text-gray-500">
+                                    No sibling discount rules configured
+                                </td>
+                            </tr>
+                        )}
+                    </tbody>
+                </table>
+
+                <form onSubmit={handleCreateRule} className="grid grid-cols-2 md:grid-cols-7 gap-2 items-end">
+                    <input
+                        className="rounded-md border-gray-300 shadow-sm md:col-span-2"
+                        placeholder="Rule name"
+                        value={ruleForm.name}
+                        onChange={(e) => setRuleForm({ ...ruleForm, name: e.target.value })}
+                        required
+                    />
+                    <input
+                        type="number"
+                        min="2"
+                        className="rounded-md border-gray-300 shadow-sm"
+                        title="Applies from this child onwards"
+                        value={ruleForm.min_child_position}
+                        onChange={(e) => setRuleForm({ ...ruleForm, min_child_position: e.target.value })}
+                        required
+                    />
+                    <select
+                        className="rounded-md border-gray-300 shadow-sm"
+                        value={ruleForm.discount_type}
+                        onChange={(e) => setRuleForm({ ...ruleForm, discount_type: e.target.value })}
+                    >
+                        <option value="PERCENTAGE">Percentage</option>
+                        <option value="FIXED">Fixed amount</option>
+                    </select>
+                    <input
+                        type="number"
+                        min="0"
+                        step="0.01"
+                        max={ruleForm.discount_type === 'PERCENTAGE' ? 100 : undefined}
+                        className="rounded-md border-gray-300 shadow-sm"
+                        placeholder="Value"
+                        value={ruleForm.discount_value}
+                        onChange={(e) => setRuleForm({ ...ruleForm, discount_value: e.target.value })}
+                        required
+                    />
+                    <input
+                        className="rounded-md border-gray-300 shadow-sm"
+                        placeholder="Categories, comma separated"
+                        value={ruleForm.categories}
+                        onChange={(e) => setRuleForm({ ...ruleForm, categories: e.target.value })}
+                        required
+                    />
+                    <button
+                        type="submit"
+                        className="px-4 py-2 bg-blue-500 text-white rounded-md hover:bg-blue-600"
+                    >
+                        Add Rule
+                    </button>
+                </form>
+            </div>
+
+            {/* Family Form Modal */}
+            {showForm && (
+                <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex items-center justify-center">
+                    <div className="bg-white p-6 rounded-lg shadow-lg w-full max-w-lg">
+                        <h3 className="text-lg font-semibold mb-4">
+                            {editingFamily ? 'Edit Family' : 'New Family'}
+                        </h3>
+
+                        <form onSubmit={handleSubmit} className="space-y-4">
+                            {renderInput('guardian_name', 'Guardian Name', { required: true })}
+                            <div className="grid grid-cols-2 gap-4">
+                                {renderInput('phone_number', 'Phone', { required: true, type: 'tel' })}
+                                {renderInput('email', 'Email', { type: 'email' })}
+                            </div>
+                            {renderInput('address', 'Address')}
+                            {renderInput('remarks', 'Remarks')}
+
+                            <div className="flex justify-end space-x-2">
+                                <button
+                                    type="button"
+                                    onClick={() => setShowForm(false)}
+                                    className="px-4 py-2 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50"
+                                >
+                                    Cancel
+                                </button>
+                                <button
+                                    type="submit"
+                                    disabled={loading}
+                                    className="px-4 py-2 bg-blue-500 text-white rounded-md hover:bg-blue-600 disabled:opacity-50"
+                                >
+                                    {editingFamily ? 'Save Changes' : 'Create Family'}
+                                </button>
+                            </div>
+                        </form>
+                    </div>
+                </div>
+            )}
+
+            {/* Family Payment Modal */}
+            {showPayment && (
+                <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex items-center justify-center">
+                    <div className="bg-white p-6 rounded-lg shadow-lg w-full max-w-3xl">
+                        <h3 className="text-lg font-semibold mb-4">
+                            Record Payment for {selectedFamily.family_code}
+                        </h3>
+
+                        <form onSubmit={handleFamilyPayment} className="space-y-4">
+                            <div className="grid grid-cols-3 gap-4">
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700">
+                                        Amount Received
+                                    </label>
+                                    <input
+                                        type="number"
+                                        min="0.01"
+                                        step="0.01"
+                                        className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+                                        value={paymentData.amount}
+                                        onChange={(e) => setPaymentData({ ...paymentData, amount: e.target.value })}
+                                        required
+                                    />
+                                </div>
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700">
+                                        Payment Mode
+                                    </label>
+                                    <select
+                                        className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+                                        value={paymentData.payment_mode}
+                                        onChange={(e) => setPaymentData({
+                                            ...paymentData,
+                                            payment_mode: e.target.value,
+                                            payment_details: {}
+                                        })}
+                                    >
+                                        <option value="CASH">Cash</option>
+                                        <option value="CHEQUE">Cheque</option>
+                                        <option value="BANK_TRANSFER">Bank Transfer</option>
+                                        <option value="MOBILE_WALLET">Mobile Money</option>
+                                        <option value="CREDIT_CARD">Credit Card</option>
+                                        <option value="DEBIT_CARD">Debit Card</option>
+                                    </select>
+                                </div>
+                                {paymentData.payment_mode === 'CHEQUE' && (
+                                    <div>
+                                        <label className="block text-sm font-medium text-gray-700">
+                                            Cheque Number / Bank
+                                        </label>
+                                        <div className="mt-1 flex space-x-1">
+                                            <input
+                                                type="text"
+                                                className="block w-1/2 rounded-md border-gray-300 shadow-sm"
+                                                placeholder="Number"
+                                                onChange={(e) => handlePaymentDetailsChange('cheque_number', e.target.value)}
+                                                required
+                                            />
+                                            <input
+                                                type="text"
+                                                className="block w-1/2 rounded-md border-gray-300 shadow-sm"
+                                                placeholder="Bank"
+                                                onChange={(e) => handlePaymentDetailsChange('bank_name', e.target.value)}
+                                                required
+                                            />
+                                        </div>
+                                    </div>
+                                )}
+                                {['BANK_TRANSFER', 'MOBILE_WALLET'].includes(paymentData.payment_mode) && (
+                                    <div>
+                                        <label className="block text-sm font-medium text-gray-700">
+                                            Transaction ID
+                                        </label>
+                                        <input
+                                            type="text"
+                                            className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+                                            onChange={(e) => handlePaymentDetailsChange('transaction_id', e.target.value)}
+                                            required
+                                        />
+                                    </div>
+                                )}
+                                {['CREDIT_CARD', 'DEBIT_CARD'].includes(paymentData.payment_mode) && (
+                                    <div>
+                                        <label className="block text-sm font-medium text-gray-700">
+                                            Card Last 4 Digits
+                                        </label>
+                                        <input
+                                            type="text"
+                                            className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+                                            maxLength="4"
+                                            pattern="\d{4}"
+                                            onChange={(e) => handlePaymentDetailsChange('card_last_digits', e.target.value)}
+                                            required
+                                        />
+                                    </div>
+                                )}
+                            </div>
+
+                            <div className="flex justify-between items-center">
+                                <span className={`text-sm ${unallocated === 0 ? 'text-green-600' : 'text-red-600'}`}>
+                                    Unallocated: {formatAmount(unallocated)}
+                                </span>
+                                <button
+                                    type="button"
+                                    onClick={autoAllocate}
+                                    disabled={!paymentData.amount}
+                                    className="text-blue-500 hover:text-blue-700 text-sm disabled:opacity-50"
+                                >
+                                    Allocate oldest invoices first
+                                </button>
+                            </div>
+
+                            <div className="max-h-64 overflow-y-auto">
+                                <table className="min-w-full">
+                                    <thead>
+                                        <tr className="bg-gray-50">
+                                            <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Child</th>
+                                            <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Invoice</th>
+                                            <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Due</th>
+                                            <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Balance</th>
+                                            <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Allocate</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody className="divide-y divide-gray-200">
+                                        {openInvoices.map(invoice => (
+                                            <tr key={invoice.id}>
+                                                <td className="px-4 py-2">
+                                                    {invoice.student.first_name} {invoice.student.last_name}
+                                                </td>
+                                                <td className="px-4 py-2">{invoice.invoice_number}</td>
+                                                <td className="px-4 py-2">{formatDate(invoice.due_date)}</td>
+                                                <td className="px-4 py-2 text-right">{formatAmount(invoice.balance_amount)}</td>
+                                                <td className="px-4 py-2 text-right">
+                                                    <input
+                                                        type="number"
+                                                        min="0"
+                                                        step="0.01"
+                                                        max={invoice.balance_amount}
+                                                        className="w-32 rounded-md border-gray-300 shadow-sm text-right"
+                                                        value={allocations[invoice.id] ?? ''}
+                                                        onChange={(e) => setAllocations({
+                                                            ...allocations,
+                                                            [invoice.id]: e.target.value
+                                                        })}
+                                                    />
+                                                </td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+
+                            <div className="flex justify-end space-x-2">
+                                <button
+                                    type="button"
+                                    onClick={closePayment}
+                                    className="px-4 py-2 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50"
+                                >
+                                    Cancel
+                                </button>
+                                <button
+                                    type="submit"
+                                    disabled={loading || unallocated !== 0 || allocatedTotal <= 0}
+                                    className="px-4 py-2 bg-blue-500 text-white rounded-md hover:bg-blue-600 disabled:opacity-50"
+                                >
+                                    Record Payment
+                                </button>
+                            </div>
+                        </form>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default FamilyManager;
@@ -11,7 +11,11 @@ const FeeStructureManager = () => {
         class: '',
         academic_year: '',
         term: '',
-        items: []
+        items: [],
+        late_fee_type: 'NONE',
+        late_fee_value: '',
+        late_fee_grace_days: 0,
+        late_fee_cap: ''
     });
     const [isEditing, setIsEditing] = useState(false);
 
@@ -85,11 +89,17 @@ const FeeStructureManager = () => {
         e.preventDefault();
         try {
             setLoading(true);
+            const payload = {
+                ...formData,
+                late_fee_value: formData.late_fee_type === 'NONE' ? undefined : parseFloat(formData.late_fee_value),
+                late_fee_grace_days: parseInt(formData.late_fee_grace_days) || 0,
+                late_fee_cap: formData.late_fee_cap === '' ? null : parseFloat(formData.late_fee_cap)
+            };
             if (isEditing && selectedStructure) {
-                await axios.put(`/api/fee-structures/${selectedStructure.id}`, formData);
+                await axios.put(`/api/fee-structures/${selectedStructure.id}`, payload);
                 toast.success('Fee structure updated successfully');
             } else {
-                await axios.post('/api/fee-structures', formData);
+                await axios.post('/api/fee-structures', payload);
                 toast.success('Fee structure created successfully');
             }
             fetchFeeStructures();
@@ -106,7 +116,11 @@ const FeeStructureManager = () => {
             class: '',
             academic_year: '',
             term: '',
-            items: []
+            items: [],
+            late_fee_type: 'NONE',
+            late_fee_value: '',
+            late_fee_grace_days: 0,
+            late_fee_cap: ''
         });
         setSelectedStructure(null);
         setIsEditing(false);
@@ -118,7 +132,11 @@ const FeeStructureManager = () => {
             class: structure.class,
             academic_year: structure.academic_year,
             term: structure.term,
-            items: structure.items
+            items: structure.items,
+            late_fee_type: structure.late_fee_type || 'NONE',
+            late_fee_value: structure.late_fee_value ?? '',
+            late_fee_grace_days: structure.late_fee_grace_days || 0,
+            late_fee_cap: structure.late_fee_cap ?? ''
         });
         setIsEditing(true);
     };
@@ -199,6 +217,65 @@ const FeeStructureManager = () => {
                         </div>
                     </div>
 
+                    {/* Late Payment Penalty */}
+                    <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700">Late Fee</label>
+                            <select
+                                className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+                                value={formData.late_fee_type}
+                                onChange={(e) => setFormData({...formData, late_fee_type: e.target.value})}
+                            >
+                                <option value="NONE">No Late Fee</option>
+                                <option value="FLAT">Flat Amount</option>
+                                <option value="PERCENTAGE">Percentage of Balance</option>
+                            </select>
+                        </div>
+
+                        {formData.late_fee_type !== 'NONE' && (
+                            <>
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700">
+                                        {formData.late_fee_type === 'PERCENTAGE' ? 'Percentage (%)' : 'Amount'}
+                                    </label>
+                                    <input
+                                        type="number"
+                                        min="0"
+                                        step="0.01"
+                                        className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+                                        value={formData.late_fee_value}
+                                        onChange={(e) => setFormData({...formData, late_fee_value: e.target.value})}
+                                        required
+                                    />
+                                </div>
+
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700">Grace Period (days)</label>
+                                    <input
+                                        type="number"
+                                        min="0"
+                                        className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+                                        value={formData.late_fee_grace_days}
+                                        onChange={(e) => setFormData({...formData, late_fee_grace_days: e.target.value})}
+                                    />
+                                </div>
+
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700">Maximum Penalty</label>
+                                    <input
+                                        type="number"
+                                        min="0"
+                                        step="0.01"
+                                        className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+                                        placeholder="No cap"
+                                        value={formData.late_fee_cap}
+                                        onChange={(e) => setFormData({...formData, late_fee_cap: e.target.value})}
+                                    />
+                                </div>
+                            </>
+                        )}
+                    </div>
+
                     {/* Fee Items */}
                     <div className="mt-6">
                         <div className="flex justify-between items-center mb-4">
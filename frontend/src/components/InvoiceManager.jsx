@@ -1,8 +1,22 @@
 import React, { useState, useEffect } from 'react';
 import { toast } from 'react-toastify';
 import invoiceService from '../services/invoiceService';
+import { usePermission } from '../contexts/UserContext';
 import { formatAmount, formatDate } from '../utils/academicUtils';
 
+const emptyWaiverForm = {
+    itemId: '',
+    amount: '',
+    reason: ''
+};
+
+const emptyPlanForm = {
+    installment_count: 3,
+    first_due_date: '',
+    frequency: 'MONTHLY',
+    remarks: ''
+};
+
 const InvoiceManager = () => {
     const [loading, setLoading] = useState(false);
     const [invoices, setInvoices] = useState([]);
@@ -18,13 +32,26 @@ const InvoiceManager = () => {
         amount: 0,
         payment_mode: 'CASH',
         payment_details: {},
-        items: []
+        allocation_policy: 'MANDATORY_FIRST'
     });
+    const [allocationPreview, setAllocationPreview] = useState(null);
+    const [waiverInvoice, setWaiverInvoice] = useState(null);
+    const [waiverForm, setWaiverForm] = useState(emptyWaiverForm);
+    const [pendingWaivers, setPendingWaivers] = useState([]);
+    const [waiverThreshold, setWaiverThreshold] = useState(null);
+    const canApproveWaivers = usePermission('FEES_WAIVER_APPROVE');
+    const [planInvoice, setPlanInvoice] = useState(null);
+    const [activePlan, setActivePlan] = useState(null);
+    const [planForm, setPlanForm] = useState(emptyPlanForm);
 
     useEffect(() => {
         fetchInvoices();
     }, [filters]);
 
+    useEffect(() => {
+        fetchPendingWaivers();
+    }, []);
+
     const fetchInvoices = async () => {
         try {
             setLoading(true);
@@ -37,15 +64,103 @@ const InvoiceManager = () => {
         }
     };
 
+    const handlePreviewAllocation = async () => {
+        try {
+            setLoading(true);
+            const response = await invoiceService.previewAllocation({
+                invoice_id: selectedInvoice.id,
+                amount: paymentData.amount,
+                allocation_policy: paymentData.allocation_policy
+            });
+            setAllocationPreview(response.data);
+        } catch (error) {
+            toast.error(error.message);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const updatePaymentData = (changes) => {
+        setPaymentData({ ...paymentData, ...changes });
+        // Amount or policy changes invalidate the confirmed split
+        if ('amount' in changes || 'allocation_policy' in changes) {
+            setAllocationPreview(null);
+        }
+    };
+
+    const closePaymentModal = () => {
+        setShowPaymentModal(false);
+        setAllocationPreview(null);
+    };
+
     const handlePayment = async () => {
         try {
             setLoading(true);
             await invoiceService.processPayment({
                 invoice_id: selectedInvoice.id,
-                ...paymentData
+                ...paymentData,
+                // Submit the split that was confirmed, not a fresh allocation
+                items: allocationPreview.items.map(({ invoice_item_id, amount, sequence }) => ({
+                    invoice_item_id,
+                    amount,
+                    sequence
+                }))
             });
             toast.success('Payment processed successfully');
-            setShowPaymentModal(false);
+            closePaymentModal();
+            fetchInvoices();
+        } catch (error) {
+            toast.error(error.message);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const fetchPendingWaivers = async () => {
+        try {
+            const response = await invoiceService.getWaiverRequests({ status: 'PENDING' });
+            setPendingWaivers(response.data);
+            setWaiverThreshold(response.threshold);
+        } catch (error) {
+            toast.error('Failed to fetch pending waivers');
+        }
+    };
+
+    const closeWaiverModal = () => {
+        setWaiverInvoice(null);
+        setWaiverForm(emptyWaiverForm);
+    };
+
+    const handleRequestWaiver = async () => {
+        try {
+            setLoading(true);
+            const response = await invoiceService.requestWaiver(waiverInvoice.id, waiverForm.itemId, {
+                amount: parseFloat(waiverForm.amount),
+                reason: waiverForm.reason
+            });
+            if (response.data.status === 'PENDING') {
+                toast.info(response.message);
+            } else {
+                toast.success(response.message);
+            }
+            closeWaiverModal();
+            fetchInvoices();
+            fetchPendingWaivers();
+        } catch (error) {
+            toast.error(error.message);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleApproveWaiver = async (waiver) => {
+        if (!window.confirm(`Approve a waiver of ${formatAmount(waiver.amount)} on ${waiver.invoice.invoice_number}?`)) return;
+
+        try {
+            setLoading(true);
+            await invoiceService.approveWaiver(waiver.id);
+            toast.success('Waiver approved and applied');
+            fetchPendingWaivers();
             fetchInvoices();
         } catch (error) {
             toast.error(error.message);
@@ -54,6 +169,77 @@ const InvoiceManager = () => {
         }
     };
 
+    const handleRejectWaiver = async (waiver) => {
+        const remarks = window.prompt('Reason for rejecting this waiver:');
+        if (!remarks || !remarks.trim()) return;
+
+        try {
+            setLoading(true);
+            await invoiceService.rejectWaiver(waiver.id, remarks);
+            toast.success('Waiver request rejected');
+            fetchPendingWaivers();
+        } catch (error) {
+            toast.error(error.message);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const openPlanModal = async (invoice) => {
+        try {
+            setLoading(true);
+            const response = await invoiceService.getPaymentPlans(invoice.id);
+            setActivePlan(response.data.plans.find(plan => plan.status === 'ACTIVE') || null);
+            setPlanInvoice(invoice);
+        } catch (error) {
+            toast.error('Failed to fetch payment plan');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const closePlanModal = () => {
+        setPlanInvoice(null);
+        setActivePlan(null);
+        setPlanForm(emptyPlanForm);
+    };
+
+    const handleCreatePlan = async () => {
+        try {
+            setLoading(true);
+            await invoiceService.createPaymentPlan(planInvoice.id, {
+                ...planForm,
+                installment_count: parseInt(planForm.installment_count)
+            });
+            toast.success('Payment plan created successfully');
+            closePlanModal();
+            fetchInvoices();
+        } catch (error) {
+            toast.error(error.message);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleCancelPlan = async () => {
+        const reason = window.prompt('Reason for cancelling this payment plan:');
+        if (!reason || !reason.trim()) return;
+
+        try {
+            setLoading(true);
+            await invoiceService.cancelPaymentPlan(planInvoice.id, reason);
+            toast.success('Payment plan cancelled successfully');
+            closePlanModal();
+            fetchInvoices();
+        } catch (error) {
+            toast.error(error.message);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const selectedWaiverItem = waiverInvoice?.items.find(item => item.id === parseInt(waiverForm.itemId));
+
     const handleCancelInvoice = async (invoiceId) => {
         if (!window.confirm('Are you sure you want to cancel this invoice?')) return;
 
@@ -69,6 +255,24 @@ const InvoiceManager = () => {
         }
     };
 
+    const handleSendReminder = async (invoiceId) => {
+        try {
+            setLoading(true);
+            const response = await invoiceService.sendReminders([invoiceId]);
+            const [result] = response.data.results;
+            if (result && result.status === 'SENT') {
+                toast.success(`Reminder sent to ${result.recipient}`);
+            } else {
+                toast.warning(result?.reason || 'Reminder was not sent');
+            }
+            fetchInvoices();
+        } catch (error) {
+            toast.error(error.message);
+        } finally {
+            setLoading(false);
+        }
+    };
+
     const downloadReceipt = async (paymentId) => {
         try {
             const blob = await invoiceService.downloadReceipt(paymentId);
@@ -151,6 +355,7 @@ const InvoiceManager = () => {
                             <option value="PARTIALLY_PAID">Partially Paid</option>
                             <option value="PAID">Paid</option>
                             <option value="OVERDUE">Overdue</option>
+                            <option value="TRANSFERRED">Carried Forward</option>
                         </select>
                     </div>
                 </div>
@@ -214,6 +419,7 @@ const InvoiceManager = () => {
                                             ${invoice.status === 'PAID' ? 'bg-green-100 text-green-800' :
                                               invoice.status === 'PARTIALLY_PAID' ? 'bg-yellow-100 text-yellow-800' :
                                               invoice.status === 'OVERDUE' ? 'bg-red-100 text-red-800' :
+                                              invoice.status === 'TRANSFERRED' ? 'bg-blue-100 text-blue-800' :
                                               'bg-gray-100 text-gray-800'}`}>
                                             {invoice.status}
                                         </span>
@@ -225,14 +431,35 @@ const InvoiceManager = () => {
                                                 setShowPaymentModal(true);
                                             }}
                                             className="text-blue-500 hover:text-blue-700 mr-2"
-                                            disabled={invoice.status === 'PAID' || invoice.status === 'CANCELLED'}
+                                            disabled={['PAID', 'CANCELLED', 'TRANSFERRED'].includes(invoice.status)}
                                         >
                                             Pay
                                         </button>
+                                        <button
+                                            onClick={() => setWaiverInvoice(invoice)}
+                                            className="text-purple-600 hover:text-purple-800 mr-2"
+                                            disabled={['PAID', 'CANCELLED', 'TRANSFERRED'].includes(invoice.status)}
+                                        >
+                                            Waive
+                                        </button>
+                                        <button
+                                            onClick={() => openPlanModal(invoice)}
+                                            className="text-green-600 hover:text-green-800 mr-2"
+                                            disabled={['PAID', 'CANCELLED', 'TRANSFERRED'].includes(invoice.status)}
+                                        >
+                                            Plan
+                                        </button>
+                                        <button
+                                            onClick={() => handleSendReminder(invoice.id)}
+                                            className="text-yellow-600 hover:text-yellow-800 mr-2"
+                                            disabled={['PAID', 'CANCELLED', 'TRANSFERRED'].includes(invoice.status)}
+                                        >
+                                            Remind
+                                        </button>
                                         <button
                                             onClick={() => handleCancelInvoice(invoice.id)}
                                             className="text-red-500 hover:text-red-700"
-                                            disabled={invoice.status === 'PAID' || invoice.status === 'CANCELLED'}
+                                            disabled={['PAID', 'CANCELLED', 'TRANSFERRED'].includes(invoice.status)}
                                         >
                                             Cancel
                                         </button>
@@ -244,6 +471,317 @@ const InvoiceManager = () => {
                 </div>
             </div>
 
+            {/* Pending Waivers */}
+            <div className="bg-white p-6 rounded-lg shadow mt-6">
+                <div className="flex justify-between items-center mb-4">
+                    <h3 className="text-lg font-semibold">Pending Waivers</h3>
+                    {waiverThreshold !== null && (
+                        <span className="text-sm text-gray-500">
+                            Waivers above {formatAmount(waiverThreshold)} need approval
+                        </span>
+                    )}
+                </div>
+                <div className="overflow-x-auto">
+                    <table className="min-w-full">
+                        <thead>
+                            <tr className="bg-gray-50">
+                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                    Requested
+                                </th>
+                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                    Student
+                                </th>
+                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                    Invoice / Item
+                                </th>
+                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                    Amount
+                                </th>
+                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                    Reason
+                                </th>
+                                {canApproveWaivers && (
+                                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                        Actions
+                                    </th>
+                                )}
+                            </tr>
+                        </thead>
+                        <tbody className="bg-white divide-y divide-gray-200">
+                            {pendingWaivers.map((waiver) => (
+                                <tr key={waiver.id}>
+                                    <td className="px-6 py-4 whitespace-nowrap">
+                                        {formatDate(waiver.createdAt)}
+                                    </td>
+                                    <td className="px-6 py-4 whitespace-nowrap">
+                                        {waiver.student.first_name} {waiver.student.last_name}
+                                    </td>
+                                    <td className="px-6 py-4 whitespace-nowrap">
+                                        {waiver.invoice.invoice_number} / {waiver.invoiceItem.item_name}
+                                    </td>
+                                    <td className="px-6 py-4 whitespace-nowrap">
+                                        {formatAmount(waiver.amount)}
+                                    </td>
+                                    <td className="px-6 py-4">
+                                        {waiver.reason}
+                                    </td>
+                                    {canApproveWaivers && (
+                                        <td className="px-6 py-4 whitespace-nowrap">
+                                            <button
+                                                onClick={() => handleApproveWaiver(waiver)}
+                                                className="text-green-600 hover:text-green-800 mr-2"
+                                                disabled={loading}
+                                            >
+                                                Approve
+                                            </button>
+                                            <button
+                                                onClick={() => handleRejectWaiver(waiver)}
+                                                className="text-red-500 hover:text-red-700"
+                                                disabled={loading}
+                                            >
+                                                Reject
+                                            </button>
+                                        </td>
+                                    )}
+                                </tr>
+                            ))}
+                            {pendingWaivers.length === 0 && (
+                                <tr>
+                                    <td colSpan={canApproveWaivers ? 6 : 5} className="px-6 py-4 text-center text-gray-500">
+                                        No waivers awaiting approval
+                                    </td>
+                                </tr>
+                            )}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+
+            {/* Waiver Request Modal */}
+            {waiverInvoice && (
+                <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex items-center justify-center">
+                    <div className="bg-white p-6 rounded-lg shadow-lg w-full max-w-lg">
+                        <h3 className="text-lg font-semibold mb-4">Request Waiver</h3>
+
+                        <p className="text-sm text-gray-600 mb-4">
+                            Invoice #: {waiverInvoice.invoice_number} ({waiverInvoice.student.first_name} {waiverInvoice.student.last_name})
+                        </p>
+
+                        <div className="space-y-4">
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700">
+                                    Fee Item
+                                </label>
+                                <select
+                                    className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+                                    value={waiverForm.itemId}
+                                    onChange={(e) => setWaiverForm({ ...waiverForm, itemId: e.target.value })}
+                                >
+                                    <option value="">Select an item</option>
+                                    {waiverInvoice.items
+                                        .filter(item => parseFloat(item.balance_amount) > 0)
+                                        .map(item => (
+                                            <option key={item.id} value={item.id}>
+                                                {item.item_name} (balance {formatAmount(item.balance_amount)})
+                                            </option>
+                                        ))}
+                                </select>
+                            </div>
+
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700">
+                                    Amount
+                                </label>
+                                <input
+                                    type="number"
+                                    className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+                                    value={waiverForm.amount}
+                                    onChange={(e) => setWaiverForm({ ...waiverForm, amount: e.target.value })}
+                                    max={selectedWaiverItem?.balance_amount}
+                                    min={0}
+                                    step="0.01"
+                                />
+                                {waiverThreshold !== null && parseFloat(waiverForm.amount) > waiverThreshold && (
+                                    <p className="mt-1 text-sm text-yellow-700">
+                                        This amount is above {formatAmount(waiverThreshold)} and will wait for approval
+                                    </p>
+                                )}
+                            </div>
+
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700">
+                                    Reason
+                                </label>
+                                <textarea
+                                    className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+                                    rows="3"
+                                    value={waiverForm.reason}
+                                    onChange={(e) => setWaiverForm({ ...waiverForm, reason: e.target.value })}
+                                />
+                            </div>
+
+                            <div className="flex justify-end space-x-4 mt-6">
+                                <button
+                                    onClick={closeWaiverModal}
+                                    className="px-4 py-2 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50"
+                                >
+                                    Cancel
+                                </button>
+                                <button
+                                    onClick={handleRequestWaiver}
+                                    disabled={loading || !waiverForm.itemId || !waiverForm.amount || waiverForm.reason.trim().length < 10}
+                                    className="px-4 py-2 bg-blue-500 text-white rounded-md hover:bg-blue-600 disabled:bg-gray-400"
+                                >
+                                    {loading ? 'Submitting...' : 'Submit'}
+                                </button>
+                            </div>
+                        </div>
+                    </div>
+                </div>
+            )}
+
+            {/* Payment Plan Modal */}
+            {planInvoice && (
+                <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex items-center justify-center">
+                    <div className="bg-white p-6 rounded-lg shadow-lg w-full max-w-2xl">
+                        <h3 className="text-lg font-semibold mb-4">Payment Plan</h3>
+
+                        <p className="text-sm text-gray-600 mb-4">
+                            Invoice #: {planInvoice.invoice_number} ({planInvoice.student.first_name} {planInvoice.student.last_name}),
+                            balance {formatAmount(planInvoice.balance_amount)}
+                        </p>
+
+                        {activePlan ? (
+                            <div>
+                                <table className="min-w-full mb-4">
+                                    <thead>
+                                        <tr className="bg-gray-50">
+                                            <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">#</th>
+                                            <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Due Date</th>
+                                            <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Amount</th>
+                                            <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Paid</th>
+                                            <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody className="bg-white divide-y divide-gray-200">
+                                        {activePlan.installments.map((installment) => (
+                                            <tr key={installment.id}>
+                                                <td className="px-4 py-2">{installment.installment_number}</td>
+                                                <td className="px-4 py-2">{formatDate(installment.due_date)}</td>
+                                                <td className="px-4 py-2">{formatAmount(installment.amount)}</td>
+                                                <td className="px-4 py-2">{formatAmount(installment.paid_amount)}</td>
+                                                <td className="px-4 py-2">
+                                                    <span className={`px-2 py-1 text-xs rounded-full
+                                                        ${installment.status === 'PAID' ? 'bg-green-100 text-green-800' :
+                                                          installment.status === 'PARTIALLY_PAID' ? 'bg-yellow-100 text-yellow-800' :
+                                                          installment.status === 'OVERDUE' ? 'bg-red-100 text-red-800' :
+                                                          'bg-gray-100 text-gray-800'}`}>
+                                                        {installment.status}
+                                                    </span>
+                                                </td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+
+                                <div className="flex justify-end space-x-4 mt-6">
+                                    <button
+                                        onClick={closePlanModal}
+                                        className="px-4 py-2 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50"
+                                    >
+                                        Close
+                                    </button>
+                                    <button
+                                        onClick={handleCancelPlan}
+                                        disabled={loading}
+                                        className="px-4 py-2 bg-red-500 text-white rounded-md hover:bg-red-600 disabled:bg-gray-400"
+                                    >
+                                        Cancel Plan
+                                    </button>
+                                </div>
+                            </div>
+                        ) : (
+                            <div className="space-y-4">
+                                <div className="grid grid-cols-3 gap-4">
+                                    <div>
+                                        <label className="block text-sm font-medium text-gray-700">
+                                            Installments
+                                        </label>
+                                        <input
+                                            type="number"
+                                            className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+                                            value={planForm.installment_count}
+                                            onChange={(e) => setPlanForm({ ...planForm, installment_count: e.target.value })}
+                                            min={2}
+                                            max={24}
+                                        />
+                                    </div>
+                                    <div>
+                                        <label className="block text-sm font-medium text-gray-700">
+                                            First Due Date
+                                        </label>
+                                        <input
+                                            type="date"
+                                            className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+                                            value={planForm.first_due_date}
+                                            onChange={(e) => setPlanForm({ ...planForm, first_due_date: e.target.value })}
+                                        />
+                                    </div>
+                                    <div>
+                                        <label className="block text-sm font-medium text-gray-700">
+                                            Frequency
+                                        </label>
+                                        <select
+                                            className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+                                            value={planForm.frequency}
+                                            onChange={(e) => setPlanForm({ ...planForm, frequency: e.target.value })}
+                                        >
+                                            <option value="WEEKLY">Weekly</option>
+                                            <option value="FORTNIGHTLY">Fortnightly</option>
+                                            <option value="MONTHLY">Monthly</option>
+                                        </select>
+                                    </div>
+                                </div>
+
+                                {planForm.installment_count >= 2 && (
+                                    <p className="text-sm text-gray-500">
+                                        About {formatAmount(parseFloat(planInvoice.balance_amount) / planForm.installment_count)} per installment
+                                    </p>
+                                )}
+
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700">
+                                        Remarks
+                                    </label>
+                                    <textarea
+                                        className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+                                        rows="2"
+                                        value={planForm.remarks}
+                                        onChange={(e) => setPlanForm({ ...planForm, remarks: e.target.value })}
+                                    />
+                                </div>
+
+                                <div className="flex justify-end space-x-4 mt-6">
+                                    <button
+                                        onClick={closePlanModal}
+                                        className="px-4 py-2 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50"
+                                    >
+                                        Cancel
+                                    </button>
+                                    <button
+                                        onClick={handleCreatePlan}
+                                        disabled={loading || !planForm.first_due_date || planForm.installment_count < 2}
+                                        className="px-4 py-2 bg-blue-500 text-white rounded-md hover:bg-blue-600 disabled:bg-gray-400"
+                                    >
+                                        {loading ? 'Saving...' : 'Create Plan'}
+                                    </button>
+                                </div>
+                            </div>
+                        )}
+                    </div>
+                </div>
+            )}
+
             {/* Payment Modal */}
             {showPaymentModal && selectedInvoice && (
                 <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex items-center justify-center">
@@ -268,16 +806,28 @@ const InvoiceManager = () => {
                                     type="number"
                                     className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
                                     value={paymentData.amount}
-                                    onChange={(e) => setPaymentData({
-                                        ...paymentData,
-                                        amount: parseFloat(e.target.value)
-                                    })}
-                                    max={selectedInvoice.balance_amount}
+                                    onChange={(e) => updatePaymentData({ amount: parseFloat(e.target.value) })}
                                     min={0}
                                     step="0.01"
                                 />
                             </div>
 
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700">
+                                    Allocate To
+                                </label>
+                                <select
+                                    className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+                                    value={paymentData.allocation_policy}
+                                    onChange={(e) => updatePaymentData({ allocation_policy: e.target.value })}
+                                >
+                                    <option value="MANDATORY_FIRST">Mandatory items first</option>
+                                    <option value="DISPLAY_ORDER">Invoice order</option>
+                                    <option value="CARRIED_FORWARD_FIRST">Oldest carried-forward balances first</option>
+                                    <option value="DUE_DATE">Earliest due first</option>
+                                </select>
+                            </div>
+
                             <div>
                                 <label className="block text-sm font-medium text-gray-700">
                                     Payment Mode
@@ -334,23 +884,82 @@ const InvoiceManager = () => {
                                             })}
                                         />
                                     </div>
+                                    <div>
+                                        <label className="block text-sm font-medium text-gray-700">
+                                            Cheque Date
+                                        </label>
+                                        <input
+                                            type="date"
+                                            className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+                                            onChange={(e) => setPaymentData({
+                                                ...paymentData,
+                                                payment_details: {
+                                                    ...paymentData.payment_details,
+                                                    cheque_date: e.target.value || null
+                                                }
+                                            })}
+                                        />
+                                        <p className="mt-1 text-xs text-gray-500">A post-dated cheque is held until this date</p>
+                                    </div>
                                 </div>
                             )}
 
+                            {allocationPreview && (
+                                <table className="min-w-full">
+                                    <thead>
+                                        <tr className="bg-gray-50">
+                                            <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Item</th>
+                                            <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Balance</th>
+                                            <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Allocated</th>
+                                            <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Balance After</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody className="bg-white divide-y divide-gray-200">
+                                        {allocationPreview.items.map((item) => (
+                                            <tr key={item.invoice_item_id}>
+                                                <td className="px-4 py-2">
+                                                    {item.item_name}
+                                                    {!item.is_mandatory && <span className="ml-1 text-xs text-gray-500">(optional)</span>}
+                                                </td>
+                                                <td className="px-4 py-2">{formatAmount(item.balance_amount)}</td>
+                                                <td className="px-4 py-2">{formatAmount(item.amount)}</td>
+                                                <td className="px-4 py-2">{formatAmount(item.balance_after)}</td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            )}
+
+                            {allocationPreview?.credit_amount > 0 && (
+                                <p className="text-sm text-blue-700">
+                                    {formatAmount(allocationPreview.credit_amount)} above the invoice balance will be held as student credit for the next invoice.
+                                </p>
+                            )}
+
                             <div className="flex justify-end space-x-4 mt-6">
                                 <button
-                                    onClick={() => setShowPaymentModal(false)}
+                                    onClick={closePaymentModal}
                                     className="px-4 py-2 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50"
                                 >
                                     Cancel
                                 </button>
-                                <button
-                                    onClick={handlePayment}
-                                    disabled={loading || !paymentData.amount}
-                                    className="px-4 py-2 bg-blue-500 text-white rounded-md hover:bg-blue-600 disabled:bg-gray-400"
-                                >
-                                    {loading ? 'Processing...' : 'Process Payment'}
-                                </button>
+                                {allocationPreview ? (
+                                    <button
+                                        onClick={handlePayment}
+                                        disabled={loading}
+                                        className="px-4 py-2 bg-blue-500 text-white rounded-md hover:bg-blue-600 disabled:bg-gray-400"
+                                    >
+                                        {loading ? 'Processing...' : 'Confirm Payment'}
+                                    </button>
+                                ) : (
+                                    <button
+                                        onClick={handlePreviewAllocation}
+                                        disabled={loading || !paymentData.amount}
+                                        className="px-4 py-2 bg-blue-500 text-white rounded-md hover:bg-blue-600 disabled:bg-gray-400"
+                                    >
+                                        {loading ? 'Allocating...' : 'Preview Allocation'}
+                                    </button>
+                                )}
                             </div>
                         </div>
                     </div>
@@ -7,6 +7,7 @@ const PaymentReceipt = ({ paymentId, onClose }) => {
     const [loading, setLoading] = useState(true);
     const [payment, setPayment] = useState(null);
     const [printing, setPrinting] = useState(false);
+    const [sending, setSending] = useState(false);
 
     useEffect(() => {
         if (paymentId) {
@@ -26,10 +27,37 @@ const PaymentReceipt = ({ paymentId, onClose }) => {
         }
     };
 
-    const handlePrint = () => {
-        setPrinting(true);
-        window.print();
-        setPrinting(false);
+    const handlePrint = async () => {
+        try {
+            setPrinting(true);
+            const blob = await invoiceService.downloadReceipt(paymentId);
+            const url = window.URL.createObjectURL(new Blob([blob], { type: 'application/pdf' }));
+            const receiptWindow = window.open(url);
+            if (receiptWindow) {
+                receiptWindow.addEventListener('load', () => {
+                    receiptWindow.print();
+                    window.URL.revokeObjectURL(url);
+                });
+            } else {
+                window.URL.revokeObjectURL(url);
+            }
+        } catch (error) {
+            toast.error('Failed to load receipt for printing');
+        } finally {
+            setPrinting(false);
+        }
+    };
+
+    const handleEmail = async () => {
+        try {
+            setSending(true);
+            const response = await invoiceService.emailReceipt(paymentId);
+            toast.success(response.message);
+        } catch (error) {
+            toast.error(error.message);
+        } finally {
+            setSending(false);
+        }
     };
 
     const handleDownload = async () => {
@@ -177,6 +205,13 @@ const PaymentReceipt = ({ paymentId, onClose }) => {
                     >
                         Download PDF
                     </button>
+                    <button
+                        onClick={handleEmail}
+                        disabled={sending}
+                        className="px-4 py-2 bg-indigo-500 text-white rounded hover:bg-indigo-600 disabled:bg-gray-400"
+                    >
+                        {sending ? 'Sending...' : 'Email Receipt'}
+                    </button>
                     <button
                         onClick={onClose}
                         className="px-4 py-2 border border-gray-300 rounded text-gray-700 hover:bg-gray-50"
@@ -39,8 +39,10 @@ const PromoteStudent = () => {
     useEffect(() => {
         const fetchStudents = async () => {
             try {
-                const response = await axios.get('/api/students');
-                setStudents(response.data);
+                const response = await axios.get('/api/students', {
+                    params: { status: 'ACTIVE', limit: 1000 }
+                });
+                setStudents(response.data.data);
             } catch (error) {
                 toast.error('Failed to fetch students');
             }
@@ -57,8 +59,8 @@ const PromoteStudent = () => {
                 axios.get(`/api/students/${studentId}/outstanding-balance`)
             ]);
 
-            setSelectedStudent(studentResponse.data);
-            setBalanceDetails(balanceResponse.data);
+            setSelectedStudent(studentResponse.data.data);
+            setBalanceDetails(balanceResponse.data.data);
 
             // Set default academic year (current year - next year)
             const currentYear = new Date().getFullYear();
@@ -12,7 +12,15 @@ import {
 } from 'chart.js';
 import { Bar, Pie } from 'react-chartjs-2';
 import promotionService from '../services/promotionService';
-import { formatAmount, formatDate, getCurrentTerm } from '../utils/academicUtils';
+import {
+    ALL_CLASSES,
+    formatAmount,
+    formatDate,
+    formatClassName,
+    getCurrentTerm,
+    getNextAcademicYear,
+    getNextClasses
+} from '../utils/academicUtils';
 
 // Register ChartJS components
 ChartJS.register(
@@ -33,6 +41,14 @@ const PromotionDashboard = () => {
         endDate: new Date().toISOString().split('T')[0]
     });
     const [chartData, setChartData] = useState(null);
+    const [batch, setBatch] = useState({
+        fromClass: '',
+        toAcademicYear: getNextAcademicYear(`${new Date().getFullYear() - 1}-${new Date().getFullYear()}`),
+        remarks: ''
+    });
+    const [exceptions, setExceptions] = useState({});
+    const [batchPlan, setBatchPlan] = useState(null);
+    const [batchLoading, setBatchLoading] = useState(false);
 
     useEffect(() => {
         fetchDashboardData();
@@ -91,6 +107,72 @@ const PromotionDashboard = () => {
         setChartData({ classData, balanceData });
     };
 
+    const buildBatchRequest = (overrides = exceptions) => {
+        const idsFor = (action) => Object.keys(overrides)
+            .filter(id => overrides[id] === action)
+            .map(Number);
+
+        return {
+            fromClass: batch.fromClass,
+            toAcademicYear: batch.toAcademicYear,
+            retain: idsFor('RETAINED'),
+            graduate: idsFor('GRADUATED'),
+            ...(batch.remarks && { remarks: batch.remarks })
+        };
+    };
+
+    const previewBatch = async (overrides = exceptions) => {
+        if (!batch.fromClass) {
+            toast.warning('Please select a class to promote');
+            return;
+        }
+
+        try {
+            setBatchLoading(true);
+            const response = await promotionService.previewBatchPromotion(buildBatchRequest(overrides));
+            setBatchPlan(response.data);
+        } catch (error) {
+            toast.error(error.message);
+        } finally {
+            setBatchLoading(false);
+        }
+    };
+
+    const handleExceptionChange = (studentId, action) => {
+        const overrides = { ...exceptions };
+        if (action === 'PROMOTED') {
+            delete overrides[studentId];
+        } else {
+            overrides[studentId] = action;
+        }
+        setExceptions(overrides);
+        previewBatch(overrides);
+    };
+
+    const resetBatch = () => {
+        setBatchPlan(null);
+        setExceptions({});
+    };
+
+    const confirmBatch = async () => {
+        const { summary } = batchPlan;
+        if (!window.confirm(
+            `Promote ${summary.promoted}, retain ${summary.retained} and graduate ${summary.graduated} student(s) from ${formatClassName(batchPlan.from_class)}?`
+        )) return;
+
+        try {
+            setBatchLoading(true);
+            const response = await promotionService.batchPromote(buildBatchRequest());
+            toast.success(`${response.message} (${response.data.batch_reference})`);
+            resetBatch();
+            fetchDashboardData();
+        } catch (error) {
+            toast.error(error.message);
+        } finally {
+            setBatchLoading(false);
+        }
+    };
+
     if (loading) {
         return (
             <div className="flex justify-center items-center min-h-screen">
@@ -145,6 +227,169 @@ const PromotionDashboard = () => {
                 </div>
             </div>
 
+            {/* Batch Promotion */}
+            <div className="mb-6 bg-white p-6 rounded-lg shadow">
+                <h3 className="text-lg font-semibold mb-4">Promote a Class</h3>
+                <div className="grid grid-cols-1 md:grid-cols-4 gap-4 items-end">
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700">
+                            Class
+                        </label>
+                        <select
+                            value={batch.fromClass}
+                            onChange={(e) => {
+                                setBatch({ ...batch, fromClass: e.target.value });
+                                resetBatch();
+                            }}
+                            className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+                        >
+                            <option value="">Select class...</option>
+                            {ALL_CLASSES.map(cls => (
+                                <option key={cls} value={cls}>
+                                    {formatClassName(cls)}
+                                    {getNextClasses(cls).length ? ` → ${formatClassName(getNextClasses(cls)[0])}` : ' (final class)'}
+                                </option>
+                            ))}
+                        </select>
+                    </div>
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700">
+                            New Academic Year
+                        </label>
+                        <input
+                            type="text"
+                            placeholder="YYYY-YYYY"
+                            value={batch.toAcademicYear}
+                            onChange={(e) => {
+                                setBatch({ ...batch, toAcademicYear: e.target.value });
+                                resetBatch();
+                            }}
+                            className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+                        />
+                    </div>
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700">
+                            Remarks
+                        </label>
+                        <input
+                            type="text"
+                            value={batch.remarks}
+                            onChange={(e) => setBatch({ ...batch, remarks: e.target.value })}
+                            className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+                        />
+                    </div>
+                    <div>
+                        <button
+                            onClick={() => previewBatch()}
+                            disabled={batchLoading || !batch.fromClass}
+                            className="w-full px-4 py-2 bg-blue-500 text-white rounded-md hover:bg-blue-600 disabled:bg-gray-400"
+                        >
+                            {batchLoading ? 'Loading...' : 'Preview Promotion'}
+                        </button>
+                    </div>
+                </div>
+
+                {batchPlan && (
+                    <div className="mt-6">
+                        <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-4">
+                            <div className="p-3 bg-blue-50 rounded">
+                                <p className="text-sm text-blue-600">Promoted</p>
+                                <p className="text-xl font-bold">{batchPlan.summary.promoted}</p>
+                            </div>
+                            <div className="p-3 bg-yellow-50 rounded">
+                                <p className="text-sm text-yellow-600">Retained</p>
+                                <p className="text-xl font-bold">{batchPlan.summary.retained}</p>
+                            </div>
+                            <div className="p-3 bg-purple-50 rounded">
+                                <p className="text-sm text-purple-600">Graduated</p>
+                                <p className="text-xl font-bold">{batchPlan.summary.graduated}</p>
+                            </div>
+                            <div className="p-3 bg-green-50 rounded">
+                                <p className="text-sm text-green-600">Balance Carried Forward</p>
+                                <p className="text-xl font-bold">
+                                    {formatAmount(batchPlan.summary.total_balance_carried_forward)}
+                                </p>
+                            </div>
+                        </div>
+
+                        {batchPlan.errors.length > 0 && (
+                            <div className="mb-4 p-3 bg-red-50 text-red-700 rounded text-sm">
+                                {batchPlan.errors.map((error, index) => (
+                                    <p key={index}>{error.message}</p>
+                                ))}
+                            </div>
+                        )}
+
+                        <div className="overflow-x-auto">
+                            <table className="min-w-full">
+                                <thead>
+                                    <tr className="bg-gray-50">
+                                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                            Student
+                                        </th>
+                                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                            Action
+                                        </th>
+                                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                            New Class
+                                        </th>
+                                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                            Outstanding Balance
+                                        </th>
+                                    </tr>
+                                </thead>
+                                <tbody className="bg-white divide-y divide-gray-200">
+                                    {batchPlan.students.map(student => (
+                                        <tr key={student.student_id} className={student.error ? 'bg-red-50' : ''}>
+                                            <td className="px-6 py-4 whitespace-nowrap">
+                                                {student.admission_number} - {student.name}
+                                            </td>
+                                            <td className="px-6 py-4 whitespace-nowrap">
+                                                <select
+                                                    value={student.action}
+                                                    onChange={(e) => handleExceptionChange(student.student_id, e.target.value)}
+                                                    disabled={batchLoading}
+                                                    className="rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+                                                >
+                                                    <option value="PROMOTED">Promote</option>
+                                                    <option value="RETAINED">Retain</option>
+                                                    <option value="GRADUATED">Graduate</option>
+                                                </select>
+                                            </td>
+                                            <td className="px-6 py-4 whitespace-nowrap">
+                                                {student.action === 'GRADUATED' ? 'Leaves school' : formatClassName(student.to_class)}
+                                            </td>
+                                            <td className="px-6 py-4 whitespace-nowrap">
+                                                {formatAmount(student.outstanding_balance)}
+                                                {student.balance_action === 'CARRIED_FORWARD' && (
+                                                    <span className="ml-2 text-xs text-gray-500">carried forward</span>
+                                                )}
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+
+                        <div className="flex justify-end space-x-4 mt-4">
+                            <button
+                                onClick={resetBatch}
+                                className="px-4 py-2 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50"
+                            >
+                                Cancel
+                            </button>
+                            <button
+                                onClick={confirmBatch}
+                                disabled={batchLoading || batchPlan.errors.length > 0 || !batchPlan.students.length}
+                                className="px-4 py-2 bg-green-500 text-white rounded-md hover:bg-green-600 disabled:bg-gray-400"
+                            >
+                                {batchLoading ? 'Promoting...' : 'Confirm Promotion'}
+                            </button>
+                        </div>
+                    </div>
+                )}
+            </div>
+
             {/* Statistics Cards */}
             <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-6">
                 <div className="bg-white p-6 rounded-lg shadow">
@@ -136,6 +136,12 @@ const ReportsDashboard = () => {
                         format
                     });
                     break;
+                case 'discounts':
+                    await reportService.getDiscountReport({
+                        ...filters,
+                        format
+                    });
+                    break;
                 default:
                     break;
             }
@@ -354,6 +360,18 @@ const ReportsDashboard = () => {
                             </button>
                         </div>
                     </div>
+                    <div className="flex items-center justify-between">
+                        <span>Revenue Foregone (Discount Schemes)</span>
+                        <div className="space-x-2">
+                            <button
+                                onClick={() => handleDownload('discounts', 'excel')}
+                                disabled={loading}
+                                className="px-4 py-2 bg-green-500 text-white rounded hover:bg-green-600 disabled:bg-gray-400"
+                            >
+                                Excel
+                            </button>
+                        </div>
+                    </div>
                 </div>
             </div>
         </div>
@@ -0,0 +1,813 @@
+import React, { useState, useEffect } from 'react';
+import { toast } from 'react-toastify';
+import studentService from '../services/studentService';
+import promotionService from '../services/promotionService';
+import {
+    ALL_CLASSES,
+    formatClassName,
+    getSchoolLevel,
+    formatDate
+} from '../utils/academicUtils';
+
+const emptyForm = {
+    admission_number: '',
+    first_name: '',
+    last_name: '',
+    parent_name: '',
+    phone_number: '',
+    email: '',
+    current_class: '',
+    school_level: '',
+    admission_date: ''
+};
+
+const emptyExitForm = {
+    exitType: 'TRANSFERRED',
+    exitDate: '',
+    destination: '',
+    remarks: ''
+};
+
+const EXIT_LABELS = {
+    GRADUATED: 'Graduated',
+    TRANSFERRED: 'Transferred',
+    WITHDRAWN: 'Withdrawn'
+};
+
+// Students can only graduate from the final class of a school level
+const FINAL_CLASSES = ['grade6', 'grade10'];
+
+const StudentManager = () => {
+    const [loading, setLoading] = useState(false);
+    const [students, setStudents] = useState([]);
+    const [pagination, setPagination] = useState({ page: 1, totalPages: 1, total: 0 });
+    const [filters, setFilters] = useState({
+        search: '',
+        class: '',
+        status: 'ACTIVE'
+    });
+    const [showForm, setShowForm] = useState(false);
+    const [editingStudent, setEditingStudent] = useState(null);
+    const [formData, setFormData] = useState(emptyForm);
+    const [deactivating, setDeactivating] = useState(null);
+    const [deactivationReason, setDeactivationReason] = useState('');
+    const [exiting, setExiting] = useState(null);
+    const [exitForm, setExitForm] = useState(emptyExitForm);
+    const [showImport, setShowImport] = useState(false);
+    const [importFile, setImportFile] = useState(null);
+    const [importPreview, setImportPreview] = useState(null);
+
+    useEffect(() => {
+        // Debounce so typing in the search box doesn't fire a request per keystroke
+        const timer = setTimeout(() => fetchStudents(1), 300);
+        return () => clearTimeout(timer);
+    }, [filters]);
+
+    const fetchStudents = async (page = pagination.page) => {
+        try {
+            setLoading(true);
+            const params = Object.fromEntries(
+                Object.entries({ ...filters, page }).filter(([, value]) => value !== '')
+            );
+            const response = await studentService.getStudents(params);
+            setStudents(response.data);
+            setPagination(response.pagination);
+        } catch (error) {
+            toast.error('Failed to fetch students');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const openCreateForm = () => {
+        setEditingStudent(null);
+        setFormData(emptyForm);
+        setShowForm(true);
+    };
+
+    const openEditForm = (student) => {
+        setEditingStudent(student);
+        setFormData({
+            ...emptyForm,
+            ...Object.fromEntries(
+                Object.keys(emptyForm).map(key => [key, student[key] ?? ''])
+            ),
+            admission_date: student.admission_date ? student.admission_date.slice(0, 10) : ''
+        });
+        setShowForm(true);
+    };
+
+    const handleClassChange = (value) => {
+        setFormData({
+            ...formData,
+            current_class: value,
+            school_level: getSchoolLevel(value)
+        });
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+
+        // Blank optional fields are left out rather than sent as empty strings
+        const payload = Object.fromEntries(
+            Object.entries(formData).filter(([, value]) => value !== '')
+        );
+
+        try {
+            setLoading(true);
+            if (editingStudent) {
+                await studentService.updateStudent(editingStudent.id, payload);
+                toast.success('Student updated successfully');
+            } else {
+                await studentService.createStudent(payload);
+                toast.success('Student registered successfully');
+            }
+            setShowForm(false);
+            fetchStudents();
+        } catch (error) {
+            toast.error(error.message);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleDeactivate = async () => {
+        if (!deactivationReason.trim()) {
+            toast.error('Please provide a reason for deactivation');
+            return;
+        }
+
+        try {
+            setLoading(true);
+            const response = await studentService.deactivateStudent(deactivating.id, deactivationReason);
+            const { outstanding_balance: balance } = response.data;
+            if (balance > 0) {
+                toast.warning(`Student deactivated with an outstanding balance of ${balance.toLocaleString()}`);
+            } else {
+                toast.success('Student deactivated successfully');
+            }
+            setDeactivating(null);
+            setDeactivationReason('');
+            fetchStudents();
+        } catch (error) {
+            toast.error(error.message);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleReactivate = async (student) => {
+        if (!window.confirm(`Reactivate ${student.first_name} ${student.last_name}?`)) return;
+
+        try {
+            setLoading(true);
+            await studentService.reactivateStudent(student.id);
+            toast.success('Student reactivated successfully');
+            fetchStudents();
+        } catch (error) {
+            toast.error(error.message);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const openExitForm = (student) => {
+        setExiting(student);
+        setExitForm({
+            ...emptyExitForm,
+            exitType: FINAL_CLASSES.includes(student.current_class) ? 'GRADUATED' : 'TRANSFERRED'
+        });
+    };
+
+    const closeExitForm = () => {
+        setExiting(null);
+        setExitForm(emptyExitForm);
+    };
+
+    const handleExit = async () => {
+        try {
+            setLoading(true);
+            const payload = Object.fromEntries(
+                Object.entries(exitForm).filter(([, value]) => value !== '')
+            );
+            const response = await promotionService.exitStudent(exiting.id, payload);
+            const { finalBalance } = response.data;
+            if (finalBalance > 0) {
+                toast.warning(`Exit recorded with a final balance of ${finalBalance.toLocaleString()}`);
+            } else {
+                toast.success('Exit recorded. A clearance certificate is now available.');
+            }
+            closeExitForm();
+            fetchStudents();
+        } catch (error) {
+            toast.error(error.message);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const downloadClearance = async (student) => {
+        try {
+            const blob = await promotionService.getClearanceCertificate(student.id);
+            const url = window.URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.setAttribute('download', `clearance-${student.admission_number}.pdf`);
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            window.URL.revokeObjectURL(url);
+        } catch (error) {
+            toast.error(error.message);
+        }
+    };
+
+    const downloadStatement = async (student) => {
+        try {
+            const blob = await studentService.getStatement(student.id, { format: 'pdf' });
+            const url = window.URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.setAttribute('download', `statement-${student.admission_number}.pdf`);
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+        } catch (error) {
+            toast.error('Failed to download statement');
+        }
+    };
+
+    const downloadTemplate = async () => {
+        try {
+            const blob = await studentService.getImportTemplate();
+            const url = window.URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.setAttribute('download', 'student-import-template.xlsx');
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            window.URL.revokeObjectURL(url);
+        } catch (error) {
+            toast.error('Failed to download template');
+        }
+    };
+
+    const closeImport = () => {
+        setShowImport(false);
+        setImportFile(null);
+        setImportPreview(null);
+    };
+
+    const handleImportFileSelect = (event) => {
+        const file = event.target.files[0];
+        if (file && /\.(csv|xlsx)$/i.test(file.name)) {
+            setImportFile(file);
+            setImportPreview(null);
+        } else {
+            toast.error('Please select a .csv or .xlsx file');
+            event.target.value = null;
+        }
+    };
+
+    const handlePreviewImport = async () => {
+        try {
+            setLoading(true);
+            const response = await studentService.importStudents(importFile);
+            setImportPreview(response.data);
+        } catch (error) {
+            toast.error(error.message);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleConfirmImport = async () => {
+        try {
+            setLoading(true);
+            const response = await studentService.importStudents(importFile, {
+                dryRun: false,
+                skipInvalid: importPreview.summary.invalid > 0
+            });
+            toast.success(response.message);
+            closeImport();
+            fetchStudents(1);
+        } catch (error) {
+            toast.error(error.message);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const renderInput = (name, label, props = {}) => (
+        <div>
+            <label className="block text-sm font-medium text-gray-700">
+                {label}
+            </label>
+            <input
+                className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+                value={formData[name]}
+                onChange={(e) => setFormData({ ...formData, [name]: e.target.value })}
+                {...props}
+            />
+        </div>
+    );
+
+    return (
+        <div className="p-6">
+            {/* Header with Banner */}
+            <div className="mb-8">
+                <img
+                    src="https://images.pexels.com/photos/5212345/pexels-photo-5212345.jpeg"
+                    alt="Student Management Banner"
+                    className="w-full h-48 object-cover rounded-lg mb-4"
+                />
+                <div className="flex justify-between items-center">
+                    <h2 className="text-2xl font-bold">Student Management</h2>
+                    <div className="space-x-2">
+                        <button
+                            onClick={() => setShowImport(true)}
+                            className="px-4 py-2 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50"
+                        >
+                            Import Roster
+                        </button>
+                        <button
+                            onClick={openCreateForm}
+                            className="px-4 py-2 bg-blue-500 text-white rounded-md hover:bg-blue-600"
+                        >
+                            Register Student
+                        </button>
+                    </div>
+                </div>
+            </div>
+
+            {/* Filters */}
+            <div className="bg-white p-6 rounded-lg shadow mb-6">
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700">
+                            Search
+                        </label>
+                        <input
+                            type="text"
+                            className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+                            placeholder="Name, admission number or parent phone"
+                            value={filters.search}
+                            onChange={(e) => setFilters({...filters, search: e.target.value})}
+                        />
+                    </div>
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700">
+                            Class
+                        </label>
+                        <select
+                            className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+                            value={filters.class}
+                            onChange={(e) => setFilters({...filters, class: e.target.value})}
+                        >
+                            <option value="">All Classes</option>
+                            {ALL_CLASSES.map(cls => (
+                                <option key={cls} value={cls}>{formatClassName(cls)}</option>
+                            ))}
+                        </select>
+                    </div>
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700">
+                            Status
+                        </label>
+                        <select
+                            className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+                            value={filters.status}
+                            onChange={(e) => setFilters({...filters, status: e.target.value})}
+                        >
+                            <option value="">All Statuses</option>
+                            <option value="ACTIVE">Active</option>
+                            <option value="INACTIVE">Inactive</option>
+                        </select>
+                    </div>
+                </div>
+            </div>
+
+            {/* Students List */}
+            <div className="bg-white p-6 rounded-lg shadow">
+                <div className="overflow-x-auto">
+                    <table className="min-w-full">
+                        <thead>
+                            <tr className="bg-gray-50">
+                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                    Admission #
+                                </th>
+                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                    Name
+                                </th>
+                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                    Class
+                                </th>
+                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                    Parent/Guardian
+                                </th>
+                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                    Phone
+                                </th>
+                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                    Status
+                                </th>
+                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                    Actions
+                                </th>
+                            </tr>
+                        </thead>
+                        <tbody className="bg-white divide-y divide-gray-200">
+                            {students.map((student) => (
+                                <tr key={student.id}>
+                                    <td className="px-6 py-4 whitespace-nowrap">
+                                        {student.admission_number}
+                                    </td>
+                                    <td className="px-6 py-4 whitespace-nowrap">
+                                        {student.first_name} {student.last_name}
+                                    </td>
+                                    <td className="px-6 py-4 whitespace-nowrap">
+                                        {formatClassName(student.current_class)}
+                                    </td>
+                                    <td className="px-6 py-4 whitespace-nowrap">
+                                        {student.parent_name}
+                                    </td>
+                                    <td className="px-6 py-4 whitespace-nowrap">
+                                        {student.phone_number}
+                                    </td>
+                                    <td className="px-6 py-4 whitespace-nowrap">
+                                        <span
+                                            className={`px-2 py-1 text-xs rounded-full
+                                                ${student.status === 'ACTIVE' ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-800'}`}
+                                            title={student.deactivation_reason
+                                                ? `${student.deactivation_reason} (${formatDate(student.deactivated_at)})`
+                                                : undefined}
+                                        >
+                                            {EXIT_LABELS[student.exit_type] || student.status}
+                                        </span>
+                                    </td>
+                                    <td className="px-6 py-4 whitespace-nowrap">
+                                        <button
+                                            onClick={() => openEditForm(student)}
+                                            className="text-blue-500 hover:text-blue-700 mr-2"
+                                        >
+                                            Edit
+                                        </button>
+                                        <button
+                                            onClick={() => downloadStatement(student)}
+                                            className="text-green-600 hover:text-green-800 mr-2"
+                                        >
+                                            Statement
+                                        </button>
+                                        {student.status === 'ACTIVE' ? (
+                                            <>
+                                                <button
+                                                    onClick={() => openExitForm(student)}
+                                                    className="text-purple-600 hover:text-purple-800 mr-2"
+                                                >
+                                                    Exit
+                                                </button>
+                                                <button
+                                                    onClick={() => setDeactivating(student)}
+                                                    className="text-red-500 hover:text-red-700"
+                                                >
+                                                    Deactivate
+                                                </button>
+                                            </>
+                                        ) : student.exit_type ? (
+                                            <button
+                                                onClick={() => downloadClearance(student)}
+                                                className="text-purple-600 hover:text-purple-800"
+                                                title={`Final balance: ${parseFloat(student.final_balance || 0).toLocaleString()}`}
+                                            >
+                                                Clearance
+                                            </button>
+                                        ) : (
+                                            <button
+                                                onClick={() => handleReactivate(student)}
+                                                className="text-yellow-600 hover:text-yellow-800"
+                                            >
+                                                Reactivate
+                                            </button>
+                                        )}
+                                    </td>
+                                </tr>
+                            ))}
+                            {!loading && students.length === 0 && (
+                                <tr>
+                                    <td colSpan="7" className="px-6 py-4 text-center text-gray-500">
+                                        No students found
+                                    </td>
+                                </tr>
+                            )}
+                        </tbody>
+                    </table>
+                </div>
+
+                {/* Pagination */}
+                <div className="flex justify-between items-center mt-4">
+                    <span className="text-sm text-gray-600">
+                        {pagination.total} student(s)
+                    </span>
+                    <div className="space-x-2">
+                        <button
+                            onClick={() => fetchStudents(pagination.page - 1)}
+                            disabled={loading || pagination.page <= 1}
+                            className="px-3 py-1 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+                        >
+                            Previous
+                        </button>
+                        <span className="text-sm text-gray-600">
+                            Page {pagination.page} of {Math.max(pagination.totalPages, 1)}
+                        </span>
+                        <button
+                            onClick={() => fetchStudents(pagination.page + 1)}
+                            disabled={loading || pagination.page >= pagination.totalPages}
+                            className="px-3 py-1 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+                        >
+                            Next
+                        </button>
+                    </div>
+                </div>
+            </div>
+
+            {/* Student Form Modal */}
+            {showForm && (
+                <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex items-center justify-center">
+                    <div className="bg-white p-6 rounded-lg shadow-lg w-full max-w-2xl">
+                        <h3 className="text-lg font-semibold mb-4">
+                            {editingStudent ? 'Edit Student' : 'Register Student'}
+                        </h3>
+
+                        <form onSubmit={handleSubmit} className="space-y-4">
+                            <div className="grid grid-cols-2 gap-4">
+                                {renderInput('admission_number', 'Admission Number', { required: true })}
+                                {renderInput('admission_date', 'Admission Date', { type: 'date' })}
+                                {renderInput('first_name', 'First Name', { required: true })}
+                                {renderInput('last_name', 'Last Name', { required: true })}
+                                {renderInput('parent_name', 'Parent/Guardian Name', { required: true })}
+                                {renderInput('phone_number', 'Parent Phone', { required: true, type: 'tel' })}
+                                {renderInput('email', 'Parent Email', { type: 'email' })}
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700">
+                                        Class
+                                    </label>
+                                    <select
+                                        className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+                                        value={formData.current_class}
+                                        onChange={(e) => handleClassChange(e.target.value)}
+                                        required
+                                    >
+                                        <option value="">Select class...</option>
+                                        {ALL_CLASSES.map(cls => (
+                                            <option key={cls} value={cls}>{formatClassName(cls)}</option>
+                                        ))}
+                                    </select>
+                                </div>
+                            </div>
+
+                            <div className="flex justify-end space-x-4 mt-6">
+                                <button
+                                    type="button"
+                                    onClick={() => setShowForm(false)}
+                                    className="px-4 py-2 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50"
+                                >
+                                    Cancel
+                                </button>
+                                <button
+                                    type="submit"
+                                    disabled={loading}
+                                    className="px-4 py-2 bg-blue-500 text-white rounded-md hover:bg-blue-600 disabled:bg-gray-400"
+                                >
+                                    {loading ? 'Saving...' : editingStudent ? 'Save Changes' : 'Register'}
+                                </button>
+                            </div>
+                        </form>
+                    </div>
+                </div>
+            )}
+
+            {/* Import Modal */}
+            {showImport && (
+                <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex items-center justify-center">
+                    <div className="bg-white p-6 rounded-lg shadow-lg w-full max-w-4xl max-h-screen overflow-y-auto">
+                        <h3 className="text-lg font-semibold mb-4">Import Student Roster</h3>
+
+                        <div className="flex items-center justify-between mb-4">
+                            <input
+                                type="file"
+                                accept=".csv,.xlsx"
+                                onChange={handleImportFileSelect}
+                                className="block text-sm text-gray-500"
+                            />
+                            <button
+                                onClick={downloadTemplate}
+                                className="text-blue-500 hover:text-blue-700 text-sm"
+                            >
+                                Download Import Template
+                            </button>
+                        </div>
+
+                        {importPreview && (
+                            <div className="mb-4">
+                                <div className="grid grid-cols-3 gap-4 mb-4">
+                                    <div className="p-3 bg-gray-50 rounded">
+                                        <p className="text-sm text-gray-600">Rows</p>
+                                        <p className="text-xl font-bold">{importPreview.summary.total}</p>
+                                    </div>
+                                    <div className="p-3 bg-green-50 rounded">
+                                        <p className="text-sm text-green-600">Valid</p>
+                                        <p className="text-xl font-bold text-green-700">{importPreview.summary.valid}</p>
+                                    </div>
+                                    <div className="p-3 bg-red-50 rounded">
+                                        <p className="text-sm text-red-600">With Errors</p>
+                                        <p className="text-xl font-bold text-red-700">{importPreview.summary.invalid}</p>
+                                    </div>
+                                </div>
+
+                                <div className="overflow-x-auto max-h-96">
+                                    <table className="min-w-full text-sm">
+                                        <thead>
+                                            <tr className="bg-gray-50">
+                                                <th className="px-3 py-2 text-left">Row</th>
+                                                <th className="px-3 py-2 text-left">Admission #</th>
+                                                <th className="px-3 py-2 text-left">Name</th>
+                                                <th className="px-3 py-2 text-left">Class</th>
+                                                <th className="px-3 py-2 text-left">Errors</th>
+                                            </tr>
+                                        </thead>
+                                        <tbody className="divide-y divide-gray-200">
+                                            {importPreview.rows.map(row => (
+                                                <tr key={row.row} className={row.status === 'INVALID' ? 'bg-red-50' : ''}>
+                                                    <td className="px-3 py-2">{row.row}</td>
+                                                    <td className="px-3 py-2">{row.data.admission_number}</td>
+                                                    <td className="px-3 py-2">{row.data.first_name} {row.data.last_name}</td>
+                                                    <td className="px-3 py-2">{row.data.current_class}</td>
+                                                    <td className="px-3 py-2 text-red-600">
+                                                        {row.errors.map(error => error.message).join('; ')}
+                                                    </td>
+                                                </tr>
+                                            ))}
+                                        </tbody>
+                                    </table>
+                                </div>
+                            </div>
+                        )}
+
+                        <div className="flex justify-end space-x-4 mt-6">
+                            <button
+                                onClick={closeImport}
+                                className="px-4 py-2 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50"
+                            >
+                                Cancel
+                            </button>
+                            {importPreview ? (
+                                <button
+                                    onClick={handleConfirmImport}
+                                    disabled={loading || !importPreview.summary.valid}
+                                    className="px-4 py-2 bg-blue-500 text-white rounded-md hover:bg-blue-600 disabled:bg-gray-400"
+                                >
+                                    {loading ? 'Importing...' : `Import ${importPreview.summary.valid} Valid Row(s)`}
+                                </button>
+                            ) : (
+                                <button
+                                    onClick={handlePreviewImport}
+                                    disabled={loading || !importFile}
+                                    className="px-4 py-2 bg-blue-500 text-white rounded-md hover:bg-blue-600 disabled:bg-gray-400"
+                                >
+                                    {loading ? 'Checking...' : 'Preview Import'}
+                                </button>
+                            )}
+                        </div>
+                    </div>
+                </div>
+            )}
+
+            {/* Exit Modal */}
+            {exiting && (
+                <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex items-center justify-center">
+                    <div className="bg-white p-6 rounded-lg shadow-lg w-full max-w-md">
+                        <h3 className="text-lg font-semibold mb-4">Record Student Exit</h3>
+                        <p className="text-sm text-gray-600 mb-4">
+                            {exiting.admission_number} - {exiting.first_name} {exiting.last_name}
+                            {' '}({formatClassName(exiting.current_class)})
+                        </p>
+                        <div className="space-y-4">
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700">
+                                    Exit Type
+                                </label>
+                                <select
+                                    className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+                                    value={exitForm.exitType}
+                                    onChange={(e) => setExitForm({ ...exitForm, exitType: e.target.value })}
+                                >
+                                    {FINAL_CLASSES.includes(exiting.current_class) && (
+                                        <option value="GRADUATED">Graduated</option>
+                                    )}
+                                    <option value="TRANSFERRED">Transferred to another school</option>
+                                    <option value="WITHDRAWN">Withdrawn</option>
+                                </select>
+                            </div>
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700">
+                                    Exit Date
+                                </label>
+                                <input
+                                    type="date"
+                                    className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+                                    value={exitForm.exitDate}
+                                    onChange={(e) => setExitForm({ ...exitForm, exitDate: e.target.value })}
+                                />
+                            </div>
+                            {exitForm.exitType !== 'WITHDRAWN' && (
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700">
+                                        Destination School
+                                    </label>
+                                    <input
+                                        type="text"
+                                        className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+                                        value={exitForm.destination}
+                                        onChange={(e) => setExitForm({ ...exitForm, destination: e.target.value })}
+                                    />
+                                </div>
+                            )}
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700">
+                                    Remarks
+                                </label>
+                                <textarea
+                                    className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+                                    rows="2"
+                                    value={exitForm.remarks}
+                                    onChange={(e) => setExitForm({ ...exitForm, remarks: e.target.value })}
+                                />
+                            </div>
+                        </div>
+                        <p className="text-xs text-gray-500 mt-4">
+                            The student will be marked inactive and any outstanding balance frozen as their
+                            final balance. A clearance certificate is only issued once it is fully paid.
+                        </p>
+                        <div className="flex justify-end space-x-4 mt-6">
+                            <button
+                                onClick={closeExitForm}
+                                className="px-4 py-2 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50"
+                            >
+                                Cancel
+                            </button>
+                            <button
+                                onClick={handleExit}
+                                disabled={loading}
+                                className="px-4 py-2 bg-purple-600 text-white rounded-md hover:bg-purple-700 disabled:bg-gray-400"
+                            >
+                                {loading ? 'Saving...' : 'Record Exit'}
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            )}
+
+            {/* Deactivation Modal */}
+            {deactivating && (
+                <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex items-center justify-center">
+                    <div className="bg-white p-6 rounded-lg shadow-lg w-full max-w-md">
+                        <h3 className="text-lg font-semibold mb-4">Deactivate Student</h3>
+                        <p className="text-sm text-gray-600 mb-4">
+                            {deactivating.admission_number} - {deactivating.first_name} {deactivating.last_name}
+                        </p>
+                        <label className="block text-sm font-medium text-gray-700">
+                            Reason
+                        </label>
+                        <textarea
+                            className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500"
+                            rows="3"
+                            value={deactivationReason}
+                            onChange={(e) => setDeactivationReason(e.target.value)}
+                        />
+                        <div className="flex justify-end space-x-4 mt-6">
+                            <button
+                                onClick={() => {
+                                    setDeactivating(null);
+                                    setDeactivationReason('');
+                                }}
+                                className="px-4 py-2 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50"
+                            >
+                                Cancel
+                            </button>
+                            <button
+                                onClick={handleDeactivate}
+                                disabled={loading}
+                                className="px-4 py-2 bg-red-500 text-white rounded-md hover:bg-red-600 disabled:bg-gray-400"
+                            >
+                                {loading ? 'Saving...' : 'Deactivate'}
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default StudentManager;
@@ -3,6 +3,8 @@ import { Routes, Route, Navigate } from 'react-router-dom';
 import { UserProvider } from '../contexts/UserContext';
 import authRoutes, { renderAuthRoutes } from './authRoutes';
 import { PrivateRoute } from '../components/auth';
+import StudentManager from '../components/StudentManager';
+import FamilyManager from '../components/FamilyManager';
 
 const AppRoutes = () => {
     return (
@@ -27,8 +29,17 @@ const AppRoutes = () => {
                     path="/students/*"
                     element={
                         <PrivateRoute requiredPermissions={['STUDENTS_VIEW']}>
-                            {/* <StudentRoutes /> */}
-                            <div>Student Routes (To be implemented)</div>
+                            <StudentManager />
+                        </PrivateRoute>
+                    }
+                />
+
+                {/* Family Routes */}
+                <Route
+                    path="/families/*"
+                    element={
+                        <PrivateRoute requiredPermissions={['STUDENTS_VIEW']}>
+                            <FamilyManager />
                         </PrivateRoute>
                     }
                 />
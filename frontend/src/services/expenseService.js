@@ -97,13 +97,64 @@ class ExpenseService {
     }
 
     /**
-     * Approve expense
+     * Submit expense to its approval chain
      * @param {number} id - Expense ID
+     * @param {string} budgetOverrideReason - Reason for letting the expense through a budget block
      * @returns {Promise} API response
      */
-    async approveExpense(id) {
+    async submitExpense(id, budgetOverrideReason) {
         try {
-            const response = await axios.post(`${API_BASE_URL}/${id}/approve`);
+            const response = await axios.post(
+                `${API_BASE_URL}/${id}/submit`,
+                budgetOverrideReason ? { budget_override_reason: budgetOverrideReason } : {}
+            );
+            return response.data;
+        } catch (error) {
+            this.handleError(error);
+        }
+    }
+
+    /**
+     * Approve the current approval step of an expense
+     * @param {number} id - Expense ID
+     * @param {string} comment - Approver's comment
+     * @param {string} budgetOverrideReason - Reason for letting the expense through a budget block
+     * @returns {Promise} API response
+     */
+    async approveExpense(id, comment, budgetOverrideReason) {
+        try {
+            const response = await axios.post(`${API_BASE_URL}/${id}/approve`, {
+                ...(comment && { comment }),
+                ...(budgetOverrideReason && { budget_override_reason: budgetOverrideReason })
+            });
+            return response.data;
+        } catch (error) {
+            this.handleError(error);
+        }
+    }
+
+    /**
+     * Reject expense back to the requester
+     * @param {number} id - Expense ID
+     * @param {string} reason - Rejection reason
+     * @returns {Promise} API response
+     */
+    async rejectExpense(id, reason) {
+        try {
+            const response = await axios.post(`${API_BASE_URL}/${id}/reject`, { reason });
+            return response.data;
+        } catch (error) {
+            this.handleError(error);
+        }
+    }
+
+    /**
+     * Get expenses waiting on the current user's approval
+     * @returns {Promise} API response
+     */
+    async getPendingApprovals() {
+        try {
+            const response = await axios.get(`${API_BASE_URL}/approvals/pending`);
             return response.data;
         } catch (error) {
             this.handleError(error);
@@ -225,6 +276,83 @@ class ExpenseService {
         }
     }
 
+    /**
+     * Close budget and create next academic year's draft from it
+     * @param {number} id - Budget ID
+     * @param {Object} data - { uplift_percentage, title, notes }
+     * @returns {Promise} API response
+     */
+    async rolloverBudget(id, data = {}) {
+        try {
+            const response = await axios.post(`${API_BASE_URL}/budgets/${id}/rollover`, data);
+            return response.data;
+        } catch (error) {
+            this.handleError(error);
+        }
+    }
+
+    /**
+     * Get budget revision history
+     * @param {number} id - Budget ID
+     * @param {Object} params - Query parameters
+     * @returns {Promise} API response
+     */
+    async getBudgetRevisions(id, params = {}) {
+        try {
+            const response = await axios.get(`${API_BASE_URL}/budgets/${id}/revisions`, { params });
+            return response.data;
+        } catch (error) {
+            this.handleError(error);
+        }
+    }
+
+    /**
+     * Request a budget revision
+     * @param {number} id - Budget ID
+     * @param {Object} data - { revision_type, amount, category_changes, monthly_changes, reason }
+     * @returns {Promise} API response
+     */
+    async requestBudgetRevision(id, data) {
+        try {
+            const response = await axios.post(`${API_BASE_URL}/budgets/${id}/revisions`, data);
+            return response.data;
+        } catch (error) {
+            this.handleError(error);
+        }
+    }
+
+    /**
+     * Approve budget revision
+     * @param {number} id - Budget ID
+     * @param {number} revisionId - Revision ID
+     * @param {string} notes - Approval notes
+     * @returns {Promise} API response
+     */
+    async approveBudgetRevision(id, revisionId, notes) {
+        try {
+            const response = await axios.post(`${API_BASE_URL}/budgets/${id}/revisions/${revisionId}/approve`, { notes });
+            return response.data;
+        } catch (error) {
+            this.handleError(error);
+        }
+    }
+
+    /**
+     * Reject budget revision
+     * @param {number} id - Budget ID
+     * @param {number} revisionId - Revision ID
+     * @param {string} notes - Rejection notes
+     * @returns {Promise} API response
+     */
+    async rejectBudgetRevision(id, revisionId, notes) {
+        try {
+            const response = await axios.post(`${API_BASE_URL}/budgets/${id}/revisions/${revisionId}/reject`, { notes });
+            return response.data;
+        } catch (error) {
+            this.handleError(error);
+        }
+    }
+
     /**
      * Get budget statistics
      * @param {Object} params - Query parameters
@@ -343,8 +471,8 @@ class ExpenseService {
      */
     handleError(error) {
         if (error.response) {
-            // Server responded with error status
-            const message = error.response.data.error || 'An error occurred';
+            // Server responded with error status; business rule errors explain themselves in message
+            const message = error.response.data.message || error.response.data.error || 'An error occurred';
             throw new Error(message);
         } else if (error.request) {
             // Request made but no response
@@ -0,0 +1,222 @@
+import axios from 'axios';
+
+const API_BASE_URL = '/api';
+
+class FamilyService {
+    /**
+     * List and search families
+     * @param {Object} params - Query parameters (search, status, page, limit)
+     * @returns {Promise} API response
+     */
+    async getFamilies(params = {}) {
+        try {
+            const response = await axios.get(
+                `${API_BASE_URL}/families`,
+                { params }
+            );
+            return response.data;
+        } catch (error) {
+            this.handleError(error);
+        }
+    }
+
+    /**
+     * Get family details with each child's open invoices
+     * @param {number} familyId - Family ID
+     * @returns {Promise} API response
+     */
+    async getFamily(familyId) {
+        try {
+            const response = await axios.get(
+                `${API_BASE_URL}/families/${familyId}`
+            );
+            return response.data;
+        } catch (error) {
+            this.handleError(error);
+        }
+    }
+
+    /**
+     * Register a family
+     * @param {Object} familyData - Guardian details and optional student_ids
+     * @returns {Promise} API response
+     */
+    async createFamily(familyData) {
+        try {
+            const response = await axios.post(
+                `${API_BASE_URL}/families`,
+                familyData
+            );
+            return response.data;
+        } catch (error) {
+            this.handleError(error);
+        }
+    }
+
+    /**
+     * Update family details
+     * @param {number} familyId - Family ID
+     * @param {Object} familyData - Fields to update
+     * @returns {Promise} API response
+     */
+    async updateFamily(familyId, familyData) {
+        try {
+            const response = await axios.put(
+                `${API_BASE_URL}/families/${familyId}`,
+                familyData
+            );
+            return response.data;
+        } catch (error) {
+            this.handleError(error);
+        }
+    }
+
+    /**
+     * Link children to a family
+     * @param {number} familyId - Family ID
+     * @param {Array<number>} studentIds - Students to link
+     * @returns {Promise} API response
+     */
+    async linkStudents(familyId, studentIds) {
+        try {
+            const response = await axios.post(
+                `${API_BASE_URL}/families/${familyId}/students`,
+                { student_ids: studentIds }
+            );
+            return response.data;
+        } catch (error) {
+            this.handleError(error);
+        }
+    }
+
+    /**
+     * Remove a child from a family
+     * @param {number} familyId - Family ID
+     * @param {number} studentId - Student ID
+     * @returns {Promise} API response
+     */
+    async unlinkStudent(familyId, studentId) {
+        try {
+            const response = await axios.delete(
+                `${API_BASE_URL}/families/${familyId}/students/${studentId}`
+            );
+            return response.data;
+        } catch (error) {
+            this.handleError(error);
+        }
+    }
+
+    /**
+     * Get a consolidated statement for all of a family's children
+     * @param {number} familyId - Family ID
+     * @param {Object} params - Query parameters (from, to, format)
+     * @returns {Promise} API response, or a Blob for pdf/excel formats
+     */
+    async getStatement(familyId, params = {}) {
+        try {
+            const isFile = params.format && params.format !== 'json';
+            const response = await axios.get(
+                `${API_BASE_URL}/families/${familyId}/statement`,
+                {
+                    params,
+                    ...(isFile && { responseType: 'blob' })
+                }
+            );
+            return response.data;
+        } catch (error) {
+            this.handleError(error);
+        }
+    }
+
+    /**
+     * Record one payment split across the invoices of a family's children
+     * @param {Object} paymentData - family_id, amount, payment_mode, payment_details and allocations [{ invoice_id, amount }]
+     * @returns {Promise} API response
+     */
+    async processFamilyPayment(paymentData) {
+        try {
+            const response = await axios.post(
+                `${API_BASE_URL}/invoices/payments/family`,
+                paymentData
+            );
+            return response.data;
+        } catch (error) {
+            this.handleError(error);
+        }
+    }
+
+    /**
+     * List sibling discount rules
+     * @param {Object} params - Query parameters (status, academic_year)
+     * @returns {Promise} API response
+     */
+    async getDiscountRules(params = {}) {
+        try {
+            const response = await axios.get(
+                `${API_BASE_URL}/families/discount-rules`,
+                { params }
+            );
+            return response.data;
+        } catch (error) {
+            this.handleError(error);
+        }
+    }
+
+    /**
+     * Create a sibling discount rule
+     * @param {Object} ruleData - Rule details
+     * @returns {Promise} API response
+     */
+    async createDiscountRule(ruleData) {
+        try {
+            const response = await axios.post(
+                `${API_BASE_URL}/families/discount-rules`,
+                ruleData
+            );
+            return response.data;
+        } catch (error) {
+            this.handleError(error);
+        }
+    }
+
+    /**
+     * Update a sibling discount rule
+     * @param {number} ruleId - Rule ID
+     * @param {Object} ruleData - Fields to update
+     * @returns {Promise} API response
+     */
+    async updateDiscountRule(ruleId, ruleData) {
+        try {
+            const response = await axios.put(
+                `${API_BASE_URL}/families/discount-rules/${ruleId}`,
+                ruleData
+            );
+            return response.data;
+        } catch (error) {
+            this.handleError(error);
+        }
+    }
+
+    /**
+     * Handle API errors
+     * @param {Error} error - Error object
+     * @throws {Error} Formatted error
+     */
+    handleError(error) {
+        if (error.response) {
+            // Server responded with error status
+            const message = error.response.data.error || 'An error occurred';
+            throw new Error(message);
+        } else if (error.request) {
+            // Request made but no response
+            throw new Error('No response from server. Please try again.');
+        } else {
+            // Request setup error
+            throw new Error('Failed to make request. Please try again.');
+        }
+    }
+}
+
+// Create and export a singleton instance
+const familyService = new FamilyService();
+export default familyService;
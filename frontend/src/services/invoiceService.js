@@ -93,6 +93,124 @@ class InvoiceService {
         }
     }
 
+    /**
+     * Run the overdue sweep now (admin only)
+     * @returns {Promise} API response
+     */
+    async markOverdue() {
+        try {
+            const response = await axios.post(`${API_BASE_URL}/overdue/sweep`);
+            return response.data;
+        } catch (error) {
+            this.handleError(error);
+        }
+    }
+
+    /**
+     * Request a waiver on an invoice item
+     * @param {number} invoiceId - Invoice ID
+     * @param {number} itemId - Invoice item ID
+     * @param {Object} data - { amount, reason }
+     * @returns {Promise} API response; the waiver is pending when above the approval threshold
+     */
+    async requestWaiver(invoiceId, itemId, data) {
+        try {
+            const response = await axios.post(`${API_BASE_URL}/${invoiceId}/items/${itemId}/waivers`, data);
+            return response.data;
+        } catch (error) {
+            this.handleError(error);
+        }
+    }
+
+    /**
+     * Get waiver requests
+     * @param {Object} params - Query parameters (status, student_id, page, limit)
+     * @returns {Promise} API response
+     */
+    async getWaiverRequests(params = {}) {
+        try {
+            const response = await axios.get(`${API_BASE_URL}/waivers`, { params });
+            return response.data;
+        } catch (error) {
+            this.handleError(error);
+        }
+    }
+
+    /**
+     * Approve a pending waiver request
+     * @param {number} waiverId - Waiver request ID
+     * @param {string} remarks - Optional approval remarks
+     * @returns {Promise} API response
+     */
+    async approveWaiver(waiverId, remarks) {
+        try {
+            const response = await axios.post(`${API_BASE_URL}/waivers/${waiverId}/approve`, { remarks });
+            return response.data;
+        } catch (error) {
+            this.handleError(error);
+        }
+    }
+
+    /**
+     * Reject a pending waiver request
+     * @param {number} waiverId - Waiver request ID
+     * @param {string} remarks - Reason for rejecting
+     * @returns {Promise} API response
+     */
+    async rejectWaiver(waiverId, remarks) {
+        try {
+            const response = await axios.post(`${API_BASE_URL}/waivers/${waiverId}/reject`, { remarks });
+            return response.data;
+        } catch (error) {
+            this.handleError(error);
+        }
+    }
+
+    /**
+     * Get an invoice's payment plans, newest first
+     * @param {number} invoiceId - Invoice ID
+     * @returns {Promise} API response
+     */
+    async getPaymentPlans(invoiceId) {
+        try {
+            const response = await axios.get(`${API_BASE_URL}/${invoiceId}/payment-plan`);
+            return response.data;
+        } catch (error) {
+            this.handleError(error);
+        }
+    }
+
+    /**
+     * Put an invoice on an installment payment plan
+     * @param {number} invoiceId - Invoice ID
+     * @param {Object} data - Either { installments: [{ due_date, amount }] } or
+     *   { installment_count, first_due_date, frequency }, plus optional remarks
+     * @returns {Promise} API response
+     */
+    async createPaymentPlan(invoiceId, data) {
+        try {
+            const response = await axios.post(`${API_BASE_URL}/${invoiceId}/payment-plan`, data);
+            return response.data;
+        } catch (error) {
+            this.handleError(error);
+        }
+    }
+
+    /**
+     * Cancel an invoice's active payment plan
+     * @param {number} invoiceId - Invoice ID
+     * @param {string} reason - Cancellation reason
+     * @returns {Promise} API response
+     */
+    async cancelPaymentPlan(invoiceId, reason) {
+        try {
+            const response = await axios.post(`${API_BASE_URL}/${invoiceId}/payment-plan/cancel`, { reason });
+            return response.data;
+        } catch (error) {
+            this.handleError(error);
+        }
+    }
+
     /**
      * Process payment
      * @param {Object} data - Payment data
@@ -107,6 +225,20 @@ class InvoiceService {
         }
     }
 
+    /**
+     * Preview how a payment would be split over an invoice's items
+     * @param {Object} data - { invoice_id, amount, allocation_policy }
+     * @returns {Promise} API response
+     */
+    async previewAllocation(data) {
+        try {
+            const response = await axios.post(`${API_BASE_URL}/payments/allocation-preview`, data);
+            return response.data;
+        } catch (error) {
+            this.handleError(error);
+        }
+    }
+
     /**
      * Verify payment
      * @param {number} id - Payment ID
@@ -151,6 +283,67 @@ class InvoiceService {
         }
     }
 
+    /**
+     * Get the cheque register
+     * @param {Object} params - Query parameters (status, due_by)
+     * @returns {Promise} API response
+     */
+    async getChequeRegister(params = {}) {
+        try {
+            const response = await axios.get(`${API_BASE_URL}/payments/cheques/register`, { params });
+            return response.data;
+        } catch (error) {
+            this.handleError(error);
+        }
+    }
+
+    /**
+     * Mark a received cheque as deposited
+     * @param {number} id - Payment ID
+     * @param {string} depositDate - Optional deposit date (default: today)
+     * @returns {Promise} API response
+     */
+    async depositCheque(id, depositDate) {
+        try {
+            const response = await axios.post(
+                `${API_BASE_URL}/payments/${id}/cheque/deposit`,
+                depositDate ? { deposit_date: depositDate } : {}
+            );
+            return response.data;
+        } catch (error) {
+            this.handleError(error);
+        }
+    }
+
+    /**
+     * Mark a deposited cheque as cleared, verifying its payment
+     * @param {number} id - Payment ID
+     * @returns {Promise} API response
+     */
+    async clearCheque(id) {
+        try {
+            const response = await axios.post(`${API_BASE_URL}/payments/${id}/cheque/clear`);
+            return response.data;
+        } catch (error) {
+            this.handleError(error);
+        }
+    }
+
+    /**
+     * Record a bounced cheque
+     * @param {number} id - Payment ID
+     * @param {Object} data - { reason, bounce_date, charge_amount, refuse_future_cheques }
+     * @returns {Promise} API response
+     */
+    async bounceCheque(id, data) {
+        try {
+            const response = await axios.post(`${API_BASE_URL}/payments/${id}/cheque/bounce`, data);
+            return response.data;
+        } catch (error) {
+            this.handleError(error);
+        }
+    }
+
     /**
      * Get payment details
      * @param {number} id - Payment ID
@@ -214,11 +407,29 @@ class InvoiceService {
     /**
      * Send payment reminders
      * @param {Array} invoiceIds - Array of invoice IDs
+     * @param {Object} options - Reminder options (channel, template, subject)
      * @returns {Promise} API response
      */
-    async sendReminders(invoiceIds) {
+    async sendReminders(invoiceIds, options = {}) {
         try {
-            const response = await axios.post(`${API_BASE_URL}/bulk-remind`, { invoice_ids: invoiceIds });
+            const response = await axios.post(`${API_BASE_URL}/bulk-remind`, {
+                invoice_ids: invoiceIds,
+                ...options
+            });
+            return response.data;
+        } catch (error) {
+            this.handleError(error);
+        }
+    }
+
+    /**
+     * Get payment reminder log
+     * @param {Object} params - Query parameters
+     * @returns {Promise} API response
+     */
+    async getReminderLogs(params = {}) {
+        try {
+            const response = await axios.get(`${API_BASE_URL}/reminders/log`, { params });
             return response.data;
         } catch (error) {
             this.handleError(error);
@@ -270,6 +481,24 @@ class InvoiceService {
         }
     }
 
+    /**
+     * Email payment receipt to the parent
+     * @param {number} paymentId - Payment ID
+     * @param {string} email - Optional address overriding the one on record
+     * @returns {Promise} API response
+     */
+    async emailReceipt(paymentId, email) {
+        try {
+            const response = await axios.post(
+                `${API_BASE_URL}/payments/${paymentId}/receipt/email`,
+                email ? { email } : {}
+            );
+            return response.data;
+        } catch (error) {
+            this.handleError(error);
+        }
+    }
+
     /**
      * Export transactions
      * @param {Object} params - Export parameters
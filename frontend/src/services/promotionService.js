@@ -21,6 +21,83 @@ class PromotionService {
         }
     }
 
+    /**
+     * Preview promoting a whole class
+     * @param {Object} batchData - { fromClass, toClass, toAcademicYear, retain, graduate, remarks }
+     * @returns {Promise} API response with the per-student plan
+     */
+    async previewBatchPromotion(batchData) {
+        try {
+            const response = await axios.post(
+                `${API_BASE_URL}/promotions/batch/preview`,
+                batchData
+            );
+            return response.data;
+        } catch (error) {
+            this.handleError(error);
+        }
+    }
+
+    /**
+     * Promote a whole class, retaining or graduating the listed students
+     * @param {Object} batchData - { fromClass, toClass, toAcademicYear, retain, graduate, remarks }
+     * @returns {Promise} API response
+     */
+    async batchPromote(batchData) {
+        try {
+            const response = await axios.post(
+                `${API_BASE_URL}/promotions/batch`,
+                batchData
+            );
+            return response.data;
+        } catch (error) {
+            this.handleError(error);
+        }
+    }
+
+    /**
+     * Record a student graduating, transferring out or withdrawing
+     * @param {number} studentId - Student ID
+     * @param {Object} exitData - { exitType, exitDate, destination, academicYear, remarks }
+     * @returns {Promise} API response with the frozen final balance
+     */
+    async exitStudent(studentId, exitData) {
+        try {
+            const response = await axios.post(
+                `${API_BASE_URL}/promotions/students/${studentId}/exit`,
+                exitData
+            );
+            return response.data;
+        } catch (error) {
+            this.handleError(error);
+        }
+    }
+
+    /**
+     * Download the clearance certificate of a student who has left
+     * @param {number} studentId - Student ID
+     * @returns {Promise} Blob data
+     */
+    async getClearanceCertificate(studentId) {
+        try {
+            const response = await axios.get(
+                `${API_BASE_URL}/promotions/students/${studentId}/clearance-certificate`,
+                { responseType: 'blob' }
+            );
+            return response.data;
+        } catch (error) {
+            // Error bodies arrive as blobs too; read the JSON message out of them
+            if (error.response?.data instanceof Blob) {
+                try {
+                    error.response.data = JSON.parse(await error.response.data.text());
+                } catch (parseError) {
+                    error.response.data = {};
+                }
+            }
+            this.handleError(error);
+        }
+    }
+
     /**
      * Get promotion history for a student
      * @param {number} studentId - Student ID
@@ -151,6 +151,29 @@ class ReportService {
         }
     }
 
+    /**
+     * Get revenue foregone per discount scheme
+     * @param {Object} params - Query parameters (academic_year, term, start_date, end_date, format)
+     * @returns {Promise} API response
+     */
+    async getDiscountReport(params = {}) {
+        try {
+            const response = await axios.get(`${API_BASE_URL}/discounts`, { 
+                params,
+                responseType: params.format === 'excel' ? 'blob' : 'json'
+            });
+
+            if (params.format === 'excel') {
+                this.downloadFile(new Blob([response.data]), 'revenue-foregone.xlsx');
+                return;
+            }
+
+            return response.data;
+        } catch (error) {
+            this.handleError(error);
+        }
+    }
+
     /**
      * Download report as file
      * @param {Blob} blob - Report data blob
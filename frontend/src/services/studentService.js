@@ -0,0 +1,211 @@
+import axios from 'axios';
+
+const API_BASE_URL = '/api';
+
+class StudentService {
+    /**
+     * List and search students
+     * @param {Object} params - Query parameters (search, class, school_level, status, page, limit)
+     * @returns {Promise} API response
+     */
+    async getStudents(params = {}) {
+        try {
+            const response = await axios.get(
+                `${API_BASE_URL}/students`,
+                { params }
+            );
+            return response.data;
+        } catch (error) {
+            this.handleError(error);
+        }
+    }
+
+    /**
+     * Get student details
+     * @param {number} studentId - Student ID
+     * @returns {Promise} API response
+     */
+    async getStudent(studentId) {
+        try {
+            const response = await axios.get(
+                `${API_BASE_URL}/students/${studentId}`
+            );
+            return response.data;
+        } catch (error) {
+            this.handleError(error);
+        }
+    }
+
+    /**
+     * Register a new student
+     * @param {Object} studentData - Student details
+     * @returns {Promise} API response
+     */
+    async createStudent(studentData) {
+        try {
+            const response = await axios.post(
+                `${API_BASE_URL}/students`,
+                studentData
+            );
+            return response.data;
+        } catch (error) {
+            this.handleError(error);
+        }
+    }
+
+    /**
+     * Update student details
+     * @param {number} studentId - Student ID
+     * @param {Object} studentData - Fields to update
+     * @returns {Promise} API response
+     */
+    async updateStudent(studentId, studentData) {
+        try {
+            const response = await axios.put(
+                `${API_BASE_URL}/students/${studentId}`,
+                studentData
+            );
+            return response.data;
+        } catch (error) {
+            this.handleError(error);
+        }
+    }
+
+    /**
+     * Deactivate a student
+     * @param {number} studentId - Student ID
+     * @param {string} reason - Deactivation reason
+     * @returns {Promise} API response
+     */
+    async deactivateStudent(studentId, reason) {
+        try {
+            const response = await axios.post(
+                `${API_BASE_URL}/students/${studentId}/deactivate`,
+                { reason }
+            );
+            return response.data;
+        } catch (error) {
+            this.handleError(error);
+        }
+    }
+
+    /**
+     * Reactivate an inactive student
+     * @param {number} studentId - Student ID
+     * @returns {Promise} API response
+     */
+    async reactivateStudent(studentId) {
+        try {
+            const response = await axios.post(
+                `${API_BASE_URL}/students/${studentId}/reactivate`
+            );
+            return response.data;
+        } catch (error) {
+            this.handleError(error);
+        }
+    }
+
+    /**
+     * Get outstanding balances for a student
+     * @param {number} studentId - Student ID
+     * @returns {Promise} API response
+     */
+    async getOutstandingBalance(studentId) {
+        try {
+            const response = await axios.get(
+                `${API_BASE_URL}/students/${studentId}/outstanding-balance`
+            );
+            return response.data;
+        } catch (error) {
+            this.handleError(error);
+        }
+    }
+
+    /**
+     * Get a student's statement of account
+     * @param {number} studentId - Student ID
+     * @param {Object} params - Query parameters (from, to, format)
+     * @returns {Promise} API response, or a Blob for pdf/excel formats
+     */
+    async getStatement(studentId, params = {}) {
+        try {
+            const isFile = params.format && params.format !== 'json';
+            const response = await axios.get(
+                `${API_BASE_URL}/students/${studentId}/statement`,
+                {
+                    params,
+                    ...(isFile && { responseType: 'blob' })
+                }
+            );
+            return response.data;
+        } catch (error) {
+            this.handleError(error);
+        }
+    }
+
+    /**
+     * Download the student import template
+     * @returns {Promise} Blob data
+     */
+    async getImportTemplate() {
+        try {
+            const response = await axios.get(
+                `${API_BASE_URL}/students/import/template`,
+                { responseType: 'blob' }
+            );
+            return response.data;
+        } catch (error) {
+            this.handleError(error);
+        }
+    }
+
+    /**
+     * Import students from a CSV or Excel roster
+     * @param {File} file - .csv or .xlsx file
+     * @param {Object} options - { dryRun: preview only (default true), skipInvalid: import valid rows only }
+     * @returns {Promise} API response with per-row results
+     */
+    async importStudents(file, { dryRun = true, skipInvalid = false } = {}) {
+        try {
+            const formData = new FormData();
+            formData.append('file', file);
+
+            const response = await axios.post(
+                `${API_BASE_URL}/students/import`,
+                formData,
+                {
+                    params: { dry_run: dryRun, skip_invalid: skipInvalid },
+                    headers: {
+                        'Content-Type': 'multipart/form-data'
+                    }
+                }
+            );
+            return response.data;
+        } catch (error) {
+            this.handleError(error);
+        }
+    }
+
+    /**
+     * Handle API errors
+     * @param {Error} error - Error object
+     * @throws {Error} Formatted error
+     */
+    handleError(error) {
+        if (error.response) {
+            // Server responded with error status
+            const message = error.response.data.error || 'An error occurred';
+            throw new Error(message);
+        } else if (error.request) {
+            // Request made but no response
+            throw new Error('No response from server. Please try again.');
+        } else {
+            // Request setup error
+            throw new Error('Failed to make request. Please try again.');
+        }
+    }
+}
+
+// Create and export a singleton instance
+const studentService = new StudentService();
+export default studentService;
@@ -6,6 +6,7 @@
 // Class levels and their order
 const PRIMARY_CLASSES = ['pg', 'pp1', 'pp2', 'grade1', 'grade2', 'grade3', 'grade4', 'grade5', 'grade6'];
 const JUNIOR_CLASSES = ['grade7', 'grade8', 'grade9', 'grade10'];
+export const ALL_CLASSES = [...PRIMARY_CLASSES, ...JUNIOR_CLASSES];
 
 /**
  * Get the next possible class(es) for promotion based on current class
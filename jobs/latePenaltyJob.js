@@ -0,0 +1,157 @@
+/**
+ * Late payment penalties.
+ *
+ * Adds a PENALTY invoice item to every overdue invoice whose fee structure
+ * defines a late fee, once the grace period after the due date has passed.
+ * An invoice receives at most one penalty line, so the job can be re-run safely.
+ */
+const { Op } = require('sequelize');
+const { Invoice, InvoiceItem, FeeStructure, Student, UserActivity, sequelize } = require('../models');
+const logger = require('../utils/logger');
+
+const PENALTY_CATEGORY = 'PENALTY';
+
+/**
+ * Apply the late fee to a single invoice
+ * @param {Object} invoice - Invoice with items and fee structure loaded
+ * @param {Date} asOf - Date the penalty is applied on
+ * @returns {Promise<InvoiceItem|null>} Penalty item, or null if none was due
+ */
+const applyPenaltyToInvoice = async (invoice, asOf) => {
+    const { feeStructure } = invoice;
+
+    // Penalties carried forward from an earlier term don't count
+    if (invoice.items.some(item => item.category === PENALTY_CATEGORY && !item.is_carried_forward)) {
+        return null;
+    }
+
+    if (feeStructure.getPenaltyDate(invoice.due_date) > asOf) {
+        return null;
+    }
+
+    const amount = feeStructure.calculateLateFee(invoice.balance_amount);
+    if (amount <= 0) {
+        return null;
+    }
+
+    const transaction = await sequelize.transaction();
+
+    try {
+        const displayOrder = Math.max(0, ...invoice.items.map(item => item.display_order || 0)) + 1;
+
+        const penalty = await InvoiceItem.create({
+            invoice_id: invoice.id,
+            fee_structure_item_id: null,
+            item_name: 'Late payment penalty',
+            description: feeStructure.late_fee_type === 'PERCENTAGE'
+                ? `${parseFloat(feeStructure.late_fee_value)}% of outstanding balance ${parseFloat(invoice.balance_amount).toFixed(2)}`
+                : 'Flat late payment fee',
+            category: PENALTY_CATEGORY,
+            amount,
+            balance_amount: amount,
+            due_date: asOf,
+            is_mandatory: true,
+            display_order: displayOrder
+        }, { transaction });
+
+        await invoice.update({
+            total_amount: parseFloat(invoice.total_amount) + amount,
+            balance_amount: parseFloat(invoice.balance_amount) + amount
+        }, { transaction });
+
+        await transaction.commit();
+
+        return penalty;
+
+    } catch (error) {
+        await transaction.rollback();
+        throw error;
+    }
+};
+
+/**
+ * Apply late fees to all eligible overdue invoices
+ * @param {Object} options - { userId: user the penalties are logged against, asOf: cut-off date }
+ * @returns {Promise<Object>} Summary of penalties applied
+ */
+const applyLatePenalties = async ({ userId = process.env.SYSTEM_USER_ID, asOf = new Date() } = {}) => {
+    const invoices = await Invoice.findAll({
+        where: {
+            due_date: { [Op.lt]: asOf },
+            balance_amount: { [Op.gt]: 0 },
+            status: { [Op.in]: ['UNPAID', 'PARTIALLY_PAID', 'OVERDUE'] }
+        },
+        include: [{
+            model: FeeStructure,
+            as: 'feeStructure',
+            where: { late_fee_type: { [Op.ne]: 'NONE' } }
+        }, {
+            model: InvoiceItem,
+            as: 'items'
+        }, {
+            // Balances of students who have left are frozen
+            model: Student,
+            as: 'student',
+            where: { exit_type: null },
+            attributes: []
+        }]
+    });
+
+    const applied = [];
+    const failed = [];
+
+    for (const invoice of invoices) {
+        try {
+            const penalty = await applyPenaltyToInvoice(invoice, asOf);
+            if (!penalty) continue;
+
+            applied.push({
+                invoice_id: invoice.id,
+                invoice_item_id: penalty.id,
+                amount: penalty.amount
+            });
+
+            if (userId) {
+                await UserActivity.logActivity({
+                    user_id: userId,
+                    activity_type: 'APPLY_PENALTY',
+                    module: 'INVOICE',
+                    description: `Applied late payment penalty to Invoice #${invoice.id}`,
+                    entity_type: 'Invoice',
+                    entity_id: invoice.id,
+                    new_values: {
+                        invoice_item_id: penalty.id,
+                        amount: penalty.amount
+                    }
+                });
+            }
+        } catch (error) {
+            logger.error('Failed to apply late payment penalty', {
+                invoiceId: invoice.id,
+                error: error.message
+            });
+            failed.push({ invoice_id: invoice.id, reason: error.message });
+        }
+    }
+
+    const summary = {
+        as_of: asOf,
+        penalties_applied: applied.length,
+        total_penalty_amount: applied.reduce((sum, p) => sum + parseFloat(p.amount), 0),
+        applied,
+        failed
+    };
+
+    logger.info('Late payment penalties applied', {
+        asOf,
+        penaltiesApplied: summary.penalties_applied,
+        failed: failed.length
+    });
+
+    return summary;
+};
+
+module.exports = {
+    PENALTY_CATEGORY,
+    applyLatePenalties
+};
@@ -0,0 +1,212 @@
+/**
+ * Overdue detection for invoices and invoice items.
+ *
+ * Marks every invoice and invoice item that is past its due date with a
+ * non-zero balance as OVERDUE. Rows that are already overdue, paid or
+ * cancelled are left alone, so the sweep can run any number of times.
+ *
+ * Invoices on an active payment plan follow the installment schedule: the
+ * invoice due date tracks the earliest unpaid installment, past-due
+ * installments are marked instead of the invoice's items.
+ */
+const { Op } = require('sequelize');
+const {
+    Invoice,
+    InvoiceItem,
+    PaymentPlan,
+    PaymentPlanInstallment,
+    UserActivity,
+    sequelize
+} = require('../models');
+const logger = require('../utils/logger');
+const { applyLatePenalties } = require('./latePenaltyJob');
+
+const DEFAULT_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+let sweepTimer = null;
+
+/**
+ * Run the overdue sweep once
+ * @param {Object} options - { userId: user the transitions are logged against, asOf: cut-off date }
+ * @returns {Promise<Object>} Summary of the transitions made
+ */
+const runOverdueSweep = async ({ userId = process.env.SYSTEM_USER_ID, asOf = new Date() } = {}) => {
+    const transaction = await sequelize.transaction();
+
+    try {
+        const activePlans = await PaymentPlan.findAll({
+            where: { status: 'ACTIVE' },
+            attributes: ['id', 'invoice_id'],
+            transaction
+        });
+        const planInvoiceIds = activePlans.map(plan => plan.invoice_id);
+
+        const overdueItems = await InvoiceItem.findAll({
+            where: {
+                due_date: { [Op.lt]: asOf },
+                balance_amount: { [Op.gt]: 0 },
+                payment_status: { [Op.in]: ['UNPAID', 'PARTIALLY_PAID'] }
+            },
+            include: [{
+                model: Invoice,
+                as: 'invoice',
+                attributes: ['id', 'status'],
+                where: {
+                    status: { [Op.ne]: 'CANCELLED' },
+                    ...(planInvoiceIds.length && { id: { [Op.notIn]: planInvoiceIds } })
+                }
+            }],
+            transaction
+        });
+
+        const overdueInstallments = activePlans.length
+            ? await PaymentPlanInstallment.findAll({
+                where: {
+                    payment_plan_id: activePlans.map(plan => plan.id),
+                    due_date: { [Op.lt]: asOf },
+                    status: { [Op.in]: ['PENDING', 'PARTIALLY_PAID'] }
+                },
+                transaction
+            })
+            : [];
+
+        const overdueInvoices = await Invoice.findAll({
+            where: {
+                due_date: { [Op.lt]: asOf },
+                balance_amount: { [Op.gt]: 0 },
+                status: { [Op.in]: ['UNPAID', 'PARTIALLY_PAID'] }
+            },
+            transaction
+        });
+
+        // Bulk updates skip the per-row status hooks on purpose
+        if (overdueItems.length) {
+            await InvoiceItem.update({ payment_status: 'OVERDUE' }, {
+                where: { id: overdueItems.map(item => item.id) },
+                transaction
+            });
+        }
+
+        if (overdueInstallments.length) {
+            await PaymentPlanInstallment.update({ status: 'OVERDUE' }, {
+                where: { id: overdueInstallments.map(installment => installment.id) },
+                transaction
+            });
+        }
+
+        if (overdueInvoices.length) {
+            await Invoice.update({ status: 'OVERDUE' }, {
+                where: { id: overdueInvoices.map(invoice => invoice.id) },
+                transaction
+            });
+        }
+
+        await transaction.commit();
+
+        // Record one activity per invoice, listing the items that changed with it
+        const itemsByInvoice = overdueItems.reduce((groups, item) => {
+            groups[item.invoice_id] = groups[item.invoice_id] || [];
+            groups[item.invoice_id].push(item);
+            return groups;
+        }, {});
+
+        const installmentsByInvoice = overdueInstallments.reduce((groups, installment) => {
+            const plan = activePlans.find(p => p.id === installment.payment_plan_id);
+            groups[plan.invoice_id] = groups[plan.invoice_id] || [];
+            groups[plan.invoice_id].push(installment);
+            return groups;
+        }, {});
+
+        const invoiceIds = new Set([
+            ...overdueInvoices.map(invoice => invoice.id),
+            ...Object.keys(itemsByInvoice).map(Number),
+            ...Object.keys(installmentsByInvoice).map(Number)
+        ]);
+
+        if (userId) {
+            for (const invoiceId of invoiceIds) {
+                const invoice = overdueInvoices.find(inv => inv.id === invoiceId);
+                const items = itemsByInvoice[invoiceId] || [];
+                const installments = installmentsByInvoice[invoiceId] || [];
+
+                await UserActivity.logActivity({
+                    user_id: userId,
+                    activity_type: 'MARK_OVERDUE',
+                    module: 'INVOICE',
+                    description: `Marked Invoice #${invoiceId} overdue`,
+                    entity_type: 'Invoice',
+                    entity_id: invoiceId,
+                    old_values: invoice ? { status: invoice.status } : null,
+                    new_values: invoice ? { status: 'OVERDUE' } : null,
+                    additional_info: {
+                        items: items.map(item => ({
+                            id: item.id,
+                            from: item.payment_status,
+                            to: 'OVERDUE'
+                        })),
+                        ...(installments.length && {
+                            installments: installments.map(installment => ({
+                                installment_number: installment.installment_number,
+                                from: installment.status,
+                                to: 'OVERDUE'
+                            }))
+                        }),
+                        as_of: asOf
+                    }
+                });
+            }
+        }
+
+        const summary = {
+            as_of: asOf,
+            invoices_marked: overdueInvoices.length,
+            items_marked: overdueItems.length,
+            installments_marked: overdueInstallments.length,
+            invoice_ids: [...invoiceIds]
+        };
+
+        logger.info('Overdue sweep completed', summary);
+
+        return summary;
+
+    } catch (error) {
+        await transaction.rollback();
+        logger.error('Overdue sweep failed', { error: error.message });
+        throw error;
+    }
+};
+
+/**
+ * Start running the overdue sweep, followed by late penalties, on a fixed interval.
+ * Started at boot by scripts/runScheduledJobs.js.
+ * @param {number} intervalMs - Interval between sweeps (default: daily)
+ */
+const scheduleOverdueSweep = (intervalMs = parseInt(process.env.OVERDUE_SWEEP_INTERVAL_MS) || DEFAULT_INTERVAL_MS) => {
+    if (sweepTimer) {
+        return sweepTimer;
+    }
+
+    const run = () => runOverdueSweep().then(() => applyLatePenalties()).catch(() => {
+        // Failures are already logged; the next tick retries
+    });
+
+    run();
+    sweepTimer = setInterval(run, intervalMs);
+    return sweepTimer;
+};
+
+/**
+ * Stop the scheduled overdue sweep
+ */
+const stopOverdueSweep = () => {
+    if (sweepTimer) {
+        clearInterval(sweepTimer);
+        sweepTimer = null;
+    }
+};
+
+module.exports = {
+    runOverdueSweep,
+    scheduleOverdueSweep,
+    stopOverdueSweep
+};
@@ -0,0 +1,230 @@
+/**
+ * Recurring expenses.
+ *
+ * A recurring expense is a template for expenses such as rent, internet or
+ * security contracts. Every occurrence that has fallen due is created as a
+ * new expense linked to the template, and the template's next_recurring_date
+ * moves on until it passes the recurring end date. Occurrences the category
+ * requires approval for are submitted to its approval chain straight away.
+ *
+ * Occurrences are not created while the budget check blocks them, for example
+ * when the budget is frozen or the category's allocation is used up. The
+ * template keeps its due date, so the occurrence is created on the first run
+ * after funds free up.
+ */
+const { Op } = require('sequelize');
+const { Expense, ExpenseCategory, Budget, sequelize } = require('../models');
+const logger = require('../utils/logger');
+const { submitForApproval } = require('../utils/expenseApproval');
+const { checkExpenseBudget } = require('../utils/budgetEnforcement');
+
+const DEFAULT_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+let recurringTimer = null;
+
+/**
+ * Budget the occurrences of a template are charged to: the template's own
+ * budget while it is active, otherwise the current annual budget
+ * @param {Expense} template - Recurring expense with its budget loaded
+ * @returns {Promise<Budget|null>}
+ */
+const resolveBudget = async (template) => {
+    if (!template.budget_id) return null;
+
+    if (template.budget?.status === 'ACTIVE') {
+        return template.budget;
+    }
+
+    return await Budget.getCurrentBudget();
+};
+
+/**
+ * Create the occurrences of one recurring expense that are due
+ * @param {Expense} template - Recurring expense with category and budget loaded
+ * @param {Object} options - { userId, asOf }
+ * @returns {Promise<Object>} { occurrences, held, next_recurring_date }
+ */
+const generateOccurrences = async (template, { userId, asOf }) => {
+    const transaction = await sequelize.transaction();
+
+    try {
+        const { category } = template;
+        const total = parseFloat(template.amount) + parseFloat(template.tax_amount);
+        const needsApproval = category.requiresApprovalFor(total);
+
+        // Monthly occurrences stay on the template's day of the month
+        const anchorDay = new Date(template.expense_date).getDate();
+        const dueOffset = template.due_date
+            ? new Date(template.due_date) - new Date(template.expense_date)
+            : null;
+        const endDate = template.recurring_end_date ? new Date(template.recurring_end_date) : null;
+
+        const budget = await resolveBudget(template);
+        const occurrences = [];
+        let held = null;
+        let next = new Date(template.next_recurring_date);
+
+        while (next <= asOf && (!endDate || next <= endDate)) {
+            // Nobody is present to override a block, so the occurrence waits
+            if (budget) {
+                const { blocks } = await checkExpenseBudget({ budget, category, amount: total }, { transaction });
+                held = blocks[0] || null;
+                if (held) break;
+            }
+
+            const occurrence = await Expense.create({
+                category_id: template.category_id,
+                title: template.title,
+                description: template.description,
+                amount: template.amount,
+                tax_amount: template.tax_amount,
+                expense_date: next,
+                due_date: dueOffset !== null ? new Date(next.getTime() + dueOffset) : null,
+                payment_mode: template.payment_mode,
+                vendor_id: template.vendor_id,
+                bank_name: template.bank_name,
+                bank_branch: template.bank_branch,
+                notes: template.notes,
+                status: 'DRAFT',
+                payment_status: 'PENDING',
+                paid_amount: 0,
+                parent_expense_id: template.id,
+                budget_id: budget ? budget.id : null,
+                academic_year: budget ? budget.academic_year : template.academic_year,
+                created_by: userId || template.created_by
+            }, { transaction });
+
+            if (needsApproval) {
+                await submitForApproval(occurrence, { transaction });
+            }
+
+            occurrences.push(occurrence);
+
+            next = Expense.advanceRecurringDate(next, template.recurring_frequency, anchorDay);
+        }
+
+        const nextRecurringDate = endDate && next > endDate ? null : next;
+        await template.update({ next_recurring_date: nextRecurringDate }, { transaction });
+
+        await transaction.commit();
+
+        return { occurrences, held, next_recurring_date: nextRecurringDate };
+
+    } catch (error) {
+        await transaction.rollback();
+        throw error;
+    }
+};
+
+/**
+ * Create every recurring expense occurrence due on or before the cut-off date
+ * @param {Object} options - { userId: user the occurrences are created by (defaults to the template's creator), asOf: cut-off date }
+ * @returns {Promise<Object>} Summary of the occurrences created
+ */
+const generateRecurringExpenses = async ({ userId = process.env.SYSTEM_USER_ID, asOf = new Date() } = {}) => {
+    const templates = await Expense.findAll({
+        where: {
+            recurring: true,
+            status: { [Op.notIn]: ['REJECTED', 'CANCELLED'] },
+            recurring_frequency: { [Op.ne]: null },
+            next_recurring_date: { [Op.lte]: asOf }
+        },
+        include: [{
+            model: ExpenseCategory,
+            as: 'category',
+            where: { allow_recurring: true, status: 'ACTIVE' }
+        }, {
+            model: Budget,
+            as: 'budget'
+        }],
+        order: [['next_recurring_date', 'ASC']]
+    });
+
+    const created = [];
+    const held = [];
+    const failed = [];
+
+    for (const template of templates) {
+        try {
+            const result = await generateOccurrences(template, { userId, asOf });
+
+            result.occurrences.forEach(occurrence => created.push({
+                parent_expense_id: template.id,
+                expense_id: occurrence.id,
+                expense_number: occurrence.expense_number,
+                expense_date: occurrence.expense_date,
+                total_amount: occurrence.total_amount,
+                status: occurrence.status
+            }));
+
+            if (result.held) {
+                held.push({
+                    expense_id: template.id,
+                    next_recurring_date: result.next_recurring_date,
+                    reason: result.held
+                });
+            }
+        } catch (error) {
+            logger.error('Failed to generate recurring expense', {
+                expenseId: template.id,
+                error: error.message
+            });
+            failed.push({ expense_id: template.id, reason: error.message });
+        }
+    }
+
+    const summary = {
+        as_of: asOf,
+        templates_due: templates.length,
+        occurrences_created: created.length,
+        total_amount: created.reduce((sum, occurrence) => sum + parseFloat(occurrence.total_amount), 0),
+        created,
+        held,
+        failed
+    };
+
+    logger.info('Recurring expenses generated', {
+        asOf,
+        templatesDue: summary.templates_due,
+        occurrencesCreated: summary.occurrences_created,
+        held: held.length,
+        failed: failed.length
+    });
+
+    return summary;
+};
+
+/**
+ * Start generating recurring expenses on a fixed interval.
+ * Started at boot by scripts/runScheduledJobs.js.
+ * @param {number} intervalMs - Interval between runs (default: daily)
+ */
+const scheduleRecurringExpenses = (intervalMs = parseInt(process.env.RECURRING_EXPENSE_INTERVAL_MS) || DEFAULT_INTERVAL_MS) => {
+    if (recurringTimer) {
+        return recurringTimer;
+    }
+
+    const run = () => generateRecurringExpenses().catch(error => {
+        logger.error('Recurring expense run failed', { error: error.message });
+    });
+
+    run();
+    recurringTimer = setInterval(run, intervalMs);
+    return recurringTimer;
+};
+
+/**
+ * Stop the scheduled recurring expense runs
+ */
+const stopRecurringExpenses = () => {
+    if (recurringTimer) {
+        clearInterval(recurringTimer);
+        recurringTimer = null;
+    }
+};
+
+module.exports = {
+    generateRecurringExpenses,
+    scheduleRecurringExpenses,
+    stopRecurringExpenses
+};
@@ -1,3 +1,4 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const { User, Role, Permission } = require('../models');
 const { AuthenticationError } = require('../utils/errors');
@@ -120,3 +121,25 @@ exports.checkOwnership = (req, res, next) => {
 
     next();
 };
+
+/**
+ * Check the shared secret a payment provider sends with its callbacks in the
+ * X-Callback-Token header.
+ *
+ * Environment:
+ *   MOBILE_MONEY_CALLBACK_TOKEN  Shared secret configured with the provider
+ *   SYSTEM_USER_ID               User that callback payments are recorded by; confirmations
+ *                                are refused until it is set
+ */
+exports.verifyCallbackToken = (req, res, next) => {
+    const expected = process.env.MOBILE_MONEY_CALLBACK_TOKEN;
+    const token = req.headers['x-callback-token'];
+
+    // Hashing first gives equal-length buffers, so the comparison time does not reveal the token
+    const digest = (value) => crypto.createHash('sha256').update(String(value)).digest();
+    if (!expected || !token || !crypto.timingSafeEqual(digest(token), digest(expected))) {
+        throw new AuthenticationError('Invalid callback token');
+    }
+
+    next();
+};
@@ -0,0 +1,158 @@
+const Joi = require('joi');
+
+// Fields shared by discount scheme creation and update
+const schemeFields = {
+    code: Joi.string()
+        .trim()
+        .uppercase()
+        .pattern(/^[A-Z0-9_-]+$/)
+        .max(20)
+        .messages({
+            'string.pattern.base': 'Scheme code may only contain letters, numbers, dashes and underscores'
+        }),
+
+    name: Joi.string()
+        .trim()
+        .max(100)
+        .messages({
+            'string.empty': 'Scheme name is required'
+        }),
+
+    description: Joi.string()
+        .max(500)
+        .allow('', null),
+
+    scheme_type: Joi.string()
+        .valid('DISCOUNT', 'BURSARY', 'SCHOLARSHIP')
+        .messages({
+            'any.only': 'Scheme type must be DISCOUNT, BURSARY or SCHOLARSHIP'
+        }),
+
+    discount_type: Joi.string()
+        .valid('PERCENTAGE', 'FIXED')
+        .messages({
+            'any.only': 'Discount type must be PERCENTAGE or FIXED'
+        }),
+
+    discount_value: Joi.number()
+        .min(0)
+        .when('discount_type', {
+            is: 'PERCENTAGE',
+            then: Joi.number().max(100)
+        })
+        .messages({
+            'number.min': 'Discount value cannot be negative',
+            'number.max': 'Percentage discount cannot exceed 100'
+        }),
+
+    categories: Joi.array()
+        .items(Joi.string().trim())
+        .min(1)
+        .unique()
+        .messages({
+            'array.min': 'At least one fee category is required'
+        }),
+
+    valid_from: Joi.date()
+        .iso(),
+
+    valid_to: Joi.date()
+        .iso()
+        .allow(null)
+        .when('valid_from', {
+            is: Joi.exist(),
+            then: Joi.date().min(Joi.ref('valid_from'))
+        })
+        .messages({
+            'date.min': 'Valid to date cannot be before valid from date'
+        }),
+
+    status: Joi.string()
+        .valid('ACTIVE', 'INACTIVE')
+};
+
+// Validation schema for discount scheme creation
+const schemeSchema = Joi.object({
+    ...schemeFields,
+    code: schemeFields.code.required()
+        .messages({ 'any.required': 'Scheme code is required' }),
+    name: schemeFields.name.required()
+        .messages({ 'any.required': 'Scheme name is required' }),
+    scheme_type: schemeFields.scheme_type.default('DISCOUNT'),
+    discount_type: schemeFields.discount_type.default('PERCENTAGE'),
+    discount_value: schemeFields.discount_value.required()
+        .messages({ 'any.required': 'Discount value is required' }),
+    categories: schemeFields.categories.required()
+        .messages({ 'any.required': 'Fee categories are required' }),
+    valid_from: schemeFields.valid_from.required()
+        .messages({ 'any.required': 'Valid from date is required' })
+});
+
+// Validation schema for discount scheme update
+const schemeUpdateSchema = Joi.object(schemeFields)
+    .min(1)
+    .messages({
+        'object.min': 'At least one field must be provided for update'
+    });
+
+// Validation schema for assigning a scheme to students
+const assignmentSchema = Joi.object({
+    student_ids: Joi.array()
+        .items(Joi.number().integer())
+        .unique()
+        .min(1)
+        .required()
+        .messages({
+            'any.required': 'Students to assign are required',
+            'array.min': 'At least one student is required',
+            'array.unique': 'A student can only be listed once'
+        }),
+
+    remarks: Joi.string()
+        .max(500)
+        .allow('', null)
+});
+
+// Validation schema for revoking a student's scheme
+const revocationSchema = Joi.object({
+    reason: Joi.string()
+        .trim()
+        .min(5)
+        .max(500)
+        .required()
+        .messages({
+            'any.required': 'Revocation reason is required',
+            'string.min': 'Revocation reason must be at least 5 characters'
+        })
+});
+
+// Middleware functions
+const validateBody = (schema) => async (req, res, next) => {
+    try {
+        req.body = await schema.validateAsync(req.body, {
+            abortEarly: false,
+            allowUnknown: false
+        });
+        next();
+    } catch (error) {
+        if (error instanceof Joi.ValidationError) {
+            const errors = error.details.map(detail => ({
+                field: detail.context.key,
+                message: detail.message
+            }));
+
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors
+            });
+        }
+        next(error);
+    }
+};
+
+module.exports = {
+    validateDiscountScheme: validateBody(schemeSchema),
+    validateDiscountSchemeUpdate: validateBody(schemeUpdateSchema),
+    validateSchemeAssignment: validateBody(assignmentSchema),
+    validateSchemeRevocation: validateBody(revocationSchema)
+};
@@ -149,6 +149,43 @@ const expenseSchema = Joi.object({
             'string.max': 'Notes cannot exceed 500 characters'
         }),
 
+    recurring: Joi.boolean()
+        .default(false),
+
+    recurring_frequency: Joi.string()
+        .valid('DAILY', 'WEEKLY', 'MONTHLY', 'QUARTERLY', 'YEARLY')
+        .when('recurring', {
+            is: true,
+            then: Joi.required(),
+            otherwise: Joi.optional()
+        })
+        .messages({
+            'any.required': 'Frequency is required for recurring expenses',
+            'any.only': 'Invalid recurring frequency'
+        }),
+
+    next_recurring_date: Joi.date()
+        .greater(Joi.ref('expense_date'))
+        .messages({
+            'date.base': 'Invalid next recurring date',
+            'date.greater': 'Next recurring date must be after the expense date'
+        }),
+
+    recurring_end_date: Joi.date()
+        .min(Joi.ref('expense_date'))
+        .messages({
+            'date.base': 'Invalid recurring end date',
+            'date.min': 'Recurring end date cannot be before expense date'
+        }),
+
+    budget_override_reason: Joi.string()
+        .min(10)
+        .max(500)
+        .messages({
+            'string.min': 'Budget override reason must be at least 10 characters',
+            'string.max': 'Budget override reason cannot exceed 500 characters'
+        }),
+
     academic_year: Joi.string()
         .required()
         .custom((value, helpers) => {
@@ -167,7 +204,7 @@ const expenseSchema = Joi.object({
 const expenseUpdateSchema = expenseSchema.fork(
     ['category_id', 'amount', 'expense_date', 'payment_mode', 'academic_year'],
     (field) => field.optional()
-);
+).fork(['budget_override_reason'], (field) => field.forbidden());
 
 // Validation schema for expense cancellation
 const expenseCancellationSchema = Joi.object({
@@ -182,6 +219,195 @@ const expenseCancellationSchema = Joi.object({
         })
 });
 
+// Validation schema for approving an expense approval step
+const expenseApprovalSchema = Joi.object({
+    comment: Joi.string()
+        .max(500)
+        .allow('')
+        .messages({
+            'string.max': 'Comment cannot exceed 500 characters'
+        }),
+
+    budget_override_reason: Joi.string()
+        .min(10)
+        .max(500)
+        .messages({
+            'string.min': 'Budget override reason must be at least 10 characters',
+            'string.max': 'Budget override reason cannot exceed 500 characters'
+        })
+});
+
+// Validation schema for expense rejection
+const expenseRejectionSchema = Joi.object({
+    reason: Joi.string()
+        .required()
+        .min(10)
+        .max(500)
+        .messages({
+            'any.required': 'Rejection reason is required',
+            'string.min': 'Rejection reason must be at least 10 characters',
+            'string.max': 'Rejection reason cannot exceed 500 characters'
+        })
+});
+
+// Fields of an approval chain step
+const approvalRuleFields = Joi.object({
+    name: Joi.string()
+        .required()
+        .min(2)
+        .max(100)
+        .messages({
+            'any.required': 'Step name is required',
+            'string.min': 'Step name must be at least 2 characters long',
+            'string.max': 'Step name cannot exceed 100 characters'
+        }),
+
+    category_id: Joi.number()
+        .allow(null)
+        .messages({
+            'number.base': 'Category ID must be a number'
+        }),
+
+    min_amount: Joi.number()
+        .min(0)
+        .default(0)
+        .messages({
+            'number.base': 'Minimum amount must be a number',
+            'number.min': 'Minimum amount cannot be negative'
+        }),
+
+    step_order: Joi.number()
+        .integer()
+        .required()
+        .min(1)
+        .messages({
+            'any.required': 'Step order is required',
+            'number.min': 'Step order must be at least 1'
+        }),
+
+    approver_role: Joi.string()
+        .max(50)
+        .allow(null),
+
+    approver_id: Joi.number()
+        .allow(null)
+        .messages({
+            'number.base': 'Approver ID must be a number'
+        }),
+
+    status: Joi.string()
+        .valid('ACTIVE', 'INACTIVE')
+        .messages({
+            'any.only': 'Invalid status'
+        })
+});
+
+// Validation schema for an approval chain step
+const approvalRuleSchema = approvalRuleFields
+    .or('approver_role', 'approver_id')
+    .messages({
+        'object.missing': 'An approver role or approver user is required'
+    });
+
+// Validation schema for approval chain step update
+const approvalRuleUpdateSchema = approvalRuleFields.fork(
+    ['name', 'step_order'],
+    (field) => field.optional()
+);
+
+// Validation schema for budget rollover
+const budgetRolloverSchema = Joi.object({
+    uplift_percentage: Joi.number()
+        .min(0)
+        .max(100)
+        .messages({
+            'number.base': 'Uplift percentage must be a number',
+            'number.min': 'Uplift percentage must be between 0 and 100',
+            'number.max': 'Uplift percentage must be between 0 and 100'
+        }),
+
+    title: Joi.string()
+        .min(2)
+        .max(100)
+        .messages({
+            'string.min': 'Title must be at least 2 characters long',
+            'string.max': 'Title cannot exceed 100 characters'
+        }),
+
+    notes: Joi.string()
+        .max(500)
+        .allow('')
+        .messages({
+            'string.max': 'Notes cannot exceed 500 characters'
+        })
+});
+
+// Validation schema for budget revision request
+const budgetRevisionSchema = Joi.object({
+    revision_type: Joi.string()
+        .required()
+        .valid('SUPPLEMENTARY', 'REALLOCATION')
+        .messages({
+            'any.required': 'Revision type is required',
+            'any.only': 'Invalid revision type'
+        }),
+
+    amount: Joi.number()
+        .min(0)
+        .when('revision_type', {
+            is: 'SUPPLEMENTARY',
+            then: Joi.number().required().greater(0),
+            otherwise: Joi.valid(0)
+        })
+        .messages({
+            'any.required': 'Amount is required for a supplementary revision',
+            'number.greater': 'Amount must be greater than 0',
+            'any.only': 'A reallocation cannot change the budget total'
+        }),
+
+    category_changes: Joi.object()
+        .pattern(/^\d+$/, Joi.number())
+        .messages({
+            'object.unknown': 'Category changes must be keyed by category ID'
+        }),
+
+    monthly_changes: Joi.object()
+        .pattern(Joi.string(), Joi.number()),
+
+    reason: Joi.string()
+        .required()
+        .min(10)
+        .max(500)
+        .messages({
+            'any.required': 'Revision reason is required',
+            'string.min': 'Revision reason must be at least 10 characters',
+            'string.max': 'Revision reason cannot exceed 500 characters'
+        })
+});
+
+// Validation schema for budget revision approval
+const budgetRevisionApprovalSchema = Joi.object({
+    notes: Joi.string()
+        .max(500)
+        .allow('')
+        .messages({
+            'string.max': 'Notes cannot exceed 500 characters'
+        })
+});
+
+// Validation schema for budget revision rejection
+const budgetRevisionRejectionSchema = Joi.object({
+    notes: Joi.string()
+        .required()
+        .min(10)
+        .max(500)
+        .messages({
+            'any.required': 'Rejection notes are required',
+            'string.min': 'Rejection notes must be at least 10 characters',
+            'string.max': 'Rejection notes cannot exceed 500 characters'
+        })
+});
+
 // Middleware to validate expense creation
 const validateExpense = async (req, res, next) => {
     try {
@@ -254,8 +480,208 @@ const validateExpenseCancellation = async (req, res, next) => {
     }
 };
 
+// Middleware to validate expense approval
+const validateExpenseApproval = async (req, res, next) => {
+    try {
+        await expenseApprovalSchema.validateAsync(req.body, {
+            abortEarly: false,
+            allowUnknown: false
+        });
+        next();
+    } catch (error) {
+        if (error instanceof Joi.ValidationError) {
+            const errors = error.details.map(detail => ({
+                field: detail.context.key,
+                message: detail.message
+            }));
+
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors
+            });
+        }
+        next(error);
+    }
+};
+
+// Middleware to validate expense rejection
+const validateExpenseRejection = async (req, res, next) => {
+    try {
+        await expenseRejectionSchema.validateAsync(req.body, {
+            abortEarly: false,
+            allowUnknown: false
+        });
+        next();
+    } catch (error) {
+        if (error instanceof Joi.ValidationError) {
+            const errors = error.details.map(detail => ({
+                field: detail.context.key,
+                message: detail.message
+            }));
+
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors
+            });
+        }
+        next(error);
+    }
+};
+
+// Middleware to validate approval rule creation
+const validateApprovalRule = async (req, res, next) => {
+    try {
+        await approvalRuleSchema.validateAsync(req.body, {
+            abortEarly: false,
+            allowUnknown: false
+        });
+        next();
+    } catch (error) {
+        if (error instanceof Joi.ValidationError) {
+            const errors = error.details.map(detail => ({
+                field: detail.context.key,
+                message: detail.message
+            }));
+
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors
+            });
+        }
+        next(error);
+    }
+};
+
+// Middleware to validate approval rule update
+const validateApprovalRuleUpdate = async (req, res, next) => {
+    try {
+        await approvalRuleUpdateSchema.validateAsync(req.body, {
+            abortEarly: false,
+            allowUnknown: false
+        });
+        next();
+    } catch (error) {
+        if (error instanceof Joi.ValidationError) {
+            const errors = error.details.map(detail => ({
+                field: detail.context.key,
+                message: detail.message
+            }));
+
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors
+            });
+        }
+        next(error);
+    }
+};
+
+// Middleware to validate budget rollover
+const validateBudgetRollover = async (req, res, next) => {
+    try {
+        await budgetRolloverSchema.validateAsync(req.body, {
+            abortEarly: false,
+            allowUnknown: false
+        });
+        next();
+    } catch (error) {
+        if (error instanceof Joi.ValidationError) {
+            const errors = error.details.map(detail => ({
+                field: detail.context.key,
+                message: detail.message
+            }));
+
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors
+            });
+        }
+        next(error);
+    }
+};
+
+// Middleware to validate budget revision request
+const validateBudgetRevision = async (req, res, next) => {
+    try {
+        await budgetRevisionSchema.validateAsync(req.body, {
+            abortEarly: false,
+            allowUnknown: false
+        });
+        next();
+    } catch (error) {
+        if (error instanceof Joi.ValidationError) {
+            const errors = error.details.map(detail => ({
+                field: detail.context.key,
+                message: detail.message
+            }));
+
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors
+            });
+        }
+        next(error);
+    }
+};
+
+// Middleware to validate budget revision approval
+const validateBudgetRevisionApproval = async (req, res, next) => {
+    try {
+        await budgetRevisionApprovalSchema.validateAsync(req.body, {
+            abortEarly: false,
+            allowUnknown: false
+        });
+        next();
+    } catch (error) {
+        if (error instanceof Joi.ValidationError) {
+            const errors = error.details.map(detail => ({
+                field: detail.context.key,
+                message: detail.message
+            }));
+
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors
+            });
+        }
+        next(error);
+    }
+};
+
+// Middleware to validate budget revision rejection
+const validateBudgetRevisionRejection = async (req, res, next) => {
+    try {
+        await budgetRevisionRejectionSchema.validateAsync(req.body, {
+            abortEarly: false,
+            allowUnknown: false
+        });
+        next();
+    } catch (error) {
+        if (error instanceof Joi.ValidationError) {
+            const errors = error.details.map(detail => ({
+                field: detail.context.key,
+                message: detail.message
+            }));
+
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors
+            });
+        }
+        next(error);
+    }
+};
+
 module.exports = {
     validateExpense,
     validateExpenseUpdate,
-    validateExpenseCancellation
+    validateExpenseCancellation,
+    validateExpenseApproval,
+    validateExpenseRejection,
+    validateApprovalRule,
+    validateApprovalRuleUpdate,
+    validateBudgetRollover,
+    validateBudgetRevision,
+    validateBudgetRevisionApproval,
+    validateBudgetRevisionRejection
 };
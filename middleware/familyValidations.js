@@ -0,0 +1,181 @@
+const Joi = require('joi');
+
+const phonePattern = /^\+?[0-9][0-9\s-]{6,18}$/;
+
+// Fields shared by family creation and update
+const familyFields = {
+    guardian_name: Joi.string()
+        .trim()
+        .max(200)
+        .messages({
+            'string.empty': 'Guardian name is required'
+        }),
+
+    phone_number: Joi.string()
+        .trim()
+        .pattern(phonePattern)
+        .messages({
+            'string.empty': 'Phone number is required',
+            'string.pattern.base': 'Phone number must contain 7 to 19 digits, optionally starting with +'
+        }),
+
+    email: Joi.string()
+        .trim()
+        .email()
+        .empty('')
+        .allow(null)
+        .messages({
+            'string.email': 'Email must be a valid email address'
+        }),
+
+    address: Joi.string()
+        .trim()
+        .max(500)
+        .allow('', null),
+
+    remarks: Joi.string()
+        .max(500)
+        .allow('', null)
+};
+
+// Validation schema for family creation
+const familySchema = Joi.object({
+    ...familyFields,
+    guardian_name: familyFields.guardian_name.required()
+        .messages({ 'any.required': 'Guardian name is required' }),
+    phone_number: familyFields.phone_number.required()
+        .messages({ 'any.required': 'Phone number is required' }),
+    student_ids: Joi.array()
+        .items(Joi.number().integer())
+        .unique()
+        .default([])
+});
+
+// Validation schema for family update
+const familyUpdateSchema = Joi.object({
+    ...familyFields,
+    status: Joi.string()
+        .valid('ACTIVE', 'INACTIVE')
+        .messages({
+            'any.only': 'Status must be either ACTIVE or INACTIVE'
+        })
+})
+    .min(1)
+    .messages({
+        'object.min': 'At least one field must be provided for update'
+    });
+
+// Validation schema for linking students to a family
+const familyStudentsSchema = Joi.object({
+    student_ids: Joi.array()
+        .items(Joi.number().integer())
+        .unique()
+        .min(1)
+        .required()
+        .messages({
+            'any.required': 'Students to link are required',
+            'array.min': 'At least one student is required',
+            'array.unique': 'A student can only be listed once'
+        })
+});
+
+// Validation schema for sibling discount rules
+const discountRuleFields = {
+    name: Joi.string()
+        .trim()
+        .max(100)
+        .messages({
+            'string.empty': 'Rule name is required'
+        }),
+
+    min_child_position: Joi.number()
+        .integer()
+        .min(2)
+        .messages({
+            'number.min': 'Sibling discounts start from the second child'
+        }),
+
+    discount_type: Joi.string()
+        .valid('PERCENTAGE', 'FIXED')
+        .messages({
+            'any.only': 'Discount type must be PERCENTAGE or FIXED'
+        }),
+
+    discount_value: Joi.number()
+        .min(0)
+        .when('discount_type', {
+            is: 'PERCENTAGE',
+            then: Joi.number().max(100)
+        })
+        .messages({
+            'number.min': 'Discount value cannot be negative',
+            'number.max': 'Percentage discount cannot exceed 100'
+        }),
+
+    categories: Joi.array()
+        .items(Joi.string().trim())
+        .min(1)
+        .unique()
+        .messages({
+            'array.min': 'At least one fee category is required'
+        }),
+
+    academic_year: Joi.string()
+        .pattern(/^\d{4}-\d{4}$/)
+        .allow(null)
+        .messages({
+            'string.pattern.base': 'Academic year must be in format YYYY-YYYY'
+        }),
+
+    status: Joi.string()
+        .valid('ACTIVE', 'INACTIVE')
+};
+
+const discountRuleSchema = Joi.object({
+    ...discountRuleFields,
+    name: discountRuleFields.name.required()
+        .messages({ 'any.required': 'Rule name is required' }),
+    min_child_position: discountRuleFields.min_child_position.default(2),
+    discount_type: discountRuleFields.discount_type.default('PERCENTAGE'),
+    discount_value: discountRuleFields.discount_value.required()
+        .messages({ 'any.required': 'Discount value is required' }),
+    categories: discountRuleFields.categories.default(['TUITION'])
+});
+
+const discountRuleUpdateSchema = Joi.object(discountRuleFields)
+    .min(1)
+    .messages({
+        'object.min': 'At least one field must be provided for update'
+    });
+
+// Middleware functions
+const validateBody = (schema) => async (req, res, next) => {
+    try {
+        req.body = await schema.validateAsync(req.body, {
+            abortEarly: false,
+            allowUnknown: false
+        });
+        next();
+    } catch (error) {
+        if (error instanceof Joi.ValidationError) {
+            const errors = error.details.map(detail => ({
+                field: detail.context.key,
+                message: detail.message
+            }));
+
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors
+            });
+        }
+        next(error);
+    }
+};
+
+module.exports = {
+    validateFamily: validateBody(familySchema),
+    validateFamilyUpdate: validateBody(familyUpdateSchema),
+    validateFamilyStudents: validateBody(familyStudentsSchema),
+    validateDiscountRule: validateBody(discountRuleSchema),
+    validateDiscountRuleUpdate: validateBody(discountRuleUpdateSchema)
+};
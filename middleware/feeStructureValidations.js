@@ -1,5 +1,6 @@
 const Joi = require('joi');
 const { ValidationError } = require('../utils/errors');
+const { CLASS_NAMES } = require('./studentValidations');
 
 // Helper function to validate academic year format (YYYY-YYYY)
 const academicYearPattern = /^\d{4}-\d{4}$/;
@@ -72,11 +73,7 @@ const feeItemSchema = Joi.object({
 const feeStructureSchema = Joi.object({
     class: Joi.string()
         .required()
-        .valid(
-            'pg', 'pp1', 'pp2',
-            'grade1', 'grade2', 'grade3', 'grade4', 'grade5', 'grade6',
-            'grade7', 'grade8', 'grade9', 'grade10'
-        )
+        .valid(...CLASS_NAMES)
         .messages({
             'any.required': 'Class is required',
             'string.valid': 'Invalid class selected'
@@ -110,6 +107,42 @@ const feeStructureSchema = Joi.object({
         .messages({
             'array.min': 'At least one fee item is required',
             'any.required': 'Fee items are required'
+        }),
+
+    late_fee_type: Joi.string()
+        .valid('NONE', 'FLAT', 'PERCENTAGE')
+        .default('NONE'),
+
+    late_fee_value: Joi.number()
+        .min(0)
+        .when('late_fee_type', {
+            is: 'PERCENTAGE',
+            then: Joi.number().max(100)
+        })
+        .when('late_fee_type', {
+            is: Joi.valid('FLAT', 'PERCENTAGE'),
+            then: Joi.required()
+        })
+        .messages({
+            'number.base': 'Late fee value must be a number',
+            'number.min': 'Late fee value cannot be negative',
+            'number.max': 'Late fee percentage cannot exceed 100',
+            'any.required': 'Late fee value is required when a late fee type is set'
+        }),
+
+    late_fee_grace_days: Joi.number()
+        .integer()
+        .min(0)
+        .default(0)
+        .messages({
+            'number.min': 'Grace period cannot be negative'
+        }),
+
+    late_fee_cap: Joi.number()
+        .min(0)
+        .allow(null)
+        .messages({
+            'number.min': 'Late fee cap cannot be negative'
         })
 });
 
@@ -1,5 +1,6 @@
 const Joi = require('joi');
 const { ValidationError } = require('../utils/errors');
+const { ALLOCATION_POLICIES } = require('../utils/paymentAllocation');
 
 // Helper function to validate academic year format (YYYY-YYYY)
 const academicYearPattern = /^\d{4}-\d{4}$/;
@@ -62,6 +63,96 @@ const invoiceSchema = Joi.object({
         })
 });
 
+// Validation schema for bulk invoice generation
+const bulkInvoiceSchema = Joi.object({
+    class: Joi.string()
+        .messages({
+            'string.base': 'Class must be a string'
+        }),
+
+    classes: Joi.array()
+        .items(Joi.string())
+        .min(1)
+        .messages({
+            'array.min': 'At least one class is required'
+        }),
+
+    school_level: Joi.string()
+        .valid('PRIMARY', 'JUNIOR')
+        .messages({
+            'any.only': 'School level must be PRIMARY or JUNIOR'
+        }),
+
+    academic_year: Joi.string()
+        .required()
+        .custom((value, helpers) => {
+            if (!validateAcademicYear(value)) {
+                return helpers.error('string.academicYear');
+            }
+            return value;
+        })
+        .messages({
+            'any.required': 'Academic year is required',
+            'string.academicYear': 'Academic year must be in format YYYY-YYYY and consecutive years'
+        }),
+
+    term: Joi.string()
+        .required()
+        .valid('TERM_1', 'TERM_2', 'TERM_3')
+        .messages({
+            'any.required': 'Term is required',
+            'string.valid': 'Invalid term selected'
+        }),
+
+    due_date: Joi.date()
+        .min('now')
+        .messages({
+            'date.base': 'Due date must be a valid date',
+            'date.min': 'Due date cannot be in the past'
+        }),
+
+    remarks: Joi.string()
+        .max(500)
+        .allow('')
+        .messages({
+            'string.max': 'Remarks cannot exceed 500 characters'
+        })
+}).or('class', 'classes', 'school_level')
+    .messages({
+        'object.missing': 'A class, list of classes or school level is required'
+    });
+
+// Validation schema for payment reminders
+const reminderSchema = Joi.object({
+    invoice_ids: Joi.array()
+        .items(Joi.number())
+        .min(1)
+        .required()
+        .messages({
+            'array.min': 'At least one invoice is required',
+            'any.required': 'Invoice IDs are required'
+        }),
+
+    channel: Joi.string()
+        .valid('SMS', 'EMAIL', 'CONSOLE')
+        .default('SMS')
+        .messages({
+            'any.only': 'Channel must be SMS, EMAIL or CONSOLE'
+        }),
+
+    template: Joi.string()
+        .max(1000)
+        .messages({
+            'string.max': 'Template cannot exceed 1000 characters'
+        }),
+
+    subject: Joi.string()
+        .max(200)
+        .messages({
+            'string.max': 'Subject cannot exceed 200 characters'
+        })
+});
+
 // Validation schema for payment processing
 const paymentSchema = Joi.object({
     invoice_id: Joi.number()
@@ -119,6 +210,10 @@ const paymentSchema = Joi.object({
                 otherwise: Joi.optional()
             }),
 
+        // Post-dated cheques are held until this date before they are deposited
+        cheque_date: Joi.date()
+            .allow(null),
+
         transaction_id: Joi.string()
             .when('payment_mode', {
                 is: ['BANK_TRANSFER', 'UPI', 'MOBILE_WALLET'],
@@ -164,10 +259,86 @@ const paymentSchema = Joi.object({
             })
         )
         .min(1)
+        .messages({
+            'array.min': 'At least one payment item is required'
+        }),
+
+    // Used to spread the amount over the invoice items when none are given
+    allocation_policy: Joi.string()
+        .valid(...Object.keys(ALLOCATION_POLICIES))
+        .messages({
+            'any.only': 'Invalid allocation policy selected'
+        })
+});
+
+// Validation schema for previewing how a payment would be allocated
+const allocationPreviewSchema = Joi.object({
+    invoice_id: paymentSchema.extract('invoice_id'),
+
+    amount: Joi.number()
+        .required()
+        .greater(0)
+        .messages({
+            'any.required': 'Payment amount is required',
+            'number.base': 'Payment amount must be a number',
+            'number.greater': 'Payment amount must be greater than zero'
+        }),
+
+    allocation_policy: paymentSchema.extract('allocation_policy')
+});
+
+// Validation schema for a single payment split across a family's invoices
+const familyPaymentSchema = Joi.object({
+    family_id: Joi.number()
         .required()
         .messages({
-            'array.min': 'At least one payment item is required',
-            'any.required': 'Payment items are required'
+            'any.required': 'Family ID is required',
+            'number.base': 'Family ID must be a number'
+        }),
+
+    amount: Joi.number()
+        .required()
+        .greater(0)
+        .messages({
+            'any.required': 'Payment amount is required',
+            'number.base': 'Payment amount must be a number',
+            'number.greater': 'Payment amount must be greater than zero'
+        }),
+
+    payment_mode: paymentSchema.extract('payment_mode'),
+
+    payment_details: paymentSchema.extract('payment_details'),
+
+    allocation_policy: paymentSchema.extract('allocation_policy'),
+
+    allocations: Joi.array()
+        .items(
+            Joi.object({
+                invoice_id: Joi.number()
+                    .required()
+                    .messages({
+                        'any.required': 'Invoice ID is required',
+                        'number.base': 'Invoice ID must be a number'
+                    }),
+
+                amount: Joi.number()
+                    .required()
+                    .greater(0)
+                    .messages({
+                        'any.required': 'Allocated amount is required',
+                        'number.greater': 'Allocated amount must be greater than zero'
+                    }),
+
+                items: paymentSchema.extract('items').optional()
+            })
+        )
+        .min(1)
+        .unique('invoice_id')
+        .required()
+        .messages({
+            'array.min': 'At least one invoice allocation is required',
+            'array.unique': 'Each invoice can only be allocated once',
+            'any.required': 'Invoice allocations are required'
         })
 });
 
@@ -209,9 +380,178 @@ const refundSchema = Joi.object({
             'any.required': 'Refund reason is required',
             'string.min': 'Refund reason must be at least 10 characters',
             'string.max': 'Refund reason cannot exceed 500 characters'
+        }),
+
+    // Hold the refund as student credit instead of paying it out
+    to_credit: Joi.boolean()
+        .default(false)
+});
+
+// Validation schema for emailing a receipt
+const receiptEmailSchema = Joi.object({
+    // Defaults to the student's email on record
+    email: Joi.string()
+        .email()
+        .messages({
+            'string.email': 'Please provide a valid email address'
+        })
+});
+
+// Validation schema for requesting a waiver on an invoice item
+const waiverRequestSchema = Joi.object({
+    amount: Joi.number()
+        .required()
+        .greater(0)
+        .precision(2)
+        .messages({
+            'any.required': 'Waiver amount is required',
+            'number.base': 'Waiver amount must be a number',
+            'number.greater': 'Waiver amount must be greater than zero'
+        }),
+
+    reason: Joi.string()
+        .trim()
+        .required()
+        .min(10)
+        .max(500)
+        .messages({
+            'any.required': 'Waiver reason is required',
+            'string.min': 'Waiver reason must be at least 10 characters',
+            'string.max': 'Waiver reason cannot exceed 500 characters'
+        })
+});
+
+// Validation schema for approving or rejecting a waiver request
+const waiverDecisionSchema = Joi.object({
+    remarks: Joi.string()
+        .trim()
+        .max(500)
+        .when(Joi.ref('$rejecting'), {
+            is: true,
+            then: Joi.required(),
+            otherwise: Joi.optional().allow('')
+        })
+        .messages({
+            'any.required': 'Remarks are required when rejecting a waiver',
+            'string.max': 'Remarks cannot exceed 500 characters'
+        })
+});
+
+// Installment plans: an explicit schedule, or a count split evenly from a first due date
+const installmentSchema = Joi.object({
+    due_date: Joi.date()
+        .iso()
+        .required()
+        .messages({
+            'any.required': 'Installment due date is required',
+            'date.format': 'Installment due date must be a valid date (YYYY-MM-DD)'
+        }),
+
+    amount: Joi.number()
+        .required()
+        .greater(0)
+        .precision(2)
+        .messages({
+            'any.required': 'Installment amount is required',
+            'number.greater': 'Installment amount must be greater than zero'
         })
 });
 
+const paymentPlanSchema = Joi.object({
+    installments: Joi.array()
+        .items(installmentSchema)
+        .min(2)
+        .max(24)
+        .messages({
+            'array.min': 'A payment plan needs at least 2 installments',
+            'array.max': 'A payment plan cannot have more than 24 installments'
+        }),
+
+    installment_count: Joi.number()
+        .integer()
+        .min(2)
+        .max(24)
+        .messages({
+            'number.min': 'A payment plan needs at least 2 installments',
+            'number.max': 'A payment plan cannot have more than 24 installments'
+        }),
+
+    first_due_date: Joi.date()
+        .iso()
+        .messages({
+            'date.format': 'First due date must be a valid date (YYYY-MM-DD)'
+        }),
+
+    frequency: Joi.string()
+        .valid('WEEKLY', 'FORTNIGHTLY', 'MONTHLY')
+        .default('MONTHLY'),
+
+    remarks: Joi.string()
+        .trim()
+        .max(500)
+        .allow('')
+})
+    .xor('installments', 'installment_count')
+    .with('installment_count', 'first_due_date')
+    .messages({
+        'object.missing': 'Provide either an installment schedule or an installment count',
+        'object.xor': 'Provide either an installment schedule or an installment count, not both',
+        'object.with': 'First due date is required when splitting by installment count'
+    });
+
+const paymentPlanCancellationSchema = Joi.object({
+    reason: Joi.string()
+        .trim()
+        .required()
+        .min(5)
+        .max(500)
+        .messages({
+            'any.required': 'Cancellation reason is required',
+            'string.min': 'Cancellation reason must be at least 5 characters',
+            'string.max': 'Cancellation reason cannot exceed 500 characters'
+        })
+});
+
+// Validation schema for depositing a cheque
+const chequeDepositSchema = Joi.object({
+    deposit_date: Joi.date()
+        .max('now')
+        .messages({
+            'date.max': 'Deposit date cannot be in the future'
+        })
+});
+
+// Validation schema for recording a bounced cheque
+const chequeBounceSchema = Joi.object({
+    reason: Joi.string()
+        .trim()
+        .required()
+        .min(5)
+        .max(200)
+        .messages({
+            'any.required': 'Bounce reason is required',
+            'string.min': 'Bounce reason must be at least 5 characters',
+            'string.max': 'Bounce reason cannot exceed 200 characters'
+        }),
+
+    bounce_date: Joi.date()
+        .max('now')
+        .messages({
+            'date.max': 'Bounce date cannot be in the future'
+        }),
+
+    // Defaults to CHEQUE_BOUNCE_CHARGE; 0 adds no charge
+    charge_amount: Joi.number()
+        .min(0)
+        .precision(2)
+        .messages({
+            'number.min': 'Bounce charge cannot be negative'
+        }),
+
+    refuse_future_cheques: Joi.boolean()
+        .default(true)
+});
+
 // Middleware to validate invoice generation
 const validateInvoice = async (req, res, next) => {
     try {
@@ -236,6 +576,54 @@ const validateInvoice = async (req, res, next) => {
     }
 };
 
+// Middleware to validate bulk invoice generation
+const validateBulkInvoice = async (req, res, next) => {
+    try {
+        await bulkInvoiceSchema.validateAsync(req.body, {
+            abortEarly: false,
+            allowUnknown: false
+        });
+        next();
+    } catch (error) {
+        if (error instanceof Joi.ValidationError) {
+            const errors = error.details.map(detail => ({
+                field: detail.context.key,
+                message: detail.message
+            }));
+
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors
+            });
+        }
+        next(error);
+    }
+};
+
+// Middleware to validate payment reminders
+const validateReminder = async (req, res, next) => {
+    try {
+        req.body = await reminderSchema.validateAsync(req.body, {
+            abortEarly: false,
+            allowUnknown: false
+        });
+        next();
+    } catch (error) {
+        if (error instanceof Joi.ValidationError) {
+            const errors = error.details.map(detail => ({
+                field: detail.context.key,
+                message: detail.message
+            }));
+
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors
+            });
+        }
+        next(error);
+    }
+};
+
 // Middleware to validate payment processing
 const validatePayment = async (req, res, next) => {
     try {
@@ -260,6 +648,103 @@ const validatePayment = async (req, res, next) => {
     }
 };
 
+// Middleware to validate an allocation preview
+const validateAllocationPreview = async (req, res, next) => {
+    try {
+        req.body = await allocationPreviewSchema.validateAsync(req.body, {
+            abortEarly: false,
+            allowUnknown: false
+        });
+        next();
+    } catch (error) {
+        if (error instanceof Joi.ValidationError) {
+            const errors = error.details.map(detail => ({
+                field: detail.context.key,
+                message: detail.message
+            }));
+
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors
+            });
+        }
+        next(error);
+    }
+};
+
+// Middleware to validate family payment processing
+const validateFamilyPayment = async (req, res, next) => {
+    try {
+        await familyPaymentSchema.validateAsync(req.body, {
+            abortEarly: false,
+            allowUnknown: false
+        });
+        next();
+    } catch (error) {
+        if (error instanceof Joi.ValidationError) {
+            const errors = error.details.map(detail => ({
+                field: detail.context.key,
+                message: detail.message
+            }));
+
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors
+            });
+        }
+        next(error);
+    }
+};
+
+// Middleware to validate a waiver request
+const validateWaiverRequest = async (req, res, next) => {
+    try {
+        req.body = await waiverRequestSchema.validateAsync(req.body, {
+            abortEarly: false,
+            allowUnknown: false
+        });
+        next();
+    } catch (error) {
+        if (error instanceof Joi.ValidationError) {
+            const errors = error.details.map(detail => ({
+                field: detail.context.key,
+                message: detail.message
+            }));
+
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors
+            });
+        }
+        next(error);
+    }
+};
+
+// Middleware to validate a waiver approval or rejection
+const validateWaiverDecision = async (req, res, next) => {
+    try {
+        req.body = await waiverDecisionSchema.validateAsync(req.body, {
+            abortEarly: false,
+            allowUnknown: false,
+            context: { rejecting: req.path.endsWith('/reject') }
+        });
+        next();
+    } catch (error) {
+        if (error instanceof Joi.ValidationError) {
+            const errors = error.details.map(detail => ({
+                field: detail.context.key,
+                message: detail.message
+            }));
+
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors
+            });
+        }
+        next(error);
+    }
+};
+
 // Middleware to validate payment cancellation
 const validatePaymentCancellation = async (req, res, next) => {
     try {
@@ -308,9 +793,140 @@ const validateRefund = async (req, res, next) => {
     }
 };
 
+// Middleware to validate receipt email
+const validateReceiptEmail = async (req, res, next) => {
+    try {
+        await receiptEmailSchema.validateAsync(req.body, {
+            abortEarly: false,
+            allowUnknown: false
+        });
+        next();
+    } catch (error) {
+        if (error instanceof Joi.ValidationError) {
+            const errors = error.details.map(detail => ({
+                field: detail.context.key,
+                message: detail.message
+            }));
+
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors
+            });
+        }
+        next(error);
+    }
+};
+
+// Middleware to validate payment plan creation
+const validatePaymentPlan = async (req, res, next) => {
+    try {
+        req.body = await paymentPlanSchema.validateAsync(req.body, {
+            abortEarly: false,
+            allowUnknown: false
+        });
+        next();
+    } catch (error) {
+        if (error instanceof Joi.ValidationError) {
+            const errors = error.details.map(detail => ({
+                field: detail.context.key,
+                message: detail.message
+            }));
+
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors
+            });
+        }
+        next(error);
+    }
+};
+
+// Middleware to validate payment plan cancellation
+const validatePaymentPlanCancellation = async (req, res, next) => {
+    try {
+        req.body = await paymentPlanCancellationSchema.validateAsync(req.body, {
+            abortEarly: false,
+            allowUnknown: false
+        });
+        next();
+    } catch (error) {
+        if (error instanceof Joi.ValidationError) {
+            const errors = error.details.map(detail => ({
+                field: detail.context.key,
+                message: detail.message
+            }));
+
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors
+            });
+        }
+        next(error);
+    }
+};
+
+// Middleware to validate cheque deposit
+const validateChequeDeposit = async (req, res, next) => {
+    try {
+        req.body = await chequeDepositSchema.validateAsync(req.body, {
+            abortEarly: false,
+            allowUnknown: false
+        });
+        next();
+    } catch (error) {
+        if (error instanceof Joi.ValidationError) {
+            const errors = error.details.map(detail => ({
+                field: detail.context.key,
+                message: detail.message
+            }));
+
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors
+            });
+        }
+        next(error);
+    }
+};
+
+// Middleware to validate a bounced cheque
+const validateChequeBounce = async (req, res, next) => {
+    try {
+        req.body = await chequeBounceSchema.validateAsync(req.body, {
+            abortEarly: false,
+            allowUnknown: false
+        });
+        next();
+    } catch (error) {
+        if (error instanceof Joi.ValidationError) {
+            const errors = error.details.map(detail => ({
+                field: detail.context.key,
+                message: detail.message
+            }));
+
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors
+            });
+        }
+        next(error);
+    }
+};
+
 module.exports = {
     validateInvoice,
+    validateBulkInvoice,
+    validateReminder,
     validatePayment,
+    validateAllocationPreview,
+    validateFamilyPayment,
+    validateWaiverRequest,
+    validateWaiverDecision,
     validatePaymentCancellation,
-    validateRefund
+    validateRefund,
+    validateReceiptEmail,
+    validatePaymentPlan,
+    validatePaymentPlanCancellation,
+    validateChequeDeposit,
+    validateChequeBounce
 };
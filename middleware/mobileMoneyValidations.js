@@ -0,0 +1,84 @@
+const Joi = require('joi');
+
+// Paybill validation request; providers add fields over time, so unknown keys are kept
+const paybillValidationSchema = Joi.object({
+    TransID: Joi.string().trim().allow(''),
+    TransAmount: Joi.number().positive(),
+    BillRefNumber: Joi.string()
+        .trim()
+        .required()
+        .messages({
+            'any.required': 'Account number is required',
+            'string.empty': 'Account number is required'
+        })
+});
+
+// Paybill confirmation callback
+const paybillConfirmationSchema = paybillValidationSchema.keys({
+    TransactionType: Joi.string().allow(''),
+    TransID: Joi.string()
+        .trim()
+        .required()
+        .messages({
+            'any.required': 'Transaction ID is required',
+            'string.empty': 'Transaction ID is required'
+        }),
+    TransTime: Joi.string()
+        .pattern(/^\d{14}$/)
+        .messages({
+            'string.pattern.base': 'Transaction time must be in format YYYYMMDDHHmmss'
+        }),
+    TransAmount: Joi.number()
+        .positive()
+        .precision(2)
+        .required()
+        .messages({
+            'any.required': 'Transaction amount is required',
+            'number.positive': 'Transaction amount must be greater than 0'
+        }),
+    BusinessShortCode: Joi.string().allow(''),
+    MSISDN: Joi.string().allow(''),
+    FirstName: Joi.string().allow(''),
+    MiddleName: Joi.string().allow(''),
+    LastName: Joi.string().allow('')
+});
+
+// Validation schema for assigning an unmatched callback to a student
+const callbackAssignmentSchema = Joi.object({
+    student_id: Joi.number()
+        .integer()
+        .required()
+        .messages({
+            'any.required': 'Student is required'
+        })
+});
+
+// Middleware functions
+const validateBody = (schema, { allowUnknown = false } = {}) => async (req, res, next) => {
+    try {
+        req.body = await schema.validateAsync(req.body, {
+            abortEarly: false,
+            allowUnknown
+        });
+        next();
+    } catch (error) {
+        if (error instanceof Joi.ValidationError) {
+            const errors = error.details.map(detail => ({
+                field: detail.context.key,
+                message: detail.message
+            }));
+
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors
+            });
+        }
+        next(error);
+    }
+};
+
+module.exports = {
+    validatePaybillValidation: validateBody(paybillValidationSchema, { allowUnknown: true }),
+    validatePaybillConfirmation: validateBody(paybillConfirmationSchema, { allowUnknown: true }),
+    validateCallbackAssignment: validateBody(callbackAssignmentSchema)
+};
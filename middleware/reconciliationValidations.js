@@ -0,0 +1,55 @@
+const Joi = require('joi');
+
+// Validation schema for matching a statement line to a payment
+const lineMatchSchema = Joi.object({
+    // Defaults to the payment suggested during import
+    payment_id: Joi.number()
+        .integer(),
+
+    remarks: Joi.string()
+        .trim()
+        .max(255)
+        .allow('', null)
+});
+
+// Validation schema for ignoring a statement line
+const lineIgnoreSchema = Joi.object({
+    reason: Joi.string()
+        .trim()
+        .min(5)
+        .max(255)
+        .required()
+        .messages({
+            'any.required': 'A reason is required to ignore a bank credit',
+            'string.min': 'Reason must be at least 5 characters long'
+        })
+});
+
+// Middleware functions
+const validateBody = (schema) => async (req, res, next) => {
+    try {
+        req.body = await schema.validateAsync(req.body, {
+            abortEarly: false,
+            allowUnknown: false
+        });
+        next();
+    } catch (error) {
+        if (error instanceof Joi.ValidationError) {
+            const errors = error.details.map(detail => ({
+                field: detail.context.key,
+                message: detail.message
+            }));
+
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors
+            });
+        }
+        next(error);
+    }
+};
+
+module.exports = {
+    validateLineMatch: validateBody(lineMatchSchema),
+    validateLineIgnore: validateBody(lineIgnoreSchema)
+};
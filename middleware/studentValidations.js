@@ -0,0 +1,348 @@
+const Joi = require('joi');
+
+const phonePattern = /^\+?[0-9][0-9\s-]{6,18}$/;
+
+// Classes offered at each school level, in progression order. Promotion and
+// every class validation use these lists.
+const PRIMARY_CLASSES = ['pg', 'pp1', 'pp2', 'grade1', 'grade2', 'grade3', 'grade4', 'grade5', 'grade6'];
+const JUNIOR_CLASSES = ['grade7', 'grade8', 'grade9', 'grade10'];
+const CLASS_NAMES = [...PRIMARY_CLASSES, ...JUNIOR_CLASSES];
+
+// Helper function to get the school level a class belongs to
+const getSchoolLevel = (className) => {
+    const normalized = String(className || '').toLowerCase();
+    if (PRIMARY_CLASSES.includes(normalized)) return 'PRIMARY';
+    if (JUNIOR_CLASSES.includes(normalized)) return 'JUNIOR';
+    return null;
+};
+
+// Helper function to check school level against class when both are given
+const checkSchoolLevel = (value, helpers) => {
+    if (value.current_class && value.school_level &&
+        getSchoolLevel(value.current_class) !== value.school_level) {
+        return helpers.error('any.schoolLevel', {
+            class: value.current_class,
+            level: getSchoolLevel(value.current_class)
+        });
+    }
+    return value;
+};
+
+const schoolLevelMessages = {
+    'any.schoolLevel': 'Class {#class} belongs to the {#level} school level'
+};
+
+// Fields shared by student creation and update
+const studentFields = {
+    admission_number: Joi.string()
+        .trim()
+        .max(50)
+        .messages({
+            'string.empty': 'Admission number is required',
+            'string.max': 'Admission number cannot exceed 50 characters'
+        }),
+
+    first_name: Joi.string()
+        .trim()
+        .max(100)
+        .messages({
+            'string.empty': 'First name is required'
+        }),
+
+    last_name: Joi.string()
+        .trim()
+        .max(100)
+        .messages({
+            'string.empty': 'Last name is required'
+        }),
+
+    parent_name: Joi.string()
+        .trim()
+        .max(200)
+        .messages({
+            'string.empty': 'Parent/guardian name is required'
+        }),
+
+    phone_number: Joi.string()
+        .trim()
+        .pattern(phonePattern)
+        .messages({
+            'string.empty': 'Phone number is required',
+            'string.pattern.base': 'Phone number must contain 7 to 19 digits, optionally starting with +'
+        }),
+
+    email: Joi.string()
+        .trim()
+        .email()
+        .empty('')
+        .allow(null)
+        .messages({
+            'string.email': 'Email must be a valid email address'
+        }),
+
+    school_level: Joi.string()
+        .valid('PRIMARY', 'JUNIOR')
+        .messages({
+            'any.only': 'School level must be either PRIMARY or JUNIOR'
+        }),
+
+    current_class: Joi.string()
+        .trim()
+        .lowercase()
+        .valid(...CLASS_NAMES)
+        .messages({
+            'string.empty': 'Class is required',
+            'any.only': 'Invalid class selected'
+        }),
+
+    academic_year: Joi.string()
+        .pattern(/^\d{4}-\d{4}$/)
+        .custom((value, helpers) => {
+            const [start, end] = value.split('-').map(Number);
+            return end === start + 1 ? value : helpers.error('string.academicYear');
+        })
+        .messages({
+            'string.pattern.base': 'Academic year must be in format YYYY-YYYY',
+            'string.academicYear': 'Academic year must be in format YYYY-YYYY and consecutive years'
+        }),
+
+    admission_date: Joi.date()
+        .iso()
+        .max('now')
+        .messages({
+            'date.base': 'Admission date must be a valid date',
+            'date.max': 'Admission date cannot be in the future'
+        })
+};
+
+// Validation schema for student creation
+const studentSchema = Joi.object({
+    ...studentFields,
+    admission_number: studentFields.admission_number.required()
+        .messages({ 'any.required': 'Admission number is required' }),
+    first_name: studentFields.first_name.required()
+        .messages({ 'any.required': 'First name is required' }),
+    last_name: studentFields.last_name.required()
+        .messages({ 'any.required': 'Last name is required' }),
+    parent_name: studentFields.parent_name.required()
+        .messages({ 'any.required': 'Parent/guardian name is required' }),
+    phone_number: studentFields.phone_number.required()
+        .messages({ 'any.required': 'Phone number is required' }),
+    school_level: studentFields.school_level.required()
+        .messages({ 'any.required': 'School level is required' }),
+    current_class: studentFields.current_class.required()
+        .messages({ 'any.required': 'Class is required' })
+})
+    .custom(checkSchoolLevel)
+    .messages(schoolLevelMessages);
+
+// Validation schema for student update; status changes go through deactivate/reactivate
+const studentUpdateSchema = Joi.object(studentFields)
+    .min(1)
+    .custom(checkSchoolLevel)
+    .messages({
+        'object.min': 'At least one field must be provided for update',
+        ...schoolLevelMessages
+    });
+
+// Validation schema for deactivation
+const deactivationSchema = Joi.object({
+    reason: Joi.string()
+        .trim()
+        .required()
+        .min(5)
+        .max(500)
+        .messages({
+            'any.required': 'Deactivation reason is required',
+            'string.min': 'Deactivation reason must be at least 5 characters long',
+            'string.max': 'Deactivation reason cannot exceed 500 characters'
+        })
+});
+
+// Columns the student list can be sorted by
+const STUDENT_SORT_COLUMNS = [
+    'admission_number',
+    'first_name',
+    'last_name',
+    'current_class',
+    'school_level',
+    'admission_date',
+    'status',
+    'createdAt'
+];
+
+// Validation schema for student list query
+const studentListQuerySchema = Joi.object({
+    search: Joi.string()
+        .trim()
+        .max(100)
+        .allow(''),
+
+    class: Joi.string()
+        .max(50),
+
+    school_level: Joi.string()
+        .valid('PRIMARY', 'JUNIOR')
+        .messages({
+            'any.only': 'School level must be PRIMARY or JUNIOR'
+        }),
+
+    status: Joi.string()
+        .valid('ACTIVE', 'INACTIVE')
+        .messages({
+            'any.only': 'Status must be ACTIVE or INACTIVE'
+        }),
+
+    phone_number: Joi.string()
+        .max(20),
+
+    family_id: Joi.alternatives()
+        .try(Joi.number().integer().min(1), Joi.string().valid('none'))
+        .messages({
+            'alternatives.types': 'Family ID must be a number or none'
+        }),
+
+    sort_by: Joi.string()
+        .valid(...STUDENT_SORT_COLUMNS)
+        .messages({
+            'any.only': `Sort by must be one of ${STUDENT_SORT_COLUMNS.join(', ')}`
+        }),
+
+    sort_order: Joi.string()
+        .uppercase()
+        .valid('ASC', 'DESC')
+        .messages({
+            'any.only': 'Sort order must be ASC or DESC'
+        }),
+
+    page: Joi.number()
+        .integer()
+        .min(1)
+        .messages({
+            'number.base': 'Page must be a number',
+            'number.min': 'Page must be at least 1'
+        }),
+
+    limit: Joi.number()
+        .integer()
+        .min(1)
+        .max(1000)
+        .messages({
+            'number.base': 'Limit must be a number',
+            'number.min': 'Limit must be at least 1',
+            'number.max': 'Limit cannot exceed 1000'
+        })
+});
+
+// Validation schema for statement query
+const statementQuerySchema = Joi.object({
+    from: Joi.date()
+        .iso()
+        .messages({
+            'date.base': 'From date must be a valid date',
+            'date.format': 'From date must be in ISO format'
+        }),
+
+    to: Joi.date()
+        .iso()
+        .min(Joi.ref('from'))
+        .messages({
+            'date.base': 'To date must be a valid date',
+            'date.format': 'To date must be in ISO format',
+            'date.min': 'To date must be after from date'
+        }),
+
+    format: Joi.string()
+        .valid('json', 'pdf', 'excel')
+        .default('json')
+        .messages({
+            'any.only': 'Format must be one of json, pdf or excel'
+        })
+});
+
+// Middleware functions
+const validateBody = (schema) => async (req, res, next) => {
+    try {
+        req.body = await schema.validateAsync(req.body, {
+            abortEarly: false,
+            allowUnknown: false
+        });
+        next();
+    } catch (error) {
+        if (error instanceof Joi.ValidationError) {
+            const errors = error.details.map(detail => ({
+                field: detail.context.key,
+                message: detail.message
+            }));
+
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors
+            });
+        }
+        next(error);
+    }
+};
+
+const validateStudent = validateBody(studentSchema);
+const validateStudentUpdate = validateBody(studentUpdateSchema);
+const validateDeactivation = validateBody(deactivationSchema);
+
+const validateStudentListQuery = async (req, res, next) => {
+    try {
+        await studentListQuerySchema.validateAsync(req.query, {
+            abortEarly: false,
+            allowUnknown: false
+        });
+        next();
+    } catch (error) {
+        if (error instanceof Joi.ValidationError) {
+            const errors = error.details.map(detail => ({
+                field: detail.context.key,
+                message: detail.message
+            }));
+
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors
+            });
+        }
+        next(error);
+    }
+};
+
+const validateStatementQuery = async (req, res, next) => {
+    try {
+        await statementQuerySchema.validateAsync(req.query, {
+            abortEarly: false,
+            allowUnknown: false
+        });
+        next();
+    } catch (error) {
+        if (error instanceof Joi.ValidationError) {
+            const errors = error.details.map(detail => ({
+                field: detail.context.key,
+                message: detail.message
+            }));
+
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors
+            });
+        }
+        next(error);
+    }
+};
+
+module.exports = {
+    PRIMARY_CLASSES,
+    JUNIOR_CLASSES,
+    CLASS_NAMES,
+    studentSchema,
+    getSchoolLevel,
+    validateStudent,
+    validateStudentUpdate,
+    validateDeactivation,
+    validateStudentListQuery,
+    validateStatementQuery
+};
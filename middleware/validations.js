@@ -1,5 +1,6 @@
 const Joi = require('joi');
 const { ValidationError } = require('../utils/errors');
+const { CLASS_NAMES } = require('./studentValidations');
 
 // Helper function to validate academic year format (YYYY-YYYY)
 const academicYearPattern = /^\d{4}-\d{4}$/;
@@ -14,11 +15,7 @@ const validateAcademicYear = (year) => {
 const promotionSchema = Joi.object({
     toClass: Joi.string()
         .required()
-        .valid(
-            'pg', 'pp1', 'pp2',
-            'grade1', 'grade2', 'grade3', 'grade4', 'grade5', 'grade6',
-            'grade7', 'grade8', 'grade9', 'grade10'
-        )
+        .valid(...CLASS_NAMES)
         .messages({
             'any.required': 'New class is required',
             'string.valid': 'Invalid class selected'
@@ -45,6 +42,92 @@ const promotionSchema = Joi.object({
         })
 });
 
+// Validation schema for whole-class promotion
+const batchPromotionSchema = Joi.object({
+    fromClass: Joi.string()
+        .required()
+        .valid(...CLASS_NAMES)
+        .messages({
+            'any.required': 'Class to promote is required',
+            'any.only': 'Invalid class selected'
+        }),
+
+    toClass: Joi.string()
+        .valid(...CLASS_NAMES)
+        .messages({
+            'any.only': 'Invalid class selected'
+        }),
+
+    toAcademicYear: promotionSchema.extract('toAcademicYear'),
+
+    retain: Joi.array()
+        .items(Joi.number().integer())
+        .unique()
+        .default([])
+        .messages({
+            'array.unique': 'A student can only be listed once for retention'
+        }),
+
+    graduate: Joi.array()
+        .items(Joi.number().integer())
+        .unique()
+        .default([])
+        .messages({
+            'array.unique': 'A student can only be listed once for graduation'
+        }),
+
+    remarks: Joi.string()
+        .allow('')
+        .max(500)
+        .messages({
+            'string.max': 'Remarks cannot exceed 500 characters'
+        })
+})
+    .custom((value, helpers) => {
+        if (value.retain.some(id => value.graduate.includes(id))) {
+            return helpers.error('any.overlap');
+        }
+        return value;
+    })
+    .messages({
+        'any.overlap': 'A student cannot be both retained and graduated'
+    });
+
+// Validation schema for a student leaving the school
+const studentExitSchema = Joi.object({
+    exitType: Joi.string()
+        .required()
+        .valid('GRADUATED', 'TRANSFERRED', 'WITHDRAWN')
+        .messages({
+            'any.required': 'Exit type is required',
+            'any.only': 'Exit type must be GRADUATED, TRANSFERRED or WITHDRAWN'
+        }),
+
+    exitDate: Joi.date()
+        .iso()
+        .max('now')
+        .messages({
+            'date.format': 'Exit date must be in ISO format',
+            'date.max': 'Exit date cannot be in the future'
+        }),
+
+    destination: Joi.string()
+        .allow('')
+        .max(255)
+        .messages({
+            'string.max': 'Destination school cannot exceed 255 characters'
+        }),
+
+    academicYear: promotionSchema.extract('toAcademicYear').optional(),
+
+    remarks: Joi.string()
+        .allow('')
+        .max(500)
+        .messages({
+            'string.max': 'Remarks cannot exceed 500 characters'
+        })
+});
+
 const validatePromotion = async (req, res, next) => {
     try {
         // Extract studentId from params and add to validation
@@ -87,6 +170,64 @@ const validatePromotion = async (req, res, next) => {
     }
 };
 
+const validateBatchPromotion = async (req, res, next) => {
+    try {
+        req.body = await batchPromotionSchema.validateAsync(req.body, {
+            abortEarly: false,
+            allowUnknown: false
+        });
+        next();
+    } catch (error) {
+        if (error instanceof Joi.ValidationError) {
+            const errors = error.details.map(detail => ({
+                field: detail.context.key,
+                message: detail.message
+            }));
+
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors
+            });
+        }
+
+        return res.status(400).json({
+            error: error.message
+        });
+    }
+};
+
+const validateStudentExit = async (req, res, next) => {
+    try {
+        const validatedData = await studentExitSchema.validateAsync(req.body, {
+            abortEarly: false,
+            allowUnknown: false
+        });
+
+        req.body = {
+            ...validatedData,
+            studentId: req.params.studentId
+        };
+
+        next();
+    } catch (error) {
+        if (error instanceof Joi.ValidationError) {
+            const errors = error.details.map(detail => ({
+                field: detail.context.key,
+                message: detail.message
+            }));
+
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: errors
+            });
+        }
+
+        return res.status(400).json({
+            error: error.message
+        });
+    }
+};
+
 // Validation schema for balance transfer query
 const balanceTransferQuerySchema = Joi.object({
     startDate: Joi.date()
@@ -135,5 +276,7 @@ const validateBalanceTransferQuery = async (req, res, next) => {
 
 module.exports = {
     validatePromotion,
+    validateBatchPromotion,
+    validateStudentExit,
     validateBalanceTransferQuery
 };
@@ -0,0 +1,76 @@
+const { Model, DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+class BankStatement extends Model {}
+
+BankStatement.init({
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    file_name: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    file_format: {
+        type: DataTypes.ENUM('CSV', 'OFX'),
+        allowNull: false
+    },
+    account_number: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    period_start: {
+        type: DataTypes.DATEONLY,
+        allowNull: true
+    },
+    period_end: {
+        type: DataTypes.DATEONLY,
+        allowNull: true
+    },
+    credit_count: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Credit lines imported; debits and lines imported before are skipped'
+    },
+    total_credits: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0.00
+    },
+    auto_matched_count: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+    },
+    imported_by: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'users',
+            key: 'id'
+        }
+    }
+}, {
+    sequelize,
+    modelName: 'BankStatement',
+    tableName: 'bank_statements',
+    timestamps: true
+});
+
+// Define associations
+BankStatement.associate = (models) => {
+    BankStatement.hasMany(models.BankStatementLine, {
+        foreignKey: 'bank_statement_id',
+        as: 'lines'
+    });
+
+    BankStatement.belongsTo(models.User, {
+        foreignKey: 'imported_by',
+        as: 'importer'
+    });
+};
+
+module.exports = BankStatement;
@@ -0,0 +1,140 @@
+const { Model, DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+class BankStatementLine extends Model {}
+
+BankStatementLine.init({
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    bank_statement_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'bank_statements',
+            key: 'id'
+        }
+    },
+    line_number: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+    },
+    transaction_date: {
+        type: DataTypes.DATEONLY,
+        allowNull: false
+    },
+    amount: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        validate: {
+            min: 0.01
+        }
+    },
+    description: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    reference: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    cheque_number: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    bank_transaction_id: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        comment: 'Bank-assigned ID of the line (OFX FITID)'
+    },
+    fingerprint: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        unique: true,
+        comment: 'Identifies the line across overlapping statements so it is only imported once'
+    },
+    status: {
+        type: DataTypes.ENUM('UNMATCHED', 'SUGGESTED', 'AUTO_MATCHED', 'MANUALLY_MATCHED', 'IGNORED'),
+        defaultValue: 'UNMATCHED',
+        comment: 'SUGGESTED lines have a likely payment that a clerk must confirm'
+    },
+    payment_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: 'payments',
+            key: 'id'
+        }
+    },
+    suggested_payment_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: 'payments',
+            key: 'id'
+        }
+    },
+    match_note: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    matched_by: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: 'users',
+            key: 'id'
+        }
+    },
+    matched_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+    }
+}, {
+    sequelize,
+    modelName: 'BankStatementLine',
+    tableName: 'bank_statement_lines',
+    timestamps: true,
+    indexes: [
+        {
+            unique: true,
+            fields: ['fingerprint']
+        },
+        {
+            fields: ['bank_statement_id']
+        },
+        {
+            fields: ['status']
+        },
+        {
+            fields: ['payment_id']
+        }
+    ]
+});
+
+// Define associations
+BankStatementLine.associate = (models) => {
+    BankStatementLine.belongsTo(models.BankStatement, {
+        foreignKey: 'bank_statement_id',
+        as: 'statement'
+    });
+
+    BankStatementLine.belongsTo(models.Payment, {
+        foreignKey: 'payment_id',
+        as: 'payment'
+    });
+
+    BankStatementLine.belongsTo(models.Payment, {
+        foreignKey: 'suggested_payment_id',
+        as: 'suggestedPayment'
+    });
+
+    BankStatementLine.belongsTo(models.User, {
+        foreignKey: 'matched_by',
+        as: 'matcher'
+    });
+};
+
+module.exports = BankStatementLine;
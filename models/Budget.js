@@ -1,4 +1,4 @@
-const { Model, DataTypes } = require('sequelize');
+const { Model, DataTypes, Op } = require('sequelize');
 const sequelize = require('../config/database');
 
 class Budget extends Model {}
@@ -169,6 +169,31 @@ Budget.init({
         type: DataTypes.DATE,
         allowNull: true,
         comment: 'Date when budget was last rolled over'
+    },
+    previous_budget_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: 'budgets',
+            key: 'id'
+        },
+        comment: 'Budget this one was rolled over from'
+    },
+    rollover_details: {
+        type: DataTypes.JSON,
+        allowNull: true,
+        comment: 'How each category allocation was derived from the previous budget'
+    },
+    revision_number: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Version of the budget; each approved revision adds one'
+    },
+    original_values: {
+        type: DataTypes.JSON,
+        allowNull: true,
+        comment: 'Total and allocations as approved, kept when the first revision is applied'
     }
 }, {
     sequelize,
@@ -192,6 +217,9 @@ Budget.init({
         },
         {
             fields: ['type']
+        },
+        {
+            fields: ['previous_budget_id']
         }
     ]
 });
@@ -222,6 +250,21 @@ Budget.associate = (models) => {
         foreignKey: 'closed_by',
         as: 'closer'
     });
+
+    Budget.belongsTo(Budget, {
+        foreignKey: 'previous_budget_id',
+        as: 'previousBudget'
+    });
+
+    Budget.hasOne(Budget, {
+        foreignKey: 'previous_budget_id',
+        as: 'nextBudget'
+    });
+
+    Budget.hasMany(models.BudgetRevision, {
+        foreignKey: 'budget_id',
+        as: 'revisions'
+    });
 };
 
 // Instance methods
@@ -261,7 +304,7 @@ Budget.prototype.approve = async function(userId) {
     });
 };
 
-Budget.prototype.close = async function(userId, notes) {
+Budget.prototype.close = async function(userId, notes, options = {}) {
     if (this.status !== 'ACTIVE') {
         throw new Error('Only active budgets can be closed');
     }
@@ -271,25 +314,34 @@ Budget.prototype.close = async function(userId, notes) {
         closed_by: userId,
         closure_date: new Date(),
         closure_notes: notes
-    });
+    }, options);
 };
 
 Budget.prototype.isOverBudget = function() {
     return this.utilized_amount > this.total_amount;
 };
 
-Budget.prototype.getUtilizationPercentage = function() {
-    return (this.utilized_amount / this.total_amount) * 100;
+// An additional amount gives the utilization once that amount is spent
+Budget.prototype.getUtilizationPercentage = function(additionalAmount = 0) {
+    return ((parseFloat(this.utilized_amount) + parseFloat(additionalAmount)) / this.total_amount) * 100;
 };
 
-Budget.prototype.needsWarning = function() {
+Budget.prototype.needsWarning = function(additionalAmount = 0) {
     if (!this.warning_threshold) return false;
-    return this.getUtilizationPercentage() >= this.warning_threshold;
+    return this.getUtilizationPercentage(additionalAmount) >= this.warning_threshold;
 };
 
-Budget.prototype.isFrozen = function() {
+Budget.prototype.isFrozen = function(additionalAmount = 0) {
     if (!this.freeze_threshold) return false;
-    return this.getUtilizationPercentage() >= this.freeze_threshold;
+    return this.getUtilizationPercentage(additionalAmount) >= this.freeze_threshold;
+};
+
+Budget.prototype.getAllocationValues = function() {
+    return {
+        total_amount: parseFloat(this.total_amount),
+        category_allocations: this.category_allocations || {},
+        monthly_allocations: this.monthly_allocations || {}
+    };
 };
 
 // Static methods
@@ -0,0 +1,124 @@
+const { Model, DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+class BudgetRevision extends Model {}
+
+BudgetRevision.init({
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    budget_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'budgets',
+            key: 'id'
+        }
+    },
+    version: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: 'Budget version the revision produced; set when it is approved'
+    },
+    revision_type: {
+        type: DataTypes.ENUM('SUPPLEMENTARY', 'REALLOCATION'),
+        allowNull: false,
+        comment: 'SUPPLEMENTARY adds funds; REALLOCATION moves funds without changing the total'
+    },
+    amount: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0.00,
+        validate: {
+            min: 0
+        },
+        comment: 'Amount added to the budget total'
+    },
+    category_changes: {
+        type: DataTypes.JSON,
+        allowNull: true,
+        comment: 'Change to each category allocation, keyed by category ID'
+    },
+    monthly_changes: {
+        type: DataTypes.JSON,
+        allowNull: true,
+        comment: 'Change to each monthly allocation, keyed as in the budget'
+    },
+    reason: {
+        type: DataTypes.TEXT,
+        allowNull: false
+    },
+    status: {
+        type: DataTypes.ENUM('PENDING', 'APPROVED', 'REJECTED'),
+        defaultValue: 'PENDING'
+    },
+    previous_values: {
+        type: DataTypes.JSON,
+        allowNull: true,
+        comment: 'Budget total and allocations before the revision was applied'
+    },
+    revised_values: {
+        type: DataTypes.JSON,
+        allowNull: true,
+        comment: 'Budget total and allocations after the revision was applied'
+    },
+    requested_by: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'users',
+            key: 'id'
+        }
+    },
+    reviewed_by: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: 'users',
+            key: 'id'
+        }
+    },
+    reviewed_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    review_notes: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    }
+}, {
+    sequelize,
+    modelName: 'BudgetRevision',
+    tableName: 'budget_revisions',
+    timestamps: true,
+    indexes: [
+        {
+            fields: ['budget_id', 'version']
+        },
+        {
+            fields: ['status']
+        }
+    ]
+});
+
+// Define associations
+BudgetRevision.associate = (models) => {
+    BudgetRevision.belongsTo(models.Budget, {
+        foreignKey: 'budget_id',
+        as: 'budget'
+    });
+
+    BudgetRevision.belongsTo(models.User, {
+        foreignKey: 'requested_by',
+        as: 'requester'
+    });
+
+    BudgetRevision.belongsTo(models.User, {
+        foreignKey: 'reviewed_by',
+        as: 'reviewer'
+    });
+};
+
+module.exports = BudgetRevision;
@@ -0,0 +1,139 @@
+const { Model, DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+class DiscountScheme extends Model {}
+
+DiscountScheme.init({
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    code: {
+        type: DataTypes.STRING(20),
+        unique: true,
+        allowNull: false
+    },
+    name: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    description: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    },
+    scheme_type: {
+        type: DataTypes.ENUM('DISCOUNT', 'BURSARY', 'SCHOLARSHIP'),
+        allowNull: false,
+        defaultValue: 'DISCOUNT'
+    },
+    discount_type: {
+        type: DataTypes.ENUM('PERCENTAGE', 'FIXED'),
+        allowNull: false,
+        defaultValue: 'PERCENTAGE'
+    },
+    discount_value: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        validate: {
+            min: 0
+        },
+        comment: 'Percentage of, or fixed amount off, the matching fee items of each invoice'
+    },
+    categories: {
+        type: DataTypes.JSON,
+        allowNull: false,
+        comment: 'Fee item categories the discount is taken off'
+    },
+    valid_from: {
+        type: DataTypes.DATEONLY,
+        allowNull: false
+    },
+    valid_to: {
+        type: DataTypes.DATEONLY,
+        allowNull: true,
+        comment: 'Null keeps the scheme open-ended'
+    },
+    status: {
+        type: DataTypes.ENUM('ACTIVE', 'INACTIVE'),
+        defaultValue: 'ACTIVE'
+    },
+    created_by: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: 'users',
+            key: 'id'
+        }
+    }
+}, {
+    sequelize,
+    modelName: 'DiscountScheme',
+    tableName: 'discount_schemes',
+    timestamps: true,
+    validate: {
+        percentageInRange() {
+            if (this.discount_type === 'PERCENTAGE' && parseFloat(this.discount_value) > 100) {
+                throw new Error('Percentage discount cannot exceed 100');
+            }
+        },
+        validityPeriod() {
+            if (this.valid_to && new Date(this.valid_to) < new Date(this.valid_from)) {
+                throw new Error('Valid to date cannot be before valid from date');
+            }
+        }
+    },
+    indexes: [
+        {
+            unique: true,
+            fields: ['code']
+        },
+        {
+            fields: ['status']
+        }
+    ]
+});
+
+// Define associations
+DiscountScheme.associate = (models) => {
+    DiscountScheme.hasMany(models.StudentDiscount, {
+        foreignKey: 'discount_scheme_id',
+        as: 'assignments'
+    });
+
+    DiscountScheme.hasMany(models.InvoiceDiscount, {
+        foreignKey: 'discount_scheme_id',
+        as: 'invoiceDiscounts'
+    });
+
+    DiscountScheme.belongsTo(models.User, {
+        foreignKey: 'created_by',
+        as: 'creator'
+    });
+};
+
+// Instance methods
+DiscountScheme.prototype.appliesTo = function(category) {
+    return (this.categories || []).includes(category);
+};
+
+DiscountScheme.prototype.isValidOn = function(date = new Date()) {
+    const toDay = (value) => new Date(value).toISOString().slice(0, 10);
+    const day = toDay(date);
+
+    return this.status === 'ACTIVE' &&
+        toDay(this.valid_from) <= day &&
+        (!this.valid_to || toDay(this.valid_to) >= day);
+};
+
+// Discount on the combined amount of an invoice's matching fee items
+DiscountScheme.prototype.calculateDiscount = function(amount) {
+    const base = parseFloat(amount);
+    const discount = this.discount_type === 'PERCENTAGE'
+        ? base * parseFloat(this.discount_value) / 100
+        : parseFloat(this.discount_value);
+
+    return Math.round(Math.min(discount, base) * 100) / 100;
+};
+
+module.exports = DiscountScheme;
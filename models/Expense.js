@@ -1,4 +1,4 @@
-const { Model, DataTypes } = require('sequelize');
+const { Model, DataTypes, Op } = require('sequelize');
 const sequelize = require('../config/database');
 
 class Expense extends Model {}
@@ -167,7 +167,17 @@ Expense.init({
     },
     next_recurring_date: {
         type: DataTypes.DATE,
-        allowNull: true
+        allowNull: true,
+        comment: 'Date of the next occurrence to generate; null once the end date is passed'
+    },
+    parent_expense_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: 'expenses',
+            key: 'id'
+        },
+        comment: 'Recurring expense this occurrence was generated from'
     },
     status: {
         type: DataTypes.ENUM(
@@ -179,6 +189,16 @@ Expense.init({
         ),
         defaultValue: 'DRAFT'
     },
+    approval_round: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Times the expense has been submitted for approval'
+    },
+    submitted_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
     approved_by: {
         type: DataTypes.INTEGER,
         allowNull: true,
@@ -241,6 +261,23 @@ Expense.init({
             model: 'budgets',
             key: 'id'
         }
+    },
+    budget_override_reason: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+        comment: 'Why the expense was let through a budget freeze or exhausted allocation'
+    },
+    budget_override_by: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: 'users',
+            key: 'id'
+        }
+    },
+    budget_override_at: {
+        type: DataTypes.DATE,
+        allowNull: true
     }
 }, {
     sequelize,
@@ -248,7 +285,7 @@ Expense.init({
     tableName: 'expenses',
     timestamps: true,
     hooks: {
-        beforeCreate: async (expense) => {
+        beforeCreate: async (expense, options) => {
             // Generate expense number if not provided
             if (!expense.expense_number) {
                 const prefix = 'EXP';
@@ -262,7 +299,8 @@ Expense.init({
                             [Op.like]: `${prefix}${year}${month}%`
                         }
                     },
-                    order: [['expense_number', 'DESC']]
+                    order: [['expense_number', 'DESC']],
+                    transaction: options.transaction
                 });
 
                 let sequence = '0001';
@@ -310,6 +348,12 @@ Expense.init({
         },
         {
             fields: ['academic_year']
+        },
+        {
+            fields: ['parent_expense_id']
+        },
+        {
+            fields: ['recurring', 'next_recurring_date']
         }
     ]
 });
@@ -351,10 +395,58 @@ Expense.associate = (models) => {
         as: 'budget'
     });
 
+    Expense.belongsTo(models.User, {
+        foreignKey: 'budget_override_by',
+        as: 'budgetOverrider'
+    });
+
     Expense.hasMany(models.ExpenseAttachment, {
         foreignKey: 'expense_id',
         as: 'attachments'
     });
+
+    Expense.belongsTo(Expense, {
+        foreignKey: 'parent_expense_id',
+        as: 'parentExpense'
+    });
+
+    Expense.hasMany(Expense, {
+        foreignKey: 'parent_expense_id',
+        as: 'occurrences'
+    });
+
+    Expense.hasMany(models.ExpenseApproval, {
+        foreignKey: 'expense_id',
+        as: 'approvals'
+    });
+};
+
+// Months each recurring frequency advances by; the rest advance by days
+const RECURRING_MONTHS = { MONTHLY: 1, QUARTERLY: 3, YEARLY: 12 };
+const RECURRING_DAYS = { DAILY: 1, WEEKLY: 7 };
+
+/**
+ * Date of the occurrence after the given one
+ * @param {Date|string} date - Current occurrence date
+ * @param {string} frequency - Recurring frequency
+ * @param {number} anchorDay - Day of the month monthly occurrences fall on; short months use their last day
+ * @returns {Date} Next occurrence date
+ */
+Expense.advanceRecurringDate = function(date, frequency, anchorDay) {
+    const next = new Date(date);
+
+    if (RECURRING_DAYS[frequency]) {
+        next.setDate(next.getDate() + RECURRING_DAYS[frequency]);
+        return next;
+    }
+
+    const day = anchorDay || next.getDate();
+    next.setDate(1);
+    next.setMonth(next.getMonth() + RECURRING_MONTHS[frequency]);
+
+    const lastDay = new Date(next.getFullYear(), next.getMonth() + 1, 0).getDate();
+    next.setDate(Math.min(day, lastDay));
+    return next;
 };
 
 module.exports = Expense;
@@ -0,0 +1,113 @@
+const { Model, DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+class ExpenseApproval extends Model {}
+
+ExpenseApproval.init({
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    expense_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'expenses',
+            key: 'id'
+        }
+    },
+    round: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 1,
+        comment: 'Submission the step belongs to; a resubmitted expense starts a new round'
+    },
+    step_order: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+    },
+    step_name: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    approver_role: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    approver_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: 'users',
+            key: 'id'
+        }
+    },
+    status: {
+        type: DataTypes.ENUM('WAITING', 'PENDING', 'APPROVED', 'REJECTED', 'CANCELLED'),
+        defaultValue: 'WAITING',
+        comment: 'Only one step per round is PENDING; later steps wait for it'
+    },
+    acted_by: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: 'users',
+            key: 'id'
+        }
+    },
+    acted_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    comment: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    }
+}, {
+    sequelize,
+    modelName: 'ExpenseApproval',
+    tableName: 'expense_approvals',
+    timestamps: true,
+    indexes: [
+        {
+            fields: ['expense_id', 'round']
+        },
+        {
+            fields: ['status']
+        },
+        {
+            fields: ['approver_id']
+        }
+    ]
+});
+
+// Define associations
+ExpenseApproval.associate = (models) => {
+    ExpenseApproval.belongsTo(models.Expense, {
+        foreignKey: 'expense_id',
+        as: 'expense'
+    });
+
+    ExpenseApproval.belongsTo(models.User, {
+        foreignKey: 'approver_id',
+        as: 'approver'
+    });
+
+    ExpenseApproval.belongsTo(models.User, {
+        foreignKey: 'acted_by',
+        as: 'actor'
+    });
+};
+
+// Roles that approve a step with no approver of its own
+ExpenseApproval.DEFAULT_APPROVER_ROLES = ['admin', 'accountant'];
+
+// Instance methods
+ExpenseApproval.prototype.canBeActionedBy = function(user) {
+    if (this.approver_id) return this.approver_id === user.id;
+    if (this.approver_role) return this.approver_role === user.role;
+    return ExpenseApproval.DEFAULT_APPROVER_ROLES.includes(user.role);
+};
+
+module.exports = ExpenseApproval;
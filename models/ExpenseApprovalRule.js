@@ -0,0 +1,124 @@
+const { Model, DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+class ExpenseApprovalRule extends Model {}
+
+ExpenseApprovalRule.init({
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    name: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        validate: {
+            len: [2, 100]
+        },
+        comment: 'Step name shown to approvers, e.g. Head of Department'
+    },
+    category_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: 'expense_categories',
+            key: 'id'
+        },
+        comment: 'Category the step applies to; null applies to categories without their own chain'
+    },
+    min_amount: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0.00,
+        validate: {
+            min: 0
+        },
+        comment: 'Step applies to expenses totalling at least this amount'
+    },
+    step_order: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        validate: {
+            min: 1
+        }
+    },
+    approver_role: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        comment: 'Role whose users may approve this step'
+    },
+    approver_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: 'users',
+            key: 'id'
+        },
+        comment: 'User who must approve this step; takes precedence over approver_role'
+    },
+    status: {
+        type: DataTypes.ENUM('ACTIVE', 'INACTIVE'),
+        defaultValue: 'ACTIVE'
+    },
+    created_by: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'users',
+            key: 'id'
+        }
+    },
+    updated_by: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: 'users',
+            key: 'id'
+        }
+    }
+}, {
+    sequelize,
+    modelName: 'ExpenseApprovalRule',
+    tableName: 'expense_approval_rules',
+    timestamps: true,
+    validate: {
+        hasApprover() {
+            if (!this.approver_role && !this.approver_id) {
+                throw new Error('An approval step needs an approver role or user');
+            }
+        }
+    },
+    indexes: [
+        {
+            fields: ['category_id']
+        },
+        {
+            fields: ['status']
+        }
+    ]
+});
+
+// Define associations
+ExpenseApprovalRule.associate = (models) => {
+    ExpenseApprovalRule.belongsTo(models.ExpenseCategory, {
+        foreignKey: 'category_id',
+        as: 'category'
+    });
+
+    ExpenseApprovalRule.belongsTo(models.User, {
+        foreignKey: 'approver_id',
+        as: 'approver'
+    });
+
+    ExpenseApprovalRule.belongsTo(models.User, {
+        foreignKey: 'created_by',
+        as: 'creator'
+    });
+
+    ExpenseApprovalRule.belongsTo(models.User, {
+        foreignKey: 'updated_by',
+        as: 'updater'
+    });
+};
+
+module.exports = ExpenseApprovalRule;
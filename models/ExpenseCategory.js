@@ -1,4 +1,4 @@
-const { Model, DataTypes } = require('sequelize');
+const { Model, DataTypes, Op } = require('sequelize');
 const sequelize = require('../config/database');
 
 class ExpenseCategory extends Model {}
@@ -112,6 +112,20 @@ ExpenseCategory.init({
         type: DataTypes.BOOLEAN,
         defaultValue: true
     },
+    rollover_policy: {
+        type: DataTypes.ENUM('CARRY_OVER', 'LAPSE'),
+        defaultValue: 'LAPSE',
+        comment: 'Whether the unspent allocation is added to next year\'s budget when a budget is rolled over'
+    },
+    rollover_uplift_percentage: {
+        type: DataTypes.DECIMAL(5, 2),
+        allowNull: true,
+        validate: {
+            min: 0,
+            max: 100
+        },
+        comment: 'Increase applied to the allocation on rollover; the rollover\'s own uplift applies when not set'
+    },
     default_payment_mode: {
         type: DataTypes.ENUM(
             'CASH',
@@ -251,6 +265,13 @@ ExpenseCategory.prototype.isOverBudget = async function(startDate, endDate) {
     return totalExpenses > this.budget_limit;
 };
 
+ExpenseCategory.prototype.requiresApprovalFor = function(amount) {
+    if (!this.requires_approval) return false;
+    if (!this.approval_threshold) return true;
+
+    return parseFloat(amount) > parseFloat(this.approval_threshold);
+};
+
 ExpenseCategory.prototype.needsWarning = async function(startDate, endDate) {
     if (!this.budget_limit || !this.warning_threshold) return false;
 
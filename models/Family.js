@@ -0,0 +1,127 @@
+const { Model, DataTypes, Op } = require('sequelize');
+const sequelize = require('../config/database');
+
+class Family extends Model {}
+
+Family.init({
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    family_code: {
+        type: DataTypes.STRING,
+        unique: true,
+        allowNull: false
+    },
+    guardian_name: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    phone_number: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    email: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        validate: {
+            isEmail: true
+        }
+    },
+    address: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    },
+    status: {
+        type: DataTypes.ENUM('ACTIVE', 'INACTIVE'),
+        defaultValue: 'ACTIVE'
+    },
+    remarks: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    },
+    created_by: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: 'users',
+            key: 'id'
+        }
+    }
+}, {
+    sequelize,
+    modelName: 'Family',
+    tableName: 'families',
+    timestamps: true,
+    hooks: {
+        beforeValidate: async (family, options) => {
+            // Generate family code if not provided
+            if (!family.family_code) {
+                const prefix = 'FAM';
+
+                const lastFamily = await Family.findOne({
+                    where: {
+                        family_code: {
+                            [Op.like]: `${prefix}%`
+                        }
+                    },
+                    order: [['family_code', 'DESC']],
+                    transaction: options.transaction
+                });
+
+                let sequence = '00001';
+                if (lastFamily) {
+                    const lastSequence = parseInt(lastFamily.family_code.slice(prefix.length));
+                    sequence = (lastSequence + 1).toString().padStart(5, '0');
+                }
+
+                family.family_code = `${prefix}${sequence}`;
+            }
+        }
+    },
+    indexes: [
+        {
+            unique: true,
+            fields: ['family_code']
+        },
+        {
+            fields: ['phone_number']
+        }
+    ]
+});
+
+// Define associations
+Family.associate = (models) => {
+    Family.hasMany(models.Student, {
+        foreignKey: 'family_id',
+        as: 'students'
+    });
+
+    Family.hasMany(models.Payment, {
+        foreignKey: 'family_id',
+        as: 'payments'
+    });
+
+    Family.belongsTo(models.User, {
+        foreignKey: 'created_by',
+        as: 'creator'
+    });
+};
+
+/**
+ * Active children of the family in sibling order: the first admitted is
+ * the first child
+ */
+Family.prototype.getOrderedChildren = async function(options = {}) {
+    return sequelize.models.Student.findAll({
+        where: {
+            family_id: this.id,
+            status: 'ACTIVE'
+        },
+        order: [['admission_date', 'ASC'], ['id', 'ASC']],
+        ...options
+    });
+};
+
+module.exports = Family;
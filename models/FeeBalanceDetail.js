@@ -17,6 +17,15 @@ FeeBalanceDetail.init({
             key: 'id'
         }
     },
+    invoice_item_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: 'invoice_items',
+            key: 'id'
+        },
+        comment: 'Invoice item the balance was carried forward from'
+    },
     fee_item_name: {
         type: DataTypes.STRING,
         allowNull: false
@@ -47,6 +56,29 @@ FeeBalanceDetail.init({
         type: DataTypes.DATE,
         allowNull: false,
         defaultValue: DataTypes.NOW
+    },
+    status: {
+        type: DataTypes.ENUM('PENDING', 'APPLIED'),
+        allowNull: false,
+        defaultValue: 'PENDING',
+        comment: 'APPLIED once the balance is billed on a later invoice'
+    },
+    applied_amount: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: true,
+        comment: 'Amount billed on the later invoice; less than balance_amount if paid in the meantime'
+    },
+    applied_invoice_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: 'invoices',
+            key: 'id'
+        }
+    },
+    applied_at: {
+        type: DataTypes.DATE,
+        allowNull: true
     }
 }, {
     sequelize,
@@ -56,6 +88,9 @@ FeeBalanceDetail.init({
     indexes: [
         {
             fields: ['balance_transfer_id']
+        },
+        {
+            fields: ['status']
         }
     ]
 });
@@ -66,6 +101,21 @@ FeeBalanceDetail.associate = (models) => {
         foreignKey: 'balance_transfer_id',
         as: 'balanceTransfer'
     });
+
+    FeeBalanceDetail.belongsTo(models.InvoiceItem, {
+        foreignKey: 'invoice_item_id',
+        as: 'sourceItem'
+    });
+
+    FeeBalanceDetail.belongsTo(models.Invoice, {
+        foreignKey: 'applied_invoice_id',
+        as: 'appliedInvoice'
+    });
+
+    FeeBalanceDetail.hasOne(models.InvoiceItem, {
+        foreignKey: 'balance_detail_id',
+        as: 'carriedForwardItem'
+    });
 };
 
 module.exports = FeeBalanceDetail;
@@ -44,8 +44,9 @@ FeeBalanceTransfer.init({
         defaultValue: 0.00
     },
     status: {
-        type: DataTypes.ENUM('PENDING', 'TRANSFERRED', 'FAILED'),
-        defaultValue: 'PENDING'
+        type: DataTypes.ENUM('PENDING', 'TRANSFERRED', 'APPLIED', 'FAILED'),
+        defaultValue: 'PENDING',
+        comment: 'APPLIED once every balance detail is billed on a later invoice'
     }
 }, {
     sequelize,
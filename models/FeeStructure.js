@@ -37,6 +37,36 @@ FeeStructure.init({
         allowNull: false,
         defaultValue: 0.00
     },
+    late_fee_type: {
+        type: DataTypes.ENUM('NONE', 'FLAT', 'PERCENTAGE'),
+        defaultValue: 'NONE',
+        comment: 'How the late payment penalty is calculated'
+    },
+    late_fee_value: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: true,
+        validate: {
+            min: 0
+        },
+        comment: 'Flat penalty amount or percentage of the outstanding balance'
+    },
+    late_fee_grace_days: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        validate: {
+            min: 0
+        },
+        comment: 'Days after the due date before the penalty applies'
+    },
+    late_fee_cap: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: true,
+        validate: {
+            min: 0
+        },
+        comment: 'Maximum penalty amount, if any'
+    },
     created_by: {
         type: DataTypes.INTEGER,
         allowNull: false,
@@ -66,4 +96,29 @@ FeeStructure.init({
     ]
 });
 
+// Instance methods
+FeeStructure.prototype.hasLateFee = function() {
+    return this.late_fee_type && this.late_fee_type !== 'NONE' && parseFloat(this.late_fee_value) > 0;
+};
+
+FeeStructure.prototype.calculateLateFee = function(outstandingBalance) {
+    if (!this.hasLateFee()) return 0;
+
+    let penalty = this.late_fee_type === 'PERCENTAGE'
+        ? (parseFloat(outstandingBalance) * parseFloat(this.late_fee_value)) / 100
+        : parseFloat(this.late_fee_value);
+
+    if (this.late_fee_cap !== null && this.late_fee_cap !== undefined) {
+        penalty = Math.min(penalty, parseFloat(this.late_fee_cap));
+    }
+
+    return Math.round(penalty * 100) / 100;
+};
+
+FeeStructure.prototype.getPenaltyDate = function(dueDate) {
+    const penaltyDate = new Date(dueDate);
+    penaltyDate.setDate(penaltyDate.getDate() + (this.late_fee_grace_days || 0));
+    return penaltyDate;
+};
+
 module.exports = FeeStructure;
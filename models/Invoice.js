@@ -1,4 +1,4 @@
-const { Model, DataTypes } = require('sequelize');
+const { Model, DataTypes, Op } = require('sequelize');
 const sequelize = require('../config/database');
 
 class Invoice extends Model {}
@@ -72,13 +72,32 @@ Invoice.init({
         allowNull: false
     },
     status: {
-        type: DataTypes.ENUM('UNPAID', 'PARTIALLY_PAID', 'PAID', 'OVERDUE', 'CANCELLED'),
-        defaultValue: 'UNPAID'
+        type: DataTypes.ENUM('UNPAID', 'PARTIALLY_PAID', 'PAID', 'OVERDUE', 'CANCELLED', 'TRANSFERRED'),
+        defaultValue: 'UNPAID',
+        comment: 'TRANSFERRED once the remaining balance is carried forward onto a later invoice'
     },
     payment_status: {
         type: DataTypes.ENUM('PENDING', 'IN_PROGRESS', 'COMPLETED'),
         defaultValue: 'PENDING'
     },
+    transferred_amount: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0.00,
+        validate: {
+            min: 0
+        },
+        comment: 'Balance carried forward onto later invoices'
+    },
+    credit_applied: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0.00,
+        validate: {
+            min: 0
+        },
+        comment: 'Student credit used to settle part of the invoice; included in paid_amount'
+    },
     remarks: {
         type: DataTypes.TEXT,
         allowNull: true
@@ -158,15 +177,23 @@ Invoice.init({
             }
         },
         beforeUpdate: async (invoice) => {
-            // Update status based on payments
-            if (invoice.paid_amount >= invoice.total_amount) {
+            // Cancelled and settled-by-transfer invoices keep their status
+            if (['CANCELLED', 'TRANSFERRED'].includes(invoice.status)) {
+                return;
+            }
+
+            // Update status based on payments and waivers; a past-due balance is always overdue
+            if (invoice.paid_amount >= invoice.total_amount || parseFloat(invoice.balance_amount) <= 0) {
                 invoice.status = 'PAID';
                 invoice.payment_status = 'COMPLETED';
+            } else if (invoice.due_date < new Date()) {
+                invoice.status = 'OVERDUE';
+                if (invoice.paid_amount > 0) {
+                    invoice.payment_status = 'IN_PROGRESS';
+                }
             } else if (invoice.paid_amount > 0) {
                 invoice.status = 'PARTIALLY_PAID';
                 invoice.payment_status = 'IN_PROGRESS';
-            } else if (invoice.due_date < new Date()) {
-                invoice.status = 'OVERDUE';
             }
         }
     },
@@ -209,6 +236,21 @@ Invoice.associate = (models) => {
         as: 'payments'
     });
 
+    Invoice.hasMany(models.InvoiceDiscount, {
+        foreignKey: 'invoice_id',
+        as: 'discounts'
+    });
+
+    Invoice.hasMany(models.ReminderLog, {
+        foreignKey: 'invoice_id',
+        as: 'reminders'
+    });
+
+    Invoice.hasMany(models.PaymentPlan, {
+        foreignKey: 'invoice_id',
+        as: 'paymentPlans'
+    });
+
     Invoice.belongsTo(models.User, {
         foreignKey: 'generated_by',
         as: 'generator'
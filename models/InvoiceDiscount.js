@@ -0,0 +1,93 @@
+const { Model, DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+/**
+ * The part of an invoice item's waiver that came from a discount scheme,
+ * kept so revenue foregone can be reported per scheme
+ */
+class InvoiceDiscount extends Model {}
+
+InvoiceDiscount.init({
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    invoice_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'invoices',
+            key: 'id'
+        }
+    },
+    invoice_item_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'invoice_items',
+            key: 'id'
+        }
+    },
+    student_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'students',
+            key: 'id'
+        }
+    },
+    discount_scheme_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'discount_schemes',
+            key: 'id'
+        }
+    },
+    amount: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        validate: {
+            min: 0
+        }
+    }
+}, {
+    sequelize,
+    modelName: 'InvoiceDiscount',
+    tableName: 'invoice_discounts',
+    timestamps: true,
+    indexes: [
+        {
+            fields: ['invoice_id']
+        },
+        {
+            fields: ['discount_scheme_id']
+        }
+    ]
+});
+
+// Define associations
+InvoiceDiscount.associate = (models) => {
+    InvoiceDiscount.belongsTo(models.Invoice, {
+        foreignKey: 'invoice_id',
+        as: 'invoice'
+    });
+
+    InvoiceDiscount.belongsTo(models.InvoiceItem, {
+        foreignKey: 'invoice_item_id',
+        as: 'invoiceItem'
+    });
+
+    InvoiceDiscount.belongsTo(models.Student, {
+        foreignKey: 'student_id',
+        as: 'student'
+    });
+
+    InvoiceDiscount.belongsTo(models.DiscountScheme, {
+        foreignKey: 'discount_scheme_id',
+        as: 'scheme'
+    });
+};
+
+module.exports = InvoiceDiscount;
@@ -19,11 +19,12 @@ InvoiceItem.init({
     },
     fee_structure_item_id: {
         type: DataTypes.INTEGER,
-        allowNull: false,
+        allowNull: true,
         references: {
             model: 'fee_structure_items',
             key: 'id'
-        }
+        },
+        comment: 'Null for lines not taken from the fee structure, such as penalties'
     },
     item_name: {
         type: DataTypes.STRING,
@@ -79,6 +80,24 @@ InvoiceItem.init({
             key: 'id'
         }
     },
+    balance_detail_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: 'fee_balance_details',
+            key: 'id'
+        },
+        comment: 'Balance transfer detail a carried-forward line was billed from'
+    },
+    transferred_amount: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0.00,
+        validate: {
+            min: 0
+        },
+        comment: 'Balance moved onto a later invoice as a carried-forward line'
+    },
     payment_status: {
         type: DataTypes.ENUM('UNPAID', 'PARTIALLY_PAID', 'PAID', 'OVERDUE'),
         defaultValue: 'UNPAID'
@@ -129,18 +148,19 @@ InvoiceItem.init({
             }
         },
         beforeUpdate: (item) => {
-            // Update payment status based on payments and waivers
-            const totalPaid = parseFloat(item.paid_amount) + parseFloat(item.waiver_amount);
+            // Update payment status based on payments, waivers and balances carried forward
+            const totalPaid = parseFloat(item.paid_amount) + parseFloat(item.waiver_amount) +
+                parseFloat(item.transferred_amount || 0);
             
             if (totalPaid >= item.amount) {
                 item.payment_status = 'PAID';
                 item.balance_amount = 0;
+            } else if (item.due_date < new Date()) {
+                item.payment_status = 'OVERDUE';
+                item.balance_amount = item.amount - totalPaid;
             } else if (totalPaid > 0) {
                 item.payment_status = 'PARTIALLY_PAID';
                 item.balance_amount = item.amount - totalPaid;
-            } else if (item.due_date < new Date()) {
-                item.payment_status = 'OVERDUE';
-                item.balance_amount = item.amount;
             } else {
                 item.payment_status = 'UNPAID';
                 item.balance_amount = item.amount;
@@ -182,6 +202,11 @@ InvoiceItem.associate = (models) => {
         as: 'carriedForwardItems'
     });
 
+    InvoiceItem.belongsTo(models.FeeBalanceDetail, {
+        foreignKey: 'balance_detail_id',
+        as: 'balanceDetail'
+    });
+
     InvoiceItem.belongsTo(models.User, {
         foreignKey: 'waiver_approved_by',
         as: 'waiverApprover'
@@ -191,6 +216,16 @@ InvoiceItem.associate = (models) => {
         foreignKey: 'invoice_item_id',
         as: 'paymentItems'
     });
+
+    InvoiceItem.hasMany(models.InvoiceDiscount, {
+        foreignKey: 'invoice_item_id',
+        as: 'discounts'
+    });
+
+    InvoiceItem.hasMany(models.WaiverRequest, {
+        foreignKey: 'invoice_item_id',
+        as: 'waiverRequests'
+    });
 };
 
 // Instance methods
@@ -206,18 +241,27 @@ InvoiceItem.prototype.applyPayment = async function(amount) {
     return paymentAmount;
 };
 
-InvoiceItem.prototype.applyWaiver = async function(amount, reason, approvedBy) {
-    if (amount > this.balance_amount) {
+InvoiceItem.prototype.applyWaiver = async function(amount, reason, approvedBy, options = {}) {
+    const waiverAmount = parseFloat(amount);
+
+    if (waiverAmount > parseFloat(this.balance_amount)) {
         throw new Error('Waiver amount cannot exceed balance amount');
     }
 
     await this.update({
-        waiver_amount: this.waiver_amount + amount,
-        waiver_reason: reason,
+        waiver_amount: parseFloat(this.waiver_amount) + waiverAmount,
+        // Keep earlier reasons when an item is waived more than once
+        waiver_reason: this.waiver_reason ? `${this.waiver_reason}; ${reason}` : reason,
         waiver_approved_by: approvedBy,
         waiver_approved_date: new Date(),
-        balance_amount: this.balance_amount - amount
-    });
+        balance_amount: parseFloat(this.balance_amount) - waiverAmount
+    }, options);
 };
 
+// Category of the charge added to an invoice when a cheque paying it bounces
+InvoiceItem.CHEQUE_BOUNCE_CATEGORY = 'CHEQUE_BOUNCE';
+
+// Category of the charge taking back student credit that was spent before the payment behind it failed
+InvoiceItem.CREDIT_RECOVERY_CATEGORY = 'CREDIT_RECOVERY';
+
 module.exports = InvoiceItem;
@@ -0,0 +1,126 @@
+const { Model, DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+class MobileMoneyCallback extends Model {}
+
+MobileMoneyCallback.init({
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    provider: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        defaultValue: 'MPESA'
+    },
+    transaction_id: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        unique: true,
+        comment: 'Provider transaction ID; a repeated callback for the same ID is not processed again'
+    },
+    account_number: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        comment: 'Account number the payer entered, expected to be the admission number'
+    },
+    amount: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        validate: {
+            min: 0.01
+        }
+    },
+    phone_number: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    payer_name: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    business_short_code: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    transaction_time: {
+        type: DataTypes.DATE,
+        allowNull: false
+    },
+    status: {
+        type: DataTypes.ENUM('RECEIVED', 'PROCESSED', 'UNMATCHED', 'FAILED'),
+        defaultValue: 'RECEIVED',
+        comment: 'UNMATCHED callbacks wait for a clerk to assign them to a student'
+    },
+    status_reason: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
+    student_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: 'students',
+            key: 'id'
+        }
+    },
+    payment_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: 'payments',
+            key: 'id'
+        }
+    },
+    payload: {
+        type: DataTypes.JSON,
+        allowNull: false,
+        comment: 'Callback body, kept for audit and reprocessing'
+    },
+    resolved_by: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: 'users',
+            key: 'id'
+        }
+    }
+}, {
+    sequelize,
+    modelName: 'MobileMoneyCallback',
+    tableName: 'mobile_money_callbacks',
+    timestamps: true,
+    indexes: [
+        {
+            unique: true,
+            fields: ['transaction_id']
+        },
+        {
+            fields: ['account_number']
+        },
+        {
+            fields: ['status']
+        }
+    ]
+});
+
+// Define associations
+MobileMoneyCallback.associate = (models) => {
+    MobileMoneyCallback.belongsTo(models.Student, {
+        foreignKey: 'student_id',
+        as: 'student'
+    });
+
+    MobileMoneyCallback.belongsTo(models.Payment, {
+        foreignKey: 'payment_id',
+        as: 'payment'
+    });
+
+    MobileMoneyCallback.belongsTo(models.User, {
+        foreignKey: 'resolved_by',
+        as: 'resolver'
+    });
+};
+
+module.exports = MobileMoneyCallback;
@@ -1,4 +1,4 @@
-const { Model, DataTypes } = require('sequelize');
+const { Model, DataTypes, Op } = require('sequelize');
 const sequelize = require('../config/database');
 
 class Payment extends Model {}
@@ -83,9 +83,31 @@ Payment.init({
         allowNull: true
     },
     cheque_date: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: 'Date written on the cheque; a post-dated cheque cannot be deposited before it'
+    },
+    cheque_status: {
+        type: DataTypes.ENUM('RECEIVED', 'DEPOSITED', 'CLEARED', 'BOUNCED'),
+        allowNull: true,
+        comment: 'Cheque payments only'
+    },
+    cheque_deposit_date: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    cheque_cleared_date: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    cheque_bounce_date: {
         type: DataTypes.DATE,
         allowNull: true
     },
+    cheque_bounce_reason: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
     upi_id: {
         type: DataTypes.STRING,
         allowNull: true
@@ -153,6 +175,34 @@ Payment.init({
     refund_reference: {
         type: DataTypes.STRING,
         allowNull: true
+    },
+    refund_to_credit: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+        comment: 'Refund was moved to the student credit balance instead of paid out'
+    },
+    credit_amount: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0.00,
+        validate: {
+            min: 0
+        },
+        comment: 'Part of the amount beyond the invoice balance, held as student credit'
+    },
+    family_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: 'families',
+            key: 'id'
+        }
+    },
+    family_payment_reference: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        comment: 'Shared by the payments one family payment was split into'
     }
 }, {
     sequelize,
@@ -160,21 +210,23 @@ Payment.init({
     tableName: 'payments',
     timestamps: true,
     hooks: {
-        beforeCreate: async (payment) => {
+        beforeCreate: async (payment, options) => {
             // Generate payment number if not provided
             if (!payment.payment_number) {
                 const prefix = 'PMT';
                 const year = new Date().getFullYear().toString().substr(-2);
                 const month = (new Date().getMonth() + 1).toString().padStart(2, '0');
                 
-                // Get the last payment number for this month
+                // Get the last payment number for this month, including payments
+                // created earlier in the same transaction
                 const lastPayment = await Payment.findOne({
                     where: {
                         payment_number: {
                             [Op.like]: `${prefix}${year}${month}%`
                         }
                     },
-                    order: [['payment_number', 'DESC']]
+                    order: [['payment_number', 'DESC']],
+                    transaction: options.transaction
                 });
 
                 let sequence = '0001';
@@ -199,7 +251,8 @@ Payment.init({
                             [Op.like]: `${prefix}${year}${month}%`
                         }
                     },
-                    order: [['receipt_number', 'DESC']]
+                    order: [['receipt_number', 'DESC']],
+                    transaction: options.transaction
                 });
 
                 let sequence = '0001';
@@ -229,6 +282,12 @@ Payment.init({
         },
         {
             fields: ['status']
+        },
+        {
+            fields: ['family_payment_reference']
+        },
+        {
+            fields: ['cheque_status']
         }
     ]
 });
@@ -245,6 +304,11 @@ Payment.associate = (models) => {
         as: 'student'
     });
 
+    Payment.belongsTo(models.Family, {
+        foreignKey: 'family_id',
+        as: 'family'
+    });
+
     Payment.hasMany(models.PaymentItem, {
         foreignKey: 'payment_id',
         as: 'items'
@@ -267,24 +331,29 @@ Payment.associate = (models) => {
 };
 
 // Instance methods
-Payment.prototype.verify = async function(verifierId) {
+Payment.prototype.verify = async function(verifierId, options = {}) {
     await this.update({
         status: 'COMPLETED',
         verified_by: verifierId,
-        verification_date: new Date()
-    });
+        verification_date: new Date(),
+        // Verifying a cheque payment means the bank has cleared it
+        ...(this.payment_mode === 'CHEQUE' && {
+            cheque_status: 'CLEARED',
+            cheque_cleared_date: new Date()
+        })
+    }, options);
 };
 
-Payment.prototype.cancel = async function(cancellerId, reason) {
+Payment.prototype.cancel = async function(cancellerId, reason, options = {}) {
     await this.update({
         status: 'CANCELLED',
         cancelled_by: cancellerId,
         cancellation_date: new Date(),
         cancellation_reason: reason
-    });
+    }, options);
 };
 
-Payment.prototype.refund = async function(amount, reference) {
+Payment.prototype.refund = async function(amount, reference, options = {}) {
     if (amount > this.amount) {
         throw new Error('Refund amount cannot exceed payment amount');
     }
@@ -294,7 +363,7 @@ Payment.prototype.refund = async function(amount, reference) {
         refund_amount: amount,
         refund_date: new Date(),
         refund_reference: reference
-    });
+    }, options);
 };
 
 module.exports = Payment;
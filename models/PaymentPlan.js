@@ -0,0 +1,210 @@
+const { Model, DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+class PaymentPlan extends Model {}
+
+PaymentPlan.init({
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    invoice_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'invoices',
+            key: 'id'
+        }
+    },
+    student_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'students',
+            key: 'id'
+        }
+    },
+    total_amount: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        validate: {
+            min: 0
+        },
+        comment: 'Invoice balance the plan was agreed on'
+    },
+    installment_count: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        validate: {
+            min: 2
+        }
+    },
+    original_due_date: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        comment: 'Invoice due date before the plan; restored if the plan is cancelled'
+    },
+    status: {
+        type: DataTypes.ENUM('ACTIVE', 'COMPLETED', 'CANCELLED'),
+        defaultValue: 'ACTIVE'
+    },
+    remarks: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    },
+    created_by: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'users',
+            key: 'id'
+        }
+    },
+    cancelled_by: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: 'users',
+            key: 'id'
+        }
+    },
+    cancellation_date: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    cancellation_reason: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    }
+}, {
+    sequelize,
+    modelName: 'PaymentPlan',
+    tableName: 'payment_plans',
+    timestamps: true,
+    indexes: [
+        {
+            fields: ['invoice_id']
+        },
+        {
+            fields: ['status']
+        }
+    ]
+});
+
+// Define associations
+PaymentPlan.associate = (models) => {
+    PaymentPlan.belongsTo(models.Invoice, {
+        foreignKey: 'invoice_id',
+        as: 'invoice'
+    });
+
+    PaymentPlan.belongsTo(models.Student, {
+        foreignKey: 'student_id',
+        as: 'student'
+    });
+
+    PaymentPlan.hasMany(models.PaymentPlanInstallment, {
+        foreignKey: 'payment_plan_id',
+        as: 'installments'
+    });
+
+    PaymentPlan.belongsTo(models.User, {
+        foreignKey: 'created_by',
+        as: 'creator'
+    });
+
+    PaymentPlan.belongsTo(models.User, {
+        foreignKey: 'cancelled_by',
+        as: 'canceller'
+    });
+};
+
+// Instance methods
+
+/**
+ * Installments in schedule order
+ */
+PaymentPlan.prototype.getOrderedInstallments = async function(options = {}) {
+    return sequelize.models.PaymentPlanInstallment.findAll({
+        where: { payment_plan_id: this.id },
+        order: [['installment_number', 'ASC']],
+        ...options
+    });
+};
+
+/**
+ * Put a payment against the earliest unpaid installments. Anything left
+ * over (e.g. a penalty added after the plan was agreed) is not scheduled.
+ * @returns {Promise<Object>} { allocations, nextInstallment } where nextInstallment is
+ *   the earliest installment still unpaid, or null once the plan is complete
+ */
+PaymentPlan.prototype.allocatePayment = async function(amount, options = {}) {
+    const installments = await this.getOrderedInstallments(options);
+
+    let remaining = Math.round(parseFloat(amount) * 100) / 100;
+    const allocations = [];
+
+    for (const installment of installments) {
+        if (remaining <= 0) break;
+
+        const outstanding = installment.getOutstanding();
+        if (outstanding <= 0) continue;
+
+        const applied = Math.min(remaining, outstanding);
+        await installment.applyPayment(applied, options);
+        allocations.push({ installment_number: installment.installment_number, amount: applied });
+        remaining = Math.round((remaining - applied) * 100) / 100;
+    }
+
+    const nextInstallment = installments.find(installment => installment.getOutstanding() > 0) || null;
+    if (!nextInstallment) {
+        await this.update({ status: 'COMPLETED' }, options);
+    }
+
+    return { allocations, nextInstallment };
+};
+
+/**
+ * Take money back off the plan, latest paid installment first, e.g. when
+ * part of a payment is moved off the invoice. A completed plan reopens.
+ * @returns {Promise<Object>} { nextInstallment } - earliest installment now unpaid
+ */
+PaymentPlan.prototype.reversePayment = async function(amount, options = {}) {
+    const installments = await this.getOrderedInstallments(options);
+
+    let remaining = Math.round(parseFloat(amount) * 100) / 100;
+
+    for (const installment of [...installments].reverse()) {
+        if (remaining <= 0) break;
+
+        const paid = parseFloat(installment.paid_amount);
+        if (paid <= 0) continue;
+
+        const reversed = Math.min(remaining, paid);
+        await installment.update({
+            paid_amount: Math.round((paid - reversed) * 100) / 100,
+            paid_date: null,
+            ...(installment.status === 'PAID' && { status: 'PENDING' })
+        }, options);
+        remaining = Math.round((remaining - reversed) * 100) / 100;
+    }
+
+    if (this.status === 'COMPLETED') {
+        await this.update({ status: 'ACTIVE' }, options);
+    }
+
+    const nextInstallment = installments.find(installment => installment.getOutstanding() > 0) || null;
+    return { nextInstallment };
+};
+
+PaymentPlan.prototype.cancel = async function(userId, reason, options = {}) {
+    await this.update({
+        status: 'CANCELLED',
+        cancelled_by: userId,
+        cancellation_date: new Date(),
+        cancellation_reason: reason
+    }, options);
+};
+
+module.exports = PaymentPlan;
@@ -0,0 +1,108 @@
+const { Model, DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+class PaymentPlanInstallment extends Model {}
+
+PaymentPlanInstallment.init({
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    payment_plan_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'payment_plans',
+            key: 'id'
+        }
+    },
+    installment_number: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        validate: {
+            min: 1
+        }
+    },
+    due_date: {
+        type: DataTypes.DATE,
+        allowNull: false
+    },
+    amount: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        validate: {
+            min: 0.01
+        }
+    },
+    paid_amount: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0.00,
+        validate: {
+            min: 0
+        }
+    },
+    status: {
+        type: DataTypes.ENUM('PENDING', 'PARTIALLY_PAID', 'PAID', 'OVERDUE'),
+        defaultValue: 'PENDING'
+    },
+    paid_date: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: 'When the installment was settled in full'
+    }
+}, {
+    sequelize,
+    modelName: 'PaymentPlanInstallment',
+    tableName: 'payment_plan_installments',
+    timestamps: true,
+    hooks: {
+        beforeUpdate: (installment) => {
+            // Update status based on payments; a past-due balance stays overdue
+            const outstanding = installment.getOutstanding();
+
+            if (outstanding <= 0) {
+                installment.status = 'PAID';
+                installment.paid_date = installment.paid_date || new Date();
+            } else if (new Date(installment.due_date) < new Date()) {
+                installment.status = 'OVERDUE';
+            } else if (parseFloat(installment.paid_amount) > 0) {
+                installment.status = 'PARTIALLY_PAID';
+            }
+        }
+    },
+    indexes: [
+        {
+            unique: true,
+            fields: ['payment_plan_id', 'installment_number']
+        },
+        {
+            fields: ['due_date']
+        },
+        {
+            fields: ['status']
+        }
+    ]
+});
+
+// Define associations
+PaymentPlanInstallment.associate = (models) => {
+    PaymentPlanInstallment.belongsTo(models.PaymentPlan, {
+        foreignKey: 'payment_plan_id',
+        as: 'plan'
+    });
+};
+
+// Instance methods
+PaymentPlanInstallment.prototype.getOutstanding = function() {
+    return Math.round((parseFloat(this.amount) - parseFloat(this.paid_amount)) * 100) / 100;
+};
+
+PaymentPlanInstallment.prototype.applyPayment = async function(amount, options = {}) {
+    await this.update({
+        paid_amount: Math.round((parseFloat(this.paid_amount) + parseFloat(amount)) * 100) / 100
+    }, options);
+};
+
+module.exports = PaymentPlanInstallment;
@@ -191,6 +191,15 @@ Permission.createDefaultPermissions = async (createdBy) => {
             is_system_permission: true,
             created_by: createdBy
         },
+        {
+            name: 'Approve Fee Waivers',
+            code: 'FEES_WAIVER_APPROVE',
+            description: 'Permission to approve fee waivers above the approval threshold',
+            module: 'FEES',
+            category: 'APPROVE',
+            is_system_permission: true,
+            created_by: createdBy
+        },
         {
             name: 'Process Payroll',
             code: 'PAYROLL_PROCESS',
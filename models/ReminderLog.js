@@ -0,0 +1,113 @@
+const { Model, DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+class ReminderLog extends Model {}
+
+ReminderLog.init({
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    invoice_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'invoices',
+            key: 'id'
+        }
+    },
+    student_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'students',
+            key: 'id'
+        }
+    },
+    channel: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        comment: 'Channel used to deliver the reminder (SMS, EMAIL, CONSOLE)'
+    },
+    recipient: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        comment: 'Phone number or email address the reminder was sent to'
+    },
+    message: {
+        type: DataTypes.TEXT,
+        allowNull: false
+    },
+    balance_amount: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        comment: 'Invoice balance at the time of the reminder'
+    },
+    status: {
+        type: DataTypes.ENUM('SENT', 'FAILED'),
+        allowNull: false
+    },
+    provider_reference: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        comment: 'Message ID returned by the delivery provider'
+    },
+    error_message: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    },
+    sent_by: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: 'users',
+            key: 'id'
+        }
+    },
+    sent_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+    }
+}, {
+    sequelize,
+    modelName: 'ReminderLog',
+    tableName: 'reminder_logs',
+    timestamps: true,
+    updatedAt: false,
+    indexes: [
+        {
+            fields: ['invoice_id']
+        },
+        {
+            fields: ['student_id']
+        },
+        {
+            fields: ['status']
+        },
+        {
+            fields: ['sent_at']
+        }
+    ]
+});
+
+// Define associations
+ReminderLog.associate = (models) => {
+    ReminderLog.belongsTo(models.Invoice, {
+        foreignKey: 'invoice_id',
+        as: 'invoice'
+    });
+
+    ReminderLog.belongsTo(models.Student, {
+        foreignKey: 'student_id',
+        as: 'student'
+    });
+
+    ReminderLog.belongsTo(models.User, {
+        foreignKey: 'sent_by',
+        as: 'sender'
+    });
+};
+
+module.exports = ReminderLog;
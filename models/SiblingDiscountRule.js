@@ -0,0 +1,105 @@
+const { Model, DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+class SiblingDiscountRule extends Model {}
+
+SiblingDiscountRule.init({
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    name: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    min_child_position: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 2,
+        validate: {
+            min: 2
+        },
+        comment: 'Rule applies to this child onwards, counting siblings by admission date'
+    },
+    discount_type: {
+        type: DataTypes.ENUM('PERCENTAGE', 'FIXED'),
+        allowNull: false,
+        defaultValue: 'PERCENTAGE'
+    },
+    discount_value: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        validate: {
+            min: 0
+        }
+    },
+    categories: {
+        type: DataTypes.JSON,
+        allowNull: false,
+        defaultValue: ['TUITION'],
+        comment: 'Fee item categories the discount is taken off'
+    },
+    academic_year: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        validate: {
+            is: /^\d{4}-\d{4}$/
+        },
+        comment: 'Null applies the rule to every academic year'
+    },
+    status: {
+        type: DataTypes.ENUM('ACTIVE', 'INACTIVE'),
+        defaultValue: 'ACTIVE'
+    },
+    created_by: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: 'users',
+            key: 'id'
+        }
+    }
+}, {
+    sequelize,
+    modelName: 'SiblingDiscountRule',
+    tableName: 'sibling_discount_rules',
+    timestamps: true,
+    validate: {
+        percentageInRange() {
+            if (this.discount_type === 'PERCENTAGE' && parseFloat(this.discount_value) > 100) {
+                throw new Error('Percentage discount cannot exceed 100');
+            }
+        }
+    },
+    indexes: [
+        {
+            fields: ['status']
+        }
+    ]
+});
+
+// Define associations
+SiblingDiscountRule.associate = (models) => {
+    SiblingDiscountRule.belongsTo(models.User, {
+        foreignKey: 'created_by',
+        as: 'creator'
+    });
+};
+
+// Instance methods
+SiblingDiscountRule.prototype.appliesTo = function(category) {
+    return (this.categories || []).includes(category);
+};
+
+// Discount on the combined amount of an invoice's matching fee items
+SiblingDiscountRule.prototype.calculateDiscount = function(amount) {
+    const base = parseFloat(amount);
+    const discount = this.discount_type === 'PERCENTAGE'
+        ? base * parseFloat(this.discount_value) / 100
+        : parseFloat(this.discount_value);
+
+    return Math.round(Math.min(discount, base) * 100) / 100;
+};
+
+module.exports = SiblingDiscountRule;
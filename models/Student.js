@@ -30,6 +30,14 @@ Student.init({
         type: DataTypes.STRING,
         allowNull: false
     },
+    email: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        validate: {
+            isEmail: true
+        },
+        comment: 'Parent/guardian email used for fee communication'
+    },
     school_level: {
         type: DataTypes.ENUM('PRIMARY', 'JUNIOR'),
         allowNull: false
@@ -38,6 +46,22 @@ Student.init({
         type: DataTypes.STRING,
         allowNull: false
     },
+    academic_year: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        validate: {
+            is: /^\d{4}-\d{4}$/
+        },
+        comment: 'Academic year the student is currently enrolled in'
+    },
+    family_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: 'families',
+            key: 'id'
+        }
+    },
     admission_date: {
         type: DataTypes.DATE,
         allowNull: false,
@@ -47,6 +71,60 @@ Student.init({
         type: DataTypes.ENUM('ACTIVE', 'INACTIVE'),
         defaultValue: 'ACTIVE'
     },
+    deactivation_reason: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    },
+    deactivated_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    deactivated_by: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: 'users',
+            key: 'id'
+        }
+    },
+    exit_type: {
+        type: DataTypes.ENUM('GRADUATED', 'TRANSFERRED', 'WITHDRAWN'),
+        allowNull: true,
+        comment: 'How the student left the school; null while enrolled'
+    },
+    exit_date: {
+        type: DataTypes.DATEONLY,
+        allowNull: true
+    },
+    exit_destination: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        comment: 'School the student moved on to, if known'
+    },
+    final_balance: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: true,
+        comment: 'Outstanding fee balance frozen at the time the student left'
+    },
+    credit_balance: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0.00,
+        validate: {
+            min: 0
+        },
+        comment: 'Overpayments and refunds held for the next invoice'
+    },
+    cheques_refused: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+        comment: 'Set when a cheque bounces; further cheque payments are refused'
+    },
+    cheque_refusal_reason: {
+        type: DataTypes.STRING,
+        allowNull: true
+    },
     promotion_history: {
         type: DataTypes.JSON,
         allowNull: true
@@ -55,7 +133,82 @@ Student.init({
     sequelize,
     modelName: 'Student',
     tableName: 'students',
-    timestamps: true
+    timestamps: true,
+    indexes: [
+        {
+            unique: true,
+            fields: ['admission_number']
+        },
+        {
+            fields: ['current_class']
+        },
+        {
+            fields: ['status']
+        },
+        {
+            fields: ['exit_type']
+        },
+        {
+            fields: ['family_id']
+        }
+    ]
 });
 
+// Define associations
+Student.associate = (models) => {
+    Student.belongsTo(models.Family, {
+        foreignKey: 'family_id',
+        as: 'family'
+    });
+
+    Student.hasMany(models.Invoice, {
+        foreignKey: 'student_id',
+        as: 'invoices'
+    });
+
+    Student.hasMany(models.Payment, {
+        foreignKey: 'student_id',
+        as: 'payments'
+    });
+
+    Student.hasMany(models.StudentDiscount, {
+        foreignKey: 'student_id',
+        as: 'discounts'
+    });
+
+    Student.hasMany(models.StudentCreditTransaction, {
+        foreignKey: 'student_id',
+        as: 'creditTransactions'
+    });
+
+    Student.hasMany(models.StudentPromotion, {
+        foreignKey: 'student_id',
+        as: 'promotions'
+    });
+
+    Student.belongsTo(models.User, {
+        foreignKey: 'deactivated_by',
+        as: 'deactivator'
+    });
+};
+
+// Instance methods
+Student.prototype.deactivate = async function(userId, reason, options = {}) {
+    await this.update({
+        status: 'INACTIVE',
+        deactivation_reason: reason,
+        deactivated_at: new Date(),
+        deactivated_by: userId
+    }, options);
+};
+
+Student.prototype.reactivate = async function(options = {}) {
+    await this.update({
+        status: 'ACTIVE',
+        deactivation_reason: null,
+        deactivated_at: null,
+        deactivated_by: null
+    }, options);
+};
+
 module.exports = Student;
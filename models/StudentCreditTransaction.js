@@ -0,0 +1,187 @@
+const { Model, DataTypes, Op } = require('sequelize');
+const sequelize = require('../config/database');
+
+// Movements that add to the student's credit; everything else draws it down
+const CREDIT_IN_TYPES = ['OVERPAYMENT', 'REFUND_TO_CREDIT', 'INVOICE_CANCELLATION'];
+
+class StudentCreditTransaction extends Model {}
+
+StudentCreditTransaction.init({
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    student_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'students',
+            key: 'id'
+        }
+    },
+    transaction_type: {
+        type: DataTypes.ENUM(
+            'OVERPAYMENT',
+            'REFUND_TO_CREDIT',
+            'INVOICE_APPLICATION',
+            'INVOICE_CANCELLATION',
+            'PAYMENT_REVERSAL'
+        ),
+        allowNull: false
+    },
+    amount: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        validate: {
+            min: 0.01
+        }
+    },
+    balance_after: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        comment: 'Student credit balance once this movement was posted'
+    },
+    payment_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: 'payments',
+            key: 'id'
+        }
+    },
+    invoice_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: 'invoices',
+            key: 'id'
+        }
+    },
+    description: {
+        type: DataTypes.STRING,
+        allowNull: false
+    },
+    created_by: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: 'users',
+            key: 'id'
+        }
+    }
+}, {
+    sequelize,
+    modelName: 'StudentCreditTransaction',
+    tableName: 'student_credit_transactions',
+    timestamps: true,
+    indexes: [
+        {
+            fields: ['student_id']
+        },
+        {
+            fields: ['transaction_type']
+        },
+        {
+            fields: ['payment_id']
+        },
+        {
+            fields: ['invoice_id']
+        }
+    ]
+});
+
+// Define associations
+StudentCreditTransaction.associate = (models) => {
+    StudentCreditTransaction.belongsTo(models.Student, {
+        foreignKey: 'student_id',
+        as: 'student'
+    });
+
+    StudentCreditTransaction.belongsTo(models.Payment, {
+        foreignKey: 'payment_id',
+        as: 'payment'
+    });
+
+    StudentCreditTransaction.belongsTo(models.Invoice, {
+        foreignKey: 'invoice_id',
+        as: 'invoice'
+    });
+
+    StudentCreditTransaction.belongsTo(models.User, {
+        foreignKey: 'created_by',
+        as: 'creator'
+    });
+};
+
+// Class methods
+
+/**
+ * Post a credit movement and update the student's credit balance
+ * @param {Object} data - { student_id, transaction_type, amount, payment_id, invoice_id, description, created_by }
+ * @param {Object} options - Query options; pass the caller's transaction
+ * @returns {Promise<StudentCreditTransaction>} Posted movement
+ */
+StudentCreditTransaction.post = async function(data, options = {}) {
+    const student = await sequelize.models.Student.findByPk(data.student_id, {
+        ...options,
+        lock: options.transaction ? options.transaction.LOCK.UPDATE : undefined
+    });
+
+    const amount = Math.round(parseFloat(data.amount) * 100) / 100;
+    const direction = CREDIT_IN_TYPES.includes(data.transaction_type) ? 1 : -1;
+    const balance = Math.round((parseFloat(student.credit_balance) + direction * amount) * 100) / 100;
+
+    if (balance < 0) {
+        throw new Error(`Student credit balance of ${student.credit_balance} cannot cover ${amount}`);
+    }
+
+    await student.update({ credit_balance: balance }, options);
+
+    return StudentCreditTransaction.create({
+        ...data,
+        amount,
+        balance_after: balance
+    }, options);
+};
+
+/**
+ * Total credit movements by type over a period
+ * @param {Object} options - { from, to } date range
+ * @returns {Promise<Object>} Amount per transaction type
+ */
+StudentCreditTransaction.summarize = async function({ from, to } = {}) {
+    const where = {};
+    if (from && to) {
+        where.createdAt = {
+            [Op.between]: [new Date(from), new Date(to)]
+        };
+    }
+
+    const rows = await StudentCreditTransaction.findAll({
+        where,
+        attributes: [
+            'transaction_type',
+            [sequelize.fn('SUM', sequelize.col('amount')), 'total']
+        ],
+        group: ['transaction_type'],
+        raw: true
+    });
+
+    const totals = {
+        OVERPAYMENT: 0,
+        REFUND_TO_CREDIT: 0,
+        INVOICE_APPLICATION: 0,
+        INVOICE_CANCELLATION: 0,
+        PAYMENT_REVERSAL: 0
+    };
+    rows.forEach(row => {
+        totals[row.transaction_type] = parseFloat(row.total) || 0;
+    });
+
+    return totals;
+};
+
+StudentCreditTransaction.CREDIT_IN_TYPES = CREDIT_IN_TYPES;
+
+module.exports = StudentCreditTransaction;
@@ -0,0 +1,109 @@
+const { Model, DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+class StudentDiscount extends Model {}
+
+StudentDiscount.init({
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    student_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'students',
+            key: 'id'
+        }
+    },
+    discount_scheme_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'discount_schemes',
+            key: 'id'
+        }
+    },
+    status: {
+        type: DataTypes.ENUM('ACTIVE', 'REVOKED'),
+        defaultValue: 'ACTIVE'
+    },
+    remarks: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    },
+    assigned_by: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'users',
+            key: 'id'
+        }
+    },
+    revoked_by: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: 'users',
+            key: 'id'
+        }
+    },
+    revoked_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    revocation_reason: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    }
+}, {
+    sequelize,
+    modelName: 'StudentDiscount',
+    tableName: 'student_discounts',
+    timestamps: true,
+    indexes: [
+        {
+            unique: true,
+            fields: ['student_id', 'discount_scheme_id']
+        },
+        {
+            fields: ['discount_scheme_id']
+        }
+    ]
+});
+
+// Define associations
+StudentDiscount.associate = (models) => {
+    StudentDiscount.belongsTo(models.Student, {
+        foreignKey: 'student_id',
+        as: 'student'
+    });
+
+    StudentDiscount.belongsTo(models.DiscountScheme, {
+        foreignKey: 'discount_scheme_id',
+        as: 'scheme'
+    });
+
+    StudentDiscount.belongsTo(models.User, {
+        foreignKey: 'assigned_by',
+        as: 'assigner'
+    });
+
+    StudentDiscount.belongsTo(models.User, {
+        foreignKey: 'revoked_by',
+        as: 'revoker'
+    });
+};
+
+// Instance methods
+StudentDiscount.prototype.revoke = async function(userId, reason, options = {}) {
+    await this.update({
+        status: 'REVOKED',
+        revoked_by: userId,
+        revoked_at: new Date(),
+        revocation_reason: reason
+    }, options);
+};
+
+module.exports = StudentDiscount;
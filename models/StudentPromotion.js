@@ -38,6 +38,32 @@ StudentPromotion.init({
         allowNull: false,
         defaultValue: DataTypes.NOW
     },
+    promotion_type: {
+        type: DataTypes.ENUM('PROMOTED', 'RETAINED', 'GRADUATED', 'TRANSFERRED', 'WITHDRAWN'),
+        allowNull: false,
+        defaultValue: 'PROMOTED'
+    },
+    batch_reference: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        comment: 'Shared by all promotions made in one batch promotion run'
+    },
+    balance_transfer_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: 'fee_balance_transfers',
+            key: 'id'
+        }
+    },
+    promoted_by: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: 'users',
+            key: 'id'
+        }
+    },
     remarks: {
         type: DataTypes.TEXT,
         allowNull: true
@@ -46,7 +72,33 @@ StudentPromotion.init({
     sequelize,
     modelName: 'StudentPromotion',
     tableName: 'student_promotions',
-    timestamps: true
+    timestamps: true,
+    indexes: [
+        {
+            fields: ['student_id']
+        },
+        {
+            fields: ['batch_reference']
+        }
+    ]
 });
 
+// Define associations
+StudentPromotion.associate = (models) => {
+    StudentPromotion.belongsTo(models.Student, {
+        foreignKey: 'student_id',
+        as: 'student'
+    });
+
+    StudentPromotion.belongsTo(models.FeeBalanceTransfer, {
+        foreignKey: 'balance_transfer_id',
+        as: 'balanceTransfer'
+    });
+
+    StudentPromotion.belongsTo(models.User, {
+        foreignKey: 'promoted_by',
+        as: 'promoter'
+    });
+};
+
 module.exports = StudentPromotion;
@@ -0,0 +1,127 @@
+const { Model, DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+class WaiverRequest extends Model {}
+
+WaiverRequest.init({
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    invoice_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'invoices',
+            key: 'id'
+        }
+    },
+    invoice_item_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'invoice_items',
+            key: 'id'
+        }
+    },
+    student_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'students',
+            key: 'id'
+        }
+    },
+    amount: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        validate: {
+            min: 0.01
+        }
+    },
+    reason: {
+        type: DataTypes.TEXT,
+        allowNull: false
+    },
+    status: {
+        type: DataTypes.ENUM('PENDING', 'APPROVED', 'REJECTED'),
+        defaultValue: 'PENDING'
+    },
+    requires_approval: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true,
+        comment: 'False when the amount was within the threshold and applied on request'
+    },
+    requested_by: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'users',
+            key: 'id'
+        }
+    },
+    reviewed_by: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: 'users',
+            key: 'id'
+        }
+    },
+    reviewed_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    review_remarks: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    }
+}, {
+    sequelize,
+    modelName: 'WaiverRequest',
+    tableName: 'waiver_requests',
+    timestamps: true,
+    indexes: [
+        {
+            fields: ['status']
+        },
+        {
+            fields: ['invoice_id']
+        },
+        {
+            fields: ['invoice_item_id']
+        }
+    ]
+});
+
+// Define associations
+WaiverRequest.associate = (models) => {
+    WaiverRequest.belongsTo(models.Invoice, {
+        foreignKey: 'invoice_id',
+        as: 'invoice'
+    });
+
+    WaiverRequest.belongsTo(models.InvoiceItem, {
+        foreignKey: 'invoice_item_id',
+        as: 'invoiceItem'
+    });
+
+    WaiverRequest.belongsTo(models.Student, {
+        foreignKey: 'student_id',
+        as: 'student'
+    });
+
+    WaiverRequest.belongsTo(models.User, {
+        foreignKey: 'requested_by',
+        as: 'requester'
+    });
+
+    WaiverRequest.belongsTo(models.User, {
+        foreignKey: 'reviewed_by',
+        as: 'reviewer'
+    });
+};
+
+module.exports = WaiverRequest;
@@ -0,0 +1,75 @@
+const express = require('express');
+const router = express.Router();
+const discountSchemeController = require('../controllers/discountSchemeController');
+const { authenticate } = require('../middleware/auth');
+const {
+    validateDiscountScheme,
+    validateDiscountSchemeUpdate,
+    validateSchemeAssignment,
+    validateSchemeRevocation
+} = require('../middleware/discountValidations');
+
+// Middleware to check admin/accountant role
+const checkRole = (req, res, next) => {
+    const allowedRoles = ['admin', 'accountant'];
+    if (!allowedRoles.includes(req.user.role)) {
+        return res.status(403).json({
+            error: 'Access denied. You do not have permission to perform this action.'
+        });
+    }
+    next();
+};
+
+// Discount Scheme Routes
+router.get(
+    '/',
+    authenticate,
+    discountSchemeController.listSchemes
+);
+
+router.post(
+    '/',
+    authenticate,
+    checkRole,
+    validateDiscountScheme,
+    discountSchemeController.createScheme
+);
+
+router.get(
+    '/students/:studentId',
+    authenticate,
+    discountSchemeController.getStudentSchemes
+);
+
+router.put(
+    '/:id',
+    authenticate,
+    checkRole,
+    validateDiscountSchemeUpdate,
+    discountSchemeController.updateScheme
+);
+
+// Student assignments
+router.get(
+    '/:id/students',
+    authenticate,
+    discountSchemeController.getSchemeStudents
+);
+
+router.post(
+    '/:id/students',
+    authenticate,
+    checkRole,
+    validateSchemeAssignment,
+    discountSchemeController.assignStudents
+);
+
+router.post(
+    '/:id/students/:studentId/revoke',
+    authenticate,
+    checkRole,
+    validateSchemeRevocation,
+    discountSchemeController.revokeStudent
+);
+
+module.exports = router;
@@ -2,8 +2,19 @@ const express = require('express');
 const router = express.Router();
 const expenseController = require('../controllers/expenseController');
 const budgetController = require('../controllers/budgetController');
-const { authenticate } = require('../middleware/auth');
-const { validateExpense, validateExpenseUpdate } = require('../middleware/expenseValidations');
+const { authenticate, isAdmin } = require('../middleware/auth');
+const {
+    validateExpense,
+    validateExpenseUpdate,
+    validateExpenseApproval,
+    validateExpenseRejection,
+    validateApprovalRule,
+    validateApprovalRuleUpdate,
+    validateBudgetRollover,
+    validateBudgetRevision,
+    validateBudgetRevisionApproval,
+    validateBudgetRevisionRejection
+} = require('../middleware/expenseValidations');
 const upload = require('../middleware/fileUpload');
 
 // Middleware to check admin/accountant role
@@ -36,6 +47,57 @@ router.put(
     expenseController.updateExpense
 );
 
+// Approval chains
+router.get(
+    '/approvals/pending',
+    authenticate,
+    expenseController.getPendingApprovals
+);
+
+router.get(
+    '/approval-rules',
+    authenticate,
+    checkRole,
+    expenseController.listApprovalRules
+);
+
+router.post(
+    '/approval-rules',
+    authenticate,
+    isAdmin,
+    validateApprovalRule,
+    expenseController.createApprovalRule
+);
+
+router.put(
+    '/approval-rules/:id',
+    authenticate,
+    isAdmin,
+    validateApprovalRuleUpdate,
+    expenseController.updateApprovalRule
+);
+
+// Recurring expenses
+router.post(
+    '/recurring/run',
+    authenticate,
+    checkRole,
+    expenseController.runRecurringExpenses
+);
+
+router.get(
+    '/:id/occurrences',
+    authenticate,
+    expenseController.getOccurrences
+);
+
+router.post(
+    '/:id/recurring/stop',
+    authenticate,
+    checkRole,
+    expenseController.stopRecurring
+);
+
 router.get(
     '/:id',
     authenticate,
@@ -49,12 +111,28 @@ router.get(
 );
 
 router.post(
-    '/:id/approve',
+    '/:id/submit',
     authenticate,
     checkRole,
+    validateExpenseApproval,
+    expenseController.submitExpense
+);
+
+// Approvers are checked against the expense's current approval step
+router.post(
+    '/:id/approve',
+    authenticate,
+    validateExpenseApproval,
     expenseController.approveExpense
 );
 
+router.post(
+    '/:id/reject',
+    authenticate,
+    validateExpenseRejection,
+    expenseController.rejectExpense
+);
+
 router.post(
     '/:id/cancel',
     authenticate,
@@ -110,6 +188,45 @@ router.post(
     budgetController.closeBudget
 );
 
+router.post(
+    '/budgets/:id/rollover',
+    authenticate,
+    checkRole,
+    validateBudgetRollover,
+    budgetController.rolloverBudget
+);
+
+router.get(
+    '/budgets/:id/revisions',
+    authenticate,
+    checkRole,
+    budgetController.listRevisions
+);
+
+router.post(
+    '/budgets/:id/revisions',
+    authenticate,
+    checkRole,
+    validateBudgetRevision,
+    budgetController.requestRevision
+);
+
+router.post(
+    '/budgets/:id/revisions/:revisionId/approve',
+    authenticate,
+    checkRole,
+    validateBudgetRevisionApproval,
+    budgetController.approveRevision
+);
+
+router.post(
+    '/budgets/:id/revisions/:revisionId/reject',
+    authenticate,
+    checkRole,
+    validateBudgetRevisionRejection,
+    budgetController.rejectRevision
+);
+
 router.get(
     '/budgets/statistics',
     authenticate,
@@ -0,0 +1,99 @@
+const express = require('express');
+const router = express.Router();
+const familyController = require('../controllers/familyController');
+const { authenticate } = require('../middleware/auth');
+const { validateStatementQuery } = require('../middleware/studentValidations');
+const {
+    validateFamily,
+    validateFamilyUpdate,
+    validateFamilyStudents,
+    validateDiscountRule,
+    validateDiscountRuleUpdate
+} = require('../middleware/familyValidations');
+
+// Middleware to check admin/accountant role
+const checkRole = (req, res, next) => {
+    const allowedRoles = ['admin', 'accountant'];
+    if (!allowedRoles.includes(req.user.role)) {
+        return res.status(403).json({
+            error: 'Access denied. You do not have permission to perform this action.'
+        });
+    }
+    next();
+};
+
+// Sibling discount rules
+router.get(
+    '/discount-rules',
+    authenticate,
+    familyController.listDiscountRules
+);
+
+router.post(
+    '/discount-rules',
+    authenticate,
+    checkRole,
+    validateDiscountRule,
+    familyController.createDiscountRule
+);
+
+router.put(
+    '/discount-rules/:ruleId',
+    authenticate,
+    checkRole,
+    validateDiscountRuleUpdate,
+    familyController.updateDiscountRule
+);
+
+// Family Routes
+router.get(
+    '/',
+    authenticate,
+    familyController.listFamilies
+);
+
+router.post(
+    '/',
+    authenticate,
+    checkRole,
+    validateFamily,
+    familyController.createFamily
+);
+
+router.get(
+    '/:id',
+    authenticate,
+    familyController.getFamily
+);
+
+router.put(
+    '/:id',
+    authenticate,
+    checkRole,
+    validateFamilyUpdate,
+    familyController.updateFamily
+);
+
+router.post(
+    '/:id/students',
+    authenticate,
+    checkRole,
+    validateFamilyStudents,
+    familyController.linkStudents
+);
+
+router.delete(
+    '/:id/students/:studentId',
+    authenticate,
+    checkRole,
+    familyController.unlinkStudent
+);
+
+router.get(
+    '/:id/statement',
+    authenticate,
+    validateStatementQuery,
+    familyController.getFamilyStatement
+);
+
+module.exports = router;
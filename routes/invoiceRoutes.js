@@ -2,8 +2,23 @@ const express = require('express');
 const router = express.Router();
 const invoiceController = require('../controllers/invoiceController');
 const paymentController = require('../controllers/paymentController');
-const { authenticate } = require('../middleware/auth');
-const { validateInvoice, validatePayment } = require('../middleware/validations');
+const { authenticate, isAdmin, checkPermissions } = require('../middleware/auth');
+const {
+    validateInvoice,
+    validateBulkInvoice,
+    validateReminder,
+    validatePayment,
+    validateAllocationPreview,
+    validateFamilyPayment,
+    validateWaiverRequest,
+    validateWaiverDecision,
+    validateRefund,
+    validateReceiptEmail,
+    validatePaymentPlan,
+    validatePaymentPlanCancellation,
+    validateChequeDeposit,
+    validateChequeBounce
+} = require('../middleware/invoiceValidations');
 
 // Middleware to check admin/accountant role
 const checkRole = (req, res, next) => {
@@ -25,6 +40,14 @@ router.post(
     invoiceController.generateInvoice
 );
 
+// Waiver queue; registered ahead of '/:id' so the path is not read as an invoice ID
+router.get(
+    '/waivers',
+    authenticate,
+    checkRole,
+    invoiceController.getWaiverRequests
+);
+
 router.get(
     '/:id',
     authenticate,
@@ -64,6 +87,75 @@ router.get(
     invoiceController.getStatistics
 );
 
+router.post(
+    '/overdue/sweep',
+    authenticate,
+    isAdmin,
+    invoiceController.markOverdue
+);
+
+router.post(
+    '/penalties/apply',
+    authenticate,
+    isAdmin,
+    invoiceController.applyPenalties
+);
+
+router.post(
+    '/:id/penalties/:itemId/reverse',
+    authenticate,
+    isAdmin,
+    invoiceController.reversePenalty
+);
+
+// Waivers
+router.post(
+    '/:id/items/:itemId/waivers',
+    authenticate,
+    checkRole,
+    validateWaiverRequest,
+    invoiceController.requestWaiver
+);
+
+router.post(
+    '/waivers/:waiverId/approve',
+    authenticate,
+    checkPermissions(['FEES_WAIVER_APPROVE']),
+    validateWaiverDecision,
+    invoiceController.approveWaiver
+);
+
+router.post(
+    '/waivers/:waiverId/reject',
+    authenticate,
+    checkPermissions(['FEES_WAIVER_APPROVE']),
+    validateWaiverDecision,
+    invoiceController.rejectWaiver
+);
+
+// Installment payment plans
+router.get(
+    '/:id/payment-plan',
+    authenticate,
+    invoiceController.getPaymentPlans
+);
+
+router.post(
+    '/:id/payment-plan',
+    authenticate,
+    checkRole,
+    validatePaymentPlan,
+    invoiceController.createPaymentPlan
+);
+
+router.post(
+    '/:id/payment-plan/cancel',
+    authenticate,
+    checkRole,
+    validatePaymentPlanCancellation,
+    invoiceController.cancelPaymentPlan
+);
+
 // Payment Routes
 router.post(
     '/payments',
@@ -73,6 +165,22 @@ router.post(
     paymentController.processPayment
 );
 
+router.post(
+    '/payments/allocation-preview',
+    authenticate,
+    checkRole,
+    validateAllocationPreview,
+    paymentController.previewAllocation
+);
+
+router.post(
+    '/payments/family',
+    authenticate,
+    checkRole,
+    validateFamilyPayment,
+    paymentController.processFamilyPayment
+);
+
 router.post(
     '/payments/:id/verify',
     authenticate,
@@ -91,9 +199,41 @@ router.post(
     '/payments/:id/refund',
     authenticate,
     checkRole,
+    validateRefund,
     paymentController.processRefund
 );
 
+// Cheque lifecycle; the register is registered ahead of '/payments/:id'
+router.get(
+    '/payments/cheques/register',
+    authenticate,
+    checkRole,
+    paymentController.getChequeRegister
+);
+
+router.post(
+    '/payments/:id/cheque/deposit',
+    authenticate,
+    checkRole,
+    validateChequeDeposit,
+    paymentController.depositCheque
+);
+
+router.post(
+    '/payments/:id/cheque/clear',
+    authenticate,
+    checkRole,
+    paymentController.clearCheque
+);
+
+router.post(
+    '/payments/:id/cheque/bounce',
+    authenticate,
+    checkRole,
+    validateChequeBounce,
+    paymentController.bounceCheque
+);
+
 router.get(
     '/payments/:id',
     authenticate,
@@ -118,42 +258,23 @@ router.post(
     '/bulk-generate',
     authenticate,
     checkRole,
-    async (req, res) => {
-        try {
-            const { student_ids, fee_structure_id, academic_year, term } = req.body;
-            const results = await Promise.all(
-                student_ids.map(student_id =>
-                    invoiceController.generateInvoice({
-                        ...req,
-                        body: { student_id, fee_structure_id, academic_year, term }
-                    })
-                )
-            );
-            res.json({
-                message: 'Bulk invoice generation completed',
-                data: results
-            });
-        } catch (error) {
-            next(error);
-        }
-    }
+    validateBulkInvoice,
+    invoiceController.bulkGenerateInvoices
 );
 
 router.post(
     '/bulk-remind',
     authenticate,
     checkRole,
-    async (req, res) => {
-        try {
-            const { invoice_ids } = req.body;
-            // Implementation for sending reminders
-            res.json({
-                message: 'Payment reminders sent successfully'
-            });
-        } catch (error) {
-            next(error);
-        }
-    }
+    validateReminder,
+    invoiceController.sendReminders
+);
+
+router.get(
+    '/reminders/log',
+    authenticate,
+    checkRole,
+    invoiceController.getReminderLogs
 );
 
 // Reports
@@ -161,34 +282,14 @@ router.get(
     '/reports/collection',
     authenticate,
     checkRole,
-    async (req, res) => {
-        try {
-            const { start_date, end_date, payment_mode } = req.query;
-            // Implementation for collection report
-            res.json({
-                data: collectionReport
-            });
-        } catch (error) {
-            next(error);
-        }
-    }
+    paymentController.getCollectionReport
 );
 
 router.get(
     '/reports/outstanding',
     authenticate,
     checkRole,
-    async (req, res) => {
-        try {
-            const { class: className, term } = req.query;
-            // Implementation for outstanding report
-            res.json({
-                data: outstandingReport
-            });
-        } catch (error) {
-            next(error);
-        }
-    }
+    invoiceController.getOutstandingReport
 );
 
 router.get(
@@ -212,17 +313,15 @@ router.get(
 router.get(
     '/payments/:id/receipt',
     authenticate,
-    async (req, res) => {
-        try {
-            const { id } = req.params;
-            // Implementation for generating receipt
-            res.setHeader('Content-Type', 'application/pdf');
-            res.setHeader('Content-Disposition', `attachment; filename=receipt-${id}.pdf`);
-            res.send(receiptBuffer);
-        } catch (error) {
-            next(error);
-        }
-    }
+    paymentController.getReceipt
+);
+
+router.post(
+    '/payments/:id/receipt/email',
+    authenticate,
+    checkRole,
+    validateReceiptEmail,
+    paymentController.emailReceipt
 );
 
 // Export Transactions
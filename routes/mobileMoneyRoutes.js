@@ -0,0 +1,53 @@
+const express = require('express');
+const router = express.Router();
+const mobileMoneyController = require('../controllers/mobileMoneyController');
+const { authenticate, verifyCallbackToken } = require('../middleware/auth');
+const {
+    validatePaybillValidation,
+    validatePaybillConfirmation,
+    validateCallbackAssignment
+} = require('../middleware/mobileMoneyValidations');
+
+// Middleware to check admin/accountant role
+const checkRole = (req, res, next) => {
+    const allowedRoles = ['admin', 'accountant'];
+    if (!allowedRoles.includes(req.user.role)) {
+        return res.status(403).json({
+            error: 'Access denied. You do not have permission to perform this action.'
+        });
+    }
+    next();
+};
+
+// Provider callbacks; authenticated by the shared callback token instead of a user login
+router.post(
+    '/paybill/validation',
+    verifyCallbackToken,
+    validatePaybillValidation,
+    mobileMoneyController.validatePayment
+);
+
+router.post(
+    '/paybill/confirmation',
+    verifyCallbackToken,
+    validatePaybillConfirmation,
+    mobileMoneyController.handleConfirmation
+);
+
+// Callbacks that could not be matched to a student or invoice
+router.get(
+    '/callbacks',
+    authenticate,
+    checkRole,
+    mobileMoneyController.getCallbacks
+);
+
+router.post(
+    '/callbacks/:id/assign',
+    authenticate,
+    checkRole,
+    validateCallbackAssignment,
+    mobileMoneyController.assignCallback
+);
+
+module.exports = router;
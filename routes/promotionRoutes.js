@@ -1,8 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const promotionController = require('../controllers/promotionController');
+const { Op } = require('sequelize');
+const { Student, StudentPromotion, FeeBalanceTransfer, FeeBalanceDetail } = require('../models');
 const { authenticate } = require('../middleware/auth');
-const { validatePromotion } = require('../middleware/validations');
+const { validatePromotion, validateBatchPromotion, validateStudentExit } = require('../middleware/validations');
 
 // Middleware to check if user has admin or accountant role
 const checkRole = (req, res, next) => {
@@ -24,6 +26,41 @@ router.post(
     promotionController.promoteStudent
 );
 
+// Route to record a student graduating, transferring out or withdrawing
+router.post(
+    '/students/:studentId/exit',
+    authenticate,
+    checkRole,
+    validateStudentExit,
+    promotionController.exitStudent
+);
+
+// Route to download the clearance certificate of a student who has left
+router.get(
+    '/students/:studentId/clearance-certificate',
+    authenticate,
+    checkRole,
+    promotionController.getClearanceCertificate
+);
+
+// Route to preview promoting a whole class
+router.post(
+    '/batch/preview',
+    authenticate,
+    checkRole,
+    validateBatchPromotion,
+    promotionController.previewBatchPromotion
+);
+
+// Route to promote a whole class, retaining or graduating listed students
+router.post(
+    '/batch',
+    authenticate,
+    checkRole,
+    validateBatchPromotion,
+    promotionController.batchPromote
+);
+
 // Route to get promotion history for a student
 router.get(
     '/students/:studentId/promotion-history',
@@ -77,6 +114,7 @@ router.get(
                 where: {},
                 include: [{
                     model: Student,
+                    as: 'student',
                     attributes: ['id', 'first_name', 'last_name', 'current_class']
                 }]
             };
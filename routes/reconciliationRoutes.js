@@ -0,0 +1,68 @@
+const express = require('express');
+const router = express.Router();
+const reconciliationController = require('../controllers/reconciliationController');
+const { authenticate } = require('../middleware/auth');
+const {
+    validateLineMatch,
+    validateLineIgnore
+} = require('../middleware/reconciliationValidations');
+
+// Middleware to check admin/accountant role
+const checkRole = (req, res, next) => {
+    const allowedRoles = ['admin', 'accountant'];
+    if (!allowedRoles.includes(req.user.role)) {
+        return res.status(403).json({
+            error: 'Access denied. You do not have permission to perform this action.'
+        });
+    }
+    next();
+};
+
+// Bank statements
+router.post(
+    '/statements',
+    authenticate,
+    checkRole,
+    reconciliationController.importStatement
+);
+
+router.get(
+    '/statements',
+    authenticate,
+    checkRole,
+    reconciliationController.getStatements
+);
+
+// Reconciliation queue
+router.get(
+    '/queue',
+    authenticate,
+    checkRole,
+    reconciliationController.getQueue
+);
+
+router.post(
+    '/lines/:id/match',
+    authenticate,
+    checkRole,
+    validateLineMatch,
+    reconciliationController.matchLine
+);
+
+router.post(
+    '/lines/:id/ignore',
+    authenticate,
+    checkRole,
+    validateLineIgnore,
+    reconciliationController.ignoreLine
+);
+
+// Reports
+router.get(
+    '/reports/unmatched-credits',
+    authenticate,
+    checkRole,
+    reconciliationController.getUnmatchedCreditsReport
+);
+
+module.exports = router;
@@ -62,4 +62,12 @@ router.get(
     reportsController.getStudentFinancialReport
 );
 
+// Discount and scholarship schemes
+router.get(
+    '/discounts',
+    authenticate,
+    checkRole,
+    reportsController.getDiscountReport
+);
+
 module.exports = router;
@@ -0,0 +1,109 @@
+const express = require('express');
+const router = express.Router();
+const studentController = require('../controllers/studentController');
+const { authenticate, isAdmin } = require('../middleware/auth');
+const {
+    validateStudent,
+    validateStudentUpdate,
+    validateDeactivation,
+    validateStudentListQuery,
+    validateStatementQuery
+} = require('../middleware/studentValidations');
+
+// Middleware to check admin/accountant role
+const checkRole = (req, res, next) => {
+    const allowedRoles = ['admin', 'accountant'];
+    if (!allowedRoles.includes(req.user.role)) {
+        return res.status(403).json({
+            error: 'Access denied. You do not have permission to perform this action.'
+        });
+    }
+    next();
+};
+
+// Student Routes
+router.get(
+    '/',
+    authenticate,
+    validateStudentListQuery,
+    studentController.listStudents
+);
+
+router.post(
+    '/',
+    authenticate,
+    checkRole,
+    validateStudent,
+    studentController.createStudent
+);
+
+// Bulk import
+router.get(
+    '/import/template',
+    authenticate,
+    checkRole,
+    studentController.getImportTemplate
+);
+
+router.post(
+    '/import',
+    authenticate,
+    checkRole,
+    studentController.importStudents
+);
+
+router.get(
+    '/:id',
+    authenticate,
+    studentController.getStudent
+);
+
+router.put(
+    '/:id',
+    authenticate,
+    checkRole,
+    validateStudentUpdate,
+    studentController.updateStudent
+);
+
+// Status lifecycle
+router.post(
+    '/:id/deactivate',
+    authenticate,
+    checkRole,
+    validateDeactivation,
+    studentController.deactivateStudent
+);
+
+router.post(
+    '/:id/reactivate',
+    authenticate,
+    checkRole,
+    studentController.reactivateStudent
+);
+
+// Only an admin can accept cheques again after one has bounced
+router.post(
+    '/:id/cheques/allow',
+    authenticate,
+    isAdmin,
+    studentController.allowCheques
+);
+
+// Balances
+router.get(
+    '/:id/outstanding-balance',
+    authenticate,
+    studentController.getOutstandingBalance
+);
+
+// Statement of account
+router.get(
+    '/:id/statement',
+    authenticate,
+    checkRole,
+    validateStatementQuery,
+    studentController.getStatement
+);
+
+module.exports = router;
@@ -0,0 +1,52 @@
+#!/usr/bin/env node
+/**
+ * Scheduled job runner.
+ *
+ * Starts the background jobs on their intervals and keeps running until it is
+ * stopped. Start it at boot next to the API server, under the same process
+ * manager and with the same environment, as one instance only.
+ *
+ * Usage:
+ *   node scripts/runScheduledJobs.js
+ *
+ * Jobs:
+ *   Overdue sweep and late penalties  Daily; POST /api/invoices/overdue/sweep runs it on demand
+ *   Recurring expenses                Daily; POST /api/expenses/recurring/run runs it on demand
+ *
+ * Environment:
+ *   OVERDUE_SWEEP_INTERVAL_MS      Interval between overdue sweeps (default daily)
+ *   RECURRING_EXPENSE_INTERVAL_MS  Interval between recurring expense runs (default daily)
+ *   SYSTEM_USER_ID                 User the jobs' changes are recorded as (required; recurring
+ *                                  expenses are created by this user)
+ */
+
+const logger = require('../utils/logger');
+const { scheduleOverdueSweep, stopOverdueSweep } = require('../jobs/overdueInvoiceJob');
+const { scheduleRecurringExpenses, stopRecurringExpenses } = require('../jobs/recurringExpenseJob');
+
+const start = () => {
+    if (!parseInt(process.env.SYSTEM_USER_ID)) {
+        logger.error('SYSTEM_USER_ID must be set to the user scheduled jobs run as');
+        process.exit(1);
+    }
+
+    scheduleOverdueSweep();
+    scheduleRecurringExpenses();
+
+    logger.info('Scheduled jobs started', {
+        jobs: ['overdue sweep', 'recurring expenses']
+    });
+};
+
+const stop = () => {
+    stopOverdueSweep();
+    stopRecurringExpenses();
+
+    logger.info('Scheduled jobs stopped');
+    process.exit(0);
+};
+
+process.on('SIGINT', stop);
+process.on('SIGTERM', stop);
+
+start();
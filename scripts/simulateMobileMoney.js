@@ -0,0 +1,119 @@
+#!/usr/bin/env node
+/**
+ * Mobile money callback simulator.
+ *
+ * Posts paybill callbacks shaped like the provider's to a running API so the
+ * payment flow can be tested without a provider sandbox. Each run sends a
+ * validation request, the confirmation, and the confirmation again to show
+ * that a repeated callback does not record a second payment.
+ *
+ * Usage:
+ *   node scripts/simulateMobileMoney.js --account ADM001 --amount 2500
+ *   node scripts/simulateMobileMoney.js --account ADM001 --amount 2500 --transaction QK12ABC345 --no-repeat
+ *
+ * Environment:
+ *   MOBILE_MONEY_API_URL         Base URL of the mobile money routes (default http://localhost:5000/api/mobile-money)
+ *   MOBILE_MONEY_CALLBACK_TOKEN  Shared callback token configured on the server
+ */
+
+const DEFAULT_API_URL = 'http://localhost:5000/api/mobile-money';
+
+const parseArgs = (argv) => {
+    const args = { repeat: true };
+
+    for (let i = 0; i < argv.length; i++) {
+        switch (argv[i]) {
+            case '--account':
+                args.account = argv[++i];
+                break;
+            case '--amount':
+                args.amount = argv[++i];
+                break;
+            case '--transaction':
+                args.transaction = argv[++i];
+                break;
+            case '--phone':
+                args.phone = argv[++i];
+                break;
+            case '--no-repeat':
+                args.repeat = false;
+                break;
+            default:
+                throw new Error(`Unknown option: ${argv[i]}`);
+        }
+    }
+
+    if (!args.account || !args.amount) {
+        throw new Error('Usage: simulateMobileMoney.js --account <admission number> --amount <amount> ' +
+            '[--transaction <id>] [--phone <number>] [--no-repeat]');
+    }
+
+    return args;
+};
+
+// Provider transaction IDs are ten upper-case letters and digits
+const randomTransactionId = () => Array.from(
+    { length: 10 },
+    () => 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789'[Math.floor(Math.random() * 36)]
+).join('');
+
+// YYYYMMDDHHmmss in local time
+const timestamp = (date = new Date()) => [
+    date.getFullYear(),
+    date.getMonth() + 1,
+    date.getDate(),
+    date.getHours(),
+    date.getMinutes(),
+    date.getSeconds()
+].map((part, index) => String(part).padStart(index === 0 ? 4 : 2, '0')).join('');
+
+const buildCallback = ({ account, amount, transaction, phone }) => ({
+    TransactionType: 'Pay Bill',
+    TransID: transaction || randomTransactionId(),
+    TransTime: timestamp(),
+    TransAmount: parseFloat(amount).toFixed(2),
+    BusinessShortCode: '600000',
+    BillRefNumber: account,
+    InvoiceNumber: '',
+    OrgAccountBalance: '',
+    ThirdPartyTransID: '',
+    MSISDN: phone || '254700000000',
+    FirstName: 'Test',
+    MiddleName: '',
+    LastName: 'Payer'
+});
+
+const post = async (path, body) => {
+    const baseUrl = process.env.MOBILE_MONEY_API_URL || DEFAULT_API_URL;
+    const response = await fetch(`${baseUrl}${path}`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'X-Callback-Token': process.env.MOBILE_MONEY_CALLBACK_TOKEN || ''
+        },
+        body: JSON.stringify(body)
+    });
+
+    const text = await response.text();
+    console.log(`POST ${path} -> ${response.status} ${text}`);
+    return response;
+};
+
+const main = async () => {
+    const args = parseArgs(process.argv.slice(2));
+    const callback = buildCallback(args);
+    console.log(`Simulating ${callback.TransID}: ${callback.TransAmount} to account ${callback.BillRefNumber}`);
+
+    await post('/paybill/validation', callback);
+    await post('/paybill/confirmation', callback);
+
+    if (args.repeat) {
+        console.log('Repeating the confirmation; no second payment should be recorded');
+        await post('/paybill/confirmation', callback);
+    }
+};
+
+main().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+});
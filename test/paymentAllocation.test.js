@@ -0,0 +1,42 @@
+/**
+ * Run with: node --test test/
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { allocateCreditRecovery } = require('../utils/paymentAllocation');
+
+const application = (id, createdAt, amount, status = 'UNPAID') => ({
+    id,
+    createdAt: new Date(createdAt),
+    amount: amount.toFixed(2),
+    invoice: { id: id * 10, status }
+});
+
+test('bounced cheque credit spent on a later invoice is charged back to that invoice', () => {
+    const { allocation, remaining } = allocateCreditRecovery([
+        application(1, '2024-05-02', 3000)
+    ], 1200);
+
+    assert.deepStrictEqual(allocation.map(({ invoice, amount }) => [invoice.id, amount]), [[10, 1200]]);
+    assert.strictEqual(remaining, 0);
+});
+
+test('spent credit is recovered from the latest applications first', () => {
+    const { allocation, remaining } = allocateCreditRecovery([
+        application(1, '2024-05-02', 500),
+        application(2, '2024-09-01', 700)
+    ], 1000);
+
+    assert.deepStrictEqual(allocation.map(({ invoice, amount }) => [invoice.id, amount]), [[20, 700], [10, 300]]);
+    assert.strictEqual(remaining, 0);
+});
+
+test('cancelled invoices are skipped and untraced credit is left over', () => {
+    const { allocation, remaining } = allocateCreditRecovery([
+        application(1, '2024-05-02', 400),
+        application(2, '2024-09-01', 900, 'CANCELLED')
+    ], 650.5);
+
+    assert.deepStrictEqual(allocation.map(({ invoice, amount }) => [invoice.id, amount]), [[10, 400]]);
+    assert.strictEqual(remaining, 250.5);
+});
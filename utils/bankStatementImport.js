@@ -0,0 +1,313 @@
+/**
+ * Bank statement import for payment reconciliation.
+ *
+ * Reads CSV and OFX statements into lines with a signed amount (credits
+ * positive), and matches credit lines to pending payments. A match on the
+ * payment's transaction ID or cheque number with the same amount is
+ * confident enough to verify the payment; weaker matches are only suggested.
+ */
+const path = require('path');
+const { Readable } = require('stream');
+const ExcelJS = require('exceljs');
+const { ValidationError } = require('./errors');
+
+// Days a statement line may fall either side of the payment date and still match on amount
+const DATE_TOLERANCE_DAYS = parseInt(process.env.RECONCILIATION_DATE_TOLERANCE_DAYS) || 3;
+
+const MAX_LINES = 10000;
+
+// CSV headings accepted for each statement field
+const HEADER_ALIASES = {
+    date: 'transaction_date',
+    transaction_date: 'transaction_date',
+    value_date: 'transaction_date',
+    posting_date: 'transaction_date',
+    posted_date: 'transaction_date',
+    amount: 'amount',
+    credit: 'credit',
+    credit_amount: 'credit',
+    credits: 'credit',
+    deposit: 'credit',
+    deposits: 'credit',
+    money_in: 'credit',
+    paid_in: 'credit',
+    debit: 'debit',
+    debit_amount: 'debit',
+    debits: 'debit',
+    withdrawal: 'debit',
+    withdrawals: 'debit',
+    money_out: 'debit',
+    paid_out: 'debit',
+    description: 'description',
+    narrative: 'description',
+    narration: 'description',
+    details: 'description',
+    particulars: 'description',
+    reference: 'reference',
+    ref: 'reference',
+    reference_number: 'reference',
+    transaction_reference: 'reference',
+    transaction_id: 'reference',
+    cheque_number: 'cheque_number',
+    cheque_no: 'cheque_number',
+    check_number: 'cheque_number',
+    chq_no: 'cheque_number'
+};
+
+const normalizeHeader = (header) =>
+    String(header || '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+
+const toCents = (amount) => Math.round(parseFloat(amount) * 100);
+
+/**
+ * Parse a statement amount, allowing thousands separators and (bracketed) negatives
+ * @param {string} text - Amount text
+ * @returns {number|null} Amount, or null when the text is not a number
+ */
+const parseAmount = (text) => {
+    const value = String(text || '').trim();
+    if (!value) return null;
+
+    const negative = /^\(.*\)$/.test(value) || /^-/.test(value) || /\bDR$/i.test(value);
+    const amount = parseFloat(value.replace(/[^0-9.]/g, ''));
+    if (isNaN(amount)) return null;
+
+    return negative ? -amount : amount;
+};
+
+/**
+ * Parse a statement date: YYYY-MM-DD, DD/MM/YYYY (also with - or .) or YYYYMMDD
+ * @param {string} text - Date text
+ * @returns {string|null} Date as YYYY-MM-DD, or null when it cannot be read
+ */
+const parseDate = (text) => {
+    const value = String(text || '').trim();
+    let match = /^(\d{4})-(\d{1,2})-(\d{1,2})/.exec(value) || /^(\d{4})(\d{2})(\d{2})/.exec(value);
+    let parts = match && [match[1], match[2], match[3]];
+
+    if (!parts) {
+        match = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/.exec(value);
+        parts = match && [match[3], match[2], match[1]];
+    }
+
+    if (!parts) return null;
+
+    const [year, month, day] = parts.map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+
+    return date.toISOString().slice(0, 10);
+};
+
+/**
+ * Read the lines of a CSV statement
+ * @param {Buffer} data - File contents
+ * @returns {Promise<Array<Object>>} Statement lines
+ */
+const parseCsv = async (data) => {
+    const workbook = new ExcelJS.Workbook();
+    // Keep values as text so references keep their leading zeros
+    await workbook.csv.read(Readable.from([data]), { map: value => value });
+
+    const worksheet = workbook.worksheets[0];
+    if (!worksheet || worksheet.rowCount < 2) {
+        throw new ValidationError('The statement has no transaction lines');
+    }
+
+    const headers = [];
+    worksheet.getRow(1).eachCell((cell, column) => {
+        headers[column] = HEADER_ALIASES[normalizeHeader(cell.value)];
+    });
+
+    if (!headers.includes('transaction_date')) {
+        throw new ValidationError('Missing column: Date');
+    }
+    if (!headers.includes('amount') && !headers.includes('credit')) {
+        throw new ValidationError('Missing column: Amount or Credit');
+    }
+
+    const lines = [];
+    worksheet.eachRow((row, rowNumber) => {
+        if (rowNumber === 1) return;
+
+        const values = {};
+        headers.forEach((key, column) => {
+            if (!key) return;
+            const text = String(row.getCell(column).value ?? '').trim();
+            if (text !== '') values[key] = text;
+        });
+
+        if (!Object.keys(values).length) return;
+
+        const transactionDate = parseDate(values.transaction_date);
+        if (!transactionDate) {
+            throw new ValidationError(`Row ${rowNumber}: unreadable date "${values.transaction_date || ''}"`);
+        }
+
+        const amount = values.amount !== undefined
+            ? parseAmount(values.amount)
+            : (parseAmount(values.credit) || 0) - Math.abs(parseAmount(values.debit) || 0);
+        if (amount === null) {
+            throw new ValidationError(`Row ${rowNumber}: unreadable amount "${values.amount}"`);
+        }
+
+        lines.push({
+            line_number: rowNumber,
+            transaction_date: transactionDate,
+            amount,
+            description: values.description || null,
+            reference: values.reference || null,
+            cheque_number: values.cheque_number || null,
+            bank_transaction_id: null
+        });
+    });
+
+    return { account_number: null, lines };
+};
+
+/**
+ * Read the lines of an OFX statement. Both the SGML (1.x) and XML (2.x)
+ * forms are accepted, since only the leaf tag values are read.
+ * @param {Buffer} data - File contents
+ * @returns {Object} { account_number, lines }
+ */
+const parseOfx = (data) => {
+    const text = data.toString('utf8');
+    const tagValue = (block, tag) => {
+        const match = new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i').exec(block);
+        return match ? match[1].trim() || null : null;
+    };
+
+    const blocks = text.match(/<STMTTRN>[\s\S]*?(?=<\/STMTTRN>|<STMTTRN>|<\/BANKTRANLIST>)/gi) || [];
+    if (!blocks.length) {
+        throw new ValidationError('The statement has no transaction lines');
+    }
+
+    const lines = blocks.map((block, index) => {
+        const transactionDate = parseDate(tagValue(block, 'DTPOSTED'));
+        const amount = parseAmount(tagValue(block, 'TRNAMT'));
+        if (!transactionDate || amount === null) {
+            throw new ValidationError(`Transaction ${index + 1}: missing or unreadable date or amount`);
+        }
+
+        const name = tagValue(block, 'NAME');
+        const memo = tagValue(block, 'MEMO');
+
+        return {
+            line_number: index + 1,
+            transaction_date: transactionDate,
+            amount,
+            description: [name, memo].filter(Boolean).join(' - ') || null,
+            reference: tagValue(block, 'REFNUM'),
+            cheque_number: tagValue(block, 'CHECKNUM'),
+            bank_transaction_id: tagValue(block, 'FITID')
+        };
+    });
+
+    return { account_number: tagValue(text, 'ACCTID'), lines };
+};
+
+/**
+ * Read an uploaded bank statement
+ * @param {Object} file - Uploaded file ({ name, data })
+ * @returns {Promise<Object>} { file_format, account_number, lines } where each line
+ *   carries a fingerprint identifying it across overlapping statements
+ */
+const parseBankStatement = async (file) => {
+    const extension = path.extname(file.name || '').toLowerCase();
+    let format;
+    let parsed;
+
+    if (extension === '.csv') {
+        format = 'CSV';
+        parsed = await parseCsv(file.data);
+    } else if (extension === '.ofx' || extension === '.qfx') {
+        format = 'OFX';
+        parsed = parseOfx(file.data);
+    } else {
+        throw new ValidationError('Only .csv and .ofx bank statements can be imported');
+    }
+
+    if (parsed.lines.length > MAX_LINES) {
+        throw new ValidationError(`A single statement is limited to ${MAX_LINES} lines`);
+    }
+
+    // Identical lines on the same day are told apart by their position among themselves
+    const occurrences = new Map();
+    parsed.lines.forEach(line => {
+        const key = line.bank_transaction_id
+            ? `ID|${line.bank_transaction_id}`
+            : [line.transaction_date, toCents(line.amount), line.reference, line.cheque_number, line.description].join('|');
+        const occurrence = (occurrences.get(key) || 0) + 1;
+        occurrences.set(key, occurrence);
+
+        line.fingerprint = `${parsed.account_number || ''}|${key}|${occurrence}`.slice(0, 255);
+    });
+
+    return { file_format: format, ...parsed };
+};
+
+const normalizeReference = (value) => String(value || '').replace(/[^a-z0-9]/gi, '').toUpperCase();
+
+const daysApart = (a, b) => Math.abs(new Date(a) - new Date(b)) / (24 * 60 * 60 * 1000);
+
+/**
+ * Find the pending payment a credit line most likely settles
+ * @param {Object} line - Statement credit line
+ * @param {Array<Payment>} payments - Pending payments not yet matched
+ * @returns {Object|null} { payment, confident, note }; payment is null when several are equally likely
+ */
+const findPaymentMatch = (line, payments) => {
+    const sameAmount = (payment) => toCents(payment.amount) === toCents(line.amount);
+    const lineText = normalizeReference([line.reference, line.bank_transaction_id, line.description].join(' '));
+    const lineCheque = normalizeReference(line.cheque_number).replace(/^0+/, '');
+
+    const byReference = [
+        [
+            'transaction ID',
+            payments.filter(payment => {
+                const reference = normalizeReference(payment.transaction_id);
+                return reference.length >= 4 && lineText.includes(reference);
+            })
+        ],
+        [
+            'cheque number',
+            lineCheque ? payments.filter(payment =>
+                payment.cheque_number && normalizeReference(payment.cheque_number).replace(/^0+/, '') === lineCheque
+            ) : []
+        ]
+    ];
+
+    for (const [basis, matches] of byReference) {
+        const exact = matches.filter(sameAmount);
+        if (exact.length === 1) {
+            return { payment: exact[0], confident: true, note: `Matched on ${basis} and amount` };
+        }
+        if (matches.length === 1) {
+            return { payment: matches[0], confident: false, note: `Matched on ${basis} but the amount differs` };
+        }
+    }
+
+    const byAmountAndDate = payments.filter(payment =>
+        sameAmount(payment) && daysApart(payment.payment_date, line.transaction_date) <= DATE_TOLERANCE_DAYS
+    );
+
+    if (byAmountAndDate.length === 1) {
+        return { payment: byAmountAndDate[0], confident: false, note: 'Matched on amount and date only' };
+    }
+    if (byAmountAndDate.length > 1) {
+        return {
+            payment: null,
+            confident: false,
+            note: `${byAmountAndDate.length} pending payments have this amount and date`
+        };
+    }
+
+    return null;
+};
+
+module.exports = {
+    DATE_TOLERANCE_DAYS,
+    parseBankStatement,
+    findPaymentMatch
+};
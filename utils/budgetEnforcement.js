@@ -0,0 +1,109 @@
+/**
+ * Budget checks for expenses.
+ *
+ * An expense is checked against its budget when it is created and again
+ * when it is approved, using the utilization the budget would reach once
+ * the expense is spent. Passing a warning threshold only warns. Reaching the
+ * budget's freeze threshold, or going past the category's allocation or
+ * budget limit, blocks the expense unless a user holding the override
+ * permission gives a reason, which is recorded on the expense.
+ */
+const { Expense } = require('../models');
+const { BusinessError, AuthorizationError } = require('./errors');
+
+const BUDGET_OVERRIDE_PERMISSION = 'BUDGET_FREEZE_OVERRIDE';
+
+const formatPercent = (value) => `${Math.round(value * 10) / 10}%`;
+
+/**
+ * Warnings and blocks for spending an amount against a budget
+ * @param {Object} params - { budget: active Budget, category: ExpenseCategory, amount: expense total }
+ * @param {Object} options - { transaction }
+ * @returns {Promise<Object>} { warnings, blocks } as lists of messages
+ */
+const checkExpenseBudget = async ({ budget, category, amount }, { transaction } = {}) => {
+    const warnings = [];
+    const blocks = [];
+    const total = parseFloat(amount);
+
+    if (budget.isFrozen(total)) {
+        blocks.push(`Budget "${budget.title}" would reach ${formatPercent(budget.getUtilizationPercentage(total))} utilization, past its freeze threshold of ${budget.freeze_threshold}%`);
+    } else if (budget.needsWarning(total)) {
+        warnings.push(`Budget "${budget.title}" will reach ${formatPercent(budget.getUtilizationPercentage(total))} utilization, past its warning threshold of ${budget.warning_threshold}%`);
+    }
+
+    if (budget.category_allocations?.[category.id]) {
+        const allocated = parseFloat(budget.category_allocations[category.id]);
+        const utilized = parseFloat(await Expense.sum('total_amount', {
+            where: {
+                category_id: category.id,
+                budget_id: budget.id,
+                status: 'APPROVED'
+            },
+            transaction
+        })) || 0;
+        const projected = ((utilized + total) / allocated) * 100;
+
+        if (utilized + total > allocated) {
+            blocks.push(`${category.name} allocation of ${allocated.toFixed(2)} would be exceeded (${(utilized + total).toFixed(2)} spent)`);
+        } else if (budget.warning_threshold && projected >= budget.warning_threshold) {
+            warnings.push(`${category.name} allocation will be ${formatPercent(projected)} used`);
+        }
+    }
+
+    // The category's own limit applies over the budget period
+    if (category.budget_limit) {
+        const limit = parseFloat(category.budget_limit);
+        const spent = parseFloat(await category.getTotalExpenses(budget.start_date, budget.end_date)) || 0;
+        const projected = ((spent + total) / limit) * 100;
+
+        if (spent + total > limit) {
+            blocks.push(`${category.name} budget limit of ${limit.toFixed(2)} would be exceeded (${(spent + total).toFixed(2)} spent)`);
+        } else if (category.warning_threshold && projected >= category.warning_threshold) {
+            warnings.push(`${category.name} will have used ${formatPercent(projected)} of its budget limit`);
+        }
+    }
+
+    return { warnings, blocks };
+};
+
+/**
+ * Check an expense against its budget, throwing when it is blocked and not overridden
+ * @param {Object} params - { budget, category, amount }
+ * @param {Object} override - { user: authenticated user, reason: override reason }
+ * @param {Object} options - { transaction }
+ * @returns {Promise<Object>} { warnings, override } where override holds the expense's
+ *   budget_override_* values, or is null when nothing was blocked
+ * @throws {BusinessError} If the expense is blocked and no override reason was given
+ * @throws {AuthorizationError} If the user may not override the block
+ */
+const enforceExpenseBudget = async (params, { user, reason }, options = {}) => {
+    const { warnings, blocks } = await checkExpenseBudget(params, options);
+
+    if (!blocks.length) {
+        return { warnings, override: null };
+    }
+
+    if (!reason) {
+        throw new BusinessError(`${blocks.join('. ')}. A budget override reason is required to continue`);
+    }
+
+    if (!user.permissions?.includes(BUDGET_OVERRIDE_PERMISSION)) {
+        throw new AuthorizationError(`${blocks.join('. ')}. Only users with the ${BUDGET_OVERRIDE_PERMISSION} permission can override the budget`);
+    }
+
+    return {
+        warnings: [...warnings, ...blocks.map(block => `Overridden: ${block}`)],
+        override: {
+            budget_override_reason: reason,
+            budget_override_by: user.id,
+            budget_override_at: new Date()
+        }
+    };
+};
+
+module.exports = {
+    BUDGET_OVERRIDE_PERMISSION,
+    checkExpenseBudget,
+    enforceExpenseBudget
+};
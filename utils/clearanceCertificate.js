@@ -0,0 +1,110 @@
+/**
+ * PDF clearance certificates for students who have left the school
+ */
+const PDFDocument = require('pdfkit');
+
+const school = {
+    name: process.env.SCHOOL_NAME || 'School Name',
+    address: process.env.SCHOOL_ADDRESS || '',
+    phone: process.env.SCHOOL_PHONE || '',
+    email: process.env.SCHOOL_EMAIL || ''
+};
+
+const EXIT_DESCRIPTIONS = {
+    GRADUATED: 'Graduated',
+    TRANSFERRED: 'Transferred to another school',
+    WITHDRAWN: 'Withdrawn'
+};
+
+const formatDate = (date) => (date ? new Date(date).toLocaleDateString('en-GB', {
+    day: 'numeric',
+    month: 'short',
+    year: 'numeric'
+}) : '-');
+
+/**
+ * Generate a clearance certificate for a student who has left the school
+ * @param {Object} student - Student with exit details recorded
+ * @param {Date} issuedOn - Date the certificate is issued
+ * @returns {Promise<Buffer>} PDF document
+ */
+const generateClearanceCertificatePdf = (student, issuedOn = new Date()) => new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 50 });
+    const chunks = [];
+
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const left = doc.page.margins.left;
+    const right = doc.page.width - doc.page.margins.right;
+    const certificateNumber = `CLR-${student.admission_number}-${new Date(issuedOn).toISOString().slice(0, 10).replace(/-/g, '')}`;
+
+    // School header
+    doc.fontSize(18).text(school.name, { align: 'center' });
+    [school.address, school.phone && `Phone: ${school.phone}`, school.email]
+        .filter(Boolean)
+        .forEach(line => doc.fontSize(10).text(line, { align: 'center' }));
+
+    doc.moveDown();
+    doc.fontSize(14).text('FEE CLEARANCE CERTIFICATE', { align: 'center', underline: true });
+    doc.moveDown();
+
+    doc.fontSize(10)
+        .text(`Certificate No: ${certificateNumber}`, left)
+        .text(`Date Issued: ${formatDate(issuedOn)}`);
+    doc.moveDown();
+
+    // Student and exit details
+    const details = [
+        ['Student', `${student.first_name} ${student.last_name}`],
+        ['Admission No', student.admission_number],
+        ['Admitted On', formatDate(student.admission_date)],
+        ['Last Class', student.current_class],
+        ['Academic Year', student.academic_year || '-'],
+        ['Reason for Leaving', EXIT_DESCRIPTIONS[student.exit_type] || student.exit_type],
+        ['Date of Leaving', formatDate(student.exit_date)]
+    ];
+
+    if (student.exit_destination) {
+        details.push(['Destination School', student.exit_destination]);
+    }
+
+    details.forEach(([label, value]) => {
+        const rowY = doc.y;
+        doc.font('Helvetica-Bold').text(label, left, rowY, { width: 150 });
+        doc.font('Helvetica').text(value, left + 160, rowY, { width: right - left - 160 });
+        doc.moveDown(0.4);
+    });
+
+    doc.x = left;
+    doc.moveDown(2);
+
+    doc.fontSize(11).text(
+        `This is to certify that ${student.first_name} ${student.last_name} has cleared all fees ` +
+        `due to ${school.name} and has no outstanding balance as at the date of this certificate.`,
+        left,
+        doc.y,
+        { width: right - left, align: 'justify' }
+    );
+
+    // Signature lines
+    doc.moveDown(5);
+    const signatureY = doc.y;
+    doc.moveTo(left, signatureY).lineTo(left + 180, signatureY).stroke();
+    doc.moveTo(right - 180, signatureY).lineTo(right, signatureY).stroke();
+    doc.fontSize(10)
+        .text('Accounts Office', left, signatureY + 6, { width: 180, align: 'center' })
+        .text('Head Teacher', right - 180, signatureY + 6, { width: 180, align: 'center' });
+
+    doc.x = left;
+    doc.moveDown(4);
+    doc.fontSize(9).fillColor('gray')
+        .text('This certificate is valid only with the school stamp.', { align: 'center' });
+
+    doc.end();
+});
+
+module.exports = {
+    generateClearanceCertificatePdf
+};
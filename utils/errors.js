@@ -68,6 +68,10 @@ const PromotionErrors = {
     INVALID_FEE_STRUCTURE: 'Fee structure not found for the target class.',
     PROMOTION_NOT_ALLOWED: 'Student promotion is not allowed at this time.',
     BALANCE_TRANSFER_FAILED: 'Failed to transfer outstanding balances.',
+    STUDENT_ALREADY_EXITED: 'Student has already left the school.',
+    GRADUATION_NOT_ALLOWED: 'Only students in grade6 or grade10 can graduate.',
+    STUDENT_NOT_EXITED: 'Clearance certificates are only issued to students who have left the school.',
+    CLEARANCE_BALANCE_OUTSTANDING: 'Clearance certificate cannot be issued while a fee balance is outstanding.',
 };
 
 /**
@@ -0,0 +1,123 @@
+/**
+ * Expense approval chains.
+ *
+ * The chain for an expense is built from the active approval rules when it
+ * is submitted: the rules of its category if it has any, otherwise the rules
+ * without a category, keeping the steps whose minimum amount the expense
+ * reaches. With no matching rules a single step is created that the default
+ * approver roles can approve, as before chains existed.
+ *
+ * Steps are approved in order. Each submission is a new round, so the steps
+ * of a rejected round stay on record when the expense is resubmitted.
+ */
+const { Op } = require('sequelize');
+const { ExpenseApproval, ExpenseApprovalRule } = require('../models');
+
+/**
+ * Approval steps an expense must pass
+ * @param {Expense} expense - Expense being submitted
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Promise<Array<Object>>} Steps as { step_name, approver_role, approver_id }, in order
+ */
+const buildApprovalChain = async (expense, transaction) => {
+    const rules = await ExpenseApprovalRule.findAll({
+        where: {
+            status: 'ACTIVE',
+            [Op.or]: [
+                { category_id: expense.category_id },
+                { category_id: null }
+            ]
+        },
+        order: [['step_order', 'ASC']],
+        transaction
+    });
+
+    const categoryRules = rules.filter(rule => rule.category_id);
+    const total = parseFloat(expense.total_amount);
+    const steps = (categoryRules.length ? categoryRules : rules)
+        .filter(rule => total >= parseFloat(rule.min_amount));
+
+    if (!steps.length) {
+        return [{ step_name: 'Approval', approver_role: null, approver_id: null }];
+    }
+
+    return steps.map(rule => ({
+        step_name: rule.name,
+        approver_role: rule.approver_role,
+        approver_id: rule.approver_id
+    }));
+};
+
+/**
+ * Start a new approval round for an expense and put it in PENDING_APPROVAL
+ * @param {Expense} expense - Expense with its total calculated
+ * @param {Object} options - { transaction }
+ * @returns {Promise<Array<ExpenseApproval>>} Steps of the new round
+ */
+const submitForApproval = async (expense, { transaction } = {}) => {
+    const chain = await buildApprovalChain(expense, transaction);
+    const round = (expense.approval_round || 0) + 1;
+
+    const steps = await ExpenseApproval.bulkCreate(chain.map((step, index) => ({
+        ...step,
+        expense_id: expense.id,
+        round,
+        step_order: index + 1,
+        status: index === 0 ? 'PENDING' : 'WAITING'
+    })), { transaction });
+
+    await expense.update({
+        status: 'PENDING_APPROVAL',
+        approval_round: round,
+        submitted_at: new Date(),
+        rejection_reason: null
+    }, { transaction });
+
+    return steps;
+};
+
+/**
+ * The step of an expense's current round waiting for a decision
+ * @param {Expense} expense - Expense pending approval
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Promise<ExpenseApproval|null>}
+ */
+const findPendingStep = async (expense, transaction) => {
+    return await ExpenseApproval.findOne({
+        where: {
+            expense_id: expense.id,
+            round: expense.approval_round,
+            status: 'PENDING'
+        },
+        transaction,
+        lock: transaction?.LOCK.UPDATE
+    });
+};
+
+/**
+ * Where clause for the pending steps a user may act on
+ * @param {Object} user - Authenticated user ({ id, role })
+ * @returns {Object} Sequelize where clause
+ */
+const pendingStepsFor = (user) => {
+    const scopes = [
+        { approver_id: user.id },
+        { approver_id: null, approver_role: user.role }
+    ];
+
+    if (ExpenseApproval.DEFAULT_APPROVER_ROLES.includes(user.role)) {
+        scopes.push({ approver_id: null, approver_role: null });
+    }
+
+    return {
+        status: 'PENDING',
+        [Op.or]: scopes
+    };
+};
+
+module.exports = {
+    buildApprovalChain,
+    submitForApproval,
+    findPendingStep,
+    pendingStepsFor
+};
@@ -0,0 +1,102 @@
+/**
+ * Policies for spreading a payment over an invoice's unpaid items
+ */
+
+const byDisplayOrder = (a, b) => a.display_order - b.display_order;
+
+// Carried-forward lines are billed oldest balance first, so their source detail ID gives their age.
+// Lines with no source detail come after those that have one, and current charges after all of them.
+const carriedForwardAge = (item) => {
+    if (!item.is_carried_forward) return Infinity;
+    return item.balance_detail_id || Number.MAX_SAFE_INTEGER;
+};
+
+/**
+ * Item orderings by policy name. Every policy falls back to display order.
+ */
+const ALLOCATION_POLICIES = {
+    // Mandatory fees before optional ones such as transport or clubs
+    MANDATORY_FIRST: (a, b) => Number(b.is_mandatory) - Number(a.is_mandatory) || byDisplayOrder(a, b),
+
+    // The order the items are printed on the invoice
+    DISPLAY_ORDER: byDisplayOrder,
+
+    // Arrears from earlier terms first, oldest balance first
+    CARRIED_FORWARD_FIRST: (a, b) => (
+        carriedForwardAge(a) === carriedForwardAge(b) ? byDisplayOrder(a, b) : carriedForwardAge(a) - carriedForwardAge(b)
+    ),
+
+    // Earliest due first
+    DUE_DATE: (a, b) => new Date(a.due_date) - new Date(b.due_date) || byDisplayOrder(a, b)
+};
+
+const DEFAULT_ALLOCATION_POLICY = ALLOCATION_POLICIES[process.env.PAYMENT_ALLOCATION_POLICY]
+    ? process.env.PAYMENT_ALLOCATION_POLICY
+    : 'MANDATORY_FIRST';
+
+/**
+ * Split an amount over unpaid items in policy order
+ * @param {Array<Object>} items - Invoice items
+ * @param {number} amount - Amount to allocate
+ * @param {string} policy - Policy name (default: PAYMENT_ALLOCATION_POLICY or MANDATORY_FIRST)
+ * @returns {Object} { allocation: [{ item, amount }], remaining } where remaining is
+ *   whatever the items could not absorb
+ */
+const allocateAmount = (items, amount, policy = DEFAULT_ALLOCATION_POLICY) => {
+    const compare = ALLOCATION_POLICIES[policy];
+    if (!compare) {
+        throw new Error(`Unknown allocation policy: ${policy}`);
+    }
+
+    const unpaid = items
+        .filter(item => parseFloat(item.balance_amount) > 0)
+        .sort(compare);
+
+    let remaining = Math.round(parseFloat(amount) * 100) / 100;
+    const allocation = [];
+
+    for (const item of unpaid) {
+        if (remaining <= 0) break;
+
+        const itemAmount = Math.min(remaining, parseFloat(item.balance_amount));
+        allocation.push({ item, amount: itemAmount });
+        remaining = Math.round((remaining - itemAmount) * 100) / 100;
+    }
+
+    return { allocation, remaining };
+};
+
+/**
+ * Split credit that was spent before the payment behind it failed over the
+ * invoices it was applied to, latest application first. Applications to
+ * cancelled invoices are skipped: the credit went back when they were cancelled.
+ * @param {Array<Object>} applications - INVOICE_APPLICATION credit movements with their invoice
+ * @param {number} amount - Spent credit to recover
+ * @returns {Object} { allocation: [{ invoice, amount }], remaining } where remaining is
+ *   whatever could not be traced to an application
+ */
+const allocateCreditRecovery = (applications, amount) => {
+    const latestFirst = [...applications]
+        .filter(application => application.invoice && application.invoice.status !== 'CANCELLED')
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt) || b.id - a.id);
+
+    let remaining = Math.round(parseFloat(amount) * 100) / 100;
+    const allocation = [];
+
+    for (const application of latestFirst) {
+        if (remaining <= 0) break;
+
+        const recovered = Math.min(remaining, parseFloat(application.amount));
+        allocation.push({ invoice: application.invoice, amount: recovered });
+        remaining = Math.round((remaining - recovered) * 100) / 100;
+    }
+
+    return { allocation, remaining };
+};
+
+module.exports = {
+    ALLOCATION_POLICIES,
+    DEFAULT_ALLOCATION_POLICY,
+    allocateAmount,
+    allocateCreditRecovery
+};
@@ -0,0 +1,157 @@
+/**
+ * PDF receipt generation for fee payments
+ */
+const PDFDocument = require('pdfkit');
+
+const school = {
+    name: process.env.SCHOOL_NAME || 'School Name',
+    address: process.env.SCHOOL_ADDRESS || '',
+    phone: process.env.SCHOOL_PHONE || '',
+    email: process.env.SCHOOL_EMAIL || ''
+};
+
+const formatMoney = (amount) => parseFloat(amount || 0).toLocaleString('en-US', {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2
+});
+
+const formatDate = (date) => (date ? new Date(date).toLocaleDateString('en-GB', {
+    day: 'numeric',
+    month: 'short',
+    year: 'numeric'
+}) : '-');
+
+/**
+ * Describe the payment mode with the details relevant to it
+ * @param {Object} payment - Payment record
+ * @returns {Array<string>} Lines describing the payment mode
+ */
+const getPaymentModeDetails = (payment) => {
+    const lines = [`Payment Mode: ${payment.payment_mode.replace(/_/g, ' ')}`];
+
+    switch (payment.payment_mode) {
+        case 'CHEQUE':
+            lines.push(`Cheque No: ${payment.cheque_number || '-'}`);
+            lines.push(`Cheque Date: ${formatDate(payment.cheque_date)}`);
+            lines.push(`Bank: ${[payment.bank_name, payment.bank_branch].filter(Boolean).join(', ') || '-'}`);
+            break;
+        case 'UPI':
+            lines.push(`UPI ID: ${payment.upi_id || '-'}`);
+            lines.push(`Transaction ID: ${payment.transaction_id || '-'}`);
+            break;
+        case 'CREDIT_CARD':
+        case 'DEBIT_CARD':
+            lines.push(`Card: **** **** **** ${payment.card_last_digits || '----'}`);
+            break;
+        case 'BANK_TRANSFER':
+        case 'MOBILE_WALLET':
+            if (payment.bank_name) lines.push(`Bank: ${payment.bank_name}`);
+            lines.push(`Transaction ID: ${payment.transaction_id || '-'}`);
+            break;
+        default:
+            break;
+    }
+
+    return lines;
+};
+
+/**
+ * Generate a PDF receipt for a payment
+ * @param {Object} payment - Payment with items (and their invoice items), student and invoice loaded
+ * @returns {Promise<Buffer>} PDF document
+ */
+const generateReceiptPdf = (payment) => new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 50 });
+    const chunks = [];
+
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const { student, invoice } = payment;
+    const left = doc.page.margins.left;
+    const right = doc.page.width - doc.page.margins.right;
+
+    // School header
+    doc.fontSize(18).text(school.name, { align: 'center' });
+    [school.address, school.phone && `Phone: ${school.phone}`, school.email]
+        .filter(Boolean)
+        .forEach(line => doc.fontSize(10).text(line, { align: 'center' }));
+
+    doc.moveDown();
+    doc.fontSize(14).text('PAYMENT RECEIPT', { align: 'center', underline: true });
+    doc.moveDown();
+
+    // Receipt and student details
+    const detailsTop = doc.y;
+    doc.fontSize(10)
+        .text(`Receipt No: ${payment.receipt_number}`, left, detailsTop)
+        .text(`Payment No: ${payment.payment_number}`)
+        .text(`Date: ${formatDate(payment.payment_date)}`)
+        .text(`Status: ${payment.status}`);
+
+    doc.text(`Student: ${student.first_name} ${student.last_name}`, 320, detailsTop)
+        .text(`Admission No: ${student.admission_number}`, 320)
+        .text(`Class: ${invoice.class}`, 320)
+        .text(`Invoice No: ${invoice.invoice_number}`, 320);
+
+    doc.x = left;
+    doc.moveDown(2);
+
+    // Item breakdown
+    const tableTop = doc.y;
+    doc.fontSize(10).font('Helvetica-Bold')
+        .text('Description', left, tableTop)
+        .text('Category', 300, tableTop)
+        .text('Amount', 420, tableTop, { width: right - 420, align: 'right' });
+    doc.moveTo(left, doc.y + 2).lineTo(right, doc.y + 2).stroke();
+    doc.font('Helvetica');
+
+    let rowY = doc.y + 8;
+    payment.items.forEach(item => {
+        doc.text(item.invoiceItem?.item_name || `Item #${item.invoice_item_id}`, left, rowY, { width: 240 })
+            .text(item.invoiceItem?.category || '-', 300, rowY)
+            .text(formatMoney(item.amount), 420, rowY, { width: right - 420, align: 'right' });
+        rowY = doc.y + 6;
+    });
+
+    if (parseFloat(payment.credit_amount) > 0) {
+        doc.text('Held as credit for the next invoice', left, rowY, { width: 240 })
+            .text('-', 300, rowY)
+            .text(formatMoney(payment.credit_amount), 420, rowY, { width: right - 420, align: 'right' });
+        rowY = doc.y + 6;
+    }
+
+    doc.moveTo(left, rowY).lineTo(right, rowY).stroke();
+
+    const totalY = rowY + 6;
+    doc.font('Helvetica-Bold')
+        .text('Total Paid', left, totalY)
+        .text(formatMoney(payment.amount), 420, totalY, { width: right - 420, align: 'right' });
+
+    const balanceY = totalY + 16;
+    doc.font('Helvetica')
+        .text('Remaining Invoice Balance', left, balanceY)
+        .text(formatMoney(invoice.balance_amount), 420, balanceY, { width: right - 420, align: 'right' });
+
+    doc.x = left;
+    doc.moveDown(2);
+
+    // Payment mode details
+    getPaymentModeDetails(payment).forEach(line => doc.fontSize(10).text(line));
+
+    if (payment.remarks) {
+        doc.moveDown().text(`Remarks: ${payment.remarks}`);
+    }
+
+    doc.moveDown(3);
+    doc.fontSize(9).fillColor('gray')
+        .text('This is a computer-generated receipt and does not require a signature.', { align: 'center' })
+        .text('Thank you for your payment!', { align: 'center' });
+
+    doc.end();
+});
+
+module.exports = {
+    generateReceiptPdf
+};
@@ -0,0 +1,149 @@
+/**
+ * Delivery channels for payment reminders.
+ *
+ * Every channel exposes the same interface:
+ *   - getRecipient(student) returns the address to deliver to, or null
+ *   - send({ to, subject, message }) delivers the message and resolves
+ *     with { reference } on success, throwing on failure
+ */
+const fs = require('fs');
+const { sendEmail } = require('./emailService');
+const logger = require('./logger');
+
+class ReminderChannel {
+    constructor(name) {
+        this.name = name;
+    }
+
+    getRecipient(student) {
+        return student.phone_number || null;
+    }
+
+    async send() {
+        throw new Error(`Channel ${this.name} does not implement send()`);
+    }
+}
+
+/**
+ * SMS channel posting to an HTTP gateway configured through the environment
+ */
+class SmsChannel extends ReminderChannel {
+    constructor() {
+        super('SMS');
+    }
+
+    async send({ to, message }) {
+        if (!process.env.SMS_GATEWAY_URL) {
+            throw new Error('SMS gateway is not configured');
+        }
+
+        const response = await fetch(process.env.SMS_GATEWAY_URL, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                Authorization: `Bearer ${process.env.SMS_GATEWAY_API_KEY}`
+            },
+            body: JSON.stringify({
+                to,
+                message,
+                sender_id: process.env.SMS_SENDER_ID
+            })
+        });
+
+        if (!response.ok) {
+            throw new Error(`SMS gateway responded with status ${response.status}`);
+        }
+
+        const result = await response.json().catch(() => ({}));
+        return { reference: result.message_id || result.id || null };
+    }
+}
+
+/**
+ * Email channel using the shared email service
+ */
+class EmailChannel extends ReminderChannel {
+    constructor() {
+        super('EMAIL');
+    }
+
+    getRecipient(student) {
+        return student.email || null;
+    }
+
+    async send({ to, subject, message }) {
+        const result = await sendEmail({
+            to,
+            subject,
+            text: message
+        });
+
+        return { reference: result?.messageId || null };
+    }
+}
+
+/**
+ * Local stand-in that appends reminders to a file (REMINDER_OUTBOX_FILE)
+ * or writes them to the log, so reminders can be exercised without a provider
+ */
+class ConsoleChannel extends ReminderChannel {
+    constructor() {
+        super('CONSOLE');
+    }
+
+    async send({ to, subject, message }) {
+        const entry = {
+            to,
+            subject,
+            message,
+            sent_at: new Date().toISOString()
+        };
+
+        if (process.env.REMINDER_OUTBOX_FILE) {
+            await fs.promises.appendFile(
+                process.env.REMINDER_OUTBOX_FILE,
+                `${JSON.stringify(entry)}\n`
+            );
+        } else {
+            logger.info('Reminder (console channel)', entry);
+        }
+
+        return { reference: null };
+    }
+}
+
+const channels = {};
+
+/**
+ * Register a reminder channel under its name
+ * @param {ReminderChannel} channel - Channel instance
+ */
+const registerChannel = (channel) => {
+    channels[channel.name] = channel;
+};
+
+/**
+ * Get a registered reminder channel
+ * @param {string} name - Channel name (SMS, EMAIL, CONSOLE)
+ * @returns {ReminderChannel} Channel instance
+ */
+const getChannel = (name) => {
+    const channel = channels[String(name).toUpperCase()];
+    if (!channel) {
+        throw new Error(`Unknown reminder channel: ${name}`);
+    }
+    return channel;
+};
+
+registerChannel(new SmsChannel());
+registerChannel(new EmailChannel());
+registerChannel(new ConsoleChannel());
+
+module.exports = {
+    ReminderChannel,
+    SmsChannel,
+    EmailChannel,
+    ConsoleChannel,
+    registerChannel,
+    getChannel
+};
@@ -0,0 +1,163 @@
+/**
+ * Payment reminder rendering and delivery
+ */
+const { ReminderLog, PaymentPlan, PaymentPlanInstallment } = require('../models');
+const { getChannel } = require('./reminderChannels');
+const logger = require('./logger');
+
+const DEFAULT_SUBJECT = 'Fee payment reminder - {invoice_number}';
+
+const DEFAULT_TEMPLATE =
+    'Dear {parent_name}, this is a reminder that {student_name} ({admission_number}) ' +
+    'has an outstanding fee balance of {balance_amount} on invoice {invoice_number}, ' +
+    'due on {due_date}. Kindly clear the balance at your earliest convenience.';
+
+// Used instead of the default when the invoice is on an installment plan
+const INSTALLMENT_TEMPLATE =
+    'Dear {parent_name}, this is a reminder that installment {installment_number} of ' +
+    '{installment_count} for {student_name} ({admission_number}) on invoice {invoice_number} ' +
+    'is due on {due_date}. Amount due: {amount_due} (total balance {balance_amount}).';
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-GB', {
+    day: 'numeric',
+    month: 'short',
+    year: 'numeric'
+});
+
+/**
+ * Replace {placeholders} in a template with values from the context
+ * @param {string} template - Message template
+ * @param {Object} context - Placeholder values
+ * @returns {string} Rendered message
+ */
+const renderTemplate = (template, context) => {
+    return template.replace(/\{(\w+)\}/g, (match, key) => (
+        context[key] !== undefined && context[key] !== null ? String(context[key]) : match
+    ));
+};
+
+/**
+ * Build the placeholder values for an invoice reminder
+ * @param {Object} invoice - Invoice with its student loaded
+ * @param {Object} [plan] - Active payment plan with its installments loaded
+ * @returns {Object} Template context
+ */
+const buildReminderContext = (invoice, plan = null) => {
+    const { student } = invoice;
+    const context = {
+        student_name: `${student.first_name} ${student.last_name}`,
+        first_name: student.first_name,
+        parent_name: student.parent_name,
+        admission_number: student.admission_number,
+        class: invoice.class,
+        invoice_number: invoice.invoice_number,
+        term: invoice.term,
+        academic_year: invoice.academic_year,
+        total_amount: parseFloat(invoice.total_amount).toFixed(2),
+        balance_amount: parseFloat(invoice.balance_amount).toFixed(2),
+        amount_due: parseFloat(invoice.balance_amount).toFixed(2),
+        due_date: formatDate(invoice.due_date)
+    };
+
+    const unpaid = plan
+        ? plan.installments.filter(installment => installment.getOutstanding() > 0)
+        : [];
+
+    if (unpaid.length) {
+        // The earliest unpaid installment plus anything else already past due
+        const now = new Date();
+        const due = unpaid.filter((installment, index) => index === 0 || new Date(installment.due_date) <= now);
+        const amountDue = due.reduce((sum, installment) => sum + installment.getOutstanding(), 0);
+
+        Object.assign(context, {
+            installment_number: unpaid[0].installment_number,
+            installment_count: plan.installment_count,
+            installment_amount: parseFloat(unpaid[0].amount).toFixed(2),
+            amount_due: amountDue.toFixed(2),
+            due_date: formatDate(unpaid[0].due_date)
+        });
+    }
+
+    return context;
+};
+
+/**
+ * Load the active payment plan for an invoice, installments in schedule order
+ * @param {Object} invoice - Invoice
+ * @returns {Promise<PaymentPlan|null>} Active plan
+ */
+const findActivePlan = (invoice) => PaymentPlan.findOne({
+    where: { invoice_id: invoice.id, status: 'ACTIVE' },
+    include: [{
+        model: PaymentPlanInstallment,
+        as: 'installments'
+    }],
+    order: [[{ model: PaymentPlanInstallment, as: 'installments' }, 'installment_number', 'ASC']]
+});
+
+/**
+ * Send a reminder for one invoice and record the attempt
+ * @param {Object} invoice - Invoice with its student loaded
+ * @param {Object} options - { channel, template, subject, userId }
+ * @returns {Promise<ReminderLog>} Reminder log entry
+ */
+const sendInvoiceReminder = async (invoice, options = {}) => {
+    const channel = getChannel(options.channel || 'SMS');
+    const plan = await findActivePlan(invoice);
+    const context = buildReminderContext(invoice, plan);
+    const defaultTemplate = context.installment_number ? INSTALLMENT_TEMPLATE : DEFAULT_TEMPLATE;
+    const message = renderTemplate(options.template || defaultTemplate, context);
+    const subject = renderTemplate(options.subject || DEFAULT_SUBJECT, context);
+    const recipient = channel.getRecipient(invoice.student);
+
+    const logEntry = {
+        invoice_id: invoice.id,
+        student_id: invoice.student_id,
+        channel: channel.name,
+        recipient,
+        message,
+        balance_amount: invoice.balance_amount,
+        sent_by: options.userId,
+        sent_at: new Date()
+    };
+
+    try {
+        if (!recipient) {
+            throw new Error(`No ${channel.name.toLowerCase()} contact on record for student`);
+        }
+
+        const { reference } = await channel.send({ to: recipient, subject, message });
+
+        await invoice.update({
+            last_reminder_date: new Date(),
+            reminder_count: (invoice.reminder_count || 0) + 1
+        });
+
+        return await ReminderLog.create({
+            ...logEntry,
+            status: 'SENT',
+            provider_reference: reference
+        });
+    } catch (error) {
+        logger.error('Payment reminder failed', {
+            invoiceId: invoice.id,
+            channel: channel.name,
+            error: error.message
+        });
+
+        return await ReminderLog.create({
+            ...logEntry,
+            status: 'FAILED',
+            error_message: error.message
+        });
+    }
+};
+
+module.exports = {
+    DEFAULT_TEMPLATE,
+    INSTALLMENT_TEMPLATE,
+    DEFAULT_SUBJECT,
+    renderTemplate,
+    buildReminderContext,
+    sendInvoiceReminder
+};
@@ -0,0 +1,225 @@
+/**
+ * Bulk student import from CSV or Excel rosters.
+ *
+ * Rows are read into plain objects keyed by the template columns, validated
+ * with the same schema as single student creation, and checked for
+ * admission numbers that repeat within the file or already exist.
+ */
+const path = require('path');
+const { Readable } = require('stream');
+const { Op } = require('sequelize');
+const ExcelJS = require('exceljs');
+const { Student } = require('../models');
+const { ValidationError } = require('./errors');
+const { studentSchema } = require('../middleware/studentValidations');
+
+const TEMPLATE_COLUMNS = [
+    { header: 'Admission Number', key: 'admission_number', width: 18 },
+    { header: 'First Name', key: 'first_name', width: 18 },
+    { header: 'Last Name', key: 'last_name', width: 18 },
+    { header: 'Parent Name', key: 'parent_name', width: 24 },
+    { header: 'Phone Number', key: 'phone_number', width: 18 },
+    { header: 'Email', key: 'email', width: 28 },
+    { header: 'School Level', key: 'school_level', width: 14 },
+    { header: 'Current Class', key: 'current_class', width: 14 },
+    { header: 'Admission Date', key: 'admission_date', width: 16 }
+];
+
+// Alternative headings accepted for template columns
+const HEADER_ALIASES = {
+    adm_no: 'admission_number',
+    admission_no: 'admission_number',
+    class: 'current_class',
+    level: 'school_level',
+    parent_phone: 'phone_number',
+    phone: 'phone_number',
+    guardian_name: 'parent_name',
+    parent_email: 'email'
+};
+
+const MAX_ROWS = 5000;
+
+const normalizeHeader = (header) => {
+    const key = String(header || '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+    return HEADER_ALIASES[key] || key;
+};
+
+/**
+ * Convert an ExcelJS cell value to a plain string
+ * @param {*} value - Cell value
+ * @returns {string} Cell text
+ */
+const cellText = (value) => {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return value.toISOString().slice(0, 10);
+    if (typeof value === 'object') {
+        if (value.richText) return value.richText.map(part => part.text).join('');
+        if (value.text !== undefined) return cellText(value.text);
+        if (value.result !== undefined) return cellText(value.result);
+        return '';
+    }
+    return String(value).trim();
+};
+
+/**
+ * Build the student import template
+ * @returns {ExcelJS.Workbook} Workbook with headings and an example row
+ */
+const buildStudentTemplate = () => {
+    const workbook = new ExcelJS.Workbook();
+    const worksheet = workbook.addWorksheet('Students');
+
+    worksheet.columns = TEMPLATE_COLUMNS;
+    worksheet.getRow(1).font = { bold: true };
+
+    // Keep leading zeros and '+' in phone numbers
+    worksheet.getColumn('phone_number').numFmt = '@';
+
+    worksheet.addRow({
+        admission_number: 'ADM001',
+        first_name: 'Jane',
+        last_name: 'Doe',
+        parent_name: 'John Doe',
+        phone_number: '0712345678',
+        email: 'john.doe@example.com',
+        school_level: 'PRIMARY',
+        current_class: 'grade1',
+        admission_date: '2024-01-08'
+    });
+
+    const notes = workbook.addWorksheet('Instructions');
+    notes.columns = [{ header: 'Instructions', key: 'note', width: 100 }];
+    [
+        'Replace the example row with one row per student. Do not rename the column headings.',
+        'School Level must be PRIMARY (pg, pp1, pp2, grade1 - grade6) or JUNIOR (grade7 - grade10).',
+        'Admission numbers must be unique, both within the file and against existing students.',
+        'Phone numbers may contain digits, spaces and dashes and may start with +.',
+        'Email and Admission Date (YYYY-MM-DD) are optional.'
+    ].forEach(note => notes.addRow({ note }));
+
+    return workbook;
+};
+
+/**
+ * Read the rows of an uploaded CSV or Excel roster
+ * @param {Object} file - Uploaded file ({ name, data })
+ * @returns {Promise<Array<Object>>} Rows keyed by template column, with their sheet row number
+ */
+const parseStudentFile = async (file) => {
+    const extension = path.extname(file.name || '').toLowerCase();
+    const workbook = new ExcelJS.Workbook();
+
+    if (extension === '.csv') {
+        // Keep values as text so phone numbers keep their leading zeros
+        await workbook.csv.read(Readable.from([file.data]), { map: value => value });
+    } else if (extension === '.xlsx') {
+        await workbook.xlsx.load(file.data);
+    } else {
+        throw new ValidationError('Only .csv and .xlsx files can be imported');
+    }
+
+    const worksheet = workbook.worksheets[0];
+    if (!worksheet || worksheet.rowCount < 2) {
+        throw new ValidationError('The file has no student rows');
+    }
+
+    const headers = [];
+    worksheet.getRow(1).eachCell((cell, column) => {
+        headers[column] = normalizeHeader(cellText(cell.value));
+    });
+
+    const missing = TEMPLATE_COLUMNS
+        .filter(column => column.key !== 'email' && column.key !== 'admission_date')
+        .filter(column => !headers.includes(column.key));
+    if (missing.length) {
+        throw new ValidationError(`Missing columns: ${missing.map(column => column.header).join(', ')}`);
+    }
+
+    const rows = [];
+    worksheet.eachRow((row, rowNumber) => {
+        if (rowNumber === 1) return;
+
+        const data = {};
+        headers.forEach((key, column) => {
+            if (!key || !TEMPLATE_COLUMNS.some(c => c.key === key)) return;
+            const text = cellText(row.getCell(column).value);
+            if (text !== '') data[key] = text;
+        });
+
+        // Skip rows that are completely blank
+        if (Object.keys(data).length) {
+            rows.push({ row: rowNumber, data });
+        }
+    });
+
+    if (rows.length > MAX_ROWS) {
+        throw new ValidationError(`A single import is limited to ${MAX_ROWS} rows`);
+    }
+
+    return rows;
+};
+
+/**
+ * Validate parsed roster rows
+ * @param {Array<Object>} rows - Rows from parseStudentFile
+ * @returns {Promise<Array<Object>>} Rows with the validated data and any errors
+ */
+const validateStudentRows = async (rows) => {
+    const results = rows.map(({ row, data }) => {
+        const { value, error } = studentSchema.validate(data, {
+            abortEarly: false,
+            allowUnknown: false
+        });
+
+        return {
+            row,
+            data: error ? data : value,
+            errors: error ? error.details.map(detail => ({
+                field: detail.context.key,
+                message: detail.message
+            })) : []
+        };
+    });
+
+    // Admission numbers repeated within the file
+    const seen = new Map();
+    results.forEach(result => {
+        const admissionNumber = result.data.admission_number;
+        if (!admissionNumber) return;
+
+        if (seen.has(admissionNumber)) {
+            result.errors.push({
+                field: 'admission_number',
+                message: `Admission number ${admissionNumber} is repeated (first used on row ${seen.get(admissionNumber)})`
+            });
+        } else {
+            seen.set(admissionNumber, result.row);
+        }
+    });
+
+    // Admission numbers that already belong to a student
+    const existing = seen.size ? await Student.findAll({
+        where: { admission_number: { [Op.in]: [...seen.keys()] } },
+        attributes: ['admission_number']
+    }) : [];
+    const existingNumbers = new Set(existing.map(student => student.admission_number));
+
+    results.forEach(result => {
+        if (existingNumbers.has(result.data.admission_number)) {
+            result.errors.push({
+                field: 'admission_number',
+                message: `Admission number ${result.data.admission_number} already exists`
+            });
+        }
+        result.status = result.errors.length ? 'INVALID' : 'VALID';
+    });
+
+    return results;
+};
+
+module.exports = {
+    TEMPLATE_COLUMNS,
+    buildStudentTemplate,
+    parseStudentFile,
+    validateStudentRows
+};
@@ -0,0 +1,602 @@
+/**
+ * Student statement of account.
+ *
+ * Builds a chronological ledger of everything that moved a student's fee
+ * balance: invoices, late penalties and bounced cheque charges, waivers,
+ * invoice cancellations, payments, payment cancellations, bounced cheques
+ * and refunds. Balance transfers, and the
+ * carried-forward lines that bill them on a later invoice, are listed as
+ * memo lines since they move a balance between terms without changing it.
+ * Student credit movements are memo lines for the same reason: the money
+ * was counted when it was paid, so a negative balance is credit held.
+ */
+const { Op } = require('sequelize');
+const ExcelJS = require('exceljs');
+const PDFDocument = require('pdfkit');
+const {
+    Invoice,
+    InvoiceItem,
+    Payment,
+    FeeBalanceTransfer,
+    StudentCreditTransaction
+} = require('../models');
+const { PENALTY_CATEGORY } = require('../jobs/latePenaltyJob');
+
+// Order of entries that share the same timestamp
+const ENTRY_ORDER = [
+    'INVOICE',
+    'PENALTY',
+    'BOUNCE_CHARGE',
+    'CREDIT_RECOVERY',
+    'WAIVER',
+    'INVOICE_CANCELLED',
+    'PAYMENT',
+    'PAYMENT_CANCELLED',
+    'CHEQUE_BOUNCED',
+    'REFUND',
+    'CREDIT',
+    'BALANCE_TRANSFER',
+    'BALANCE_BROUGHT_FORWARD'
+];
+
+const toAmount = (value) => Math.round(parseFloat(value || 0) * 100) / 100;
+
+const formatMoney = (amount) => parseFloat(amount || 0).toLocaleString('en-US', {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2
+});
+
+const formatDate = (date) => (date ? new Date(date).toLocaleDateString('en-GB', {
+    day: 'numeric',
+    month: 'short',
+    year: 'numeric'
+}) : '-');
+
+const entry = (date, type, reference, description, debit = 0, credit = 0, extra = {}) => ({
+    date: new Date(date),
+    type,
+    reference,
+    description,
+    debit: toAmount(debit),
+    credit: toAmount(credit),
+    ...extra
+});
+
+/**
+ * Ledger entries for a student's invoices and their items
+ * @param {Array<Invoice>} invoices - Invoices with items loaded
+ * @returns {Array<Object>} Ledger entries
+ */
+const invoiceEntries = (invoices) => invoices.flatMap(invoice => {
+    // Carried-forward lines were already charged on the invoice they came from
+    const carried = invoice.items.filter(item => item.is_carried_forward);
+    const penalties = invoice.items.filter(item => item.category === PENALTY_CATEGORY && !item.is_carried_forward);
+    const bounceCharges = invoice.items.filter(item => item.category === InvoiceItem.CHEQUE_BOUNCE_CATEGORY);
+    const recoveries = invoice.items.filter(item => item.category === InvoiceItem.CREDIT_RECOVERY_CATEGORY);
+    const billed = toAmount(invoice.total_amount) -
+        penalties.reduce((sum, item) => sum + toAmount(item.amount), 0) -
+        bounceCharges.reduce((sum, item) => sum + toAmount(item.amount), 0) -
+        recoveries.reduce((sum, item) => sum + toAmount(item.amount), 0) -
+        carried.reduce((sum, item) => sum + toAmount(item.amount), 0);
+
+    const entries = [
+        entry(
+            invoice.createdAt,
+            'INVOICE',
+            invoice.invoice_number,
+            `${invoice.term.replace('_', ' ')} ${invoice.academic_year} fees (${invoice.class})`,
+            billed,
+            0,
+            { invoice_id: invoice.id }
+        )
+    ];
+
+    carried.forEach(item => {
+        entries.push(entry(
+            item.createdAt,
+            'BALANCE_BROUGHT_FORWARD',
+            invoice.invoice_number,
+            `${item.item_name} of ${formatMoney(item.amount)} billed (${item.description})`,
+            0,
+            0,
+            { invoice_id: invoice.id, invoice_item_id: item.id, memo_amount: toAmount(item.amount) }
+        ));
+    });
+
+    penalties.forEach(item => {
+        entries.push(entry(
+            item.createdAt,
+            'PENALTY',
+            invoice.invoice_number,
+            item.description || item.item_name,
+            item.amount,
+            0,
+            { invoice_id: invoice.id, invoice_item_id: item.id }
+        ));
+    });
+
+    bounceCharges.forEach(item => {
+        entries.push(entry(
+            item.createdAt,
+            'BOUNCE_CHARGE',
+            invoice.invoice_number,
+            `${item.item_name}: ${item.description}`,
+            item.amount,
+            0,
+            { invoice_id: invoice.id, invoice_item_id: item.id }
+        ));
+    });
+
+    recoveries.forEach(item => {
+        entries.push(entry(
+            item.createdAt,
+            'CREDIT_RECOVERY',
+            invoice.invoice_number,
+            `${item.item_name}: ${item.description}`,
+            item.amount,
+            0,
+            { invoice_id: invoice.id, invoice_item_id: item.id }
+        ));
+    });
+
+    invoice.items
+        .filter(item => toAmount(item.waiver_amount) > 0)
+        .forEach(item => {
+            entries.push(entry(
+                item.waiver_approved_date || item.updatedAt,
+                'WAIVER',
+                invoice.invoice_number,
+                `Waiver on ${item.item_name}${item.waiver_reason ? `: ${item.waiver_reason}` : ''}`,
+                0,
+                item.waiver_amount,
+                { invoice_id: invoice.id, invoice_item_id: item.id }
+            ));
+        });
+
+    if (invoice.status === 'CANCELLED') {
+        entries.push(entry(
+            invoice.cancellation_date || invoice.updatedAt,
+            'INVOICE_CANCELLED',
+            invoice.invoice_number,
+            `Invoice cancelled${invoice.cancellation_reason ? `: ${invoice.cancellation_reason}` : ''}`,
+            0,
+            // Credit applied at invoicing was returned to the student as well
+            toAmount(invoice.balance_amount) + toAmount(invoice.credit_applied) -
+                carried.reduce((sum, item) => sum + toAmount(item.balance_amount), 0),
+            { invoice_id: invoice.id }
+        ));
+    }
+
+    return entries;
+});
+
+/**
+ * Ledger entries for a student's payments, including their reversals
+ * @param {Array<Payment>} payments - Payments with invoice loaded
+ * @returns {Array<Object>} Ledger entries
+ */
+const paymentEntries = (payments) => payments.flatMap(payment => {
+    const extra = { invoice_id: payment.invoice_id, payment_id: payment.id };
+    const entries = [
+        entry(
+            payment.payment_date,
+            'PAYMENT',
+            payment.receipt_number,
+            `Payment via ${payment.payment_mode.replace(/_/g, ' ')} towards ${payment.invoice.invoice_number}`,
+            0,
+            payment.amount,
+            extra
+        )
+    ];
+
+    if (payment.status === 'CANCELLED') {
+        entries.push(entry(
+            payment.cancellation_date || payment.updatedAt,
+            'PAYMENT_CANCELLED',
+            payment.receipt_number,
+            `Payment cancelled${payment.cancellation_reason ? `: ${payment.cancellation_reason}` : ''}`,
+            payment.amount,
+            0,
+            extra
+        ));
+    }
+
+    if (payment.cheque_status === 'BOUNCED') {
+        entries.push(entry(
+            payment.cheque_bounce_date || payment.updatedAt,
+            'CHEQUE_BOUNCED',
+            payment.receipt_number,
+            `Cheque ${payment.cheque_number} returned unpaid${payment.cheque_bounce_reason ? `: ${payment.cheque_bounce_reason}` : ''}`,
+            payment.amount,
+            0,
+            extra
+        ));
+    }
+
+    if (payment.status === 'REFUNDED') {
+        entries.push(entry(
+            payment.refund_date || payment.updatedAt,
+            'REFUND',
+            payment.refund_reference || payment.receipt_number,
+            `Refund on receipt ${payment.receipt_number}`,
+            payment.refund_amount,
+            0,
+            extra
+        ));
+    }
+
+    return entries;
+});
+
+/**
+ * Memo entries for balances carried forward between terms
+ * @param {Array<FeeBalanceTransfer>} transfers - Completed balance transfers
+ * @returns {Array<Object>} Ledger entries
+ */
+const transferEntries = (transfers) => transfers.map(transfer => entry(
+    transfer.transfer_date,
+    'BALANCE_TRANSFER',
+    `BT-${transfer.id}`,
+    `Balance of ${formatMoney(transfer.total_balance_transferred)} carried forward from ` +
+        `${transfer.from_class} ${transfer.from_term} to ${transfer.to_class} ${transfer.to_term}`,
+    0,
+    0,
+    { balance_transfer_id: transfer.id, memo_amount: toAmount(transfer.total_balance_transferred) }
+));
+
+/**
+ * Memo entries for money moving in and out of the student's credit balance
+ * @param {Array<StudentCreditTransaction>} movements - Credit movements
+ * @returns {Array<Object>} Ledger entries
+ */
+const creditEntries = (movements) => movements.map(movement => {
+    const direction = StudentCreditTransaction.CREDIT_IN_TYPES.includes(movement.transaction_type)
+        ? 'added to'
+        : 'taken from';
+
+    return entry(
+        movement.createdAt,
+        'CREDIT',
+        `CR-${movement.id}`,
+        `${movement.description}: ${formatMoney(movement.amount)} ${direction} credit ` +
+            `(credit balance ${formatMoney(movement.balance_after)})`,
+        0,
+        0,
+        {
+            credit_transaction_id: movement.id,
+            invoice_id: movement.invoice_id,
+            payment_id: movement.payment_id,
+            memo_amount: toAmount(movement.amount)
+        }
+    );
+});
+
+/**
+ * Build a student's statement of account
+ * @param {Object} student - Student record
+ * @param {Object} options - { from, to } date range; earlier entries roll into the opening balance
+ * @returns {Promise<Object>} Statement with opening/closing balances, totals and entries
+ */
+const buildStudentStatement = async (student, { from, to } = {}) => {
+    const fromDate = from ? new Date(from) : null;
+    const toDate = to ? new Date(to) : null;
+
+    if (toDate) {
+        // Include the whole of the end day
+        toDate.setHours(23, 59, 59, 999);
+    }
+
+    const [invoices, payments, transfers, creditMovements] = await Promise.all([
+        Invoice.findAll({
+            where: { student_id: student.id },
+            include: [{
+                model: InvoiceItem,
+                as: 'items'
+            }]
+        }),
+        Payment.findAll({
+            where: {
+                student_id: student.id,
+                // Bounced cheques failed after they were credited, so they stay on the ledger
+                [Op.or]: [
+                    { status: { [Op.ne]: 'FAILED' } },
+                    { cheque_status: 'BOUNCED' }
+                ]
+            },
+            include: [{
+                model: Invoice,
+                as: 'invoice',
+                attributes: ['id', 'invoice_number']
+            }]
+        }),
+        FeeBalanceTransfer.findAll({
+            where: {
+                student_id: student.id,
+                status: ['TRANSFERRED', 'APPLIED']
+            }
+        }),
+        StudentCreditTransaction.findAll({
+            where: { student_id: student.id }
+        })
+    ]);
+
+    const ledger = [
+        ...invoiceEntries(invoices),
+        ...paymentEntries(payments),
+        ...transferEntries(transfers),
+        ...creditEntries(creditMovements)
+    ].sort((a, b) => (
+        a.date - b.date || ENTRY_ORDER.indexOf(a.type) - ENTRY_ORDER.indexOf(b.type)
+    ));
+
+    let balance = 0;
+    let openingBalance = 0;
+    const entries = [];
+
+    for (const item of ledger) {
+        if (toDate && item.date > toDate) break;
+
+        balance = toAmount(balance + item.debit - item.credit);
+
+        if (fromDate && item.date < fromDate) {
+            openingBalance = balance;
+            continue;
+        }
+
+        entries.push({ ...item, balance });
+    }
+
+    const totalDebits = toAmount(entries.reduce((sum, item) => sum + item.debit, 0));
+    const totalCredits = toAmount(entries.reduce((sum, item) => sum + item.credit, 0));
+
+    return {
+        student: {
+            id: student.id,
+            admission_number: student.admission_number,
+            name: `${student.first_name} ${student.last_name}`,
+            parent_name: student.parent_name,
+            current_class: student.current_class,
+            status: student.status,
+            credit_balance: toAmount(student.credit_balance)
+        },
+        period: {
+            from: fromDate,
+            to: toDate
+        },
+        opening_balance: openingBalance,
+        total_debits: totalDebits,
+        total_credits: totalCredits,
+        closing_balance: toAmount(openingBalance + totalDebits - totalCredits),
+        entries,
+        generated_at: new Date()
+    };
+};
+
+/**
+ * Build a consolidated statement for all children of a family
+ * @param {Object} family - Family record
+ * @param {Array<Object>} children - The family's students
+ * @param {Object} options - { from, to } date range
+ * @returns {Promise<Object>} Statement with per-child summaries and a combined ledger
+ */
+const buildFamilyStatement = async (family, children, options = {}) => {
+    const statements = [];
+    for (const child of children) {
+        statements.push(await buildStudentStatement(child, options));
+    }
+
+    const openingBalance = toAmount(statements.reduce((sum, s) => sum + s.opening_balance, 0));
+
+    // Merge the children's ledgers and keep one running balance for the family
+    let balance = openingBalance;
+    const entries = statements
+        .flatMap(statement => statement.entries.map(item => ({
+            ...item,
+            student_id: statement.student.id,
+            admission_number: statement.student.admission_number,
+            student_name: statement.student.name
+        })))
+        .sort((a, b) => (
+            a.date - b.date || ENTRY_ORDER.indexOf(a.type) - ENTRY_ORDER.indexOf(b.type)
+        ))
+        .map(item => {
+            balance = toAmount(balance + item.debit - item.credit);
+            return { ...item, balance };
+        });
+
+    const totalDebits = toAmount(entries.reduce((sum, item) => sum + item.debit, 0));
+    const totalCredits = toAmount(entries.reduce((sum, item) => sum + item.credit, 0));
+
+    return {
+        family: {
+            id: family.id,
+            family_code: family.family_code,
+            guardian_name: family.guardian_name,
+            phone_number: family.phone_number
+        },
+        children: statements.map(statement => ({
+            ...statement.student,
+            opening_balance: statement.opening_balance,
+            total_debits: statement.total_debits,
+            total_credits: statement.total_credits,
+            closing_balance: statement.closing_balance
+        })),
+        period: statements[0]?.period || { from: null, to: null },
+        opening_balance: openingBalance,
+        total_debits: totalDebits,
+        total_credits: totalCredits,
+        closing_balance: toAmount(openingBalance + totalDebits - totalCredits),
+        entries,
+        generated_at: new Date()
+    };
+};
+
+/**
+ * Render a student or family statement as a PDF
+ * @param {Object} statement - Statement from buildStudentStatement or buildFamilyStatement
+ * @returns {Promise<Buffer>} PDF document
+ */
+const generateStatementPdf = (statement) => new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 40 });
+    const chunks = [];
+
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const left = doc.page.margins.left;
+    const bottom = doc.page.height - doc.page.margins.bottom;
+    const columns = [
+        { header: 'Date', x: left, width: 65 },
+        { header: 'Reference', x: 108, width: 80 },
+        { header: 'Description', x: 190, width: 165 },
+        { header: 'Debit', x: 358, width: 60, align: 'right' },
+        { header: 'Credit', x: 421, width: 60, align: 'right' },
+        { header: 'Balance', x: 484, width: 71, align: 'right' }
+    ];
+
+    const drawRow = (values, y) => {
+        let height = 0;
+        columns.forEach((column, i) => {
+            doc.text(values[i], column.x, y, { width: column.width, align: column.align || 'left' });
+            height = Math.max(height, doc.y - y);
+        });
+        return y + height + 4;
+    };
+
+    const drawHeader = (y) => {
+        doc.fontSize(8).font('Helvetica-Bold');
+        const next = drawRow(columns.map(column => column.header), y);
+        doc.moveTo(left, next - 2).lineTo(columns[5].x + columns[5].width, next - 2).stroke();
+        doc.font('Helvetica');
+        return next + 2;
+    };
+
+    const { student, family, period } = statement;
+
+    doc.fontSize(16).text(process.env.SCHOOL_NAME || 'School Name', { align: 'center' });
+    doc.fontSize(13).text(family ? 'FAMILY STATEMENT OF ACCOUNT' : 'STATEMENT OF ACCOUNT', { align: 'center' });
+    doc.moveDown();
+
+    if (family) {
+        doc.fontSize(10)
+            .text(`Family: ${family.family_code}`)
+            .text(`Parent/Guardian: ${family.guardian_name} (${family.phone_number})`);
+        statement.children.forEach(child => {
+            doc.text(`  ${child.name} (${child.admission_number}, ${child.current_class}): ` +
+                `closing balance ${formatMoney(child.closing_balance)}`);
+        });
+    } else {
+        doc.fontSize(10)
+            .text(`Student: ${student.name} (${student.admission_number})`)
+            .text(`Class: ${student.current_class}`)
+            .text(`Parent/Guardian: ${student.parent_name}`);
+    }
+    doc.text(`Period: ${period.from ? formatDate(period.from) : 'Start'} to ${period.to ? formatDate(period.to) : formatDate(statement.generated_at)}`);
+    doc.moveDown();
+
+    let y = drawHeader(doc.y);
+    y = drawRow(['', '', 'Opening balance', '', '', formatMoney(statement.opening_balance)], y);
+
+    statement.entries.forEach(item => {
+        if (y > bottom - 40) {
+            doc.addPage();
+            y = drawHeader(doc.page.margins.top);
+        }
+
+        y = drawRow([
+            formatDate(item.date),
+            item.reference,
+            family ? `${item.admission_number}: ${item.description}` : item.description,
+            item.debit ? formatMoney(item.debit) : '',
+            item.credit ? formatMoney(item.credit) : '',
+            formatMoney(item.balance)
+        ], y);
+    });
+
+    if (y > bottom - 40) {
+        doc.addPage();
+        y = doc.page.margins.top;
+    }
+
+    doc.moveTo(left, y).lineTo(columns[5].x + columns[5].width, y).stroke();
+    doc.font('Helvetica-Bold');
+    drawRow([
+        '',
+        '',
+        'Closing balance',
+        formatMoney(statement.total_debits),
+        formatMoney(statement.total_credits),
+        formatMoney(statement.closing_balance)
+    ], y + 4);
+
+    doc.font('Helvetica').fontSize(8).fillColor('gray')
+        .text(`Generated on ${formatDate(statement.generated_at)}`, left, doc.y + 20);
+
+    doc.end();
+});
+
+/**
+ * Render a student or family statement as an Excel workbook
+ * @param {Object} statement - Statement from buildStudentStatement or buildFamilyStatement
+ * @returns {ExcelJS.Workbook} Workbook
+ */
+const generateStatementWorkbook = (statement) => {
+    const workbook = new ExcelJS.Workbook();
+    const worksheet = workbook.addWorksheet('Statement');
+    const { student, family } = statement;
+
+    worksheet.columns = [
+        { header: 'Date', key: 'date', width: 14 },
+        ...(family ? [{ header: 'Student', key: 'student', width: 28 }] : []),
+        { header: 'Type', key: 'type', width: 20 },
+        { header: 'Reference', key: 'reference', width: 18 },
+        { header: 'Description', key: 'description', width: 50 },
+        { header: 'Debit', key: 'debit', width: 14 },
+        { header: 'Credit', key: 'credit', width: 14 },
+        { header: 'Balance', key: 'balance', width: 14 }
+    ];
+
+    worksheet.addRow({
+        description: family
+            ? `Opening balance - ${family.guardian_name} (${family.family_code})`
+            : `Opening balance - ${student.name} (${student.admission_number})`,
+        balance: statement.opening_balance
+    });
+
+    statement.entries.forEach(item => {
+        worksheet.addRow({
+            date: item.date,
+            student: family ? `${item.student_name} (${item.admission_number})` : undefined,
+            type: item.type,
+            reference: item.reference,
+            description: item.description,
+            debit: item.debit || null,
+            credit: item.credit || null,
+            balance: item.balance
+        });
+    });
+
+    const closingRow = worksheet.addRow({
+        description: 'Closing balance',
+        debit: statement.total_debits,
+        credit: statement.total_credits,
+        balance: statement.closing_balance
+    });
+
+    worksheet.getRow(1).font = { bold: true };
+    closingRow.font = { bold: true };
+    worksheet.getColumn('date').numFmt = 'dd mmm yyyy';
+    ['debit', 'credit', 'balance'].forEach(key => {
+        worksheet.getColumn(key).numFmt = '#,##0.00';
+    });
+
+    return workbook;
+};
+
+module.exports = {
+    buildStudentStatement,
+    buildFamilyStatement,
+    generateStatementPdf,
+    generateStatementWorkbook
+};